@@ -1,6 +1,170 @@
 // ==================== 查詢管理器載入 ====================
-// 使用 importScripts 載入 queryManager.js（非 ES Module 方式）
-importScripts('queryManager.js');
+// 使用 importScripts 載入共用模組與 queryManager.js（非 ES Module 方式）
+// queryManager.js 依賴 regionMap.js、storageSchema.js、userStore.js 提供的 RegionUtils、StorageSchema、UserStore，需先載入
+// cacheTransfer.js 負責快取匯出 / 匯入，i18n.js 翻譯查詢任務狀態並代 content script 讀取語言訊息檔
+importScripts('regionMap.js', 'i18n.js', 'storageSchema.js', 'colorRules.js', 'profileTaxonomy.js', 'userStore.js', 'queryManager.js', 'cacheTransfer.js');
+
+// ==================== 儲存結構遷移 ====================
+
+/**
+ * 遷移至 v2：合併 regionCache 與 profileCache 為 userCache
+ * - 地區重新正規化並補上地區代碼（修正 API 攔截寫入的未正規化資料）
+ * - 側寫字串 "標籤:理由,..." 轉為 [{ tag, reason }]
+ * - userIdCache 的 user ID 統一為字串，移除空值
+ * @returns {Promise<void>}
+ */
+async function migrateStorageToV2() {
+  const result = await chrome.storage.local.get([
+    'regionCache',
+    'profileCache',
+    StorageSchema.USER_CACHE_KEY,
+    StorageSchema.USER_ID_CACHE_KEY
+  ]);
+  const regionCache = result.regionCache || {};
+  const profileCache = result.profileCache || {};
+  const userCache = result[StorageSchema.USER_CACHE_KEY] || {};
+  const userIdCache = result[StorageSchema.USER_ID_CACHE_KEY] || {};
+
+  let regionCount = 0;
+  let profileCount = 0;
+
+  for (const username in regionCache) {
+    const entry = regionCache[username];
+    if (!entry || !entry.region) continue;
+
+    const region = RegionUtils.normalizeRegion(entry.region);
+    userCache[username] = StorageSchema.createUserRecord({
+      ...userCache[username],
+      region: region,
+      regionCode: RegionUtils.getRegionCode(region),
+      joined: entry.joined || null,
+      source: entry.source || null,
+      fetchedAt: entry.timestamp || null
+    });
+    regionCount++;
+  }
+
+  for (const username in profileCache) {
+    const entry = profileCache[username];
+    const profileTags = entry ? StorageSchema.parseProfileTags(entry.profile) : null;
+    if (!profileTags) continue;
+
+    userCache[username] = StorageSchema.createUserRecord({
+      ...userCache[username],
+      profileTags: profileTags,
+      profileFetchedAt: entry.timestamp || null
+    });
+    profileCount++;
+  }
+
+  const normalizedUserIds = {};
+  for (const username in userIdCache) {
+    const userId = userIdCache[username];
+    if (userId !== null && userId !== undefined && String(userId).trim() !== '') {
+      normalizedUserIds[username] = String(userId).trim();
+    }
+  }
+
+  await chrome.storage.local.set({
+    [StorageSchema.USER_CACHE_KEY]: userCache,
+    [StorageSchema.USER_ID_CACHE_KEY]: normalizedUserIds
+  });
+  await chrome.storage.local.remove(['regionCache', 'profileCache']);
+  console.log(`[Background] 已遷移 ${regionCount} 筆地區、${profileCount} 筆側寫至 ${StorageSchema.USER_CACHE_KEY}`);
+}
+
+/**
+ * 遷移至 v3：將 chrome.storage.local 的 userCache 一次匯入 IndexedDB
+ * 匯入成功後才移除舊資料，中途失敗時下次啟動會重新匯入（同名紀錄直接覆蓋）
+ * @returns {Promise<void>}
+ */
+async function migrateStorageToV3() {
+  const result = await chrome.storage.local.get([StorageSchema.USER_CACHE_KEY]);
+  const userCache = result[StorageSchema.USER_CACHE_KEY] || {};
+
+  const importedCount = await UserStore.putUserRecords(userCache);
+  await chrome.storage.local.remove([StorageSchema.USER_CACHE_KEY]);
+  console.log(`[Background] 已匯入 ${importedCount} 筆用戶紀錄至 IndexedDB`);
+}
+
+/**
+ * 遷移至 v4：v3 的查詢失敗紀錄（region 為「未揭露」且有 error 訊息）改記為「查詢失敗」
+ * 舊紀錄沒有失敗原因代碼，一律記為 unknown，原訊息保留於 errorMessage
+ * @returns {Promise<void>}
+ */
+async function migrateStorageToV4() {
+  let migratedCount = 0;
+
+  await UserStore.updateAllUserRecords((record) => {
+    if (record.region === '未揭露' && record.error && !StorageSchema.QUERY_ERROR_REASONS[record.error]) {
+      record.errorMessage = record.error;
+      record.region = StorageSchema.QUERY_FAILED_REGION;
+      record.error = 'unknown';
+      record.errorCount = 1;
+      record.retryAt = (record.fetchedAt || 0) + StorageSchema.getRetryDelayMs(1);
+      migratedCount++;
+    }
+    return record;
+  });
+
+  console.log(`[Background] 已將 ${migratedCount} 筆查詢失敗紀錄與「未揭露」分開`);
+}
+
+// 遷移清單（依版本遞增排列，新增結構變更時在此加入一筆）
+const STORAGE_MIGRATIONS = [
+  { version: 2, migrate: migrateStorageToV2 },
+  { version: 3, migrate: migrateStorageToV3 },
+  { version: 4, migrate: migrateStorageToV4 }
+];
+
+/**
+ * 執行儲存結構遷移，將舊版資料逐版升級至目前版本
+ * 未記錄版本者視為 v1（舊版 regionCache / profileCache 格式）
+ * @returns {Promise<void>}
+ */
+async function runStorageMigrations() {
+  const result = await chrome.storage.local.get([StorageSchema.SCHEMA_VERSION_KEY]);
+  let currentVersion = result[StorageSchema.SCHEMA_VERSION_KEY] || 1;
+
+  if (currentVersion > StorageSchema.SCHEMA_VERSION) {
+    console.warn(`[Background] 儲存結構版本 v${currentVersion} 比程式支援的 v${StorageSchema.SCHEMA_VERSION} 新，跳過遷移`);
+    return;
+  }
+
+  for (const migration of STORAGE_MIGRATIONS) {
+    if (migration.version <= currentVersion) continue;
+
+    console.log(`[Background] 儲存結構遷移 v${currentVersion} → v${migration.version}`);
+    await migration.migrate();
+    currentVersion = migration.version;
+    // 每完成一版就記錄，中途失敗時下次從該版繼續
+    await chrome.storage.local.set({ [StorageSchema.SCHEMA_VERSION_KEY]: currentVersion });
+  }
+}
+
+// Service Worker 啟動時執行遷移，完成前的快取讀寫會等待
+QueryManager.setStorageReady(runStorageMigrations().catch((error) => {
+  console.error('[Background] 儲存結構遷移失敗:', error);
+}));
+
+// 整合查詢的側寫內容準備好時，通知 popup 進行 LLM 分析
+// （以全域處理函式註冊，Service Worker 重啟後還原的任務也能通知）
+QueryManager.setProfileContentReadyHandler(function(account, profileData) {
+  console.log('[Background] 側寫內容準備好，通知 popup 進行 LLM 分析');
+  chrome.runtime.sendMessage({
+    action: 'processProfileAnalysis',
+    account: account,
+    profileData: profileData
+  }).catch(function(err) {
+    console.log('[Background] 通知 popup 進行 LLM 分析失敗:', err.message);
+  });
+});
+
+// 還原 Service Worker 被終止前的查詢隊列
+QueryManager.restoreQueryQueue();
+
+// 查詢任務狀態的說明文字依側邊欄選擇的語言產生
+I18n.init();
 
 // 當擴展安裝時執行初始化
 chrome.runtime.onInstalled.addListener(() => {
@@ -20,6 +184,18 @@ chrome.runtime.onInstalled.addListener(() => {
   }
 })();
 
+// 初始化時從 storage 讀取快取有效期限設定
+(async () => {
+  try {
+    const result = await chrome.storage.local.get([StorageSchema.CACHE_TTL_KEY]);
+    if (result[StorageSchema.CACHE_TTL_KEY] !== undefined) {
+      QueryManager.updateCacheTtl(result[StorageSchema.CACHE_TTL_KEY]);
+    }
+  } catch (error) {
+    console.error('[Background] 讀取快取有效期限設定失敗:', error);
+  }
+})();
+
 // 監聽 popup 的持久連接（僅用於偵測 popup 狀態，不再自動移除標籤）
 chrome.runtime.onConnect.addListener((port) => {
   if (port.name === 'popup') {
@@ -38,11 +214,11 @@ chrome.runtime.onConnect.addListener((port) => {
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   console.log('[Background] 收到消息:', request.action, sender.tab ? 'from tab ' + sender.tab.id : 'from extension');
 
-  // 處理頁面捲動事件（從 content script 轉發給 popup）
-  if (request.action === 'pageScrolled') {
-    console.log('[Background] 收到頁面捲動通知，準備建立用戶列表並顯示標籤');
+  // 處理重新整理頁面用戶的請求（sidepanel 開啟或手動偵測時由 content script 發出，並轉發給 popup）
+  if (request.action === 'refreshPageUsers') {
+    console.log('[Background] 收到重新整理頁面用戶通知，準備建立用戶列表並顯示標籤');
 
-    // 同時直接向發送滾動通知的分頁發送請求
+    // 同時直接向發送通知的分頁發送請求
     if (sender.tab && sender.tab.id) {
       (async () => {
         try {
@@ -54,19 +230,21 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
           if (usersResponse && usersResponse.success) {
             console.log('[Background] listAllUsers 成功，找到 ' + usersResponse.count + ' 個用戶');
 
-            // 2. 讀取快取的地區和側寫資料
-            const regionCache = await QueryManager.getAllCachedRegions();
-            const profileCache = await QueryManager.getAllCachedProfiles();
+            // 2. 只讀取頁面上用戶的快取紀錄（地區和側寫）
+            const userRecords = await QueryManager.getCachedUsersBatch(usersResponse.users || []);
 
-            // 3. 組合 regionData
+            // 3. 組合 regionData（沒有任何快取資料的用戶保持待查詢狀態）
             const regionData = {};
-            for (const username in regionCache) {
-              const regionInfo = regionCache[username];
-              const profileInfo = profileCache[username];
-              regionData['@' + username] = {
-                region: regionInfo ? regionInfo.region : null,
-                profile: profileInfo ? profileInfo.profile : null,
-                joined: regionInfo ? regionInfo.joined : null
+            for (const account in userRecords) {
+              const record = userRecords[account];
+              if (StorageSchema.isEmptyRecord(record)) continue;
+              regionData[account] = {
+                region: record.region,
+                profile: record.profileTags,
+                joined: record.joined,
+                verified: record.verified,
+                formerUsernames: record.formerUsernames,
+                queryError: StorageSchema.getQueryErrorInfo(record)
               };
             }
 
@@ -81,14 +259,14 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
             console.log('[Background] listAllUsers 失敗或返回空');
           }
         } catch (error) {
-          console.log('[Background] 處理 pageScrolled 失敗:', error.message);
+          console.log('[Background] 處理 refreshPageUsers 失敗:', error.message);
         }
       })();
     }
 
     // 向 popup 轉發訊息
     chrome.runtime.sendMessage({
-      action: 'pageScrolled',
+      action: 'refreshPageUsers',
       users: request.users || []
     }).catch(function(err) {
       // popup 可能未開啟，忽略錯誤
@@ -120,37 +298,18 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 
         console.log('[Background] 查詢設定: keepTab=' + shouldKeepTab + ', filter="' + keepTabFilter + '", profile=' + enableProfileAnalysis);
 
-        // 使用隊列機制執行整合查詢
-        const queueResult = QueryManager.addToIntegratedQueryQueue(
-          account,
-          enableProfileAnalysis,
-          shouldKeepTab,
-          keepTabFilter,
-          // 當側寫內容準備好時的回調
-          function(profileData) {
-            console.log('[Background] 側寫內容準備好，通知 popup 進行 LLM 分析');
-            // 通知 popup 進行 LLM 分析
-            chrome.runtime.sendMessage({
-              action: 'processProfileAnalysis',
-              account: account,
-              profileData: profileData
-            }).catch(function(err) {
-              console.log('[Background] 通知 popup 進行 LLM 分析失敗:', err.message);
-            });
-          }
-        );
-
-        // 如果無法加入隊列（隊列已滿或已存在），返回失敗
-        if (queueResult === null) {
-          sendResponse({
-            success: false,
-            error: '隊列已滿或該用戶已在查詢中'
-          });
-          return;
-        }
+        // 使用隊列機制執行整合查詢（側寫內容由 setProfileContentReadyHandler 的處理函式通知 popup）
+        // 手動點擊預設為最高優先順序，自動查詢可見用戶時由 content script 指定 'low'
+        // 無法加入隊列（冷卻中或隊列已滿）時返回 { success: false, rejected: true, reason, error }
+        const result = await QueryManager.runQueryJob(account, {
+          priority: request.priority || 'high',
+          isIntegrated: true,
+          enableProfileAnalysis: enableProfileAnalysis,
+          shouldKeepTab: shouldKeepTab,
+          keepTabFilter: keepTabFilter
+        });
 
-        // 等待查詢完成並返回結果
-        const result = await queueResult;
+        // 查詢完成，返回結果
         sendResponse(result);
       } catch (error) {
         console.error('[Background] 手動查詢錯誤:', error);
@@ -193,7 +352,105 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   // 獲取隊列狀態（用於調試）
   if (request.action === 'getQueueStatus') {
     const status = QueryManager.getQueueStatus();
-    sendResponse(status);
+    sendResponse({ success: true, ...status });
+    return true;
+  }
+
+  // 提交查詢任務，不等待結果（立即返回 jobId，狀態變化透過 queryJobUpdate 廣播）
+  if (request.action === 'submitQueryJob') {
+    (async () => {
+      try {
+        const submission = await QueryManager.submitQueryJob(request.account, {
+          priority: request.priority,
+          shouldKeepTab: request.shouldKeepTab,
+          keepTabFilter: request.keepTabFilter,
+          forceRefresh: request.forceRefresh
+        });
+        sendResponse({ success: true, ...submission });
+      } catch (error) {
+        console.error('[Background] 提交查詢任務失敗:', error);
+        sendResponse({ success: false, error: error.message });
+      }
+    })();
+
+    return true;
+  }
+
+  // 取消單一查詢任務（依 jobId 或 account）
+  if (request.action === 'cancelQueryJob') {
+    (async () => {
+      try {
+        const cancelled = await QueryManager.cancelQueryJob({ jobId: request.jobId, account: request.account });
+        sendResponse({ success: true, cancelled: cancelled });
+      } catch (error) {
+        console.error('[Background] 取消查詢任務失敗:', error);
+        sendResponse({ success: false, error: error.message });
+      }
+    })();
+
+    return true;
+  }
+
+  // 批次取消查詢任務（可依優先順序篩選，預設只取消排隊中的任務）
+  if (request.action === 'cancelQueryJobs') {
+    (async () => {
+      try {
+        const count = await QueryManager.cancelQueryJobs({
+          priority: request.priority,
+          includeRunning: request.includeRunning
+        });
+        sendResponse({ success: true, count: count });
+      } catch (error) {
+        console.error('[Background] 批次取消查詢任務失敗:', error);
+        sendResponse({ success: false, error: error.message });
+      }
+    })();
+
+    return true;
+  }
+
+  // 獲取查詢任務狀態（依 jobId 或 account）
+  if (request.action === 'getQueryJobStatus') {
+    (async () => {
+      try {
+        const job = await QueryManager.getQueryJobStatus({ jobId: request.jobId, account: request.account });
+        sendResponse({ success: true, job: job });
+      } catch (error) {
+        console.error('[Background] 獲取查詢任務狀態失敗:', error);
+        sendResponse({ success: false, error: error.message });
+      }
+    })();
+
+    return true;
+  }
+
+  // 等待查詢任務結束並返回查詢結果（Service Worker 重啟導致原本的查詢連線中斷時使用）
+  if (request.action === 'waitForQueryJob') {
+    (async () => {
+      try {
+        const result = await QueryManager.waitForQueryJob({ jobId: request.jobId, account: request.account });
+        sendResponse(result || { success: false, error: '找不到查詢任務' });
+      } catch (error) {
+        console.error('[Background] 等待查詢任務失敗:', error);
+        sendResponse({ success: false, error: error.message });
+      }
+    })();
+
+    return true;
+  }
+
+  // 讀取語言訊息檔（content script 無法直接讀取擴充功能內的檔案）
+  if (request.action === 'getLocaleMessages') {
+    (async () => {
+      try {
+        const messages = await I18n.fetchMessages(request.locale);
+        sendResponse({ success: true, messages: messages });
+      } catch (error) {
+        console.error('[Background] 讀取語言訊息檔失敗:', error);
+        sendResponse({ success: false, error: error.message });
+      }
+    })();
+
     return true;
   }
 
@@ -214,22 +471,19 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     return true;
   }
 
-  // 獲取緩存中的用戶完整資訊（包含 region 和 joined）
+  // 獲取緩存中的用戶完整紀錄（地區、加入日期、驗證狀態與側寫）
   if (request.action === 'getCachedUserInfo') {
     const username = request.username;
 
     (async () => {
       try {
-        const userInfo = await QueryManager.getCachedUserInfo(username);
-        if (userInfo) {
-          sendResponse({
-            success: true,
-            region: userInfo.region,
-            joined: userInfo.joined
-          });
-        } else {
-          sendResponse({ success: true, region: null, joined: null });
-        }
+        const userInfo = await QueryManager.getCachedUserInfo(username) || StorageSchema.createUserRecord();
+        sendResponse({
+          success: true,
+          ...userInfo,
+          // 側寫標籤（ProfileTag 陣列），與 regionData 的 profile 欄位一致
+          profile: userInfo.profileTags
+        });
       } catch (error) {
         console.error('[Background] 獲取用戶資訊失敗:', error);
         sendResponse({ success: false, error: error.message });
@@ -239,6 +493,96 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     return true;
   }
 
+  // 批次獲取多位用戶的緩存紀錄（一次回應，避免逐一查詢）
+  if (request.action === 'getCachedUsersBatch') {
+    const accounts = Array.isArray(request.accounts) ? request.accounts : [];
+
+    (async () => {
+      try {
+        const records = await QueryManager.getCachedUsersBatch(accounts);
+        const users = {};
+        for (const account in records) {
+          users[account] = {
+            ...records[account],
+            // 側寫標籤（ProfileTag 陣列），與 regionData 的 profile 欄位一致
+            profile: records[account].profileTags,
+            // 查詢失敗的原因與重試時間（非查詢失敗時為 null）
+            queryError: StorageSchema.getQueryErrorInfo(records[account])
+          };
+        }
+        sendResponse({ success: true, users: users });
+      } catch (error) {
+        console.error('[Background] 批次獲取用戶資訊失敗:', error);
+        sendResponse({ success: false, error: error.message });
+      }
+    })();
+
+    return true;
+  }
+
+  // 保存用戶地區到緩存（content script 被動攔截到的 profile 資訊）
+  if (request.action === 'saveCachedRegion') {
+    (async () => {
+      try {
+        await QueryManager.saveCachedRegion(request.username, request.region, request.joined || null, {
+          verified: request.verified,
+          verifiedDate: request.verifiedDate,
+          formerUsernames: request.formerUsernames,
+          displayName: request.displayName,
+          profileImage: request.profileImage,
+          source: request.source
+        });
+        sendResponse({ success: true });
+      } catch (error) {
+        console.error('[Background] 保存緩存失敗:', error);
+        sendResponse({ success: false, error: error.message });
+      }
+    })();
+
+    return true;
+  }
+
+  // 匯出快取（JSON 或 CSV）
+  if (request.action === 'exportCache') {
+    (async () => {
+      try {
+        await QueryManager.waitForStorage();
+        const result = await CacheTransfer.exportCache(request.format);
+        sendResponse({ success: true, ...result });
+      } catch (error) {
+        console.error('[Background] 匯出快取失敗:', error);
+        sendResponse({ success: false, error: error.message });
+      }
+    })();
+
+    return true;
+  }
+
+  // 匯入快取（先驗證整份檔案，通過後依合併策略寫入）
+  if (request.action === 'importCache') {
+    (async () => {
+      try {
+        await QueryManager.waitForStorage();
+        const result = await CacheTransfer.importCache(request.format, request.content, request.strategy);
+        if (result.success) {
+          if (result.settings.maxConcurrentQueries !== undefined) {
+            QueryManager.updateMaxConcurrent(result.settings.maxConcurrentQueries);
+          }
+          if (result.settings[StorageSchema.CACHE_TTL_KEY] !== undefined) {
+            QueryManager.updateCacheTtl(result.settings[StorageSchema.CACHE_TTL_KEY]);
+          }
+          QueryManager.notifyCacheChanged();
+        }
+        sendResponse(result);
+      } catch (error) {
+        console.error('[Background] 匯入快取失敗:', error);
+        sendResponse({ success: false, error: error.message });
+      }
+    })();
+
+    return true;
+  }
+
   // 清除所有緩存
   if (request.action === 'clearCache') {
     (async () => {
@@ -296,6 +640,14 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     return true;
   }
 
+  // 更新快取有效期限
+  if (request.action === 'updateCacheTtl') {
+    QueryManager.updateCacheTtl(request.value);
+    console.log('[Background] 已更新快取有效期限:', request.value);
+    sendResponse({ success: true });
+    return true;
+  }
+
   // 處理 Popup 關閉事件
   if (request.action === 'popupClosed') {
     console.log('[Background] 收到 Popup 關閉通知，準備移除所有標籤');
@@ -0,0 +1,535 @@
+/**
+ * 快取匯出 / 匯入 - 在不同電腦或瀏覽器之間搬移已查詢的資料
+ * 僅在 Service Worker 中使用（background.js 以 importScripts 載入）
+ *
+ * JSON 備份格式（TRANSFER_VERSION = 1）：
+ * {
+ *   format: 'threads-geo-tag-cache',
+ *   version: 1,
+ *   exportedAt: '2026-01-01T00:00:00.000Z',
+ *   regions:  { username: { region, regionCode, joined, verified, verifiedDate, formerUsernames, displayName, profileImage, source, error, errorMessage, errorCount, retryAt, fetchedAt } },
+ *   profiles: { username: { profileTags: [{ tag, reason, evidence: [{ quote, postId, url, postedAt }], confidence }], profileFetchedAt } },
+ *   userIdCache: { username: userId },
+ *   settings: { queryMethod, ... }
+ * }
+ *
+ * 查詢失敗的紀錄 region 為「查詢失敗」，error 為失敗原因代碼；舊版備份的「未揭露 + error 訊息」匯入時轉為查詢失敗
+ *
+ * CSV 格式：username,region,joined,timestamp（只包含地區資料，timestamp 為 ISO 8601 或毫秒時間戳，留空時以匯入時間計）
+ */
+
+// ==================== 格式定義 ====================
+const TRANSFER_FORMAT = 'threads-geo-tag-cache';
+const TRANSFER_VERSION = 1;
+const TRANSFER_CSV_COLUMNS = ['username', 'region', 'joined', 'timestamp'];
+
+// 合併策略：newer = 保留較新的資料、overwrite = 以匯入資料覆蓋、skip = 已有資料時略過
+const MERGE_STRATEGIES = ['newer', 'overwrite', 'skip'];
+
+// 可匯出的設定與型別
+// API Key 屬於個人憑證，不納入備份；LLM 端點也不納入，避免匯入的備份把已儲存的 API Key 送到其他伺服器
+const TRANSFER_SETTINGS = {
+  queryMethod: 'string',
+  keepTabAfterQuery: 'boolean',
+  keepTabFilter: 'string',
+  autoQueryVisible: 'boolean',
+  maxConcurrentQueries: 'number',
+  llmProfileAnalysis: 'boolean',
+  cacheTtlHours: 'object',
+  colorRules: 'array',
+  profileTaxonomy: 'object',
+  labelDisplayMode: 'string',
+  newUserMonths: 'number',
+  language: 'string'
+};
+
+const USERNAME_PATTERN = /^[A-Za-z0-9._]{1,30}$/;
+const MAX_REPORTED_ERRORS = 20; // 驗證錯誤最多回報筆數
+
+// ==================== 匯出 ====================
+
+/**
+ * 建立 JSON 備份內容
+ * @returns {Promise<Object>} 備份物件
+ */
+async function buildExportBundle() {
+  const records = await UserStore.getAllUserRecords();
+  const stored = await chrome.storage.local.get([StorageSchema.USER_ID_CACHE_KEY, ...Object.keys(TRANSFER_SETTINGS)]);
+
+  const regions = {};
+  const profiles = {};
+  for (const username in records) {
+    const record = records[username];
+    if (record.region !== null) {
+      regions[username] = {
+        region: record.region,
+        regionCode: record.regionCode,
+        joined: record.joined,
+        verified: record.verified,
+        verifiedDate: record.verifiedDate,
+        formerUsernames: record.formerUsernames,
+        displayName: record.displayName,
+        profileImage: record.profileImage,
+        source: record.source,
+        error: record.error,
+        errorMessage: record.errorMessage,
+        errorCount: record.errorCount,
+        retryAt: record.retryAt,
+        fetchedAt: record.fetchedAt
+      };
+    }
+    if (record.profileTags !== null) {
+      profiles[username] = {
+        profileTags: record.profileTags,
+        profileFetchedAt: record.profileFetchedAt
+      };
+    }
+  }
+
+  const settings = {};
+  for (const key in TRANSFER_SETTINGS) {
+    if (stored[key] !== undefined) {
+      settings[key] = stored[key];
+    }
+  }
+
+  return {
+    format: TRANSFER_FORMAT,
+    version: TRANSFER_VERSION,
+    exportedAt: new Date().toISOString(),
+    regions: regions,
+    profiles: profiles,
+    userIdCache: stored[StorageSchema.USER_ID_CACHE_KEY] || {},
+    settings: settings
+  };
+}
+
+/**
+ * CSV 欄位跳脫（含逗號、引號或換行時加上引號）
+ * @param {*} value - 欄位值
+ * @returns {string}
+ */
+function escapeCsvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * 將備份內容轉為 CSV（只包含地區資料）
+ * @param {Object} bundle - buildExportBundle 的結果
+ * @returns {string} CSV 文字（含 UTF-8 BOM，讓試算表軟體正確辨識中文）
+ */
+function bundleToCsv(bundle) {
+  const lines = [TRANSFER_CSV_COLUMNS.join(',')];
+  for (const username in bundle.regions) {
+    const entry = bundle.regions[username];
+    lines.push([
+      username,
+      entry.region,
+      entry.joined,
+      entry.fetchedAt ? new Date(entry.fetchedAt).toISOString() : ''
+    ].map(escapeCsvField).join(','));
+  }
+  return '\uFEFF' + lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * 匯出快取
+ * @param {string} format - 'json' 或 'csv'
+ * @returns {Promise<{content: string, filename: string, mimeType: string, count: number}>}
+ */
+async function exportCache(format) {
+  const bundle = await buildExportBundle();
+  const date = bundle.exportedAt.slice(0, 10);
+  const count = Object.keys(bundle.regions).length;
+
+  if (format === 'csv') {
+    return {
+      content: bundleToCsv(bundle),
+      filename: `threads-geo-tag-${date}.csv`,
+      mimeType: 'text/csv',
+      count: count
+    };
+  }
+
+  return {
+    content: JSON.stringify(bundle, null, 2),
+    filename: `threads-geo-tag-${date}.json`,
+    mimeType: 'application/json',
+    count: count
+  };
+}
+
+// ==================== 驗證 ====================
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isNullableString(value) {
+  return value === null || value === undefined || typeof value === 'string';
+}
+
+function isNullableTimestamp(value) {
+  return value === null || value === undefined || (Number.isFinite(value) && value >= 0);
+}
+
+/**
+ * 驗證 JSON 備份內容，並轉為正規化的備份物件
+ * @param {*} data - JSON.parse 的結果
+ * @returns {{errors: string[], bundle: Object|null}} 有錯誤時 bundle 為 null
+ */
+function validateBundle(data) {
+  const errors = [];
+  const addError = (message) => {
+    if (errors.length < MAX_REPORTED_ERRORS) errors.push(message);
+  };
+
+  if (!isPlainObject(data) || data.format !== TRANSFER_FORMAT) {
+    return { errors: ['不是小黃標的備份檔案'], bundle: null };
+  }
+  if (!Number.isInteger(data.version) || data.version < 1 || data.version > TRANSFER_VERSION) {
+    return { errors: [`不支援的備份版本: ${data.version}`], bundle: null };
+  }
+
+  const bundle = { regions: {}, profiles: {}, userIdCache: {}, settings: {} };
+
+  for (const section of ['regions', 'profiles', 'userIdCache', 'settings']) {
+    if (data[section] !== undefined && !isPlainObject(data[section])) {
+      addError(`${section} 必須是物件`);
+    }
+  }
+  if (errors.length > 0) return { errors, bundle: null };
+
+  for (const [username, entry] of Object.entries(data.regions || {})) {
+    const path = `regions.${username}`;
+    if (!USERNAME_PATTERN.test(username)) { addError(`${path}: 帳號格式不正確`); continue; }
+    if (!isPlainObject(entry)) { addError(`${path}: 必須是物件`); continue; }
+    if (typeof entry.region !== 'string' || entry.region.trim() === '') { addError(`${path}.region: 必須是非空字串`); continue; }
+    if (!isNullableString(entry.joined)) addError(`${path}.joined: 必須是字串或 null`);
+    if (!isNullableString(entry.verifiedDate)) addError(`${path}.verifiedDate: 必須是字串或 null`);
+    if (entry.formerUsernames !== undefined && entry.formerUsernames !== null &&
+      !(Array.isArray(entry.formerUsernames) && entry.formerUsernames.every(name => typeof name === 'string' && USERNAME_PATTERN.test(name)))) {
+      addError(`${path}.formerUsernames: 必須是帳號陣列或 null`);
+    }
+    if (!isNullableString(entry.displayName)) addError(`${path}.displayName: 必須是字串或 null`);
+    if (!isNullableString(entry.profileImage)) addError(`${path}.profileImage: 必須是字串或 null`);
+    if (!isNullableString(entry.source)) addError(`${path}.source: 必須是字串或 null`);
+    if (!isNullableString(entry.error)) addError(`${path}.error: 必須是字串或 null`);
+    if (!isNullableString(entry.errorMessage)) addError(`${path}.errorMessage: 必須是字串或 null`);
+    if (entry.errorCount !== undefined && entry.errorCount !== null && !(Number.isInteger(entry.errorCount) && entry.errorCount >= 0)) addError(`${path}.errorCount: 必須是非負整數或 null`);
+    if (!isNullableTimestamp(entry.retryAt)) addError(`${path}.retryAt: 必須是時間戳或 null`);
+    if (entry.verified !== undefined && entry.verified !== null && typeof entry.verified !== 'boolean') addError(`${path}.verified: 必須是布林值或 null`);
+    if (!isNullableTimestamp(entry.fetchedAt)) addError(`${path}.fetchedAt: 必須是時間戳或 null`);
+
+    // 地區名稱重新正規化，地區代碼以對照表為準
+    let region = RegionUtils.normalizeRegion(entry.region);
+    let failure = null;
+    if (region === StorageSchema.QUERY_FAILED_REGION) {
+      failure = { reason: entry.error, message: entry.errorMessage ?? null };
+    } else if (region === '未揭露' && entry.error && !StorageSchema.QUERY_ERROR_REASONS[entry.error]) {
+      // 舊版備份以「未揭露 + error 訊息」表示查詢失敗
+      region = StorageSchema.QUERY_FAILED_REGION;
+      failure = { reason: 'unknown', message: entry.error };
+    }
+
+    bundle.regions[username] = {
+      region: region,
+      regionCode: RegionUtils.getRegionCode(region),
+      joined: entry.joined ?? null,
+      verified: typeof entry.verified === 'boolean' ? entry.verified : null,
+      verifiedDate: entry.verifiedDate ?? null,
+      formerUsernames: Array.isArray(entry.formerUsernames) ? entry.formerUsernames : null,
+      displayName: entry.displayName ?? null,
+      profileImage: StorageSchema.normalizeProfileImage(entry.profileImage),
+      source: entry.source ?? null,
+      error: failure ? (StorageSchema.QUERY_ERROR_REASONS[failure.reason] ? failure.reason : 'unknown') : null,
+      errorMessage: failure ? failure.message : null,
+      errorCount: failure ? (entry.errorCount || 1) : null,
+      retryAt: failure ? (entry.retryAt ?? null) : null,
+      fetchedAt: entry.fetchedAt ?? null
+    };
+  }
+
+  for (const [username, entry] of Object.entries(data.profiles || {})) {
+    const path = `profiles.${username}`;
+    if (!USERNAME_PATTERN.test(username)) { addError(`${path}: 帳號格式不正確`); continue; }
+    if (!isPlainObject(entry) || !Array.isArray(entry.profileTags)) { addError(`${path}.profileTags: 必須是陣列`); continue; }
+    const invalidTag = entry.profileTags.find(item => !isPlainObject(item) || typeof item.tag !== 'string' || item.tag.trim() === '' || !isNullableString(item.reason));
+    if (invalidTag !== undefined) { addError(`${path}.profileTags: 每個項目需包含 tag（字串）與 reason（字串）`); continue; }
+    if (!isNullableTimestamp(entry.profileFetchedAt)) addError(`${path}.profileFetchedAt: 必須是時間戳或 null`);
+
+    bundle.profiles[username] = {
+      profileTags: StorageSchema.parseProfileTags(entry.profileTags),
+      profileFetchedAt: entry.profileFetchedAt ?? null
+    };
+  }
+
+  for (const [username, userId] of Object.entries(data.userIdCache || {})) {
+    if (!USERNAME_PATTERN.test(username)) { addError(`userIdCache.${username}: 帳號格式不正確`); continue; }
+    if (!/^\d+$/.test(String(userId))) { addError(`userIdCache.${username}: user ID 必須是數字`); continue; }
+    bundle.userIdCache[username] = String(userId);
+  }
+
+  for (const [key, value] of Object.entries(data.settings || {})) {
+    // 未知的設定直接略過（可能來自較新版本）
+    if (!TRANSFER_SETTINGS[key]) continue;
+    const type = TRANSFER_SETTINGS[key];
+    const isValidType = type === 'object' ? isPlainObject(value)
+      : type === 'array' ? Array.isArray(value)
+        : typeof value === type;
+    if (!isValidType) { addError(`settings.${key}: 必須是 ${type}`); continue; }
+    if (key === StorageSchema.CACHE_TTL_KEY) {
+      bundle.settings[key] = StorageSchema.normalizeCacheTtl(value);
+    } else if (key === ColorRules.STORAGE_KEY) {
+      bundle.settings[key] = ColorRules.normalize(value);
+    } else if (key === ProfileTaxonomy.STORAGE_KEY) {
+      bundle.settings[key] = ProfileTaxonomy.normalize(value);
+    } else if (key === StorageSchema.LABEL_DISPLAY_MODE_KEY) {
+      bundle.settings[key] = StorageSchema.normalizeLabelDisplayMode(value);
+    } else if (key === StorageSchema.NEW_USER_MONTHS_KEY) {
+      bundle.settings[key] = StorageSchema.normalizeNewUserMonths(value);
+    } else if (key === I18n.STORAGE_KEY) {
+      bundle.settings[key] = I18n.normalize(value);
+    } else {
+      bundle.settings[key] = value;
+    }
+  }
+
+  return errors.length > 0 ? { errors, bundle: null } : { errors, bundle };
+}
+
+/**
+ * 解析 CSV 文字（支援引號、跳脫引號與欄位內換行）
+ * @param {string} text - CSV 文字
+ * @returns {string[][]} 資料列
+ */
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // 略過空白列
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+/**
+ * 驗證 CSV 內容，並轉為正規化的備份物件（只包含地區資料）
+ * @param {string} text - CSV 文字
+ * @returns {{errors: string[], bundle: Object|null}} 有錯誤時 bundle 為 null
+ */
+function validateCsv(text) {
+  const errors = [];
+  const addError = (message) => {
+    if (errors.length < MAX_REPORTED_ERRORS) errors.push(message);
+  };
+
+  const rows = parseCsvRows(text.replace(/^\uFEFF/, ''));
+  if (rows.length === 0) {
+    return { errors: ['CSV 檔案是空的'], bundle: null };
+  }
+
+  const header = rows[0].map(cell => cell.trim().toLowerCase());
+  const columnIndex = {};
+  TRANSFER_CSV_COLUMNS.forEach(column => {
+    columnIndex[column] = header.indexOf(column);
+  });
+  if (columnIndex.username === -1 || columnIndex.region === -1) {
+    return { errors: [`CSV 標題列需包含 ${TRANSFER_CSV_COLUMNS.join(', ')}（username 與 region 為必要欄位）`], bundle: null };
+  }
+
+  const bundle = { regions: {}, profiles: {}, userIdCache: {}, settings: {} };
+  const importedAt = Date.now();
+  const cellAt = (cells, column) => columnIndex[column] === -1 ? '' : (cells[columnIndex[column]] || '').trim();
+
+  rows.slice(1).forEach((cells, index) => {
+    const line = index + 2; // 標題列為第 1 行
+    const username = cellAt(cells, 'username').replace(/^@/, '');
+    const region = cellAt(cells, 'region');
+    const joined = cellAt(cells, 'joined');
+    const timestamp = cellAt(cells, 'timestamp');
+
+    if (!USERNAME_PATTERN.test(username)) { addError(`第 ${line} 行: 帳號格式不正確 "${username}"`); return; }
+    if (!region) { addError(`第 ${line} 行: region 不可為空`); return; }
+
+    // 沒有 timestamp 的資料（例如手動整理的清單）視為匯入當下取得，避免一匯入就過期
+    let fetchedAt = importedAt;
+    if (timestamp) {
+      fetchedAt = /^\d+$/.test(timestamp) ? Number(timestamp) : Date.parse(timestamp);
+      if (!Number.isFinite(fetchedAt)) { addError(`第 ${line} 行: 無法解析 timestamp "${timestamp}"`); return; }
+    }
+
+    const normalizedRegion = RegionUtils.normalizeRegion(region);
+    bundle.regions[username] = {
+      region: normalizedRegion,
+      regionCode: RegionUtils.getRegionCode(normalizedRegion),
+      joined: joined || null,
+      verified: null,
+      verifiedDate: null,
+      formerUsernames: null,
+      displayName: null,
+      profileImage: null,
+      source: null,
+      error: null,
+      errorMessage: null,
+      errorCount: null,
+      retryAt: null,
+      fetchedAt: fetchedAt
+    };
+  });
+
+  return errors.length > 0 ? { errors, bundle: null } : { errors, bundle };
+}
+
+// ==================== 匯入 ====================
+
+/**
+ * 依合併策略判斷是否採用匯入的資料
+ * @param {boolean} hasExisting - 本機是否已有資料
+ * @param {number|null} existingTime - 本機資料時間
+ * @param {number|null} incomingTime - 匯入資料時間
+ * @param {string} strategy - 合併策略
+ * @returns {boolean}
+ */
+function shouldTakeIncoming(hasExisting, existingTime, incomingTime, strategy) {
+  if (!hasExisting || strategy === 'overwrite') return true;
+  if (strategy === 'skip') return false;
+  return (incomingTime || 0) > (existingTime || 0);
+}
+
+/**
+ * 將驗證過的備份寫入本機
+ * @param {Object} bundle - validateBundle / validateCsv 的結果
+ * @param {string} strategy - 合併策略（newer、overwrite、skip）
+ * @returns {Promise<Object>} 匯入統計
+ */
+async function applyImportBundle(bundle, strategy) {
+  const summary = { added: 0, updated: 0, skipped: 0, userIds: 0, settings: 0 };
+  const usernames = [...new Set([...Object.keys(bundle.regions), ...Object.keys(bundle.profiles)])];
+
+  // 用戶紀錄：地區與側寫分別依時間判斷
+  await UserStore.upsertUserRecords(usernames, (username, existing) => {
+    const record = StorageSchema.createUserRecord(existing || {});
+    const incomingRegion = bundle.regions[username];
+    const incomingProfile = bundle.profiles[username];
+    let changed = false;
+
+    if (incomingRegion && shouldTakeIncoming(record.region !== null, record.fetchedAt, incomingRegion.fetchedAt, strategy)) {
+      Object.assign(record, incomingRegion);
+      changed = true;
+    }
+    if (incomingProfile && shouldTakeIncoming(record.profileTags !== null, record.profileFetchedAt, incomingProfile.profileFetchedAt, strategy)) {
+      Object.assign(record, incomingProfile);
+      changed = true;
+    }
+
+    if (!changed) {
+      summary.skipped++;
+      return undefined;
+    }
+    if (existing) {
+      summary.updated++;
+    } else {
+      summary.added++;
+    }
+    return record;
+  });
+
+  // user ID 與設定沒有時間資訊：只有 overwrite 會取代本機已有的值
+  const stored = await chrome.storage.local.get([StorageSchema.USER_ID_CACHE_KEY, ...Object.keys(bundle.settings)]);
+  const userIdCache = stored[StorageSchema.USER_ID_CACHE_KEY] || {};
+  for (const [username, userId] of Object.entries(bundle.userIdCache)) {
+    if (strategy === 'overwrite' || !userIdCache[username]) {
+      userIdCache[username] = userId;
+      summary.userIds++;
+    }
+  }
+
+  const settings = {};
+  for (const [key, value] of Object.entries(bundle.settings)) {
+    if (strategy === 'overwrite' || stored[key] === undefined) {
+      settings[key] = value;
+      summary.settings++;
+    }
+  }
+
+  await chrome.storage.local.set({ [StorageSchema.USER_ID_CACHE_KEY]: userIdCache, ...settings });
+  return { summary, settings };
+}
+
+/**
+ * 匯入快取：先完整驗證，通過後才寫入
+ * @param {string} format - 'json' 或 'csv'
+ * @param {string} content - 檔案內容
+ * @param {string} strategy - 合併策略（newer、overwrite、skip）
+ * @returns {Promise<{success: boolean, summary?: Object, settings?: Object, error?: string, errors?: string[]}>}
+ */
+async function importCache(format, content, strategy) {
+  if (!MERGE_STRATEGIES.includes(strategy)) {
+    return { success: false, error: `未知的合併策略: ${strategy}` };
+  }
+  if (typeof content !== 'string' || content.trim() === '') {
+    return { success: false, error: '檔案內容是空的' };
+  }
+
+  let validation;
+  if (format === 'csv') {
+    validation = validateCsv(content);
+  } else {
+    let data;
+    try {
+      data = JSON.parse(content.replace(/^\uFEFF/, ''));
+    } catch (error) {
+      return { success: false, error: `JSON 格式錯誤: ${error.message}` };
+    }
+    validation = validateBundle(data);
+  }
+
+  if (!validation.bundle) {
+    return { success: false, error: '檔案驗證失敗，未寫入任何資料', errors: validation.errors };
+  }
+
+  const result = await applyImportBundle(validation.bundle, strategy);
+  console.log('[CacheTransfer] 匯入完成:', result.summary);
+  return { success: true, summary: result.summary, settings: result.settings };
+}
+
+// 暴露給全域（Service Worker 使用）
+self.CacheTransfer = {
+  MERGE_STRATEGIES: MERGE_STRATEGIES,
+  exportCache: exportCache,
+  importCache: importCache
+};
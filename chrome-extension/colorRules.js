@@ -0,0 +1,251 @@
+/**
+ * 標籤顏色規則 - 依地區、側寫標籤、新用戶與驗證狀態決定標籤樣式
+ * Content script、sidepanel（規則編輯器）與 Service Worker（備份匯入驗證）共用
+ *
+ * 規則依序比對，第一條符合的啟用規則決定樣式；都不符合時使用預設的灰色。
+ * 待查詢（黃色）與查詢失敗（棕色）屬於查詢狀態，不受規則影響。
+ *
+ * 規則格式（ColorRule）：
+ * {
+ *   id: "rule-1",
+ *   name: "台灣",
+ *   enabled: true,
+ *   match: {
+ *     regions: ["TW"],        // 地區代碼（ISO 3166-1 二碼），符合任一即可；空陣列 = 不限
+ *     profileTags: ["易怒"],  // 側寫標籤，符合任一即可；空陣列 = 不限
+ *     newUser: null,          // true = 只限新用戶、false = 排除新用戶、null = 不限
+ *     verified: null          // true = 只限已驗證、false = 排除已驗證、null = 不限
+ *   },
+ *   style: { backgroundColor: "#4caf50", textColor: "#ffffff", bold: false, borderColor: null }
+ * }
+ * 同一條規則的各項條件須全部符合。
+ */
+
+// chrome.storage.local 儲存鍵（未設定時使用內建預設規則）
+const COLOR_RULES_KEY = 'colorRules';
+
+const MAX_COLOR_RULES = 50;
+
+const HEX_COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+// 查詢狀態的固定樣式
+const PENDING_LABEL_STYLE = { backgroundColor: '#ffc107', textColor: '#333333', bold: false, borderColor: null };
+const QUERY_FAILED_LABEL_STYLE = { backgroundColor: '#795548', textColor: '#ffffff', bold: false, borderColor: null };
+
+// 沒有任何規則符合時的樣式（包含未揭露、其他國家地區）
+const DEFAULT_LABEL_STYLE = { backgroundColor: '#9e9e9e', textColor: '#ffffff', bold: false, borderColor: null };
+
+const RED_STYLE = { backgroundColor: '#f44336', textColor: '#ffffff', bold: false, borderColor: null };
+const GREEN_STYLE = { backgroundColor: '#4caf50', textColor: '#ffffff', bold: false, borderColor: null };
+
+// 內建預設規則（與先前固定的判斷相同）
+// 由於判斷準確度有限，紅色規則預設關閉；有負面側寫標籤的台灣用戶不顯示綠色
+const DEFAULT_COLOR_RULES = [
+  {
+    id: 'preset-red-region',
+    name: '中國（紅色）',
+    enabled: false,
+    match: { regions: ['CN'], profileTags: [], newUser: null, verified: null },
+    style: RED_STYLE
+  },
+  {
+    id: 'preset-red-tags',
+    name: '仇恨、統戰言論（紅色）',
+    enabled: false,
+    match: { regions: [], profileTags: ['仇恨言論', '統戰言論'], newUser: null, verified: null },
+    style: RED_STYLE
+  },
+  {
+    id: 'preset-gray-tags',
+    name: '負面側寫標籤（灰色）',
+    enabled: true,
+    match: {
+      regions: [],
+      profileTags: ['仇恨言論', '統戰言論', '憤世抱怨', '易怒', '攻擊發言', '人身攻擊'],
+      newUser: null,
+      verified: null
+    },
+    style: DEFAULT_LABEL_STYLE
+  },
+  {
+    id: 'preset-green-region',
+    name: '台灣（綠色）',
+    enabled: true,
+    match: { regions: ['TW'], profileTags: [], newUser: null, verified: null },
+    style: GREEN_STYLE
+  }
+];
+
+// ==================== 正規化 ====================
+
+/**
+ * 將字串或陣列轉為去除空白、不重複的字串陣列
+ * @param {string|string[]} value - 陣列或逗號分隔字串
+ * @returns {string[]}
+ */
+function toStringList(value) {
+  const items = Array.isArray(value) ? value : String(value || '').split(/[,，]/);
+  return [...new Set(items.map(item => String(item).trim()).filter(item => item.length > 0))];
+}
+
+/**
+ * 正規化三態條件（true / false / null）
+ * @param {*} value
+ * @returns {boolean|null}
+ */
+function toTriState(value) {
+  return typeof value === 'boolean' ? value : null;
+}
+
+/**
+ * 正規化樣式（不合法的顏色使用預設值）
+ * @param {Object} style
+ * @returns {{backgroundColor: string, textColor: string, bold: boolean, borderColor: string|null}}
+ */
+function normalizeLabelStyle(style = {}) {
+  const value = style || {};
+  return {
+    backgroundColor: HEX_COLOR_PATTERN.test(value.backgroundColor) ? value.backgroundColor.toLowerCase() : DEFAULT_LABEL_STYLE.backgroundColor,
+    textColor: HEX_COLOR_PATTERN.test(value.textColor) ? value.textColor.toLowerCase() : DEFAULT_LABEL_STYLE.textColor,
+    bold: value.bold === true,
+    borderColor: HEX_COLOR_PATTERN.test(value.borderColor) ? value.borderColor.toLowerCase() : null
+  };
+}
+
+/**
+ * 正規化規則列表（略過不是物件的項目，最多 MAX_COLOR_RULES 條）
+ * @param {Array} rules - 使用者設定
+ * @returns {ColorRule[]} 規則列表，不是陣列時返回內建預設規則
+ */
+function normalizeColorRules(rules) {
+  if (!Array.isArray(rules)) {
+    return DEFAULT_COLOR_RULES.map(rule => normalizeColorRule(rule, 0));
+  }
+
+  const usedIds = new Set();
+  return rules
+    .filter(rule => rule && typeof rule === 'object' && !Array.isArray(rule))
+    .slice(0, MAX_COLOR_RULES)
+    .map((rule, index) => {
+      const normalized = normalizeColorRule(rule, index);
+      // id 重複時重新編號，編輯器以 id 辨識規則
+      while (usedIds.has(normalized.id)) {
+        normalized.id = `${normalized.id}-${index}`;
+      }
+      usedIds.add(normalized.id);
+      return normalized;
+    });
+}
+
+/**
+ * 正規化單一規則
+ * @param {Object} rule
+ * @param {number} index - 規則位置（產生預設 id 與名稱）
+ * @returns {ColorRule}
+ */
+function normalizeColorRule(rule, index) {
+  const match = rule.match || {};
+  return {
+    id: typeof rule.id === 'string' && rule.id.trim() ? rule.id.trim() : `rule-${index + 1}`,
+    name: typeof rule.name === 'string' && rule.name.trim() ? rule.name.trim() : `規則 ${index + 1}`,
+    enabled: rule.enabled !== false,
+    match: {
+      regions: toStringList(match.regions).map(code => code.toUpperCase()),
+      profileTags: toStringList(match.profileTags),
+      newUser: toTriState(match.newUser),
+      verified: toTriState(match.verified)
+    },
+    style: normalizeLabelStyle(rule.style)
+  };
+}
+
+/**
+ * 建立新的空白規則（編輯器新增用）
+ * @param {ColorRule[]} rules - 現有規則（避免 id 重複）
+ * @returns {ColorRule}
+ */
+function createColorRule(rules = []) {
+  const usedIds = new Set(rules.map(rule => rule.id));
+  let number = rules.length + 1;
+  while (usedIds.has(`rule-${number}`)) number++;
+
+  return normalizeColorRule({
+    id: `rule-${number}`,
+    name: `規則 ${number}`,
+    match: {},
+    style: { backgroundColor: '#2196f3', textColor: '#ffffff' }
+  }, number - 1);
+}
+
+// ==================== 比對 ====================
+
+/**
+ * 取出側寫中的標籤名稱
+ * @param {ProfileTag[]|string|null} profile - 側寫標籤（陣列或舊格式「標籤:理由」字串）
+ * @returns {string[]}
+ */
+function getProfileTagNames(profile) {
+  return (StorageSchema.parseProfileTags(profile) || []).map(item => item.tag);
+}
+
+/**
+ * 將標籤資料轉為比對用的用戶屬性
+ * @param {Object} data - { region, profile, joined, verified }
+ * @returns {{regionCode: string|null, tags: string[], newUser: boolean, verified: boolean|null}}
+ */
+function getRuleSubject(data) {
+  const regionUtils = self.RegionUtils;
+  const dateUtils = self.DateUtils;
+  return {
+    regionCode: data.region && regionUtils ? regionUtils.getRegionCode(data.region) : null,
+    tags: getProfileTagNames(data.profile),
+    newUser: !!(data.joined && dateUtils && dateUtils.isNewUser(data.joined)),
+    verified: typeof data.verified === 'boolean' ? data.verified : null
+  };
+}
+
+/**
+ * 檢查規則是否符合
+ * @param {ColorRule} rule
+ * @param {Object} subject - getRuleSubject 的結果
+ * @returns {boolean}
+ */
+function matchColorRule(rule, subject) {
+  const match = rule.match;
+  if (match.regions.length > 0 && !match.regions.includes(subject.regionCode)) return false;
+  if (match.profileTags.length > 0 && !subject.tags.some(tag => match.profileTags.includes(tag))) return false;
+  if (match.newUser !== null && subject.newUser !== match.newUser) return false;
+  // 驗證狀態未知的用戶不符合任何驗證條件
+  if (match.verified !== null && subject.verified !== match.verified) return false;
+  return true;
+}
+
+/**
+ * 依規則決定標籤樣式
+ * @param {Object} data - { region, profile, joined, verified }
+ * @param {ColorRule[]} rules - 已正規化的規則列表
+ * @returns {{backgroundColor: string, textColor: string, bold: boolean, borderColor: string|null}}
+ */
+function resolveLabelStyle(data, rules) {
+  // 尚未查詢/查詢中：黃色（但如果已有側寫則視為已完成，依規則決定）
+  if (!data.region && !data.profile) return PENDING_LABEL_STYLE;
+
+  // 查詢失敗：棕色（與未揭露區分，滑鼠移到標籤上可看到失敗原因）
+  if (data.region === StorageSchema.QUERY_FAILED_REGION) return QUERY_FAILED_LABEL_STYLE;
+
+  const subject = getRuleSubject(data);
+  const matched = rules.find(rule => rule.enabled && matchColorRule(rule, subject));
+  return matched ? matched.style : DEFAULT_LABEL_STYLE;
+}
+
+// 暴露給全域（content script / 擴充頁面中 self 即 window；Service Worker 中為全域 scope）
+self.ColorRules = {
+  STORAGE_KEY: COLOR_RULES_KEY,
+  MAX_RULES: MAX_COLOR_RULES,
+  DEFAULT_RULES: DEFAULT_COLOR_RULES,
+  PENDING_STYLE: PENDING_LABEL_STYLE,
+  DEFAULT_STYLE: DEFAULT_LABEL_STYLE,
+  normalize: normalizeColorRules,
+  create: createColorRule,
+  resolveStyle: resolveLabelStyle
+};
@@ -2,46 +2,56 @@
 
 // ==================== 全局變數說明 ====================
 /**
- * currentUserElementsData: 保存頁面上所有用戶元素的資料
+ * currentUserElementsData: 保存頁面上用戶元素的資料
  *
  * 【資料結構】
  * [
  *   {
  *     account: "@username",  // 用戶帳號（帶 @ 符號）
- *     element: Element       // 對應的 DOM 元素（<a> 連結）
+ *     ref: WeakRef<Element>  // 對應的 DOM 元素（<a> 連結）的弱引用
  *   },
  *   ...
  * ]
  *
  * 【作用】
- * 1. 保存頁面上所有用戶連結的 DOM 元素引用
+ * 1. 追蹤頁面上所有用戶連結的 DOM 元素（使用時透過 getTrackedUsers() 取得 { account, element }）
  * 2. 用於在頁面上插入/更新用戶資訊標籤（標籤會插入到這些元素附近）
  * 3. 用於檢查哪些用戶在可見視窗範圍內（visibility detection）
  *
  * 【更新時機】
- * 1. 當 sidepanel 發送 'listAllUsers' action 時：
+ * 1. 用戶連結偵測（MutationObserver，見 initUserLinkObserver）：
+ *    - 頁面載入時處理已有的用戶連結
+ *    - 之後只處理新插入的節點（動態載入的貼文、回覆、對話框、粉絲列表等）
+ *    - 已處理的連結記錄在 processedUserLinks，不會重複加入
+ *
+ * 2. 當 sidepanel 發送 'listAllUsers' action 時：
  *    - getAllUsersOnPage() 會掃描頁面上所有用戶連結
  *    - 合併新舊資料，避免重複（使用 Set 檢查現有元素）
  *    - 只有新發現的用戶會被加入陣列
  *
- * 2. 觸發更新的時機：
- *    - 頁面滾動（每 2 秒一次，有節流機制）
- *    - Sidepanel 開啟時
- *    - 頁面載入後 5 秒（初始載入）
+ * 3. 當 sidepanel 發送 'scrollToUser' action 時（點擊用戶列表）：
+ *    - 捲動到該帳號在頁面上最前面的連結，並閃爍旁邊的標籤
  *
  * 【與 sidepanel.js 的關係】
  * - currentUserElementsData（content.js）→ 只儲存 account 名稱傳給 sidepanel
  * - sidepanel.js 的 currentGetUserListArray 會接收這些 account 名稱
  * - DOM 元素無法通過 chrome message passing 傳遞，所以只傳帳號名稱
- * - content.js 保留元素引用，用於後續在頁面上操作標籤
+ * - content.js 保留元素的弱引用，用於後續在頁面上操作標籤
  *
- * 【注意事項】
- * - 此陣列會持續累積，不會清空（除非頁面重新載入）
- * - 可能包含已經不在頁面上的元素（DOM 已被移除）
- * - 在使用元素前應檢查 element.parentElement 是否存在
+ * 【清理】
+ * - Threads 會移除捲出畫面的貼文（虛擬列表），只保存弱引用，不會阻止已移除的元素被回收
+ * - pruneDetachedUsers() 定期（以及偵測到新用戶、listAllUsers 時）移除已不在頁面上的項目，
+ *   因此陣列只反映目前頁面上的用戶
+ * - 本次瀏覽出現過的帳號另外記錄在 seenUserAccounts（只存帳號名稱）
  */
 let currentUserElementsData = [];
 
+/**
+ * seenUserAccounts: 本次瀏覽此分頁以來出現過的所有帳號（帶 @ 符號）
+ * 用於 sidepanel 顯示「頁面上」與「本次瀏覽」的用戶數量
+ */
+const seenUserAccounts = new Set();
+
 // ==================== API 攔截整合 ====================
 /**
  * API 攔截相關狀態
@@ -66,6 +76,32 @@ function isExtensionContextValid() {
   }
 }
 
+/**
+ * 發送手動查詢請求
+ * 查詢途中 Service Worker 被終止時連線會中斷，background 重啟後會還原隊列，改為等待還原後的任務結果
+ * @param {string} account - 用戶帳號
+ * @param {string} priority - 任務優先順序（'high' 為手動點擊，'low' 為自動查詢）
+ * @returns {Promise<Object>} 查詢結果；無法加入隊列時 rejected 為 true，被取消時 cancelled 為 true
+ */
+async function sendManualQueryRequest(account, priority = 'high') {
+  try {
+    return await chrome.runtime.sendMessage({
+      action: 'manualQueryRegion',
+      account: account,
+      priority: priority
+    });
+  } catch (error) {
+    if (!/message port closed/i.test(error.message) || !isExtensionContextValid()) {
+      throw error;
+    }
+    console.log(`[Threads] 查詢連線中斷，等待還原的查詢任務: ${account}`);
+    return chrome.runtime.sendMessage({
+      action: 'waitForQueryJob',
+      account: account
+    });
+  }
+}
+
 /**
  * 注入 API 攔截腳本到頁面的 main world
  */
@@ -129,7 +165,7 @@ async function saveUserIdCache(newUserIds) {
 /**
  * 透過 API 攔截方式查詢用戶位置
  * @param {string} username - 用戶名稱（不含 @）
- * @returns {Promise<object|null>} Profile 資訊
+ * @returns {Promise<object|null>} Profile 資訊（逾時返回 { _timedOut: true }）
  */
 function queryViaApiInterception(username) {
   return new Promise((resolve) => {
@@ -139,7 +175,7 @@ function queryViaApiInterception(username) {
     const timeout = setTimeout(() => {
       pendingApiRequests.delete(requestId);
       console.log(`[小黃標] API 查詢超時: @${username}`);
-      resolve(null);
+      resolve({ _timedOut: true });
     }, 10000);
 
     // 儲存待處理請求
@@ -233,23 +269,29 @@ window.addEventListener('geo-tag-profile-extracted', async (event) => {
   if (profileInfo && profileInfo.username && profileInfo.location) {
     console.log(`[小黃標] 自動提取到資訊: @${profileInfo.username} -> ${profileInfo.location}`);
 
-    // 儲存到快取
+    // 儲存到快取（交由 background 寫入，確保紀錄格式一致）
     try {
       const username = profileInfo.username;
-      const cacheResult = await chrome.storage.local.get(['regionCache']);
-      const cache = cacheResult.regionCache || {};
-      cache[username] = {
-        region: profileInfo.location,
-        timestamp: Date.now(),
+      // 正規化地區名稱（統一為英文），與快取內容一致
+      const region = RegionUtils.normalizeRegion(profileInfo.location);
+      await chrome.runtime.sendMessage({
+        action: 'saveCachedRegion',
+        username: username,
+        region: region,
+        joined: profileInfo.joined || null,
+        verified: !!profileInfo.isVerified,
+        verifiedDate: profileInfo.verifiedDate || null,
+        formerUsernames: profileInfo.formerUsernames || null,
+        displayName: profileInfo.displayName || null,
+        profileImage: profileInfo.profileImage || null,
         source: 'api_intercept'
-      };
-      await chrome.storage.local.set({ regionCache: cache });
+      });
 
       // 通知 sidepanel 更新（使用 updateUserRegion action 讓 sidepanel 即時更新 UI）
       chrome.runtime.sendMessage({
         action: 'updateUserRegion',
         account: `@${username}`,  // sidepanel 使用帶 @ 的格式
-        region: profileInfo.location
+        region: region
       }).catch(() => {});
     } catch (e) {
       console.error('[小黃標] 儲存提取資訊失敗:', e);
@@ -271,6 +313,12 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     return false;
   }
 
+  // 處理查詢任務狀態變化（background 廣播，與 popup 隊列日誌、側邊欄顯示同一份狀態）
+  if (request.action === 'queryJobUpdate') {
+    applyQueryJobUpdate(request.job);
+    return false;
+  }
+
   // 處理查詢 Threads 用戶所在區域
   if (request.action === 'queryUserRegion') {
     try {
@@ -304,28 +352,25 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   // 處理列出頁面上所有用戶帳號
   if (request.action === 'listAllUsers') {
     try {
-      const newUsersData = getAllUsersOnPage();
-
-      // 合併新舊資料，避免重複
-      // 建立一個 Set 來記錄已存在的元素
-      const existingElements = new Set(currentUserElementsData.map(u => u.element));
-
-      // 過濾出新的用戶（元素不在現有列表中的）
-      const newUniqueUsers = newUsersData.filter(user => !existingElements.has(user.element));
-
-      // 將新用戶加入到現有列表
-      currentUserElementsData = [...currentUserElementsData, ...newUniqueUsers];
+      // 先移除已不在頁面上的元素，再合併新掃描到的用戶
+      pruneDetachedUsers();
 
-      console.log(`[Threads] 列出用戶: 原有 ${currentUserElementsData.length - newUniqueUsers.length} 個，新增 ${newUniqueUsers.length} 個，總共 ${currentUserElementsData.length} 個`);
+      // 建立一個 Set 來記錄已存在的元素，過濾出新的用戶（元素不在現有列表中的）
+      const existingElements = new Set(getTrackedUsers().map(u => u.element));
+      const newUniqueUsers = getAllUsersOnPage().filter(user => !existingElements.has(user.element));
+      trackUsers(newUniqueUsers);
 
       // 只傳帳號名稱給 sidepanel（DOM 元素無法通過 message passing 傳遞）
-      const accountNames = currentUserElementsData.map(user => user.account);
+      const accountNames = getPageAccounts();
+
+      console.log(`[Threads] 列出用戶: 新增 ${newUniqueUsers.length} 個連結，頁面上 ${accountNames.length} 個帳號，本次瀏覽 ${seenUserAccounts.size} 個帳號`);
 
       sendResponse({
         success: true,
         users: accountNames,
-        count: currentUserElementsData.length,
-        newCount: newUniqueUsers.length
+        count: accountNames.length,
+        newCount: newUniqueUsers.length,
+        seenCount: seenUserAccounts.size
       });
     } catch (error) {
       sendResponse({
@@ -336,6 +381,21 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     return false;
   }
 
+  // 處理捲動到用戶在頁面上第一次出現的位置
+  if (request.action === 'scrollToUser') {
+    const elements = getTrackedUsers()
+      .filter(user => user.account === request.account)
+      .map(user => user.element)
+      .sort((a, b) => (a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING) ? -1 : 1);
+
+    if (elements.length > 0) {
+      elements[0].scrollIntoView({ behavior: 'smooth', block: 'center' });
+      RegionLabel.highlight(elements[0]);
+    }
+    sendResponse({ success: true, found: elements.length > 0 });
+    return false;
+  }
+
   // 處理顯示用戶資訊標籤
   if (request.action === 'showRegionLabels') {
     try {
@@ -357,6 +417,21 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     return false;
   }
 
+  // 處理顏色規則預覽（sidepanel 編輯中、尚未儲存的規則；rules 為 null 時結束預覽）
+  if (request.action === 'previewColorRules') {
+    try {
+      colorRulesPreview = request.rules ? ColorRules.normalize(request.rules) : null;
+      recolorRegionLabels();
+      sendResponse({ success: true });
+    } catch (error) {
+      sendResponse({
+        success: false,
+        error: error.message
+      });
+    }
+    return false;
+  }
+
   // 處理隱藏用戶資訊標籤
   if (request.action === 'hideRegionLabels') {
     try {
@@ -429,6 +504,7 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         console.log(`[Threads] 自動化查詢錯誤:`, error);
         sendResponse({
           success: false,
+          reason: error.reason || 'unknown',
           error: error.message
         });
       }
@@ -439,8 +515,8 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   // 處理 sidepanel 開啟事件
   if (request.action === 'sidepanelOpened') {
     try {
-      console.log('[Threads] 收到 sidepanel 開啟通知，執行 handlePageScroll（跳過節流）');
-      handlePageScroll(true);
+      console.log('[Threads] 收到 sidepanel 開啟通知，重新整理頁面用戶列表與標籤');
+      refreshAllUserLabels();
       sendResponse({ success: true });
     } catch (error) {
       console.log('[Threads] 處理 sidepanel 開啟事件時發生錯誤:', error);
@@ -449,14 +525,15 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     return false;
   }
 
-  // 處理提取頁面文字請求（用於用戶側寫分析）
-  if (request.action === 'extractPageText') {
+  // 處理提取頁面貼文請求（用於用戶側寫分析，每則貼文保留網址與時間）
+  if (request.action === 'extractPagePosts') {
     try {
-      console.log('[Threads] 收到提取頁面文字請求');
-      const pageText = extractTextFromDocument();
-      sendResponse({ success: true, text: pageText });
+      console.log('[Threads] 收到提取頁面貼文請求');
+      const posts = extractPostsFromDocument();
+      console.log(`[Threads] 提取到 ${posts.length} 則貼文`);
+      sendResponse({ success: true, posts: posts });
     } catch (error) {
-      console.log('[Threads] 提取頁面文字時發生錯誤:', error);
+      console.log('[Threads] 提取頁面貼文時發生錯誤:', error);
       sendResponse({ success: false, error: error.message });
     }
     return false;
@@ -524,7 +601,23 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
             account: account,
             region: null,
             fallbackNeeded: true,
-            rateLimited: true
+            rateLimited: true,
+            reason: 'rate_limited'
+          });
+          return;
+        }
+
+        if (!result || result._timedOut) {
+          // 逾時或無法解析回應，屬於查詢失敗（不是用戶未揭露）
+          const reason = result ? 'timeout' : 'parse_failure';
+          console.log(`[小黃標] API 查詢失敗 @${username}: ${reason}`);
+          sendResponse({
+            success: true,
+            account: account,
+            region: null,
+            fallbackNeeded: true,
+            reason: reason,
+            error: StorageSchema.getQueryErrorLabel(reason)
           });
           return;
         }
@@ -535,7 +628,12 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
             success: true,
             account: account,
             region: result.location,
-            joined: result.joined
+            joined: result.joined,
+            verified: !!result.isVerified,
+            verifiedDate: result.verifiedDate || null,
+            formerUsernames: result.formerUsernames || null,
+            displayName: result.displayName || null,
+            profileImage: result.profileImage || null
           });
         } else {
           console.log(`[小黃標] API 查詢未找到位置，回退到開分頁方式`);
@@ -551,7 +649,8 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         sendResponse({
           success: false,
           error: error.message,
-          fallbackNeeded: true
+          fallbackNeeded: true,
+          reason: 'unknown'
         });
       }
     })();
@@ -586,52 +685,55 @@ function waitForDomReady() {
 // ==================== Threads 用戶國家查詢功能 ====================
 
 /**
- * 列出頁面上所有用戶帳號
- * @returns {Array<Object>} 用戶帳號列表，格式：[{account: "@username", element: Element}, ...]
+ * 用戶名稱連結的選擇器（貼文、回覆、引用貼文、粉絲列表、搜尋結果中的 <a href="/@xxx">）
  */
-function getAllUsersOnPage() {
+const USER_LINK_SELECTOR = 'a[href*="/@"]';
 
+/**
+ * 取得用戶連結對應的帳號
+ * @param {Element} link - <a href="/@xxx"> 元素
+ * @returns {string|null} 帳號（帶 @ 符號），不是用戶名稱連結時返回 null
+ */
+function getUserLinkAccount(link) {
+  const href = link.getAttribute('href') || '';
+  const match = href.match(/\/@([^/?]+)/);
+  if (!match || !match[1]) {
+    return null;
+  }
 
-  try {
-    const usersMap = new Map(); // 使用 Map 避免重複，key 為 element（同一帳號可能有多個元件）
-
-    // 找出所有符合 <a href="/@xxx" role="link"> 的元素
-    const userLinks = document.querySelectorAll('a[role="link"][href*="/@"]');
-
-    userLinks.forEach(link => {
-      const href = link.getAttribute('href');
-      const match = href.match(/\/@([^/?]+)/);
+  // 跳過包含 <svg aria-label="Profile" 或 "個人檔案" role="img"> 的鏈接（導覽列的個人檔案按鈕）
+  // 支持多語言：英文 "Profile" 或 繁體中文 "個人檔案"
+  const profileSvg = link.querySelector('svg[aria-label="Profile"][role="img"]') ||
+                    link.querySelector('svg[aria-label="個人檔案"][role="img"]');
+  if (profileSvg) {
+    return null;
+  }
 
-      if (match && match[1]) {
-        // 檢查此鏈接是否包含 <svg aria-label="Profile" 或 "個人檔案" role="img">
-        // 支持多語言：英文 "Profile" 或 繁體中文 "個人檔案"
-        const profileSvg = link.querySelector('svg[aria-label="Profile"][role="img"]') ||
-                          link.querySelector('svg[aria-label="個人檔案"][role="img"]');
+  // 只處理包含 <span translate="no"> 的鏈接（顯示用戶名稱的連結，排除貼文時間、頭像等連結）
+  if (!link.querySelector('span[translate="no"]')) {
+    return null;
+  }
 
-        // 如果包含 Profile SVG，則跳過此鏈接
-        if (profileSvg) {
-          const svgLabel = profileSvg.getAttribute('aria-label');
-          //console.log(`[Threads] 跳過包含 Profile SVG 的鏈接 (${svgLabel}): ${href}`);
-          return;
-        }
+  return `@${match[1]}`;
+}
 
-        const username = match[1];
+/**
+ * 列出頁面上所有用戶帳號
+ * @returns {Array<Object>} 用戶帳號列表，格式：[{account: "@username", element: Element}, ...]
+ */
+function getAllUsersOnPage() {
+  try {
+    const usersMap = new Map(); // 使用 Map 避免重複，key 為 element（同一帳號可能有多個元件）
 
-        // 檢查是否包含 <span translate="no">
-        const usernameSpan = link.querySelector(`span[translate="no"]`);
-        if (!usernameSpan) {
-          //console.log(`[Threads] 跳過不包含 translate="no" span 的鏈接: ${href}`);
-          return;
-        }
-        const account = `@${username}`;
+    document.querySelectorAll(USER_LINK_SELECTOR).forEach(link => {
+      const account = getUserLinkAccount(link);
 
-        // 使用 element 作為 key，避免同一帳號多個元件被忽略
-        if (!usersMap.has(link)) {
-          usersMap.set(link, {
-            account: account,
-            element: link
-          });
-        }
+      // 使用 element 作為 key，避免同一帳號多個元件被忽略
+      if (account && !usersMap.has(link)) {
+        usersMap.set(link, {
+          account: account,
+          element: link
+        });
       }
     });
 
@@ -697,7 +799,7 @@ function findUserRegionFromElement(element) {
 
       // 在容器內搜尋國家資訊
       const text = container.innerText || container.textContent;
-      const region = extractRegionFromText(text);
+      const region = RegionUtils.extractRegionFromText(text);
       if (region) return region;
     }
 
@@ -707,7 +809,7 @@ function findUserRegionFromElement(element) {
       const siblings = Array.from(parent.children);
       for (const sibling of siblings) {
         const text = sibling.innerText || sibling.textContent;
-        const region = extractRegionFromText(text);
+        const region = RegionUtils.extractRegionFromText(text);
         if (region) return region;
       }
     }
@@ -733,7 +835,7 @@ function findRegionOnProfilePage() {
 
     for (const el of bioElements) {
       const text = el.innerText || el.textContent;
-      const region = extractRegionFromText(text);
+      const region = RegionUtils.extractRegionFromText(text);
       if (region) return region;
     }
 
@@ -743,7 +845,7 @@ function findRegionOnProfilePage() {
 
     // 在前 20 行中尋找國家資訊（個人資料通常在頁面上方）
     for (let i = 0; i < Math.min(20, lines.length); i++) {
-      const region = extractRegionFromText(lines[i]);
+      const region = RegionUtils.extractRegionFromText(lines[i]);
       if (region) return region;
     }
 
@@ -754,96 +856,12 @@ function findRegionOnProfilePage() {
   }
 }
 
-/**
- * 從文字中提取國家/區域資訊
- * @param {string} text - 要分析的文字
- * @returns {string|null} 國家/區域名稱
- */
-function extractRegionFromText(text) {
-  if (!text) return null;
-
-  // 常見的國家/區域清單（可以根據需要擴充）
-  const regions = [
-    // 亞洲
-    'Taiwan', '台灣', 'China', '中國', 'Japan', '日本', 'Korea', '韓國',
-    'Hong Kong', '香港', 'Singapore', '新加坡', 'Malaysia', '馬來西亞',
-    'Thailand', '泰國', 'Vietnam', '越南', 'Philippines', '菲律賓',
-    'Indonesia', '印尼', 'India', '印度',
-
-    // 北美
-    'United States', 'USA', 'US', '美國', 'Canada', '加拿大',
-
-    // 歐洲
-    'United Kingdom', 'UK', '英國', 'France', '法國', 'Germany', '德國',
-    'Italy', '義大利', 'Spain', '西班牙', 'Netherlands', '荷蘭',
-
-    // 大洋洲
-    'Australia', '澳洲', 'New Zealand', '紐西蘭',
-
-    // 其他
-    'Brazil', '巴西', 'Mexico', '墨西哥', 'Russia', '俄羅斯'
-  ];
-
-  // 嘗試匹配國家名稱
-  for (const region of regions) {
-    // 使用正則表達式進行不區分大小寫的匹配
-    const regex = new RegExp(`\\b${region}\\b`, 'i');
-    if (regex.test(text)) {
-      return region;
-    }
-  }
-
-  // 嘗試匹配國家代碼（如 🇹🇼、🇺🇸 等旗幟 emoji）
-  const flagMatch = text.match(/[\u{1F1E6}-\u{1F1FF}]{2}/u);
-  if (flagMatch) {
-    return flagEmojiToCountry(flagMatch[0]);
-  }
-
-  return null;
-}
-
-/**
- * 將旗幟 emoji 轉換為國家名稱
- * @param {string} flag - 旗幟 emoji
- * @returns {string} 國家名稱
- */
-function flagEmojiToCountry(flag) {
-  const flagMap = {
-    '🇹🇼': 'Taiwan',
-    '🇨🇳': 'China',
-    '🇯🇵': 'Japan',
-    '🇰🇷': 'Korea',
-    '🇭🇰': 'Hong Kong',
-    '🇸🇬': 'Singapore',
-    '🇲🇾': 'Malaysia',
-    '🇹🇭': 'Thailand',
-    '🇻🇳': 'Vietnam',
-    '🇵🇭': 'Philippines',
-    '🇮🇩': 'Indonesia',
-    '🇮🇳': 'India',
-    '🇺🇸': 'United States',
-    '🇨🇦': 'Canada',
-    '🇬🇧': 'United Kingdom',
-    '🇫🇷': 'France',
-    '🇩🇪': 'Germany',
-    '🇮🇹': 'Italy',
-    '🇪🇸': 'Spain',
-    '🇳🇱': 'Netherlands',
-    '🇦🇺': 'Australia',
-    '🇳🇿': 'New Zealand',
-    '🇧🇷': 'Brazil',
-    '🇲🇽': 'Mexico',
-    '🇷🇺': 'Russia'
-  };
-
-  return flagMap[flag] || flag;
-}
-
 // ==================== 自動化查詢功能 ====================
 
 /**
  * 自動點擊 "About this profile" 並取得地區資訊
- * @returns {Promise<string|null>} 地區名稱
+ * 找不到選單或無法讀取地區時拋出帶有失敗原因（error.reason）的錯誤，與「未揭露」區分
+ * @returns {Promise<string>} 地區名稱，用戶未設定位置時為「未揭露」
  */
 async function autoClickAboutProfileAndGetRegion() {
   try {
@@ -854,7 +872,7 @@ async function autoClickAboutProfileAndGetRegion() {
 
     if (!moreSvgs || moreSvgs.length < 4) {
       console.log('[Threads] 找不到第四個 "More" 按鈕的 SVG，目前找到:', (moreSvgs && moreSvgs.length) || 0);
-      return null;
+      throw StorageSchema.createQueryError('dom_not_found', '找不到 "More" 按鈕');
     }
 
     const moreSvg = moreSvgs[3]; // 選擇第四個 More 按鈕
@@ -866,7 +884,7 @@ async function autoClickAboutProfileAndGetRegion() {
 
     if (!moreButton) {
       console.log('[Threads] 找不到 "More" 的按鈕');
-      return null;
+      throw StorageSchema.createQueryError('dom_not_found', '找不到 "More" 按鈕');
     }
 
     console.log('[Threads] 找到 "More" 按鈕:', moreButton);
@@ -891,7 +909,7 @@ async function autoClickAboutProfileAndGetRegion() {
 
     if (!aboutSpan) {
       console.log('[Threads] 找不到 "About this profile" 文字');
-      return null;
+      throw StorageSchema.createQueryError('dom_not_found', '找不到 "About this profile" 選項');
     }
 
     console.log('[Threads] 找到 "About this profile" span:', aboutSpan);
@@ -901,7 +919,7 @@ async function autoClickAboutProfileAndGetRegion() {
 
     if (!aboutButton) {
       console.log('[Threads] 找不到 About this profile 的按鈕');
-      return null;
+      throw StorageSchema.createQueryError('dom_not_found', '找不到 "About this profile" 按鈕');
     }
 
     console.log('[Threads] 找到 "About this profile" 按鈕:', aboutButton);
@@ -920,6 +938,7 @@ async function autoClickAboutProfileAndGetRegion() {
 
     let basedInSpan = null;
     let region = null;
+    let basedInWithoutText = false; // 找到 "Based in" 但讀不到地區文字
     const maxRetries = 6;
     const retryDelay = 1000;
 
@@ -939,6 +958,7 @@ async function autoClickAboutProfileAndGetRegion() {
           return region;
         } else {
           console.log('[Threads] 找到 "Based in" 但無法取得下一個 span 的文字');
+          basedInWithoutText = true;
         }
       } else {
         // 嘗試搜尋包含 "Based in" 的元素（部分匹配）
@@ -960,6 +980,11 @@ async function autoClickAboutProfileAndGetRegion() {
       }
     }
 
+    // 有 "Based in" 欄位卻讀不到內容，表示頁面結構改變，屬於查詢失敗
+    if (basedInWithoutText) {
+      throw StorageSchema.createQueryError('parse_failure', '找到 "Based in" 但無法讀取地區文字');
+    }
+
     // 重試完畢仍找不到地區資訊，表示該用戶沒有設定「Based in」欄位
     // 這種情況視為「未揭露」
     console.log('[Threads] 重試完畢仍找不到地區資訊，用戶未設定位置，視為「未揭露」');
@@ -967,8 +992,8 @@ async function autoClickAboutProfileAndGetRegion() {
 
   } catch (error) {
     console.log('[Threads] autoClickAboutProfileAndGetRegion 錯誤:', error);
-    // 發生錯誤時也視為「未揭露」
-    return '未揭露';
+    // 發生錯誤屬於查詢失敗（不是未揭露），交由呼叫端回報失敗原因
+    throw error;
   }
 }
 
@@ -1085,330 +1110,107 @@ function waitForMilliseconds(ms) {
 
 // ==================== 在頁面上顯示/隱藏用戶資訊標籤功能 ====================
 
-// 顏色判斷條件常數（方便未來調整）
-const RED_FLAG_LOCATION = 'China';
-const RED_FLAG_PROFILE_TAGS = [ '仇恨言論','統戰言論'];
-const GRAY_FLAG_PROFILE_TAGS = [ '憤世抱怨','易怒','攻擊發言','人身攻擊'];
-const GREEN_FLAG_LOCATION = 'Taiwan';
-const NOT_USE_RED_FLAG = true; // 由於判斷準確度有限，暫時不使用紅色標籤
-/**
- * 根據地區名稱和側寫標籤返回對應的標籤顏色
- * @param {string} region - 地區名稱
- * @param {string} profile - 側寫標籤（逗號分隔）
- * @returns {Object} 包含 backgroundColor 和 textColor 的物件
- */
-function getRegionColor(region, profile = null) {
-  // 1. 尚未查詢/查詢中：黃色（但如果已有側寫則視為已完成，使用灰色）
-  if (!region && !profile) {
-    return {
-      backgroundColor: '#ffc107',
-      textColor: '#333'
-    };
-  }
-
-  // 2. 已完成查詢（有地區或有側寫）
-  // 檢查側寫標籤是否包含紅旗標籤或灰旗標籤
-  // 支援新格式「標籤:理由」，只取標籤部分進行比對
-  const profileTags = profile ? profile.split(',').map(entry => {
-    const trimmed = entry.trim();
-    const colonIndex = trimmed.indexOf(':') !== -1 ? trimmed.indexOf(':') : trimmed.indexOf('：');
-    return colonIndex > 0 ? trimmed.substring(0, colonIndex).trim() : trimmed;
-  }) : [];
-  const hasRedFlagProfileTag = profileTags.some(tag =>
-    RED_FLAG_PROFILE_TAGS.includes(tag)
-  );
-  const hasGrayFlagProfileTag = profileTags.some(tag =>
-    GRAY_FLAG_PROFILE_TAGS.includes(tag)
-  );
-
-  if( NOT_USE_RED_FLAG === false){
-    // 2.1 紅色：所在地為 China 或 側寫標籤中有「人身攻擊」或「仇恨言論」（最高優先級）
-    if (region === RED_FLAG_LOCATION || region === '中國' || hasRedFlagProfileTag) {
-      return {
-        backgroundColor: '#f44336',
-        textColor: 'white'
-      };
-    }
-  }
-
-  // 2.2 綠色：所在地為 Taiwan，沒有紅旗標籤，也沒有灰旗標籤
-  if ((region === GREEN_FLAG_LOCATION || region === '台灣') && !hasRedFlagProfileTag && !hasGrayFlagProfileTag) {
-    return {
-      backgroundColor: '#4caf50',
-      textColor: 'white'
-    };
-  }
+// 目前的顏色規則（見 colorRules.js），未設定時使用內建預設規則
+let colorRules = ColorRules.normalize(null);
 
-  // 2.3 灰色：其他的結果（包含未揭露、查詢失敗、其他國家地區）
-  return {
-    backgroundColor: '#9e9e9e',
-    textColor: 'white'
-  };
-}
+// sidepanel 編輯規則時的即時預覽（尚未儲存，null = 未預覽）
+let colorRulesPreview = null;
 
 /**
- * 從「標籤:理由」格式中提取只有標籤的字串
- * @param {string} profile - 側寫標籤（可能包含理由）
- * @returns {string} 只有標籤的字串
+ * 依顏色規則取得標籤樣式（預覽中時使用預覽的規則）
+ * @param {Object} data - { region, profile, joined, verified }
+ * @returns {Object} 包含 backgroundColor、textColor、bold、borderColor 的物件
  */
-function extractTagsOnly(profile) {
-  if (!profile) return '';
-  return profile.split(',').map(entry => {
-    const trimmed = entry.trim();
-    const colonIndex = trimmed.indexOf(':') !== -1 ? trimmed.indexOf(':') : trimmed.indexOf('：');
-    return colonIndex > 0 ? trimmed.substring(0, colonIndex).trim() : trimmed;
-  }).join(',');
+function getLabelColors(data) {
+  return ColorRules.resolveStyle(data, colorRulesPreview || colorRules);
 }
 
 /**
- * 從「標籤:理由」格式中提取標籤和理由的陣列
- * @param {string} profile - 側寫標籤（可能包含理由）
- * @returns {Array<{tag: string, reason: string}>} 標籤和理由的陣列
+ * 依目前的顏色規則重新設定頁面上已完成查詢的標籤顏色
  */
-function parseTagsWithReasons(profile) {
-  if (!profile) return [];
-  return profile.split(',').map(entry => {
-    const trimmed = entry.trim();
-    const colonIndex = trimmed.indexOf(':') !== -1 ? trimmed.indexOf(':') : trimmed.indexOf('：');
-    if (colonIndex > 0) {
-      return {
-        tag: trimmed.substring(0, colonIndex).trim(),
-        reason: trimmed.substring(colonIndex + 1).trim()
-      };
-    }
-    return { tag: trimmed, reason: '' };
-  }).filter(item => item.tag.length > 0);
+function recolorRegionLabels() {
+  RegionLabel.find().forEach(label => {
+    const data = RegionLabel.getData(label);
+    if (data.state === RegionLabel.STATES.pending || data.state === RegionLabel.STATES.querying) return;
+    RegionLabel.update(label, { colors: getLabelColors(data) });
+  });
 }
 
-/**
- * 創建可點擊的標籤 DOM 元素（點擊顯示理由）
- * @param {Array<{tag: string, reason: string}>} tagsWithReasons - 標籤和理由陣列
- * @returns {HTMLElement} 包含可點擊標籤的容器
- */
-function createClickableTagsElement(tagsWithReasons) {
-  const container = document.createElement('span');
-  container.className = 'threads-tags-container';
-  container.style.cssText = 'display: inline; position: relative;';
-
-  tagsWithReasons.forEach((item, index) => {
-    if (index > 0) {
-      const separator = document.createTextNode(', ');
-      container.appendChild(separator);
-    }
-
-    const tagSpan = document.createElement('span');
-    tagSpan.className = 'threads-clickable-tag';
-    tagSpan.textContent = item.tag;
-    tagSpan.dataset.reason = item.reason;
-
-    // 基本樣式 - 恢復 pointer-events 讓標籤可點擊
-    tagSpan.style.cssText = `
-      cursor: ${item.reason ? 'pointer' : 'default'};
-      border-bottom: ${item.reason ? '1px dashed rgba(255,255,255,0.6)' : 'none'};
-      position: relative;
-      pointer-events: auto;
-    `;
-
-    if (item.reason) {
-      // 點擊事件 - 顯示/隱藏 tooltip
-      tagSpan.addEventListener('click', (e) => {
-        e.stopPropagation();
-        e.preventDefault();
-
-        // 檢查是否已有 tooltip（現在 tooltip 在 body 中）
-        if (tagSpan._currentTooltip && document.body.contains(tagSpan._currentTooltip)) {
-          tagSpan._currentTooltip.remove();
-          tagSpan._currentTooltip = null;
-          return;
-        }
-
-        // 關閉其他所有 tooltip
-        document.querySelectorAll('.threads-tag-tooltip').forEach(t => t.remove());
-
-        // 創建 tooltip（使用 fixed positioning 避免被父元素 overflow 裁切）
-        const tooltip = document.createElement('div');
-        tooltip.className = 'threads-tag-tooltip';
-        tooltip.textContent = item.reason;
-
-        // 取得標籤的位置
-        const rect = tagSpan.getBoundingClientRect();
-
-        tooltip.style.cssText = `
-          position: fixed;
-          top: ${rect.bottom + 8}px;
-          left: ${rect.left + rect.width / 2}px;
-          transform: translateX(-50%);
-          background: #333;
-          color: #fff;
-          padding: 6px 10px;
-          border-radius: 6px;
-          font-size: 11px;
-          font-weight: 400;
-          white-space: nowrap;
-          z-index: 2147483647;
-          box-shadow: 0 2px 8px rgba(0,0,0,0.3);
-          animation: fadeIn 0.15s ease-out;
-          pointer-events: none;
-        `;
-
-        // 創建小三角形指向標籤（在 tooltip 上方）
-        const arrow = document.createElement('div');
-        arrow.style.cssText = `
-          position: absolute;
-          top: -6px;
-          left: 50%;
-          transform: translateX(-50%);
-          width: 0;
-          height: 0;
-          border-left: 6px solid transparent;
-          border-right: 6px solid transparent;
-          border-bottom: 6px solid #333;
-        `;
-        tooltip.appendChild(arrow);
-
-        // 將 tooltip 加到 body 而不是 tagSpan，避免被裁切
-        document.body.appendChild(tooltip);
-
-        // 關閉 tooltip 的函數
-        const removeTooltip = () => {
-          tooltip.remove();
-          tagSpan._currentTooltip = null;
-          document.removeEventListener('click', closeTooltip);
-          window.removeEventListener('scroll', onScroll, true);
-        };
-
-        // 點擊其他地方關閉 tooltip
-        const closeTooltip = (event) => {
-          if (!tagSpan.contains(event.target)) {
-            removeTooltip();
-          }
-        };
+// 載入已儲存的顏色規則，之後在其他頁面（sidepanel）儲存時同步更新
+chrome.storage.local.get([ColorRules.STORAGE_KEY], (result) => {
+  colorRules = ColorRules.normalize(result[ColorRules.STORAGE_KEY]);
+  recolorRegionLabels();
+});
 
-        // 頁面捲動時關閉 tooltip
-        const onScroll = () => {
-          removeTooltip();
-        };
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'local' || !changes[ColorRules.STORAGE_KEY]) return;
+  colorRules = ColorRules.normalize(changes[ColorRules.STORAGE_KEY].newValue);
+  colorRulesPreview = null;
+  recolorRegionLabels();
+});
 
-        setTimeout(() => {
-          document.addEventListener('click', closeTooltip);
-          // 使用 capture 模式監聽所有捲動事件（包括子元素的捲動）
-          window.addEventListener('scroll', onScroll, true);
-        }, 0);
+// 介面語言（在 sidepanel 設定，與 Threads 介面語言無關），載入或切換後以新語言重新繪製標籤
+I18n.onChange(() => RegionLabel.renderAll());
+I18n.init();
 
-        // 儲存 tooltip 引用以便後續檢查
-        tagSpan._currentTooltip = tooltip;
-      });
-    }
+// 標籤顯示方式（完整文字 / 精簡旗幟 / 滑鼠移到用戶名稱時顯示），在 sidepanel 設定
+chrome.storage.local.get([StorageSchema.LABEL_DISPLAY_MODE_KEY], (result) => {
+  RegionLabel.setDisplayMode(StorageSchema.normalizeLabelDisplayMode(result[StorageSchema.LABEL_DISPLAY_MODE_KEY]));
+});
 
-    container.appendChild(tagSpan);
-  });
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'local' || !changes[StorageSchema.LABEL_DISPLAY_MODE_KEY]) return;
+  RegionLabel.setDisplayMode(StorageSchema.normalizeLabelDisplayMode(changes[StorageSchema.LABEL_DISPLAY_MODE_KEY].newValue));
+});
 
-  return container;
-}
+// 新用戶門檻（影響帳號年齡徽章與顏色規則的「新用戶」條件），在 sidepanel 設定；變更後重新套用顏色並繪製標籤
+chrome.storage.local.get([StorageSchema.NEW_USER_MONTHS_KEY], (result) => {
+  DateUtils.setNewUserMonths(StorageSchema.normalizeNewUserMonths(result[StorageSchema.NEW_USER_MONTHS_KEY]));
+  recolorRegionLabels();
+});
 
-/**
- * 生成標籤文字（包含地區和側寫）
- * @param {string|null} region - 地區
- * @param {string|null} profile - 側寫標籤（可能包含理由）
- * @returns {string} 標籤文字
- */
-function generateLabelText(region, profile) {
-  let text;
-  if (region) {
-    text = `所在地：${region}`;
-  } else if (profile) {
-    // 有側寫但無地區，顯示「未揭露」
-    text = `所在地：未揭露`;
-  } else {
-    text = `所在地：待查詢`;
-  }
-  if (profile) {
-    // 顯示時只顯示標籤，不顯示理由
-    const tagsOnly = extractTagsOnly(profile);
-    text += ` (${tagsOnly})`;
-  }
-  return text;
-}
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'local' || !changes[StorageSchema.NEW_USER_MONTHS_KEY]) return;
+  DateUtils.setNewUserMonths(StorageSchema.normalizeNewUserMonths(changes[StorageSchema.NEW_USER_MONTHS_KEY].newValue));
+  recolorRegionLabels();
+});
 
 /**
- * 生成標籤 DOM 元素（包含地區和可點擊的側寫標籤）
- * @param {string|null} region - 地區
- * @param {string|null} profile - 側寫標籤（可能包含理由）
- * @param {string|null} joined - 加入日期（用於判斷新用戶）
- * @returns {HTMLElement} 標籤 DOM 元素
+ * 將查詢回應轉為查詢失敗資訊
+ * @param {Object|null} response - 查詢回應（reason、error、retryAt）
+ * @returns {{reason: string, message: string|null, retryAt: number|null}}
  */
-function generateLabelElement(region, profile, joined = null) {
-  const container = document.createElement('span');
-  container.className = 'threads-label-text';
-
-  // 地區文字
-  let locationText;
-  if (region) {
-    locationText = `所在地：${region}`;
-  } else if (profile) {
-    locationText = `所在地：未揭露`;
-  } else {
-    locationText = `所在地：待查詢`;
-  }
-
-  const locationSpan = document.createTextNode(locationText);
-  container.appendChild(locationSpan);
-
-  // 檢查是否為新用戶（2 個月內加入）
-  if (joined && window.DateUtils && window.DateUtils.isNewUser(joined)) {
-    const newTag = document.createElement('span');
-    newTag.className = 'threads-new-user-tag';
-    newTag.textContent = '[新]';
-    newTag.title = `加入時間：${joined}`;
-    newTag.style.cssText = `
-      margin-left: 4px;
-      color: rgb(239, 68, 68);
-      font-weight: 600;
-      font-size: inherit;
-    `;
-    container.appendChild(newTag);
-  }
-
-  // 如果有側寫，添加可點擊的標籤
-  if (profile) {
-    const tagsWithReasons = parseTagsWithReasons(profile);
-    if (tagsWithReasons.length > 0) {
-      const openParen = document.createTextNode(' (');
-      container.appendChild(openParen);
-
-      const clickableTags = createClickableTagsElement(tagsWithReasons);
-      container.appendChild(clickableTags);
-
-      const closeParen = document.createTextNode(')');
-      container.appendChild(closeParen);
-    }
-  }
-
-  return container;
+function toQueryErrorInfo(response) {
+  return {
+    reason: (response && response.reason) || 'unknown',
+    message: (response && response.error) || null,
+    retryAt: (response && response.retryAt) || null
+  };
 }
 
 /**
  * 在頁面上顯示用戶資訊標籤（添加或更新標籤並設為可見）
- * @param {Object} regionData - 地區資料，格式: { "@username": { region: "Taiwan", profile: "標籤" }, ... }
+ * @param {Object} regionData - 地區資料，格式: { "@username": { region: "Taiwan", profile: [{ tag, reason, ... }] }, ... }
  *                              或舊格式: { "@username": "Taiwan", ... }
+ * @param {Array<Object>} [users] - 要處理的用戶（預設為頁面上所有已偵測的用戶）
  * @returns {Object} 結果 { addedCount, totalCount }
  */
-function showRegionLabelsOnPage(regionData) {
+function showRegionLabelsOnPage(regionData, users = getTrackedUsers()) {
   let addedCount = 0;
-  const totalCount = currentUserElementsData.length;
+  const totalCount = users.length;
 
   // 檢查查詢方式是否已關閉，如果關閉則不顯示標籤
   chrome.storage.local.get(['queryMethod'], (result) => {
     const queryMethod = result.queryMethod || 'off';
     if (queryMethod === 'off') {
       // 移除現有標籤
-      document.querySelectorAll('.threads-region-label').forEach(label => label.remove());
+      RegionLabel.find().forEach(label => label.remove());
       console.log('[Threads] 查詢方式已關閉，不顯示標籤');
       return;
     }
 
     // 如果不是關閉狀態，繼續顯示標籤
-    showRegionLabelsOnPageInternal(regionData);
+    showRegionLabelsOnPageInternal(regionData, users);
   });
 
   return { addedCount: 0, totalCount };
@@ -1417,32 +1219,59 @@ function showRegionLabelsOnPage(regionData) {
 /**
  * 內部函數：實際執行標籤顯示的邏輯
  */
-async function showRegionLabelsOnPageInternal(regionData) {
+async function showRegionLabelsOnPageInternal(regionData, users = getTrackedUsers()) {
   let addedCount = 0;
-  const totalCount = currentUserElementsData.length;
+  const totalCount = users.length;
 
-  // 從快取取得已查詢的地區資料，避免標籤狀態重置
+  // 從快取取得已查詢的用戶紀錄，避免標籤狀態重置
+  // （用戶紀錄存放於 background 的 IndexedDB，只查詢要顯示的帳號）
   let cachedRegions = {};
   try {
-    const result = await chrome.storage.local.get(['regionCache']);
-    const cache = result.regionCache || {};
-    // 將快取資料轉換為 regionData 格式
-    Object.keys(cache).forEach(username => {
-      const cleanAccount = '@' + username;
-      if (!regionData[cleanAccount]) {
-        cachedRegions[cleanAccount] = { region: cache[username].region };
+    const accounts = [...new Set(users.map(userData => userData.account))];
+
+    if (accounts.length > 0) {
+      const response = await chrome.runtime.sendMessage({
+        action: 'getCachedUsersBatch',
+        accounts: accounts
+      });
+
+      // 將快取紀錄轉換為 regionData 格式
+      if (response && response.success) {
+        Object.entries(response.users).forEach(([account, user]) => {
+          if (user.region || user.profile) {
+            cachedRegions[account] = {
+              region: user.region,
+              profile: user.profile,
+              joined: user.joined,
+              verified: user.verified,
+              formerUsernames: user.formerUsernames,
+              queryError: user.queryError
+            };
+          }
+        });
       }
-    });
+    }
   } catch (e) {
     console.log('[Threads] 讀取快取失敗:', e);
   }
 
-  // 合併傳入的 regionData 和快取資料（傳入的優先）
-  const mergedRegionData = { ...cachedRegions, ...regionData };
+  // 合併傳入的 regionData 和快取資料（傳入的優先；傳入資料沒有加入日期、驗證狀態、先前的用戶名稱時使用快取，供顏色規則與徽章判斷）
+  const mergedRegionData = { ...cachedRegions };
+  Object.entries(regionData).forEach(([account, data]) => {
+    const cached = cachedRegions[account];
+    mergedRegionData[account] = cached && data && typeof data === 'object'
+      ? {
+        ...data,
+        joined: data.joined || cached.joined,
+        verified: typeof data.verified === 'boolean' ? data.verified : cached.verified,
+        formerUsernames: data.formerUsernames || cached.formerUsernames
+      }
+      : data;
+  });
 
   console.log(`[Threads] 開始在頁面上添加用戶資訊標籤，共 ${totalCount} 個用戶`);
 
-  currentUserElementsData.forEach((userData, index) => {
+  users.forEach((userData) => {
     try {
       const account = userData.account;
       const element = userData.element;
@@ -1456,172 +1285,57 @@ async function showRegionLabelsOnPageInternal(regionData) {
       let region = null;
       let profile = null;
       let joined = null;
+      let verified = null;
+      let formerUsernames = null;
+      let queryError = null;
       const accountData = mergedRegionData[account];
 
       if (accountData) {
         if (typeof accountData === 'object' && accountData !== null) {
-          // 新格式: { region: "Taiwan", profile: "標籤", joined: "December 2024" }
+          // 新格式: { region: "Taiwan", profile: [ProfileTag], joined: "December 2024", verified: true, formerUsernames: [...], queryError: {...} }
           region = accountData.region;
           profile = accountData.profile;
           joined = accountData.joined;
+          verified = accountData.verified;
+          formerUsernames = accountData.formerUsernames || null;
+          queryError = accountData.queryError || null;
         } else {
           // 舊格式: "Taiwan"
           region = accountData;
         }
       }
 
+      // 移除舊版 content script 留下的標籤（擴充功能更新後頁面尚未重新整理）
+      element.querySelectorAll('.threads-region-label').forEach(oldLabel => oldLabel.remove());
+
       // 檢查是否已經添加過標籤（避免重複添加）
-      const existingLabel = element.querySelector('.threads-region-label');
+      const existingLabel = element.querySelector(RegionLabel.TAG);
       if (existingLabel) {
-        // 更新現有標籤
-
-        // 更新文字（選擇文字 span，不是三角形 span）
-        const labelTextSpan = existingLabel.querySelector('.threads-label-text') || existingLabel;
-        const newText = generateLabelText(region, profile);
-
-        //console.log(`[Threads] 更新標籤文字 ${account}: ${region}`);
-
-        if (labelTextSpan === existingLabel) {
-          // 舊版標籤（沒有 span），需要重建
-          existingLabel.innerHTML = '';
-
-          // 重建時加入三角形
-          const colors = getRegionColor(region, profile);
-          existingLabel.style.position = 'relative';
-          existingLabel.style.marginLeft = '12px';
-
-          const arrow = document.createElement('span');
-          arrow.style.cssText = `
-            position: absolute;
-            left: -6px;
-            top: 50%;
-            transform: translateY(-50%);
-            width: 0;
-            height: 0;
-            border-top: 6px solid transparent;
-            border-bottom: 6px solid transparent;
-            border-right: 6px solid ${colors.backgroundColor};
-          `;
-          existingLabel.appendChild(arrow);
-
-          // 使用可點擊的標籤元素
-          const labelElement = generateLabelElement(region, profile, joined);
-          existingLabel.appendChild(labelElement);
-
-          // 如果是待查詢且沒有 [C] 按鈕，添加（但如果已有側寫則視為已完成）
-          if (!region && !profile) {
-            addQueryButton(existingLabel, account, index, labelElement);
-          }
-        } else {
-          // 替換為可點擊的標籤元素
-          const newLabelElement = generateLabelElement(region, profile, joined);
-          labelTextSpan.replaceWith(newLabelElement);
-
-          // 處理 [C] 按鈕
-          const existingButton = existingLabel.querySelector('.threads-query-btn');
-          // 已有地區或已有側寫，視為已完成查詢
-          const isCompleted = region || profile;
-          if (isCompleted && existingButton) {
-            // 已查詢，移除按鈕
-            existingButton.remove();
-          } else if (!isCompleted && !existingButton) {
-            // 待查詢且沒有按鈕，添加
-            addQueryButton(existingLabel, account, index, labelTextSpan);
-          }
-
-          // 如果已完成查詢（有地區或有側寫），添加重新整理按鈕
-          if (isCompleted) {
-            addRefreshButton(existingLabel, account, labelTextSpan);
-          }
-        }
-
-        // 更新顏色（根據地區和側寫標籤使用對應顏色）
-        const colors = getRegionColor(region, profile);
-        existingLabel.style.backgroundColor = colors.backgroundColor;
-        existingLabel.style.color = colors.textColor;
-
-        // 更新三角形顏色
-        const arrowElement = existingLabel.querySelector('span[style*="border-right"]');
-        if (arrowElement) {
-          arrowElement.style.borderRightColor = colors.backgroundColor;
+        // 查詢進行中且沒有新資料時保留查詢中狀態
+        const isQuerying = RegionLabel.getData(existingLabel).state === RegionLabel.STATES.querying;
+        if (!(isQuerying && !region && !(profile && profile.length > 0))) {
+          setRegionLabelData(existingLabel, { region, profile, joined, verified, formerUsernames, queryError });
         }
 
         // 確保標籤顯示
-        existingLabel.style.display = 'inline-flex';
-
-        //console.log(`[Threads] 更新 ${account} 的標籤: ${newText}`);
+        existingLabel.hidden = false;
         return;
       }
 
-      // 根據地區和側寫標籤取得對應顏色
-      const colors = getRegionColor(region, profile);
-
-      // 判斷是否需要查詢按鈕（只有待查詢狀態需要，已有地區或已有側寫則視為已完成）
-      const needButton = !region && !profile;
-
-      // 創建標籤容器 div
-      const label = document.createElement('div');
-      label.className = 'threads-region-label';
-
-      // 設定樣式（左方帶小三角形突出的標籤）
-      // 使用 pointer-events: none 阻止滑鼠事件觸發用戶小卡 panel
-      label.style.cssText = `
-        display: inline-flex;
-        align-items: center;
-        gap: 4px;
-        margin-left: 12px;
-        padding: 2px 8px;
-        background-color: ${colors.backgroundColor};
-        color: ${colors.textColor};
-        border-radius: 4px;
-        font-size: 12px;
-        font-weight: 600;
-        vertical-align: middle;
-        position: relative;
-        pointer-events: none;
-      `;
-
-      // 創建左側三角形
-      const arrow = document.createElement('span');
-      arrow.style.cssText = `
-        position: absolute;
-        left: -6px;
-        top: 50%;
-        transform: translateY(-50%);
-        width: 0;
-        height: 0;
-        border-top: 6px solid transparent;
-        border-bottom: 6px solid transparent;
-        border-right: 6px solid ${colors.backgroundColor};
-      `;
-
-      // 將三角形加入標籤
-      label.appendChild(arrow);
-
-      // 創建文字部分（使用可點擊的標籤元素）
-      const labelText = generateLabelElement(region, profile, joined);
-      label.appendChild(labelText);
-
-      // 如果需要，添加 [C] 按鈕
-      if (needButton) {
-        addQueryButton(label, account, index, labelText);
-      } else {
-        // 已有地區資訊，添加重新整理按鈕
-        addRefreshButton(label, account, labelText);
-      }
+      // 創建標籤（待查詢時顯示 [查詢] 按鈕，已完成查詢時顯示重新整理按鈕）
+      const label = RegionLabel.create(account);
+      setRegionLabelData(label, { region, profile, joined, verified, formerUsernames, queryError });
 
       // 在元素後面插入標籤
       // 方法1: 嘗試直接插入到 element 內部
       if (element.childNodes.length > 0) {
         element.appendChild(label);
         addedCount++;
-        //console.log(`[Threads] 成功添加 ${account} 的標籤: ${labelText} 1`);
       }
       // 方法2: 插入到 element 的下一個兄弟節點之前
       else if (element.parentElement) {
         element.parentElement.insertBefore(label, element.nextSibling);
         addedCount++;
-        //console.log(`[Threads] 成功添加 ${account} 的標籤: ${labelText} 2`);
       }
 
     } catch (error) {
@@ -1635,7 +1349,7 @@ async function showRegionLabelsOnPageInternal(regionData) {
   {
       chrome.runtime.sendMessage({
           action: 'updateSidepanelStatus',
-          message: `成功加入新標籤: ${addedCount} `,
+          message: I18n.t('statusLabelsAdded', addedCount),
           type: 'success'
         }).catch(err => {
           console.log('[Threads] 更新 sidepanel 狀態失敗:', err.message);
@@ -1650,447 +1364,260 @@ async function showRegionLabelsOnPageInternal(regionData) {
 }
 
 /**
- * 添加查詢按鈕 [C] 到標籤
- * @param {Element} labelElement - 標籤元素
- * @param {string} account - 帳號名稱
- * @param {number} index - 索引
- * @param {Element} labelTextSpan - 標籤文字 span 元素
+ * 依地區與側寫資料設定標籤（狀態由資料決定，顏色依顏色規則）
+ * @param {HTMLElement} label - 標籤元素
+ * @param {Object} data - { region, profile, joined, verified, formerUsernames, queryError }
  */
-function addQueryButton(labelElement, account, index, labelTextSpan) {
-  const queryButton = document.createElement('button');
-  queryButton.textContent = '查詢';
-  queryButton.className = 'threads-query-btn';
-  queryButton.dataset.account = account;
-  queryButton.dataset.index = index;
-
-  queryButton.style.cssText = `
-    margin-left: 4px;
-    padding: 1px 5px;
-    background-color: transparent;
-    color: #333;
-    border: 1.5px solid #333;
-    border-radius: 3px;
-    font-size: 10px;
-    font-weight: bold;
-    cursor: pointer;
-    line-height: 14px;
-    min-width: 32px;
-    pointer-events: auto;
-  `;
-
-  // 懸停效果
-  queryButton.addEventListener('mouseenter', () => {
-    queryButton.style.backgroundColor = 'rgba(0, 0, 0, 0.1)';
-  });
-  queryButton.addEventListener('mouseleave', () => {
-    queryButton.style.backgroundColor = 'transparent';
+function setRegionLabelData(label, data) {
+  const region = data.region || null;
+  // 分析過但沒有標籤（空陣列）與未分析同樣不顯示側寫
+  const profileTags = StorageSchema.parseProfileTags(data.profile);
+  const profile = profileTags && profileTags.length > 0 ? profileTags : null;
+  const state = RegionLabel.getStateFromData(region, profile);
+  const labelData = {
+    region: region,
+    profile: profile,
+    joined: data.joined || null,
+    verified: typeof data.verified === 'boolean' ? data.verified : null,
+    formerUsernames: Array.isArray(data.formerUsernames) ? data.formerUsernames : null
+  };
+  RegionLabel.update(label, {
+    ...labelData,
+    state: state,
+    queryError: state === RegionLabel.STATES.error ? (data.queryError || toQueryErrorInfo(null)) : null,
+    awaiting: false,
+    colors: getLabelColors(labelData)
   });
+}
 
-  // 點擊事件處理（在捕獲階段，優先級最高）
-  queryButton.addEventListener('click', async (e) => {
-    // 立即阻止所有事件傳播和預設行為
-    e.stopPropagation();
-    e.preventDefault();
-    e.stopImmediatePropagation();
-
-    const accountToQuery = queryButton.dataset.account;
-    console.log(`[Threads] 手動查詢按鈕被點擊: ${accountToQuery}`);
+/**
+ * 從 sidepanel 取得用戶已有的側寫結果
+ * @param {string} account - 用戶帳號
+ * @returns {Promise<ProfileTag[]|null>} 側寫標籤，沒有時為 null
+ */
+async function getUserProfileTags(account) {
+  try {
+    const profileResponse = await chrome.runtime.sendMessage({
+      action: 'getUserProfile',
+      account: account
+    });
+    if (profileResponse && profileResponse.success && profileResponse.profile) {
+      console.log(`[Threads] 找到已有的側寫結果: ${account} - ${StorageSchema.formatProfileTags(profileResponse.profile)}`);
+      return profileResponse.profile;
+    }
+  } catch (err) {
+    console.log('[Threads] 查詢側寫結果失敗:', err.message);
+  }
+  return null;
+}
 
-    // 禁用按鈕並顯示查詢中
-    queryButton.disabled = true;
-    queryButton.textContent = '...';
-    queryButton.style.cursor = 'not-allowed';
+/**
+ * 從標籤發起查詢（[查詢] 按鈕、重新查詢按鈕與自動查詢可見用戶）
+ * @param {HTMLElement} label - 標籤元素
+ * @param {Object} options - 查詢選項
+ * @param {string} options.priority - 任務優先順序（手動點擊為 'high'，自動查詢為 'low'）
+ * @param {boolean} options.refresh - 是否為重新查詢（先清除該用戶的快取與側寫）
+ */
+async function queryRegionLabel(label, options = {}) {
+  const labelData = RegionLabel.getData(label);
+  const account = labelData.account;
+  const priority = options.priority || 'high';
 
-    // 將標籤文字從「待查詢」改成「查詢中」
-    labelTextSpan.textContent = `所在地：查詢中`;
+  // 顯示查詢中（加入隊列後會改為排隊中 / 查詢中並提供 [取消] 按鈕）
+  RegionLabel.update(label, { state: RegionLabel.STATES.querying, job: null, awaiting: true });
 
-    try {
-      // 發送消息到 background 執行查詢
-      console.log(`[Content] 發送新分頁中開始查詢: ${accountToQuery}`);
+  try {
+    if (options.refresh) {
+      // 先移除該用戶的快取（地區和側寫）
+      console.log(`[Threads] 移除 ${account} 的快取（地區和側寫）`);
+      await chrome.runtime.sendMessage({
+        action: 'removeUserCache',
+        account: account
+      });
 
-        // 更新 sidepanel 狀態欄
+      // 同時清除 sidepanel 中該用戶的側寫資料
       chrome.runtime.sendMessage({
-        action: 'updateSidepanelStatus',
-        message: `新分頁中開始查詢: ${accountToQuery}`,
-        type: 'success'
+        action: 'clearUserProfile',
+        account: account
       }).catch(err => {
-        console.log('[Threads] 更新 sidepanel 狀態失敗:', err.message);
-      });
-
-      const response = await chrome.runtime.sendMessage({
-        action: 'manualQueryRegion',
-        account: accountToQuery
+        console.log('[Threads] 清除 sidepanel 側寫資料失敗:', err.message);
       });
+    }
 
-      console.log(`[Content] 收到查詢響應:`, response);
-
-      if (response && response.success && response.region) {
-        // 查詢成功且有地區資訊，根據地區設置對應顏色
-        const colors = getRegionColor(response.region);
-
-        // 查詢 sidepanel 是否已有該用戶的側寫結果
-        let profileText = '';
-        try {
-          const profileResponse = await chrome.runtime.sendMessage({
-            action: 'getUserProfile',
-            account: accountToQuery
-          });
-          if (profileResponse && profileResponse.success && profileResponse.profile) {
-            profileText = profileResponse.profile;
-            console.log(`[Threads] 找到已有的側寫結果: ${accountToQuery} - ${profileText}`);
-          }
-        } catch (err) {
-          console.log('[Threads] 查詢側寫結果失敗:', err.message);
-        }
+    // 更新 sidepanel 狀態欄
+    chrome.runtime.sendMessage({
+      action: 'updateSidepanelStatus',
+      message: I18n.t(options.refresh ? 'statusQueryRefreshing' : 'statusQueryStarted', account),
+      type: options.refresh ? 'info' : 'success'
+    }).catch(err => {
+      console.log('[Threads] 更新 sidepanel 狀態失敗:', err.message);
+    });
 
-        // 更新標籤文字（包含側寫如果有的話）
-        labelTextSpan.textContent = generateLabelText(response.region, profileText || null);
-        labelElement.style.backgroundColor = colors.backgroundColor;
-        labelElement.style.color = colors.textColor;
-        // 更新三角形顏色
-        const arrowElement = labelElement.querySelector('span[style*="border-right"]');
-        if (arrowElement) {
-          arrowElement.style.borderRightColor = colors.backgroundColor;
-        }
-        queryButton.remove();
-        // 添加重新整理按鈕
-        addRefreshButton(labelElement, accountToQuery, labelTextSpan);
-        console.log(`[Threads] 查詢成功: ${accountToQuery} - ${response.region}${profileText ? ` (${profileText})` : ''}`);
+    const response = await sendManualQueryRequest(account, priority);
+    console.log(`[Content] 收到查詢響應:`, response);
 
-        // 更新 sidepanel 狀態欄
+    if (response && (response.rejected || response.cancelled)) {
+      // 無法加入隊列或已取消，恢復為待查詢，不記為查詢失敗
+      RegionLabel.update(label, { state: RegionLabel.STATES.pending, awaiting: false });
+      if (response.rejected) {
         chrome.runtime.sendMessage({
           action: 'updateSidepanelStatus',
-          message: `查詢成功: ${accountToQuery} - ${response.region}`,
-          type: 'success'
+          message: I18n.t('statusQueryRejected', account, response.error),
+          type: 'error'
         }).catch(err => {
           console.log('[Threads] 更新 sidepanel 狀態失敗:', err.message);
         });
-
-        // 將查詢結果同步到 sidepanel 的 currentGetUserListArray
-        chrome.runtime.sendMessage({
-          action: 'updateUserRegion',
-          account: accountToQuery,
-          region: response.region
-        }).catch(err => {
-          console.log('[Threads] 同步查詢結果到 sidepanel 失敗:', err.message);
-        });
-      } else {
-        // 查詢失敗或未找到地區資訊，設置為未揭露
-        // 查詢 sidepanel 是否已有該用戶的側寫結果
-        let profileText = '';
-        try {
-          const profileResponse = await chrome.runtime.sendMessage({
-            action: 'getUserProfile',
-            account: accountToQuery
-          });
-          if (profileResponse && profileResponse.success && profileResponse.profile) {
-            profileText = profileResponse.profile;
-            console.log(`[Threads] 找到已有的側寫結果: ${accountToQuery} - ${profileText}`);
-          }
-        } catch (err) {
-          console.log('[Threads] 查詢側寫結果失敗:', err.message);
-        }
-
-        const colors = getRegionColor('未揭露', profileText || null);
-        labelTextSpan.textContent = generateLabelText('未揭露', profileText || null);
-        labelElement.style.backgroundColor = colors.backgroundColor;
-        labelElement.style.color = colors.textColor;
-        // 更新三角形顏色
-        const arrowElement = labelElement.querySelector('span[style*="border-right"]');
-        if (arrowElement) {
-          arrowElement.style.borderRightColor = colors.backgroundColor;
-        }
-        queryButton.remove();
-        // 添加重新整理按鈕
-        addRefreshButton(labelElement, accountToQuery, labelTextSpan);
-        console.log(`[Threads] 查詢完成但未找到地區: ${accountToQuery}${profileText ? ` (${profileText})` : ''}`);
-
-        // 將查詢結果同步到 sidepanel 的 currentGetUserListArray
-        chrome.runtime.sendMessage({
-          action: 'updateUserRegion',
-          account: accountToQuery,
-          region: '未揭露'
-        }).catch(err => {
-          console.log('[Threads] 同步查詢結果到 sidepanel 失敗:', err.message);
-        });
-      }
-    } catch (error) {
-      // 發生錯誤，設置為未揭露
-      console.log('[Threads] 查詢錯誤:', error);
-
-      // 查詢 sidepanel 是否已有該用戶的側寫結果
-      let profileText = '';
-      try {
-        const profileResponse = await chrome.runtime.sendMessage({
-          action: 'getUserProfile',
-          account: accountToQuery
-        });
-        if (profileResponse && profileResponse.success && profileResponse.profile) {
-          profileText = profileResponse.profile;
-          console.log(`[Threads] 找到已有的側寫結果: ${accountToQuery} - ${profileText}`);
-        }
-      } catch (err) {
-        console.log('[Threads] 查詢側寫結果失敗:', err.message);
-      }
-
-      const colors = getRegionColor('未揭露', profileText || null);
-      labelTextSpan.textContent = generateLabelText('未揭露', profileText || null);
-      labelElement.style.backgroundColor = colors.backgroundColor;
-      labelElement.style.color = colors.textColor;
-      // 更新三角形顏色
-      const arrowElement = labelElement.querySelector('span[style*="border-right"]');
-      if (arrowElement) {
-        arrowElement.style.borderRightColor = colors.backgroundColor;
-      }
-      queryButton.remove();
-      // 添加重新整理按鈕
-      addRefreshButton(labelElement, accountToQuery, labelTextSpan);
-
-      // 將查詢結果同步到 sidepanel 的 currentGetUserListArray
-      if (isExtensionContextValid()) {
-        chrome.runtime.sendMessage({
-          action: 'updateUserRegion',
-          account: accountToQuery,
-          region: '未揭露'
-        }).catch(() => {});
       }
+      return;
     }
-  }, true); // 使用捕獲階段，確保在父層連結處理之前執行
-
-  // 額外阻止 mousedown 和 mouseup 事件（防止某些框架的特殊處理）
-  queryButton.addEventListener('mousedown', (e) => {
-    e.stopPropagation();
-    e.preventDefault();
-  }, true);
-
-  queryButton.addEventListener('mouseup', (e) => {
-    e.stopPropagation();
-    e.preventDefault();
-  }, true);
-
-  labelElement.appendChild(queryButton);
-}
-
-/**
- * 添加重新整理按鈕（cycle icon）到標籤
- * @param {Element} labelElement - 標籤元素
- * @param {string} account - 帳號名稱
- * @param {Element} labelTextSpan - 標籤文字 span 元素
- */
-function addRefreshButton(labelElement, account, labelTextSpan) {
-  // 檢查是否已有重新整理按鈕
-  const existingRefreshBtn = labelElement.querySelector('.threads-refresh-btn');
-  if (existingRefreshBtn) {
-    return;
-  }
-
-  const refreshButton = document.createElement('button');
-  refreshButton.className = 'threads-refresh-btn';
-  refreshButton.dataset.account = account;
-  refreshButton.title = '重新查詢';
-
-  // 使用 SVG cycle icon
-  refreshButton.innerHTML = `
-    <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round">
-      <path d="M21.5 2v6h-6M2.5 22v-6h6M2 11.5a10 10 0 0 1 18.8-4.3M22 12.5a10 10 0 0 1-18.8 4.2"/>
-    </svg>
-  `;
-
-  refreshButton.style.cssText = `
-    margin-left: 4px;
-    padding: 2px;
-    background-color: transparent;
-    color: inherit;
-    border: none;
-    border-radius: 3px;
-    cursor: pointer;
-    display: inline-flex;
-    align-items: center;
-    justify-content: center;
-    opacity: 0.7;
-    transition: opacity 0.2s;
-    pointer-events: auto;
-  `;
-
-  // 懸停效果
-  refreshButton.addEventListener('mouseenter', () => {
-    refreshButton.style.opacity = '1';
-    refreshButton.style.backgroundColor = 'rgba(255, 255, 255, 0.2)';
-  });
-  refreshButton.addEventListener('mouseleave', () => {
-    refreshButton.style.opacity = '0.7';
-    refreshButton.style.backgroundColor = 'transparent';
-  });
-
-  // 點擊事件處理
-  refreshButton.addEventListener('click', async (e) => {
-    e.stopPropagation();
-    e.preventDefault();
-    e.stopImmediatePropagation();
-
-    const accountToRefresh = refreshButton.dataset.account;
-    console.log(`[Threads] 重新整理按鈕被點擊: ${accountToRefresh}`);
-
-    // 禁用按鈕並顯示旋轉動畫
-    refreshButton.disabled = true;
-    refreshButton.style.cursor = 'not-allowed';
-    refreshButton.style.animation = 'spin 1s linear infinite';
-
-    // 添加旋轉動畫樣式（如果還沒有）
-    if (!document.getElementById('threads-refresh-spin-style')) {
-      const style = document.createElement('style');
-      style.id = 'threads-refresh-spin-style';
-      style.textContent = `
-        @keyframes spin {
-          from { transform: rotate(0deg); }
-          to { transform: rotate(360deg); }
-        }
-      `;
-      document.head.appendChild(style);
-    }
-
-    // 1. 先清除標籤上顯示的地區與側寫，重建為純文字節點
-    // 移除原有的 labelTextSpan 內容，替換為新的文字節點
-    const newLabelText = document.createTextNode(`所在地：查詢中`);
-    labelTextSpan.replaceWith(newLabelText);
-    // 更新 labelTextSpan 引用為新的文字節點（用於後續更新）
-    let currentLabelNode = newLabelText;
-
-    // 更新標籤顏色為黃色（查詢中）
-    const pendingColors = getRegionColor(null);
-    labelElement.style.backgroundColor = pendingColors.backgroundColor;
-    labelElement.style.color = pendingColors.textColor;
-    const arrowElement = labelElement.querySelector('span[style*="border-right"]');
-    if (arrowElement) {
-      arrowElement.style.borderRightColor = pendingColors.backgroundColor;
-    }
-
-    try {
-      // 2. 移除該用戶的 cache（地區和側寫）
-      console.log(`[Threads] 移除 ${accountToRefresh} 的快取（地區和側寫）`);
-      await chrome.runtime.sendMessage({
-        action: 'removeUserCache',
-        account: accountToRefresh
-      });
 
-      // 同時清除 sidepanel 中該用戶的側寫資料
-      chrome.runtime.sendMessage({
-        action: 'clearUserProfile',
-        account: accountToRefresh
-      }).catch(err => {
-        console.log('[Threads] 清除 sidepanel 側寫資料失敗:', err.message);
+    // 查詢 sidepanel 是否已有該用戶的側寫結果
+    const profileTags = await getUserProfileTags(account);
+    const profileText = StorageSchema.formatProfileTags(profileTags);
+
+    if (response && response.success && response.region) {
+      setRegionLabelData(label, {
+        region: response.region,
+        profile: profileTags,
+        joined: response.joined || labelData.joined,
+        verified: typeof response.verified === 'boolean' ? response.verified : labelData.verified,
+        formerUsernames: response.formerUsernames || labelData.formerUsernames
       });
+      console.log(`[Threads] 查詢成功: ${account} - ${response.region}${profileText ? ` (${profileText})` : ''}`);
 
       // 更新 sidepanel 狀態欄
       chrome.runtime.sendMessage({
         action: 'updateSidepanelStatus',
-        message: `重新查詢: ${accountToRefresh}`,
-        type: 'info'
+        message: I18n.t(options.refresh ? 'statusQueryRefreshed' : 'statusQuerySucceeded', account, I18n.getRegionName(response.region)),
+        type: 'success'
       }).catch(err => {
         console.log('[Threads] 更新 sidepanel 狀態失敗:', err.message);
       });
 
-      // 3. 發送重新查詢請求
-      const response = await chrome.runtime.sendMessage({
-        action: 'manualQueryRegion',
-        account: accountToRefresh
+      // 將查詢結果同步到 sidepanel 的 currentGetUserListArray
+      chrome.runtime.sendMessage({
+        action: 'updateUserRegion',
+        account: account,
+        region: response.region
+      }).catch(err => {
+        console.log('[Threads] 同步查詢結果到 sidepanel 失敗:', err.message);
       });
+    } else {
+      // 查詢失敗，標示為「查詢失敗」（與未揭露區分），滑鼠移到標籤上可看到原因
+      const queryError = toQueryErrorInfo(response);
+      setRegionLabelData(label, {
+        region: StorageSchema.QUERY_FAILED_REGION,
+        profile: profileTags,
+        joined: labelData.joined,
+        queryError: queryError
+      });
+      console.log(`[Threads] 查詢失敗: ${account}（${queryError.reason}）${profileText ? ` (${profileText})` : ''}`);
 
-      console.log(`[Threads] 重新查詢響應:`, response);
-
-      // 4. 處理查詢結果
-      let profileText = '';
-      try {
-        const profileResponse = await chrome.runtime.sendMessage({
-          action: 'getUserProfile',
-          account: accountToRefresh
-        });
-        if (profileResponse && profileResponse.success && profileResponse.profile) {
-          profileText = profileResponse.profile;
-        }
-      } catch (err) {
-        console.log('[Threads] 查詢側寫結果失敗:', err.message);
-      }
+      // 將查詢結果同步到 sidepanel 的 currentGetUserListArray
+      chrome.runtime.sendMessage({
+        action: 'updateUserRegion',
+        account: account,
+        region: StorageSchema.QUERY_FAILED_REGION
+      }).catch(err => {
+        console.log('[Threads] 同步查詢結果到 sidepanel 失敗:', err.message);
+      });
+    }
+  } catch (error) {
+    // 發生錯誤，標示為「查詢失敗」
+    console.log('[Threads] 查詢錯誤:', error);
+    setRegionLabelData(label, {
+      region: StorageSchema.QUERY_FAILED_REGION,
+      joined: labelData.joined,
+      queryError: toQueryErrorInfo({ reason: error.reason, error: error.message })
+    });
 
-      if (response && response.success && response.region) {
-        const colors = getRegionColor(response.region, profileText || null);
-        // 使用 generateLabelElement 重建完整的標籤元素（包含可點擊的側寫標籤）
-        const newLabelElement = generateLabelElement(response.region, profileText || null);
-        currentLabelNode.replaceWith(newLabelElement);
-        labelElement.style.backgroundColor = colors.backgroundColor;
-        labelElement.style.color = colors.textColor;
-        if (arrowElement) {
-          arrowElement.style.borderRightColor = colors.backgroundColor;
-        }
+    // 將查詢結果同步到 sidepanel 的 currentGetUserListArray
+    if (isExtensionContextValid()) {
+      chrome.runtime.sendMessage({
+        action: 'updateUserRegion',
+        account: account,
+        region: StorageSchema.QUERY_FAILED_REGION
+      }).catch(() => {});
+    }
+  }
+}
 
-        // 更新 sidepanel 狀態欄
-        chrome.runtime.sendMessage({
-          action: 'updateSidepanelStatus',
-          message: `重新查詢成功: ${accountToRefresh} - ${response.region}`,
-          type: 'success'
-        }).catch(err => {
-          console.log('[Threads] 更新 sidepanel 狀態失敗:', err.message);
-        });
+// 標籤上的按鈕（事件由 regionLabel.js 發出並冒泡到 document）
+document.addEventListener(RegionLabel.EVENTS.query, (e) => {
+  console.log(`[Threads] 手動查詢按鈕被點擊: ${e.detail.account}`);
+  queryRegionLabel(e.target, { priority: 'high' });
+});
 
-        // 同步到 sidepanel
-        chrome.runtime.sendMessage({
-          action: 'updateUserRegion',
-          account: accountToRefresh,
-          region: response.region
-        }).catch(err => {
-          console.log('[Threads] 同步查詢結果到 sidepanel 失敗:', err.message);
-        });
-      } else {
-        const colors = getRegionColor('未揭露', profileText || null);
-        // 使用 generateLabelElement 重建完整的標籤元素
-        const newLabelElement = generateLabelElement('未揭露', profileText || null);
-        currentLabelNode.replaceWith(newLabelElement);
-        labelElement.style.backgroundColor = colors.backgroundColor;
-        labelElement.style.color = colors.textColor;
-        if (arrowElement) {
-          arrowElement.style.borderRightColor = colors.backgroundColor;
-        }
+document.addEventListener(RegionLabel.EVENTS.refresh, (e) => {
+  console.log(`[Threads] 重新整理按鈕被點擊: ${e.detail.account}`);
+  queryRegionLabel(e.target, { priority: 'high', refresh: true });
+});
 
-        // 同步到 sidepanel
-        chrome.runtime.sendMessage({
-          action: 'updateUserRegion',
-          account: accountToRefresh,
-          region: '未揭露'
-        }).catch(err => {
-          console.log('[Threads] 同步查詢結果到 sidepanel 失敗:', err.message);
-        });
-      }
-    } catch (error) {
-      console.log('[Threads] 重新查詢錯誤:', error);
-      const colors = getRegionColor('未揭露');
-      // 使用 generateLabelElement 重建標籤元素
-      const newLabelElement = generateLabelElement('未揭露', null);
-      currentLabelNode.replaceWith(newLabelElement);
-      labelElement.style.backgroundColor = colors.backgroundColor;
-      labelElement.style.color = colors.textColor;
-      if (arrowElement) {
-        arrowElement.style.borderRightColor = colors.backgroundColor;
-      }
-    } finally {
-      // 恢復按鈕狀態
-      refreshButton.disabled = false;
-      refreshButton.style.cursor = 'pointer';
-      refreshButton.style.animation = '';
-    }
-  }, true);
+// 詳細資料卡只讀取快取，不觸發查詢
+document.addEventListener(RegionLabel.EVENTS.details, async (e) => {
+  const label = e.target;
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: 'getCachedUserInfo',
+      username: e.detail.account.substring(1)
+    });
+    RegionLabel.openCard(label, response && response.success ? response : null);
+  } catch (error) {
+    console.log('[Threads] 讀取快取失敗:', error.message);
+    RegionLabel.openCard(label, null);
+  }
+});
 
-  // 阻止事件傳播
-  refreshButton.addEventListener('mousedown', (e) => {
-    e.stopPropagation();
-    e.preventDefault();
-  }, true);
+document.addEventListener(RegionLabel.EVENTS.remove, async (e) => {
+  const account = e.detail.account;
+  console.log(`[Threads] 從快取移除: ${account}`);
+  try {
+    await chrome.runtime.sendMessage({ action: 'removeUserCache', account: account.substring(1) });
+    // 頁面上此用戶的標籤回到待查詢
+    RegionLabel.find(document, account).forEach(label => setRegionLabelData(label, {}));
+  } catch (error) {
+    console.log('[Threads] 移除快取失敗:', error.message);
+  }
+});
 
-  refreshButton.addEventListener('mouseup', (e) => {
-    e.stopPropagation();
-    e.preventDefault();
-  }, true);
+document.addEventListener(RegionLabel.EVENTS.cancel, (e) => {
+  console.log(`[Threads] 取消查詢: ${e.detail.account}`);
+  chrome.runtime.sendMessage({
+    action: 'cancelQueryJob',
+    jobId: e.detail.jobId
+  }).catch(err => {
+    console.log('[Threads] 取消查詢失敗:', err.message);
+  });
+});
 
-  labelElement.appendChild(refreshButton);
+/**
+ * 依查詢任務狀態更新頁面上該用戶的標籤
+ * 排隊中 / 查詢中的標籤顯示 [取消] 按鈕；由其他來源（popup、其他分頁）發起的查詢結束時重新顯示標籤
+ * @param {Object} job - { id, username, status, result }
+ */
+function applyQueryJobUpdate(job) {
+  const account = `@${job.username}`;
+
+  RegionLabel.find(document, account).forEach(label => {
+    const labelData = RegionLabel.getData(label);
+    const isWaiting = labelData.state === RegionLabel.STATES.pending || labelData.state === RegionLabel.STATES.querying;
+    if (!isWaiting) return;
+
+    if (job.status === 'queued' || job.status === 'running') {
+      RegionLabel.update(label, { state: RegionLabel.STATES.querying, job: { id: job.id, status: job.status } });
+    } else if (job.status === 'cancelled') {
+      RegionLabel.update(label, { state: RegionLabel.STATES.pending, awaiting: false });
+    } else if (!labelData.awaiting && job.result) {
+      // 等待中的查詢流程會自行處理結果，其餘標籤依結果重新顯示
+      const succeeded = job.result.success && job.result.region;
+      showRegionLabelsOnPage({
+        [account]: {
+          region: succeeded ? job.result.region : StorageSchema.QUERY_FAILED_REGION,
+          queryError: succeeded ? null : toQueryErrorInfo(job.result)
+        }
+      });
+    }
+  });
 }
 
 /**
@@ -2103,10 +1630,10 @@ function hideRegionLabelsOnPage() {
   console.log(`[Threads] 開始隱藏頁面上的用戶資訊標籤`);
 
   // 找到所有的用戶資訊標籤並隱藏
-  const allLabels = document.querySelectorAll('.threads-region-label');
+  const allLabels = RegionLabel.find();
 
   allLabels.forEach(label => {
-    label.style.display = 'none';
+    label.hidden = true;
     hiddenCount++;
   });
 
@@ -2127,7 +1654,7 @@ function removeRegionLabelsOnPage() {
   console.log(`[Threads] 開始移除頁面上的所有用戶資訊標籤`);
 
   // 找到所有的用戶資訊標籤並移除
-  const allLabels = document.querySelectorAll('.threads-region-label');
+  const allLabels = RegionLabel.find();
 
   allLabels.forEach(label => {
     try {
@@ -2138,13 +1665,6 @@ function removeRegionLabelsOnPage() {
     }
   });
 
-  // 清空 currentUserElementsData 中的標籤引用
-  currentUserElementsData.forEach(userData => {
-    if (userData.labelElement) {
-      userData.labelElement = null;
-    }
-  });
-
   console.log(`[Threads] 完成移除標籤，共移除 ${removedCount} 個`);
 
   return {
@@ -2153,9 +1673,8 @@ function removeRegionLabelsOnPage() {
 }
 // ==================== 頁面捲動監聽機制 ====================
 
-// 節流機制：確保兩次呼叫之間至少相隔 3 秒
-let lastScrollUpdate = 0;
-const SCROLL_THROTTLE_DELAY = 2000; // 3 秒
+// 捲動停止後延遲多久執行自動查詢（毫秒）
+const AUTO_QUERY_DELAY_MS = 1000;
 
 // 滾動停止計時器
 let scrollStopTimer = null;
@@ -2190,7 +1709,7 @@ function isElementVisible(element) {
 function getVisibleUsers() {
   const visibleUsers = [];
 
-  currentUserElementsData.forEach((userData, index) => {
+  getTrackedUsers().forEach((userData, index) => {
     if (isElementVisible(userData.element)) {
       visibleUsers.push({
         account: userData.account,
@@ -2228,262 +1747,314 @@ async function autoQueryVisibleUsers() {
       return;
     }
 
-    // 找出尚未查詢的用戶（檢查標籤是否存在且為待查詢狀態）
-    const unqueriedVisibleUsers = visibleUsers.filter(user => {
-      const existingLabel = user.element.querySelector('.threads-region-label');
-      if (!existingLabel) {
-        //console.log(`[Threads] ${user.account} 沒有標籤，需要查詢`);
-        return true; // 沒有標籤，需要查詢
-      }
-
-      // 1. 檢查標籤文字是否為「查詢中」
-      const labelTextSpan = existingLabel.querySelector('.threads-label-text') || existingLabel;
-      const labelText = (labelTextSpan.textContent || labelTextSpan.innerText || '').trim();
-      if (labelText.includes('查詢中')) {
-        //console.log(`[Threads] ${user.account} 正在查詢中，跳過`);
-        return false; // 正在查詢中，跳過
+    // 找出尚未查詢的用戶（依標籤狀態判斷：待查詢且此分頁沒有進行中的查詢）
+    const unqueriedLabels = [];
+    visibleUsers.forEach(user => {
+      const label = user.element.querySelector(RegionLabel.TAG);
+      if (!label) return;
+      const labelData = RegionLabel.getData(label);
+      if (labelData.state === RegionLabel.STATES.pending && !labelData.awaiting) {
+        unqueriedLabels.push(label);
       }
-
-      // 2. 檢查標籤的背景色是否為黃色（待查詢狀態）
-      const bgColor = existingLabel.style.backgroundColor;
-      const isWaitingToQuery = bgColor === 'rgb(255, 193, 7)' || bgColor === '#ffc107';
-
-      // 如果不是待查詢狀態（已經有其他顏色），表示已查詢過（有 region 資料）
-      if (!isWaitingToQuery) {
-        //console.log(`[Threads] ${user.account} 已查詢過（背景色: ${bgColor}），跳過`);
-        return false; // 已查詢過，跳過
-      }
-
-      //console.log(`[Threads] ${user.account} bgColor ${bgColor}`);
-
-      // 待查詢且不是查詢中
-      return true;
     });
 
-    console.log(`[Threads] 可見用戶中有 ${unqueriedVisibleUsers.length} 個待查詢`);
+    console.log(`[Threads] 可見用戶中有 ${unqueriedLabels.length} 個待查詢`);
 
-    if (unqueriedVisibleUsers.length === 0) {
+    if (unqueriedLabels.length === 0) {
       console.log('[Threads] 所有可見用戶都已查詢');
       return;
     }
 
-    // 自動點擊查詢按鈕
-    for (const user of unqueriedVisibleUsers) {
-      const existingLabel = user.element.querySelector('.threads-region-label');
-      if (existingLabel) {
-        const queryButton = existingLabel.querySelector('.threads-query-btn');
-        if (queryButton) {
-          console.log(`[Threads] 自動查詢: ${user.account}`);
-          queryButton.click();
-        }
-      }
-    }
+    // 自動查詢以低優先順序排隊，手動點擊的查詢會先執行
+    unqueriedLabels.forEach(label => {
+      console.log(`[Threads] 自動查詢: ${RegionLabel.getData(label).account}`);
+      queryRegionLabel(label, { priority: 'low' });
+    });
   } catch (error) {
     console.log('[Threads] 自動查詢可見用戶時發生錯誤:', error);
   }
 }
 
 /**
- * 處理頁面捲動事件（帶節流機制）
- * @param {boolean} skipThrottle - 是否跳過節流機制（手動偵測或開關 panel 時使用）
+ * 排程自動查詢可見用戶（捲動停止或偵測到新用戶 1 秒後執行，期間的重複呼叫會重新計時）
  */
-function handlePageScroll(skipThrottle = false) {
-  const now = Date.now();
-
-  // 檢查是否距離上次更新已經過了 2 秒（除非跳過節流）
-  if (!skipThrottle && ( ( now - lastScrollUpdate) < SCROLL_THROTTLE_DELAY ) ) {
-    console.log('[Threads] 捲動事件被節流機制忽略（距離上次更新不足 2 秒）');
-    return;
+function scheduleAutoQuery() {
+  if (scrollStopTimer) {
+    clearTimeout(scrollStopTimer);
   }
 
-  // 更新最後一次捲動時間
-  lastScrollUpdate = now;
+  scrollStopTimer = setTimeout(() => {
+    scrollStopTimer = null;
+    console.log('[Threads] 滾動已停止，檢查是否需要自動查詢');
+    autoQueryVisibleUsers();
+  }, AUTO_QUERY_DELAY_MS);
+}
 
-  console.log('[Threads] 頁面捲動，通知 sidepanel 更新用戶列表');
+/**
+ * 重新整理整頁的用戶列表與標籤（sidepanel 開啟或手動偵測時使用）
+ *
+ * 通知 background 重新列出頁面用戶並顯示標籤，background 同時轉發給 popup / sidepanel 更新列表
+ */
+function refreshAllUserLabels() {
+  console.log('[Threads] 重新整理頁面用戶列表與標籤');
 
-  // 發送消息到 sidepanel（只在 context 有效時）
+  // 發送消息到 background（只在 context 有效時）
   if (isExtensionContextValid()) {
     chrome.runtime.sendMessage({
-      action: 'pageScrolled'
+      action: 'refreshPageUsers'
     }).then(response => {
       if (response && response.success) {
-        console.log('[Threads] Sidepanel 已收到捲動通知');
+        console.log('[Threads] Background 已收到重新整理通知');
       }
     }).catch(error => {
       // 忽略 extension context invalidated 錯誤
     });
   }
 
-  // 清除之前的滾動停止計時器
-  if (scrollStopTimer) {
-    clearTimeout(scrollStopTimer);
-  }
-
-  // 設置新的計時器，滾動停止 1 秒後執行自動查詢
-  scrollStopTimer = setTimeout(() => {
-    console.log('[Threads] 滾動已停止，檢查是否需要自動查詢');
-    autoQueryVisibleUsers();
-  }, 1000);
+  scheduleAutoQuery();
 }
 
 /**
- * 初始化捲動監聽器和 AJAX 監聽器
+ * 初始化捲動監聽器
  *
- * 【功能】
- * 1. 監聽頁面滾動事件，觸發 handlePageScroll
- * 2. 攔截 fetch API 和 XMLHttpRequest，監聽 GraphQL 請求完成時觸發 handlePageScroll
- *
- * 【觸發 handlePageScroll 的時機】
- * - 頁面滾動時（有 2 秒節流機制）
- * - AJAX 請求到 https://www.threads.com/graphql/query 完成時
- *
- * 【說明】
- * Threads 使用 GraphQL API 動態載入內容（如無限滾動載入更多貼文）
- * 當 GraphQL 請求完成時，新的用戶資料已被加入到頁面
- * 此時觸發 handlePageScroll 可以立即偵測並標記新出現的用戶
+ * 新出現的用戶由用戶連結偵測（MutationObserver）處理，捲動只用來觸發自動查詢可見用戶。
+ * 在 document 的捕獲階段監聽，可同時涵蓋頁面本身與對話框內的捲動容器（如粉絲列表）。
  */
 function initScrollListener() {
   console.log('[Threads] 初始化頁面捲動監聽器');
 
-    // 使用包裝函數確保 skipThrottle 為 false，避免 scroll 事件的 Event 物件被誤認為 truthy 的 skipThrottle
-    window.addEventListener('scroll', () => handlePageScroll(false), { passive: true });
-
-    console.log('[Threads] 捲動監聽器已啟動（節流間隔: 2 秒）');
-  }
+  document.addEventListener('scroll', scheduleAutoQuery, { capture: true, passive: true });
+}
 
+// ==================== 用戶連結偵測（MutationObserver）====================
+// 監看整個頁面新插入的節點（動態載入的貼文、回覆、引用貼文、對話框、粉絲列表、搜尋結果），
+// 只處理新出現的用戶連結並直接加上標籤，不需要等待捲動或輪詢 URL。
+// SPA 換頁時 Threads 會替換頁面內容，同樣由 MutationObserver 偵測，
+// 因此不需要攔截 history.pushState（content script 在隔離環境中也攔截不到頁面的呼叫）。
 
-function findProfilePageFollowerElement() {
-  // 1️⃣ 找到所有「粉絲 / followers」span
-  const targets = [...document.querySelectorAll('span')]
-    .filter(el => /^(粉絲|followers)$/i.test(el.textContent.trim()));
+// 合併短時間內的 DOM 變化後再處理（毫秒）
+const USER_DISCOVERY_DELAY_MS = 300;
 
-  for (const target of targets) {
-    // 2️⃣ 由該 span 往上找 role="tablist"（最多 10 層）
-    let current = target;
-    let tablist = null;
+// 定期移除已不在頁面上的用戶元素（毫秒）
+const USER_PRUNE_INTERVAL_MS = 30000;
 
-    for (let i = 0; i < 10 && current; i++) {
-      if (
-        current.tagName === 'DIV' &&
-        current.getAttribute('role') === 'tablist'
-      ) {
-        tablist = current;
-        break;
-      }
-      current = current.parentElement;
-    }
+// 已加入 currentUserElementsData 的用戶連結（元素被移除後自動釋放）
+const processedUserLinks = new WeakSet();
 
-    // 3️⃣ tablist 的 parent
-    const parentDiv = tablist && tablist.parentElement;
+// 等待處理的新插入節點
+let pendingUserLinkNodes = new Set();
+let userDiscoveryTimer = null;
+let userLinkObserver = null;
+let userPruneTimer = null;
 
-    // 4️⃣ parent 的下一個 sibling
-    const result = parentDiv && parentDiv.nextElementSibling;
+/**
+ * 將用戶連結加入追蹤列表（只保存元素的弱引用）
+ * @param {Array<Object>} users - [{account: "@username", element: Element}, ...]
+ */
+function trackUsers(users) {
+  users.forEach(user => {
+    processedUserLinks.add(user.element);
+    seenUserAccounts.add(user.account);
+    currentUserElementsData.push({ account: user.account, ref: new WeakRef(user.element) });
+  });
+}
 
-    // ✅ 找到第一個有效的就回傳
-    if (result) {
-      return result;
+/**
+ * 取得目前仍在頁面上的用戶
+ * @returns {Array<Object>} [{account: "@username", element: Element}, ...]
+ */
+function getTrackedUsers() {
+  const users = [];
+  currentUserElementsData.forEach(userData => {
+    const element = userData.ref.deref();
+    if (element && element.isConnected) {
+      users.push({ account: userData.account, element });
     }
-  }
-
-  // ❌ 都沒找到
-  return null;
+  });
+  return users;
 }
 
-// ==================== URL 變化監聽（SPA 支援）====================
+/**
+ * 取得目前頁面上的帳號（不重複，同一帳號可能有多個連結）
+ * @returns {Array<string>}
+ */
+function getPageAccounts() {
+  return [...new Set(getTrackedUsers().map(user => user.account))];
+}
 
 /**
- * 設置用戶資料頁的粉絲頁滾動監聽器
- * 當切換到用戶資料頁時調用
+ * 移除已不在頁面上的用戶元素
+ * @returns {number} 移除的項目數
  */
-let profilePageCheckTimer = null;
-let profilePageHasAddedScrollListener = false;
+function pruneDetachedUsers() {
+  const before = currentUserElementsData.length;
 
-function setupProfilePageFollowerListener() {
-  const currentUrl = window.location.href;
-  const threadsProfileRegex = /^https:\/\/www\.threads\.com\/@[^/]+$/;
+  currentUserElementsData = currentUserElementsData.filter(userData => {
+    const element = userData.ref.deref();
+    if (element && element.isConnected) {
+      return true;
+    }
+    // 元素可能被重新插入頁面（虛擬列表重用節點），讓 MutationObserver 能再次偵測
+    if (element) {
+      processedUserLinks.delete(element);
+    }
+    return false;
+  });
 
-  // 清除之前的計時器
-  if (profilePageCheckTimer) {
-    clearInterval(profilePageCheckTimer);
-    profilePageCheckTimer = null;
+  const removedCount = before - currentUserElementsData.length;
+  if (removedCount > 0) {
+    console.log(`[Threads] 移除 ${removedCount} 個已不在頁面上的用戶元素，剩餘 ${currentUserElementsData.length} 個`);
   }
+  return removedCount;
+}
 
-  // 重置狀態
-  profilePageHasAddedScrollListener = false;
+/**
+ * 通知 popup / sidepanel 頁面上的用戶已變化
+ * @param {number} newCount - 新增的用戶連結數
+ */
+function notifyPageUsersChanged(newCount) {
+  chrome.runtime.sendMessage({
+    action: 'pageUsersChanged',
+    users: getPageAccounts(),
+    newCount,
+    seenCount: seenUserAccounts.size
+  }).catch(() => {
+    // popup / sidepanel 未開啟時沒有接收者，忽略錯誤
+  });
+}
 
-  if (!threadsProfileRegex.test(currentUrl)) {
-    return;
+/**
+ * 記錄 DOM 變化中新插入的節點，延遲後一併處理
+ * @param {MutationRecord[]} mutations
+ */
+function handleUserLinkMutations(mutations) {
+  mutations.forEach(mutation => {
+    mutation.addedNodes.forEach(node => {
+      if (node.nodeType === Node.ELEMENT_NODE) {
+        // 忽略擴充功能自己插入的標籤
+        if (node.localName === RegionLabel.TAG) return;
+        pendingUserLinkNodes.add(node);
+      } else if (node.nodeType === Node.TEXT_NODE && mutation.target.nodeType === Node.ELEMENT_NODE) {
+        // 用戶名稱文字可能在連結插入後才填入
+        pendingUserLinkNodes.add(mutation.target);
+      }
+    });
+  });
+
+  if (pendingUserLinkNodes.size > 0 && !userDiscoveryTimer) {
+    userDiscoveryTimer = setTimeout(flushDiscoveredUserLinks, USER_DISCOVERY_DELAY_MS);
   }
+}
+
+/**
+ * 從等待處理的節點中找出尚未處理的用戶連結
+ * @returns {Array<Object>} 新用戶，格式：[{account: "@username", element: Element}, ...]
+ */
+function collectDiscoveredUserLinks() {
+  const nodes = pendingUserLinkNodes;
+  pendingUserLinkNodes = new Set();
 
-  console.log('[Threads] 檢測到用戶資料頁，幫粉絲頁加入事件監聽器');
+  const newUsers = [];
+  const checkLink = (link) => {
+    if (processedUserLinks.has(link)) return;
 
-  profilePageCheckTimer = setInterval(() => {
-    if (profilePageHasAddedScrollListener) return;
+    // 尚未渲染用戶名稱的連結先略過，之後的 DOM 變化會再檢查一次
+    const account = getUserLinkAccount(link);
+    if (!account) return;
 
-    const element = findProfilePageFollowerElement();
+    processedUserLinks.add(link);
+    newUsers.push({ account, element: link });
+  };
 
-    console.log('[Threads] 查看粉絲頁元素', element);
+  nodes.forEach(node => {
+    if (!node.isConnected) return;
 
-    if (element) {
-      element.addEventListener(
-        'scroll',
-        () => handlePageScroll(false),
-        { passive: true }
-      );
-
-      profilePageHasAddedScrollListener = true;
-      clearInterval(profilePageCheckTimer);
-      profilePageCheckTimer = null;
+    // 節點本身或其祖先是用戶連結（例如用戶名稱的 span 較晚插入連結內）
+    const enclosingLink = node.closest(USER_LINK_SELECTOR);
+    if (enclosingLink) {
+      checkLink(enclosingLink);
     }
-  }, 10000); // 每 10 秒檢查一次
+    node.querySelectorAll(USER_LINK_SELECTOR).forEach(checkLink);
+  });
+
+  return newUsers;
 }
 
 /**
- * 處理 URL 變化
+ * 處理新出現的用戶連結：加入用戶列表、顯示標籤並通知 popup / sidepanel
  */
-let lastUrl = window.location.href;
+function flushDiscoveredUserLinks() {
+  userDiscoveryTimer = null;
 
-function handleUrlChange() {
-  const currentUrl = window.location.href;
+  // 擴充功能已重新載入，舊的 content script 停止偵測
+  if (!isExtensionContextValid()) {
+    stopUserLinkObserver();
+    return;
+  }
 
-  if (currentUrl === lastUrl) {
+  const newUsers = collectDiscoveredUserLinks();
+  if (newUsers.length === 0) {
     return;
   }
 
-  console.log('[Threads] URL 變化:', lastUrl, '->', currentUrl);
-  lastUrl = currentUrl;
+  pruneDetachedUsers();
+  trackUsers(newUsers);
+  console.log(`[Threads] 偵測到 ${newUsers.length} 個新用戶連結，總共 ${currentUserElementsData.length} 個`);
 
-  // 重新設置用戶資料頁的粉絲頁監聽器
-  setupProfilePageFollowerListener();
+  // 只為新出現的用戶加上標籤
+  showRegionLabelsOnPage({}, newUsers);
+
+  // 通知 popup / sidepanel 更新用戶列表
+  notifyPageUsersChanged(newUsers.length);
+
+  scheduleAutoQuery();
 }
 
 /**
- * 初始化 URL 變化監聽器
+ * 定期清理已不在頁面上的用戶元素，有變化時通知 popup / sidepanel
  */
-function initUrlChangeListener() {
-  // 監聽 popstate（瀏覽器前進/後退）
-  window.addEventListener('popstate', handleUrlChange);
+function handleUserPruneTimer() {
+  if (!isExtensionContextValid()) {
+    stopUserLinkObserver();
+    return;
+  }
 
-  // 攔截 pushState 和 replaceState（SPA 路由變化）
-  const originalPushState = history.pushState;
-  const originalReplaceState = history.replaceState;
+  if (pruneDetachedUsers() > 0) {
+    notifyPageUsersChanged(0);
+  }
+}
 
-  history.pushState = function(...args) {
-    originalPushState.apply(this, args);
-    handleUrlChange();
-  };
+/**
+ * 停止用戶連結偵測（擴充功能重新載入後，舊的 content script 不再處理）
+ */
+function stopUserLinkObserver() {
+  pendingUserLinkNodes.clear();
+  if (userLinkObserver) {
+    userLinkObserver.disconnect();
+    userLinkObserver = null;
+  }
+  if (userPruneTimer) {
+    clearInterval(userPruneTimer);
+    userPruneTimer = null;
+  }
+}
 
-  history.replaceState = function(...args) {
-    originalReplaceState.apply(this, args);
-    handleUrlChange();
-  };
+/**
+ * 初始化用戶連結偵測：先處理頁面上已有的連結，再監看之後插入的節點
+ */
+function initUserLinkObserver() {
+  if (userLinkObserver) {
+    return;
+  }
+
+  userLinkObserver = new MutationObserver(handleUserLinkMutations);
+  userLinkObserver.observe(document.body, { childList: true, subtree: true });
+  userPruneTimer = setInterval(handleUserPruneTimer, USER_PRUNE_INTERVAL_MS);
 
-  // 備用方案：定時輪詢 URL 變化（某些 SPA 可能不觸發 pushState/replaceState）
-  setInterval(() => {
-    handleUrlChange();
-  }, 1000); // 每秒檢查一次
+  pendingUserLinkNodes.add(document.body);
+  flushDiscoveredUserLinks();
 
-  console.log('[Threads] URL 變化監聽器已初始化（含輪詢備用）');
+  console.log('[Threads] 用戶連結偵測已啟動');
 }
 
 /**
@@ -2502,18 +2073,8 @@ function initPageFeatures() {
   // 啟動捲動監聽器
   initScrollListener();
 
-  // 初始化 URL 變化監聽器
-  initUrlChangeListener();
-
-  // 用戶資料頁，幫粉絲頁加入事件監聽器
-  setupProfilePageFollowerListener();
-
-  // 延遲後執行第一次的 handlePageScroll
-  console.log('[Threads] 將在 2 秒後執行第一次 handlePageScroll');
-  setTimeout(() => {
-    console.log('[Threads] 執行第一次 handlePageScroll');
-    handlePageScroll(true);
-  }, 2000);
+  // 偵測頁面上的用戶連結（包含之後動態插入的）
+  initUserLinkObserver();
 }
 
 // 當頁面載入完成後，初始化功能
@@ -2529,9 +2090,90 @@ if (document.readyState === 'loading') {
 }
 
 
-function extractTextFromDocument() {
+// ==================== 側寫分析的貼文提取 ====================
+
+/**
+ * 貼文時間連結的選擇器（每則貼文的 <a href="/@xxx/post/代碼"><time datetime="..."></a>）
+ */
+const POST_PERMALINK_SELECTOR = 'a[href*="/post/"]';
+
+// 提取貼文文字時略過的元素（按讚、回覆等按鈕的計數）
+const POST_TEXT_EXCLUDE_SELECTOR = 'button, [role="button"], time';
+
+/**
+ * @typedef {Object} SocialPost
+ * @property {string|null} id - 貼文代碼（網址 /post/ 後的部分，整頁文字時為 null）
+ * @property {string|null} author - 作者帳號（帶 @ 符號）
+ * @property {string} url - 貼文網址
+ * @property {string|null} postedAt - 貼文時間（ISO 8601）
+ * @property {string} text - 貼文內容
+ */
+
+/**
+ * 逐則提取頁面上的貼文（依頁面順序，同一則貼文只取一次）
+ * 找不到任何貼文時（例如 Threads 改版），退回整頁文字作為單一項目
+ * @returns {SocialPost[]}
+ */
+function extractPostsFromDocument() {
+  const posts = new Map(); // 貼文代碼 → SocialPost
+
+  document.querySelectorAll(POST_PERMALINK_SELECTOR).forEach(link => {
+    // 只處理含有 <time> 的連結（貼文時間），略過內文中分享的貼文網址
+    const time = link.querySelector('time[datetime]');
+    const match = (link.getAttribute('href') || '').match(/\/@([^/?]+)\/post\/([^/?#]+)/);
+    if (!time || !match || posts.has(match[2])) return;
+
+    const author = `@${match[1]}`;
+    const container = findPostContainer(link);
+    if (!container) return;
+
+    // 略過作者名稱連結，其餘文字即為貼文內容（帳號取自網址，可能含有 " 或 ] 等字元，需跳脫）
+    const text = extractTextFromDocument(container, `${POST_TEXT_EXCLUDE_SELECTOR}, a[href$="/${CSS.escape(author)}"]`);
+    if (!text) return;
+
+    posts.set(match[2], {
+      id: match[2],
+      author: author,
+      url: new URL(link.getAttribute('href'), location.origin).href,
+      postedAt: time.getAttribute('datetime'),
+      text: text
+    });
+  });
+
+  if (posts.size === 0) {
+    const text = extractTextFromDocument();
+    return text ? [{ id: null, author: null, url: location.href, postedAt: null, text: text }] : [];
+  }
+  return Array.from(posts.values());
+}
+
+/**
+ * 找出貼文時間連結所屬的貼文區塊
+ * @param {Element} link - 貼文時間連結
+ * @returns {Element|null}
+ */
+function findPostContainer(link) {
+  const pressable = link.closest('[data-pressable-container]');
+  if (pressable) return pressable;
+
+  // 沒有 data-pressable-container 時，往上找到仍只包含這一則貼文時間的最外層元素
+  let container = link.parentElement;
+  while (container && container.parentElement && container.parentElement !== document.body &&
+    container.parentElement.querySelectorAll(`${POST_PERMALINK_SELECTOR} time[datetime]`).length === 1) {
+    container = container.parentElement;
+  }
+  return container;
+}
+
+/**
+ * 提取元素內的文字（每個文字節點一行）
+ * @param {Node} root - 提取範圍（預設整個頁面）
+ * @param {string|null} excludeSelector - 略過位於這些元素內的文字（只比對 root 內的元素）
+ * @returns {string}
+ */
+function extractTextFromDocument(root = document, excludeSelector = null) {
   const walker = document.createTreeWalker(
-    document,
+    root,
     NodeFilter.SHOW_TEXT,
     {
       acceptNode(node) {
@@ -2548,6 +2190,11 @@ function extractTextFromDocument() {
           return NodeFilter.FILTER_REJECT;
         }
 
+        const excluded = excludeSelector && parent.closest(excludeSelector);
+        if (excluded && root.contains(excluded)) {
+          return NodeFilter.FILTER_REJECT;
+        }
+
         return NodeFilter.FILTER_ACCEPT;
       }
     }
@@ -2556,15 +2203,8 @@ function extractTextFromDocument() {
   const texts = [];
 
   while (walker.nextNode()) {
-    const node = walker.currentNode;
-    const parent = node.parentElement;
-    const grandparent = parent && parent.parentElement;
-
-    let text = node.textContent.trim();
-
-    texts.push(text);
+    texts.push(walker.currentNode.textContent.trim());
   }
 
-
   return texts.join('\n');
 }
@@ -1,5 +1,5 @@
 // ==================== 日期解析工具 ====================
-// 用於解析用戶加入日期並判斷是否為新用戶
+// 用於解析用戶加入日期、判斷是否為新用戶並分級帳號年齡
 
 /**
  * 多語言月份對照表
@@ -17,29 +17,77 @@ const monthMap = {
   '7월': 6, '8월': 7, '9월': 8, '10월': 9, '11월': 10, '12월': 11,
 };
 
+// 相對時間格式（部分語言的 Threads 介面顯示「Joined 3 weeks ago」、「3週間前」、「3주 전」等）
+// 不到一天的單位一律視為今天加入
+const RELATIVE_JOINED_PATTERNS = [
+  { unit: 'day', days: 0, pattern: /(\d+|\ban?\b)\s*(?:minutes?|mins?|hours?|hrs?|分鐘|分钟|分|小時|小时|時間|시간|분)\s*(?:ago|前|전)/i },
+  { unit: 'day', days: 1, pattern: /(\d+|\ban?\b)\s*(?:days?|天|日|일)\s*(?:ago|前|전)/i },
+  { unit: 'day', days: 7, pattern: /(\d+|\ban?\b)\s*(?:weeks?|週間|週|周|주)\s*(?:ago|前|전)/i },
+  { unit: 'month', pattern: /(\d+|\ban?\b)\s*(?:months?|個月|个月|ヶ月|か月|ヵ月|カ月|개월)\s*(?:ago|前|전)/i },
+  { unit: 'year', pattern: /(\d+|\ban?\b)\s*(?:years?|年|년)\s*(?:ago|前|전)/i }
+];
+const JOINED_TODAY_PATTERN = /\btoday\b|今天|今日|오늘/i;
+const JOINED_YESTERDAY_PATTERN = /\byesterday\b|昨天|昨日|어제/i;
+
 /**
- * 解析加入日期字串
- * 支援格式: "2024年1月", "January 2024", "2024년 1월", "Dec 2024"
+ * 解析相對時間格式的加入日期
  * @param {string} joinedStr - 加入日期字串
- * @returns {Date|null} 日期對象或 null（解析失敗）
+ * @param {Date} referenceDate - 參考日期
+ * @returns {Date|null} 加入當天的日期，不是相對時間格式時返回 null
  */
-function parseJoinedDate(joinedStr) {
+function parseRelativeJoinedDate(joinedStr, referenceDate) {
+  const year = referenceDate.getFullYear();
+  const month = referenceDate.getMonth();
+  const day = referenceDate.getDate();
+
+  for (const { unit, days, pattern } of RELATIVE_JOINED_PATTERNS) {
+    const match = joinedStr.match(pattern);
+    if (!match) continue;
+    const amount = /^\d+$/.test(match[1]) ? parseInt(match[1], 10) : 1; // "a week ago"
+    if (unit === 'month') return new Date(year, month - amount, day);
+    if (unit === 'year') return new Date(year - amount, month, day);
+    return new Date(year, month, day - amount * days);
+  }
+
+  if (JOINED_TODAY_PATTERN.test(joinedStr)) return new Date(year, month, day);
+  if (JOINED_YESTERDAY_PATTERN.test(joinedStr)) return new Date(year, month, day - 1);
+  return null;
+}
+
+/**
+ * 解析加入日期字串並記錄精確度
+ * @param {string} joinedStr - 加入日期字串
+ * @param {Date} referenceDate - 參考日期（相對時間格式使用）
+ * @returns {{date: Date, precision: 'day'|'month'}|null} 解析結果或 null（解析失敗）
+ */
+function parseJoinedDateInfo(joinedStr, referenceDate = new Date()) {
   if (!joinedStr) return null;
 
+  const relativeDate = parseRelativeJoinedDate(joinedStr, referenceDate);
+  if (relativeDate) return { date: relativeDate, precision: 'day' };
+
   // 提取年份（4 位數字）
   const yearMatch = joinedStr.match(/(\d{4})/);
   if (!yearMatch) return null;
   const year = parseInt(yearMatch[1], 10);
 
-  // 嘗試提取月份
+  // 嘗試提取月份與日期
   let month = null;
+  let day = null;
 
+  // 檢查數字格式（例如: "2024/1/15", "2024-01"）
+  const numericMatch = joinedStr.match(/\d{4}[/.-](\d{1,2})(?:[/.-](\d{1,2}))?/);
   // 檢查 CJK 月份格式（例如: "1月", "12월"）
-  const cjkMonthMatch = joinedStr.match(/(\d{1,2})[月월]/);
-  if (cjkMonthMatch) {
-    month = parseInt(cjkMonthMatch[1], 10) - 1; // 0-indexed
+  const cjkMonthMatch = joinedStr.match(/(\d{1,2})\s*[月월]/);
+  if (numericMatch) {
+    month = parseInt(numericMatch[1], 10) - 1; // 0-indexed
+    if (numericMatch[2]) day = parseInt(numericMatch[2], 10);
+  } else if (cjkMonthMatch) {
+    month = parseInt(cjkMonthMatch[1], 10) - 1;
+    const cjkDayMatch = joinedStr.match(/(\d{1,2})\s*[日일]/);
+    if (cjkDayMatch) day = parseInt(cjkDayMatch[1], 10);
   } else {
-    // 檢查英文月份名稱
+    // 檢查英文月份名稱，日期為年份以外的 1~2 位數字（例如: "January 15, 2024", "15 Jan 2024"）
     const lowerStr = joinedStr.toLowerCase();
     for (const [name, idx] of Object.entries(monthMap)) {
       if (lowerStr.includes(name)) {
@@ -47,39 +95,129 @@ function parseJoinedDate(joinedStr) {
         break;
       }
     }
+    const dayMatch = joinedStr.match(/\b(\d{1,2})(?:st|nd|rd|th)?\b/);
+    if (month !== null && dayMatch) day = parseInt(dayMatch[1], 10);
   }
 
-  if (month === null) return null;
+  if (month === null || month < 0 || month > 11) return null;
 
-  return new Date(year, month, 1);
+  // 日期不存在（例如 2 月 30 日）時只保留年月
+  if (day !== null) {
+    const date = new Date(year, month, day);
+    if (date.getMonth() === month) return { date, precision: 'day' };
+  }
+  return { date: new Date(year, month, 1), precision: 'month' };
 }
 
 /**
- * 判斷用戶是否為新用戶
- * 預設: 2 個月內加入視為新用戶
+ * 解析加入日期字串
+ * 支援格式: "2024年1月", "January 2024", "2024년 1월", "Dec 2024"，
+ * 精確到日的 "2024年1月15日", "January 15, 2024", "2024년 1월 15일"，
+ * 以及相對時間 "Joined 3 weeks ago", "3週間前", "2个月前"
  * @param {string} joinedStr - 加入日期字串
- * @param {number} monthsThreshold - 月份門檻（預設 2）
- * @param {Date} referenceDate - 參考日期（預設為今天）
- * @returns {boolean} 是否為新用戶
+ * @param {Date} referenceDate - 參考日期（相對時間格式使用，預設為今天）
+ * @returns {Date|null} 日期對象或 null（解析失敗；只有年月時為該月 1 日）
+ */
+function parseJoinedDate(joinedStr, referenceDate = new Date()) {
+  const info = parseJoinedDateInfo(joinedStr, referenceDate);
+  return info ? info.date : null;
+}
+
+/**
+ * 判斷加入日期是否在 N 個月內
+ * 只有年月時以月初為門檻（該月任何一天加入都算在門檻內）
+ * @param {{date: Date, precision: string}|null} info - parseJoinedDateInfo 的結果
+ * @param {number} months - 月份門檻
+ * @param {Date} referenceDate - 參考日期
+ * @returns {boolean}
  */
-function isNewUser(joinedStr, monthsThreshold = 2, referenceDate = new Date()) {
-  const joinedDate = parseJoinedDate(joinedStr);
-  if (!joinedDate) return false;
+function isJoinedWithinMonths(info, months, referenceDate) {
+  if (!info) return false;
 
   // 計算門檻日期（往前推 N 個月）
   const thresholdDate = new Date(
     referenceDate.getFullYear(),
-    referenceDate.getMonth() - monthsThreshold,
-    1
+    referenceDate.getMonth() - months,
+    info.precision === 'day' ? referenceDate.getDate() : 1
   );
 
-  return joinedDate >= thresholdDate;
+  return info.date >= thresholdDate;
+}
+
+// 新用戶門檻（月），由 content script / sidepanel 依設定呼叫 setNewUserMonths（見 StorageSchema.NEW_USER_MONTHS_KEY）
+let newUserMonths = 2;
+
+/**
+ * 設定新用戶門檻
+ * @param {number} months - 月份門檻（已正規化）
+ */
+function setNewUserMonths(months) {
+  newUserMonths = months;
+}
+
+/**
+ * 判斷用戶是否為新用戶
+ * 預設: 依新用戶門檻設定（預設 2 個月內加入）
+ * @param {string} joinedStr - 加入日期字串
+ * @param {number} monthsThreshold - 月份門檻（預設為目前設定）
+ * @param {Date} referenceDate - 參考日期（預設為今天）
+ * @returns {boolean} 是否為新用戶
+ */
+function isNewUser(joinedStr, monthsThreshold = newUserMonths, referenceDate = new Date()) {
+  return isJoinedWithinMonths(parseJoinedDateInfo(joinedStr, referenceDate), monthsThreshold, referenceDate);
+}
+
+// 帳號年齡徽章的分級門檻（月）；新用戶門檻以內為 new，其餘依序比對
+const ACCOUNT_AGE_RECENT_MONTHS = 6;   // recent: 未滿半年
+const ACCOUNT_AGE_VETERAN_MONTHS = 12; // veteran: 加入超過 1 年
+
+/**
+ * 取得帳號年齡徽章
+ * @param {string} joinedStr - 加入日期字串
+ * @param {Date} referenceDate - 參考日期（預設為今天）
+ * @returns {{grade: 'new'|'recent'|'veteran', years?: number}|null} 徽章分級（veteran 附帶加入年數），不需顯示時返回 null
+ */
+function getAccountAgeBadge(joinedStr, referenceDate = new Date()) {
+  const info = parseJoinedDateInfo(joinedStr, referenceDate);
+  if (!info) return null;
+
+  if (isJoinedWithinMonths(info, newUserMonths, referenceDate)) return { grade: 'new' };
+  if (isJoinedWithinMonths(info, ACCOUNT_AGE_RECENT_MONTHS, referenceDate)) return { grade: 'recent' };
+  if (isJoinedWithinMonths(info, ACCOUNT_AGE_VETERAN_MONTHS, referenceDate)) return null;
+
+  const months = (referenceDate.getFullYear() - info.date.getFullYear()) * 12 +
+    referenceDate.getMonth() - info.date.getMonth();
+  return { grade: 'veteran', years: Math.max(Math.floor(months / 12), 1) };
+}
+
+/**
+ * 將時間戳轉為相對時間文字（例如「3 小時前」，依 I18n 的語言設定）
+ * @param {number} timestamp - 毫秒時間戳
+ * @param {number} now - 目前時間（預設 Date.now()）
+ * @returns {string|null} 相對時間，沒有時間戳時返回 null
+ */
+function formatElapsedTime(timestamp, now = Date.now()) {
+  if (!timestamp) return null;
+
+  const minutes = Math.floor(Math.max(now - timestamp, 0) / 60000);
+  if (minutes < 1) return I18n.t('elapsedJustNow');
+  if (minutes < 60) return I18n.t('elapsedMinutes', minutes);
+
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return I18n.t('elapsedHours', hours);
+
+  return I18n.t('elapsedDays', Math.floor(hours / 24));
 }
 
 // 匯出給其他模組使用（如果在 content script 中直接使用）
 if (typeof window !== 'undefined') {
   window.DateUtils = {
+    ACCOUNT_AGE_RECENT_MONTHS,
+    ACCOUNT_AGE_VETERAN_MONTHS,
     parseJoinedDate,
-    isNewUser
+    setNewUserMonths,
+    isNewUser,
+    getAccountAgeBadge,
+    formatElapsedTime
   };
 }
@@ -0,0 +1,231 @@
+/**
+ * 介面語言 - 以 _locales 訊息翻譯頁面標籤、彈出視窗與側邊欄
+ * Content script（manifest 載入）、popup、sidepanel 與 Service Worker（代 content script 讀取訊息檔）共用
+ *
+ * 語言在側邊欄設定，與 Threads 介面語言無關；設為 auto 時跟隨瀏覽器語言。
+ * chrome.i18n.getMessage 只能使用瀏覽器語言，因此由 initI18n 自行載入所選語言的 messages.json，
+ * 載入完成前（或訊息檔缺少的鍵）使用 chrome.i18n 的結果。
+ *
+ * 訊息以 $1、$2... 代入參數（與 chrome.i18n.getMessage 相同），$$ 代表 $ 字元。
+ */
+
+// chrome.storage.local 儲存鍵（未設定時為 auto）
+const LANGUAGE_KEY = 'language';
+const AUTO_LANGUAGE = 'auto';
+
+const SUPPORTED_LOCALES = ['zh_TW', 'zh_CN', 'en', 'ja', 'ko'];
+
+// 自動模式下瀏覽器語言不在支援清單時使用的語言
+const FALLBACK_LOCALE = 'en';
+
+// 語言選單顯示的名稱（使用該語言本身的寫法，不隨介面語言翻譯）
+const LOCALE_NATIVE_NAMES = {
+  zh_TW: '繁體中文',
+  zh_CN: '简体中文',
+  en: 'English',
+  ja: '日本語',
+  ko: '한국어'
+};
+
+// <html lang>、日期格式與地區名稱（RegionUtils.getRegionName）使用的語言代碼
+const LOCALE_LANGUAGE_TAGS = {
+  zh_TW: 'zh-TW',
+  zh_CN: 'zh-CN',
+  en: 'en',
+  ja: 'ja',
+  ko: 'ko'
+};
+
+let currentLocale = resolveLocale(AUTO_LANGUAGE);
+let localeMessages = null; // 所選語言的訊息 { key: { message } }，尚未載入時為 null
+const languageChangeListeners = [];
+
+// ==================== 語言設定 ====================
+
+/**
+ * 正規化語言設定（不合法時使用 auto）
+ * @param {string} value - 使用者設定
+ * @returns {string} auto 或 SUPPORTED_LOCALES 之一
+ */
+function normalizeLanguage(value) {
+  return SUPPORTED_LOCALES.includes(value) ? value : AUTO_LANGUAGE;
+}
+
+/**
+ * 將語言設定轉為實際使用的語言
+ * @param {string} language - 已正規化的語言設定
+ * @returns {string} SUPPORTED_LOCALES 之一
+ */
+function resolveLocale(language) {
+  if (SUPPORTED_LOCALES.includes(language)) return language;
+
+  const uiLanguage = (chrome.i18n.getUILanguage() || '').toLowerCase();
+  // 香港、澳門與標示繁體的中文使用繁體中文，其餘中文使用簡體中文
+  if (/^zh-(tw|hk|mo|hant)/.test(uiLanguage)) return 'zh_TW';
+  if (uiLanguage.startsWith('zh')) return 'zh_CN';
+
+  const baseLanguage = uiLanguage.split('-')[0];
+  return SUPPORTED_LOCALES.includes(baseLanguage) ? baseLanguage : FALLBACK_LOCALE;
+}
+
+/**
+ * 讀取擴充功能內的訊息檔（擴充功能頁面與 Service Worker 使用）
+ * @param {string} locale - SUPPORTED_LOCALES 之一
+ * @returns {Promise<Object>} messages.json 內容
+ */
+async function fetchLocaleMessages(locale) {
+  if (!SUPPORTED_LOCALES.includes(locale)) {
+    throw new Error(`不支援的語言: ${locale}`);
+  }
+  const response = await fetch(chrome.runtime.getURL(`_locales/${locale}/messages.json`));
+  if (!response.ok) {
+    throw new Error(`讀取訊息檔失敗: HTTP ${response.status}`);
+  }
+  return response.json();
+}
+
+/**
+ * 載入訊息檔（content script 無法直接讀取擴充功能檔案，改由 Service Worker 代為讀取）
+ * @param {string} locale - SUPPORTED_LOCALES 之一
+ * @returns {Promise<Object>} messages.json 內容
+ */
+async function loadLocaleMessages(locale) {
+  if (location.protocol === 'chrome-extension:') {
+    return fetchLocaleMessages(locale);
+  }
+  const response = await chrome.runtime.sendMessage({ action: 'getLocaleMessages', locale: locale });
+  if (!response || !response.success) {
+    throw new Error((response && response.error) || '讀取訊息檔失敗');
+  }
+  return response.messages;
+}
+
+/**
+ * 切換語言並通知 onLanguageChange 註冊的函數
+ * @param {string} language - 語言設定（auto 或 SUPPORTED_LOCALES 之一）
+ * @returns {Promise<void>}
+ */
+async function setLanguage(language) {
+  const locale = resolveLocale(normalizeLanguage(language));
+  try {
+    localeMessages = await loadLocaleMessages(locale);
+    currentLocale = locale;
+  } catch (error) {
+    // 載入失敗時沿用 chrome.i18n（瀏覽器語言）
+    console.error('[I18n] 載入語言失敗:', locale, error);
+    localeMessages = null;
+  }
+  languageChangeListeners.forEach(listener => listener(currentLocale));
+}
+
+/**
+ * 載入已儲存的語言設定，之後在側邊欄變更時自動切換
+ * @returns {Promise<void>}
+ */
+async function initI18n() {
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'local' || !changes[LANGUAGE_KEY]) return;
+    setLanguage(changes[LANGUAGE_KEY].newValue);
+  });
+
+  const result = await chrome.storage.local.get([LANGUAGE_KEY]);
+  await setLanguage(result[LANGUAGE_KEY]);
+}
+
+/**
+ * 取得目前使用的語言
+ * @returns {string} SUPPORTED_LOCALES 之一
+ */
+function getCurrentLocale() {
+  return currentLocale;
+}
+
+/**
+ * 註冊語言切換後要執行的函數（重新繪製動態產生的文字）
+ * @param {Function} listener - 參數為新的語言
+ */
+function onLanguageChange(listener) {
+  languageChangeListeners.push(listener);
+}
+
+// ==================== 翻譯 ====================
+
+/**
+ * 取得翻譯後的訊息
+ * @param {string} key - 訊息鍵
+ * @param {...*} substitutions - 代入 $1、$2... 的值
+ * @returns {string} 訊息，找不到時返回鍵名
+ */
+function translate(key, ...substitutions) {
+  const entry = localeMessages && localeMessages[key];
+  if (!entry) {
+    return chrome.i18n.getMessage(key, substitutions.map(String)) || key;
+  }
+  return entry.message.replace(/\$(\d)|\$\$/g, (match, index) => {
+    if (!index) return '$';
+    const value = substitutions[Number(index) - 1];
+    return value === undefined || value === null ? '' : String(value);
+  });
+}
+
+/**
+ * 翻譯頁面上標記的元素
+ * - data-i18n:             textContent
+ * - data-i18n-title:       title
+ * - data-i18n-placeholder: placeholder
+ * @param {ParentNode} root - 範圍（預設 document）
+ */
+function translateDocument(root = document) {
+  root.querySelectorAll('[data-i18n]').forEach(element => {
+    element.textContent = translate(element.dataset.i18n);
+  });
+  root.querySelectorAll('[data-i18n-title]').forEach(element => {
+    element.title = translate(element.dataset.i18nTitle);
+  });
+  root.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+    element.placeholder = translate(element.dataset.i18nPlaceholder);
+  });
+  if (root === document) {
+    document.documentElement.lang = LOCALE_LANGUAGE_TAGS[currentLocale];
+  }
+}
+
+/**
+ * 取得地區的顯示名稱（依目前語言，從標準地區代碼查詢）
+ * @param {string|null} region - 正規化後的地區名稱（英文）、「未揭露」或「查詢失敗」
+ * @returns {string|null} 顯示名稱，不在對照表中時返回原始值
+ */
+function getRegionDisplayName(region) {
+  if (!region) return region;
+  if (region === '未揭露') return translate('regionUndisclosed');
+  if (region === '查詢失敗') return translate('regionQueryFailed');
+
+  const code = RegionUtils.getRegionCode(region);
+  return (code && RegionUtils.getRegionName(code, LOCALE_LANGUAGE_TAGS[currentLocale])) || region;
+}
+
+/**
+ * 以目前語言格式化日期時間
+ * @param {number} timestamp - 毫秒時間戳
+ * @returns {string}
+ */
+function formatDateTime(timestamp) {
+  return new Date(timestamp).toLocaleString(LOCALE_LANGUAGE_TAGS[currentLocale]);
+}
+
+// 暴露給全域（content script / 擴充頁面中 self 即 window；Service Worker 中為全域 scope）
+self.I18n = {
+  STORAGE_KEY: LANGUAGE_KEY,
+  AUTO: AUTO_LANGUAGE,
+  LOCALES: SUPPORTED_LOCALES,
+  NATIVE_NAMES: LOCALE_NATIVE_NAMES,
+  normalize: normalizeLanguage,
+  fetchMessages: fetchLocaleMessages,
+  init: initI18n,
+  onChange: onLanguageChange,
+  getLocale: getCurrentLocale,
+  t: translate,
+  translateDocument: translateDocument,
+  getRegionName: getRegionDisplayName,
+  formatDateTime: formatDateTime
+};
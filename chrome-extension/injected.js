@@ -258,6 +258,19 @@ function extractProfileInfo(obj, result = {}) {
   return result;
 }
 
+/**
+ * 解析先前的用戶名稱欄位（例如 "old_name_1, old_name_2"）
+ * 只顯示數量時（例如 "2"）沒有名稱可保存，返回空陣列
+ * @param {string} value - 欄位文字
+ * @returns {string[]} 用戶名稱（不含 @ 符號）
+ */
+function parseFormerUsernames(value) {
+  return String(value)
+    .split(/[\s,，、]+/)
+    .map(name => name.replace(/^@/, ''))
+    .filter(name => /^[\w.]+$/.test(name) && !/^\d+$/.test(name));
+}
+
 /**
  * 解析 profile API 回應
  */
@@ -281,9 +294,13 @@ function parseProfileResponse(responseText) {
       const locationLabels = ['Based in', '所在地點', '所在地', '위치', '거주지'];
       const verifiedLabels = ['Verified by Meta', 'Meta 驗證', 'Meta 验证', 'Metaにより認証', 'Meta 인증'];
       const nameLabels = ['Name', '名稱', '名前', '이름'];
-      const formerUsernameLabels = ['Former usernames', 'Previous usernames', '先前的用戶名稱', '先前的使用者名稱', '以前のユーザーネーム'];
+      const formerUsernameLabels = ['Former usernames', 'Previous usernames', '先前的用戶名稱', '先前的使用者名稱', '以前的用户名', '以前のユーザーネーム', '이전 사용자 이름'];
+
+      // 先前的用戶名稱另外保存（沒有此欄位表示未曾改名）
+      const formerUsernamePair = pairs.find(p => formerUsernameLabels.includes(p.label));
+      profileInfo.formerUsernames = formerUsernamePair ? parseFormerUsernames(formerUsernamePair.value) : [];
 
-      // 過濾掉 name 和 former username 欄位
+      // 過濾掉 name 和 former username 欄位（避免被誤判為加入日期或地點）
       const relevantPairs = pairs.filter(p =>
         !nameLabels.includes(p.label) && !formerUsernameLabels.includes(p.label)
       );
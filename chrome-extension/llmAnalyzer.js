@@ -1,140 +1,204 @@
 /**
- * LLM 分析器 - 使用本機 LLM 進行用戶 Profile 分析
- * 提供 Chrome Prompt API 可用性檢查
- * 提供用戶社群發文風格分析功能
+ * LLM 分析器 - 用戶 Profile 分析
+ * 提供用戶社群發文風格分析功能，模型呼叫透過 llmProviders.js 的供應商轉接層
+ *
+ * 本機與遠端模型都以同一份 JSON Schema（PROFILE_RESULT_SCHEMA）要求結構化輸出，
+ * 回應經 validateProfileResult 檢查，不符合時附上錯誤說明請模型修正（最多 PROFILE_REPAIR_ATTEMPTS 次）。
+ * 分析結果為 StorageSchema.ProfileTag 陣列：{ tag, reason, evidence, confidence }
+ *
+ * 貼文與回覆逐則編號（p1、p2…／r1、r2…）後交給模型，模型以編號標明引述出自哪一則，
+ * 驗證時確認引述確實出自該則貼文，並換成貼文網址與時間存入 evidence，供資料卡連回原文。
+ *
+ * 標籤清單、關鍵字、數量限制與提示詞範本來自使用者的分類設定（見 profileTaxonomy.js），
+ * 分類中標記為需要引述的標籤，沒有可對應原文的引述時不採用。
  */
 
-// ==================== LLM 配置 ====================
-const OPENAI_MODEL_NAME = 'gpt-4o-mini'; // OpenAI 模型名稱
+const PROFILE_MAX_EVIDENCE = 3;
+// 貼文與回覆各自的輸入長度上限（字元）
+const PROFILE_MAX_INPUT_LENGTH = 4096;
+// 輸出不符合格式時，請模型修正的次數上限（不含第一次）
+const PROFILE_REPAIR_ATTEMPTS = 2;
+
+// 分析結果的 JSON Schema（OpenAI strict 模式不支援 maxItems、minimum 等限制，改由 validateProfileResult 檢查）
+const PROFILE_RESULT_SCHEMA = {
+  type: 'object',
+  properties: {
+    tags: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          tag: { type: 'string', description: '標籤名稱' },
+          reason: { type: 'string', description: '判斷理由' },
+          evidence: {
+            type: 'array',
+            description: '支持判斷的原文引述',
+            items: {
+              type: 'object',
+              properties: {
+                postId: { type: 'string', description: '引述的貼文編號，例如 p1、r2' },
+                quote: { type: 'string', description: '逐字摘錄的原文' }
+              },
+              required: ['postId', 'quote'],
+              additionalProperties: false
+            }
+          },
+          confidence: { type: 'number', description: '信心程度 0 ~ 1' }
+        },
+        required: ['tag', 'reason', 'evidence', 'confidence'],
+        additionalProperties: false
+      }
+    }
+  },
+  required: ['tags'],
+  additionalProperties: false
+};
+
+// ==================== 輸入整理 ====================
 
 /**
- * 從 chrome.storage 讀取是否使用本地 LLM
- * @returns {Promise<boolean>}
+ * 將貼文逐則編號並組成提示詞內容
+ * 依頁面順序加入，超過長度上限時截斷最後一則並略過其餘貼文
+ * @param {SocialPost[]} posts - 貼文（content.js 的 extractPostsFromDocument）
+ * @param {string} prefix - 編號前綴（p = 貼文、r = 回覆）
+ * @param {Object} postIndex - 編號 → SocialPost，加入的貼文會記錄在這裡
+ * @returns {string} 提示詞內容，沒有貼文時為空字串
  */
-async function getUseLocalLLM() {
-  return new Promise((resolve) => {
-    chrome.storage.local.get(['useLocalLLM'], (result) => {
-      resolve(result.useLocalLLM === true);
-    });
-  });
+function formatPostsForPrompt(posts, prefix, postIndex) {
+  const blocks = [];
+  let remaining = PROFILE_MAX_INPUT_LENGTH;
+
+  for (const post of posts || []) {
+    if (remaining <= 0) break;
+    if (!post || !post.text) continue;
+
+    const postId = `${prefix}${blocks.length + 1}`;
+    const text = post.text.substring(0, remaining);
+    remaining -= text.length;
+    postIndex[postId] = { ...post, text };
+
+    const header = [`[${postId}]`, post.author, post.postedAt].filter(Boolean).join(' ');
+    blocks.push(`${header}\n${text}`);
+  }
+
+  return blocks.join('\n\n');
 }
 
+// ==================== 結果驗證 ====================
+
 /**
- * 從 chrome.storage 讀取 OpenAI API Key
- * @returns {Promise<string|null>}
+ * 去除空白後比對，避免模型引述時調整換行或空格就被判定為不在原文中
+ * @param {string} text
+ * @returns {string}
  */
-async function getOpenAIApiKey() {
-  return new Promise((resolve) => {
-    chrome.storage.local.get(['openaiApiKey'], (result) => {
-      resolve(result.openaiApiKey || null);
-    });
-  });
+function compactWhitespace(text) {
+  return String(text).replace(/\s+/g, '');
 }
 
-const LLM_SYSTEM_PROMPT = '會依照用戶過去的社群回覆與發文，產出用戶profile標籤的分析程式';
-const TAG_SAMPLE="生活帳,生活日常,情緒宣洩,憤世抱怨,攻擊發言,酸言酸語,政治帳,立場鮮明,易怒,惡意嘲諷,人身攻擊,溫暖陪伴,真誠分享,情感支持,理性討論,仇恨言論,觀點交流,社會關懷,同理傾聽,價值探索,個人成長";
-const UF_KEYWORD="憨鳥,萊爾賴,萊爾校長,綠共,青鳥真是腦殘,賴皮寮,氫鳥,賴清德戒嚴,賴清德獨裁,賴喪,冥禁黨,賴功德"
-// ==================== 可用性檢查 ====================
-
 /**
- * 檢查本機 LLM 是否可用
- * @returns {Promise<{available: boolean, status: string, error?: string}>}
+ * 檢查分析結果是否符合 PROFILE_RESULT_SCHEMA 與標籤規則
+ * 不符合的標籤會被略過、找不到出處的引述會被移除，並記錄在 errors（供修正提示使用）
+ * @param {*} data - JSON.parse 後的模型輸出
+ * @param {Object} [postIndex] - 編號 → SocialPost（提供時檢查引述是否出自該則貼文，並補上網址與時間）
+ * @param {ProfileTaxonomy} [taxonomy] - 分類設定（數量限制與需要引述的標籤，預設為內建分類）
+ * @returns {{tags: ProfileTag[], errors: string[]}} 通過檢查的標籤與錯誤說明
  */
-async function checkLLMAvailability() {
-  try {
-    // 檢查 Prompt API 是否存在
-    if (typeof LanguageModel === 'undefined') {
-      return {
-        available: false,
-        status: 'unavailable',
-        error: 'Prompt API not available. Please use Chrome 127+.'
-      };
-    }
-
-    console.log('[LLM] Checking availability...');
-    const availability = await LanguageModel.availability();
-    console.log('[LLM] Availability:', availability);
-
-    if (availability === 'unavailable') {
-      return {
-        available: false,
-        status: 'unavailable',
-        error: 'On-device model is not available. Check hardware requirements.'
-      };
-    }
-
-    return {
-      available: true,
-      status: availability // 'available', 'downloading', or 'downloadable'
-    };
-  } catch (error) {
-    console.error('[LLM] ❌ Availability check error:', error);
-    return {
-      available: false,
-      status: 'error',
-      error: error.message
-    };
+function validateProfileResult(data, postIndex, taxonomy = ProfileTaxonomy.normalize(null)) {
+  if (!data || typeof data !== 'object' || !Array.isArray(data.tags)) {
+    return { tags: [], errors: ['輸出必須是含有 tags 陣列的 JSON 物件'] };
   }
-}
 
-// ==================== OpenAI API 呼叫 ====================
+  const errors = [];
+  const tags = [];
+  const { maxTags, maxTagLength } = taxonomy;
+  const evidenceTags = new Set(taxonomy.tags.filter(item => item.requiresEvidence).map(item => item.name));
 
-/**
- * 呼叫 OpenAI API
- * @param {string} systemPrompt - 系統提示詞
- * @param {string} userPrompt - 用戶提示詞
- * @returns {Promise<{success: boolean, content?: string, error?: string}>}
- */
-async function callOpenAI(systemPrompt, userPrompt) {
-  try {
-    const apiKey = await getOpenAIApiKey();
+  if (data.tags.length === 0) errors.push('tags 至少要有一個標籤');
+  if (data.tags.length > maxTags) errors.push(`tags 最多 ${maxTags} 個，目前有 ${data.tags.length} 個`);
 
-    if (!apiKey) {
-      throw new Error('OpenAI API Key 未設定，請在進階功能中設定');
+  data.tags.slice(0, maxTags).forEach((item, index) => {
+    const position = `tags[${index}]`;
+    if (!item || typeof item !== 'object') {
+      errors.push(`${position} 必須是物件`);
+      return;
+    }
+    const tag = typeof item.tag === 'string' ? item.tag.trim() : '';
+    if (!tag) {
+      errors.push(`${position}.tag 不可為空`);
+      return;
+    }
+    if (tag.length > maxTagLength) {
+      errors.push(`${position}.tag「${tag}」超過 ${maxTagLength} 個字`);
+      return;
+    }
+    if (tags.some(existing => existing.tag === tag)) {
+      errors.push(`${position}.tag「${tag}」重複`);
+      return;
+    }
+    if (typeof item.reason !== 'string') errors.push(`${position}.reason 必須是字串`);
+    if (typeof item.confidence !== 'number' || item.confidence < 0 || item.confidence > 1) {
+      errors.push(`${position}.confidence 必須是 0 到 1 之間的數字`);
     }
 
-    const response = await fetch('https://api.openai.com/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${apiKey}`
-      },
-      body: JSON.stringify({
-        model: OPENAI_MODEL_NAME,
-        messages: [
-          { role: 'system', content: systemPrompt },
-          { role: 'user', content: userPrompt }
-        ],
-        max_completion_tokens: 2048
-      })
-    });
-
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      var errorMessage = (errorData.error && errorData.error.message) || response.statusText;
-      throw new Error('OpenAI API 錯誤: ' + response.status + ' - ' + errorMessage);
+    const evidence = [];
+    if (!Array.isArray(item.evidence)) {
+      errors.push(`${position}.evidence 必須是陣列`);
+    } else {
+      if (item.evidence.length > PROFILE_MAX_EVIDENCE) {
+        errors.push(`${position}.evidence 最多 ${PROFILE_MAX_EVIDENCE} 則`);
+      }
+      item.evidence.slice(0, PROFILE_MAX_EVIDENCE).forEach((entry, evidenceIndex) => {
+        const evidencePosition = `${position}.evidence[${evidenceIndex}]`;
+        if (!entry || typeof entry.quote !== 'string' || !entry.quote.trim()) {
+          errors.push(`${evidencePosition}.quote 不可為空`);
+          return;
+        }
+        if (!postIndex) {
+          evidence.push({ quote: entry.quote });
+          return;
+        }
+        const post = postIndex[entry.postId];
+        if (!post) {
+          errors.push(`${evidencePosition}.postId「${entry.postId}」不是提供的貼文編號`);
+        } else if (!compactWhitespace(post.text).includes(compactWhitespace(entry.quote))) {
+          errors.push(`${evidencePosition}.quote「${entry.quote.trim()}」不在 ${entry.postId} 中，請逐字引述`);
+        } else {
+          evidence.push({ quote: entry.quote, postId: post.id, url: post.url, postedAt: post.postedAt });
+        }
+      });
     }
 
-    const data = await response.json();
-    //console.log('[OpenAI] API 回應:', JSON.stringify(data, null, 2));
+    // 需要引述的標籤沒有可對應原文的引述時不採用
+    if (evidenceTags.has(tag) && evidence.length === 0) {
+      errors.push(`${position}.tag「${tag}」必須在 evidence 逐字引述支持判斷的原文`);
+      return;
+    }
 
-    var content = data.choices && data.choices[0] && data.choices[0].message && data.choices[0].message.content;
+    tags.push(StorageSchema.createProfileTag(tag, item.reason, evidence, item.confidence));
+  });
 
-    if (!content) {
-      console.error('[OpenAI] 回應中沒有 content，完整回應:', data);
-      throw new Error('OpenAI API 回應格式錯誤');
-    }
+  return { tags, errors };
+}
 
-    return {
-      success: true,
-      content: content.trim()
-    };
+/**
+ * 解析模型輸出的 JSON 並檢查內容
+ * 容許前後多餘的文字或 markdown 標記（部分本機模型不支援結構化輸出）
+ * @param {string} text - 模型輸出
+ * @param {Object} [postIndex] - 編號 → SocialPost
+ * @param {ProfileTaxonomy} [taxonomy] - 分類設定
+ * @returns {{tags: ProfileTag[], errors: string[]}}
+ */
+function parseProfileResult(text, postIndex, taxonomy) {
+  const start = typeof text === 'string' ? text.indexOf('{') : -1;
+  const end = typeof text === 'string' ? text.lastIndexOf('}') : -1;
+  if (start === -1 || end < start) {
+    return { tags: [], errors: ['輸出不是 JSON 物件'] };
+  }
+
+  try {
+    return validateProfileResult(JSON.parse(text.substring(start, end + 1)), postIndex, taxonomy);
   } catch (error) {
-    console.error('[OpenAI] ❌ Error:', error);
-    return {
-      success: false,
-      error: error.message
-    };
+    return { tags: [], errors: [`JSON 格式錯誤：${error.message}`] };
   }
 }
 
@@ -143,32 +207,30 @@ async function callOpenAI(systemPrompt, userPrompt) {
 /**
  * 分析用戶 Profile
  * 根據用戶的社群貼文和回覆內容，生成描述用戶風格的標籤
- * @param {string} socialPostContent - 用戶的貼文內容（可選）
- * @param {string} socialReplyContent - 用戶的回覆內容（可選）
+ * @param {string} account - 分析的用戶帳號（帶 @ 符號，用於區分回覆頁面中他人的原貼文）
+ * @param {SocialPost[]} userPosts - 用戶的貼文（可為空陣列）
+ * @param {SocialPost[]} userReplies - 用戶回覆頁面的貼文（可為空陣列）
  * @param {function} onProgress - 下載進度回調函數（可選）
- * @returns {Promise<{success: boolean, tags?: string, error?: string}>}
+ * @returns {Promise<{success: boolean, tags?: ProfileTag[], error?: string, attempts?: number, errors?: string[]}>}
+ *   attempts 為呼叫模型的次數（1 = 第一次輸出就符合格式）；errors 為最後一次輸出仍未通過的檢查（離線評估使用）
  */
-async function analyzeUserProfile(socialPostContent, socialReplyContent, onProgress = null) {
+async function analyzeUserProfile(account, userPosts, userReplies, onProgress = null) {
   try {
-    // 輸入長度限制：取前 4096 個字元
-    const MAX_INPUT_LENGTH = 4096;
-    if (socialPostContent) {
-      socialPostContent = socialPostContent.substring(0, MAX_INPUT_LENGTH);
-    }
-    if (socialReplyContent) {
-      socialReplyContent = socialReplyContent.substring(0, MAX_INPUT_LENGTH);
-    }
+    // 逐則編號，模型以編號標明引述出處
+    const postIndex = {};
+    const postContent = formatPostsForPrompt(userPosts, 'p', postIndex);
+    const replyContent = formatPostsForPrompt(userReplies, 'r', postIndex);
 
     // 構建用戶提示詞
     let socialPostTypeString = '';
     let socialContent = '';
 
-    if (socialPostContent) {
+    if (postContent) {
       socialPostTypeString += '貼文';
-      socialContent += '\n\n作者本人貼文:\n' + socialPostContent;
+      socialContent += '\n\n作者本人貼文:\n' + postContent;
     }
 
-    if (socialReplyContent) {
+    if (replyContent) {
       if(socialContent.length > 0) {
         socialPostTypeString += '與';
       }
@@ -177,7 +239,7 @@ async function analyzeUserProfile(socialPostContent, socialReplyContent, onProgr
         socialPostTypeString += '回覆他人的貼文';
       }
 
-      socialContent += '\n\n作者回覆他人的貼文:\n' + socialReplyContent;
+      socialContent += '\n\n作者回覆他人的貼文（含被回覆的原貼文，作者不是 ' + account + ' 的只作為上下文）:\n' + replyContent;
     }
 
     // 如果沒有任何內容，返回錯誤
@@ -188,153 +250,68 @@ async function analyzeUserProfile(socialPostContent, socialReplyContent, onProgr
       };
     }
 
-  const useLocalLLM = await getUseLocalLLM();
-
-  const userPromptAPILLm="只有當標註『人身攻擊、仇恨言論、統戰言論』，這三個標注，要提供完整的理由，包括是依據使用者哪一個發言或回覆。如果有大量使用到統戰用語（"+UF_KEYWORD+"），或是強化中國併吞台灣的正當性論述，削弱台灣的國家意識，請標注『統戰言論』。\n 重要：請直接輸出 JSON 格式，不要加任何前綴文字或 markdown 標記。格式為：{\"tags\":[{\"tag\":\"標籤名\",\"reason\":\"理由\"}]}。範例：{\"tags\":[{\"tag\":\"生活帳\",\"reason\":\"分享日常瑣事\"},{\"tag\":\"情緒宣洩\",\"reason\":\"常抱怨工作\"}]}。只能用繁體中文，每個標籤2-5個字。";
+    const llmConfig = await LLMProviders.getConfig();
+    const taxonomy = await ProfileTaxonomy.load();
+    // Chrome 內建模型較小，使用 local 範本（預設不使用需要引述的標籤）
+    const useLocalLLM = llmConfig.provider === 'chrome';
+    const prompt = ProfileTaxonomy.renderPrompt(taxonomy, socialPostTypeString, useLocalLLM);
 
-   const userPromptLocalLLm="不要使用『人身攻擊、仇恨言論、統戰言論』標籤。只需要輸出標籤的結果，每個標籤間用逗號分隔。例如：「生活帳,情緒宣洩」。只能用繁體中文，每個標籤2-5個字.";
+    const userPromptOutput = '\n 重要：請直接輸出 JSON 格式，不要加任何前綴文字或 markdown 標記。格式為：' +
+      '{"tags":[{"tag":"標籤名","reason":"理由","evidence":[{"postId":"p1","quote":"原文引述"}],"confidence":0.8}]}。' +
+      'reason 說明判斷理由；evidence 逐字摘錄 1-' + PROFILE_MAX_EVIDENCE + ' 句支持判斷的原文，postId 填該句所在貼文開頭方括號內的編號；confidence 為 0 到 1 的信心程度。' +
+      '最多 ' + taxonomy.maxTags + ' 個標籤，每個標籤最多 ' + taxonomy.maxTagLength + ' 個字。';
 
-    const userPromptFinal = '請參考以下所提供的' + socialPostTypeString +
-      ', 依內容數量排序, 提供五個最貼切描述該用戶社群帳號展現出的風格的標籤 (舉例但不限這些: '+TAG_SAMPLE+'..). '+ ( useLocalLLM ? userPromptLocalLLm : userPromptAPILLm) + '\n\n\n' +
-      socialContent;
+    const userPromptFinal = prompt.user + userPromptOutput + '\n\n\n' + socialContent;
 
     // 印出完整 Prompt
-    // console.log(`[LLM] 完整 Prompt:\n=== System ===\n${LLM_SYSTEM_PROMPT}\n=== User ===\n${userPromptFinal}`);
-
-    let fullResponse = '';
-
-
-
-    if (useLocalLLM) {
-      // ==================== 使用本地 LLM ====================
-      // 先檢查可用性
-      const availabilityResult = await checkLLMAvailability();
-
-      if (!availabilityResult.available) {
-        throw new Error(availabilityResult.error);
-      }
-
-      const availability = availabilityResult.status;
-
-      const sessionOptions = {
-        initialPrompts: [
-          { role: 'system', content: LLM_SYSTEM_PROMPT },
-          { role: 'user', content: userPromptFinal }
-        ]
-      };
-
-      // 下載進度監控
-      if (availability === 'downloading' || availability === 'downloadable') {
-        console.log('[LLM] Model downloading...');
-        sessionOptions.monitor = (monitor) => {
-          monitor.addEventListener('downloadprogress', (e) => {
-            const progress = Math.round(e.loaded * 100);
-            console.log(`[LLM] Download progress: ${progress}%`);
-
-            // 如果有提供進度回調，則調用
-            if (onProgress && typeof onProgress === 'function') {
-              onProgress(progress);
-            }
-          });
-        };
-      }
-
-      console.log('[LLM] Creating session...');
-      const session = await LanguageModel.create(sessionOptions);
-
-      console.log('[LLM] Generating response...');
-      const stream = session.promptStreaming('請開始');
-
-      for await (const chunk of stream) {
-        fullResponse += chunk;
-      }
-    } else {
-      // ==================== 使用 OpenAI API ====================
-      console.log('[OpenAI] Calling OpenAI API...');
-      const openAIResult = await callOpenAI(LLM_SYSTEM_PROMPT, userPromptFinal);
-
-      if (!openAIResult.success) {
-        throw new Error(openAIResult.error);
-      }
-
-      fullResponse = openAIResult.content;
+    // console.log(`[LLM] 完整 Prompt:\n=== System ===\n${prompt.system}\n=== User ===\n${userPromptFinal}`);
+
+    console.log(`[LLM] 使用 ${llmConfig.provider}${llmConfig.model ? ` (${llmConfig.model})` : ''} 分析...`);
+    const messages = [
+      { role: 'system', content: prompt.system },
+      { role: 'user', content: userPromptFinal }
+    ];
+    let result = null;
+    let attempts = 0;
+
+    for (let attempt = 0; attempt <= PROFILE_REPAIR_ATTEMPTS; attempt++) {
+      attempts++;
+      const fullResponse = await LLMProviders.prompt(messages, {
+        schema: PROFILE_RESULT_SCHEMA,
+        onDownloadProgress: onProgress
+      }, llmConfig);
+
+      console.log('[LLM] ✅ Generation completed.');
+      console.log('====================');
+      console.log(fullResponse);
+      console.log('====================');
+
+      result = parseProfileResult(fullResponse, postIndex, taxonomy);
+      if (result.errors.length === 0) break;
+
+      console.warn(`[LLM] 輸出不符合格式（第 ${attempt + 1} 次）:`, result.errors);
+      // 附上模型的輸出與錯誤說明，請模型修正後重新輸出
+      messages.push(
+        { role: 'assistant', content: fullResponse },
+        { role: 'user', content: '上面的輸出有以下問題：\n- ' + result.errors.join('\n- ') + '\n請修正後重新輸出完整的 JSON，不要加任何其他文字。' }
+      );
     }
 
-    console.log('[LLM] ✅ Generation completed.');
-    console.log('====================');
-    console.log(fullResponse);
-    console.log('====================');
-
-    const MAX_TAGS = 5;
-    const MAX_TAG_LENGTH = 6;
-    let tagEntries = [];
-
-    if (useLocalLLM) {
-      // 本地 LLM：維持原本的「標籤:理由」格式解析
-      tagEntries = fullResponse.trim()
-        .split(/[,]/)
-        .map(entry => {
-          const trimmed = entry.trim();
-          const colonIndex = trimmed.indexOf(':') !== -1 ? trimmed.indexOf(':') : trimmed.indexOf('：');
-          if (colonIndex > 0) {
-            const tag = trimmed.substring(0, colonIndex).trim();
-            const reason = trimmed.substring(colonIndex + 1).trim();
-            return { tag, reason };
-          }
-          // 如果沒有冒號，整個當作標籤
-          return { tag: trimmed, reason: '' };
-        })
-        .filter(entry => entry.tag.length > 0 && entry.tag.length < MAX_TAG_LENGTH)
-        .slice(0, MAX_TAGS);
-    } else {
-      // OpenAI API：解析 JSON 格式
-      try {
-        // 移除可能的 markdown 標記
-        let jsonStr = fullResponse.trim();
-        if (jsonStr.startsWith('```json')) {
-          jsonStr = jsonStr.replace(/^```json\s*/, '').replace(/\s*```$/, '');
-        } else if (jsonStr.startsWith('```')) {
-          jsonStr = jsonStr.replace(/^```\s*/, '').replace(/\s*```$/, '');
-        }
-
-        const parsed = JSON.parse(jsonStr);
-        if (parsed.tags && Array.isArray(parsed.tags)) {
-          tagEntries = parsed.tags
-            .map(item => ({
-              tag: (item.tag || '').trim(),
-              reason: (item.reason || '').trim()
-            }))
-            .filter(entry => entry.tag.length > 0 && entry.tag.length < MAX_TAG_LENGTH)
-            .slice(0, MAX_TAGS);
-        }
-      } catch (jsonError) {
-        console.warn('[LLM] JSON 解析失敗，嘗試使用舊格式解析:', jsonError);
-        // fallback：使用舊的解析方式
-        tagEntries = fullResponse.trim()
-          .split(/[,]/)
-          .map(entry => {
-            const trimmed = entry.trim();
-            const colonIndex = trimmed.indexOf(':') !== -1 ? trimmed.indexOf(':') : trimmed.indexOf('：');
-            if (colonIndex > 0) {
-              const tag = trimmed.substring(0, colonIndex).trim();
-              const reason = trimmed.substring(colonIndex + 1).trim();
-              return { tag, reason };
-            }
-            return { tag: trimmed, reason: '' };
-          })
-          .filter(entry => entry.tag.length > 0 && entry.tag.length < MAX_TAG_LENGTH)
-          .slice(0, MAX_TAGS);
-      }
+    // 修正次數用完仍有錯誤時，保留通過檢查的標籤；一個都沒有才視為失敗
+    if (result.tags.length === 0) {
+      return {
+        success: false,
+        error: 'LLM 輸出不符合格式：' + result.errors.join('；'),
+        attempts: attempts,
+        errors: result.errors
+      };
     }
 
-    // 組合成「標籤:理由」格式的字串
-    const processedTags = tagEntries
-      .map(entry => entry.reason ? `${entry.tag}:${entry.reason}` : entry.tag)
-      .join(',');
-
     return {
       success: true,
-      tags: processedTags
+      tags: result.tags,
+      attempts: attempts,
+      errors: result.errors
     };
 
   } catch (error) {
@@ -346,8 +323,10 @@ async function analyzeUserProfile(socialPostContent, socialReplyContent, onProgr
   }
 }
 
-// ==================== 導出為全域函數（供 sidepanel 和 popup 使用）====================
-if (typeof window !== 'undefined') {
-  window.checkLLMAvailability = checkLLMAvailability;
-  window.analyzeUserProfile = analyzeUserProfile;
-}
+// ==================== 導出（供 sidepanel 和 popup 使用）====================
+self.LLMAnalyzer = {
+  PROFILE_RESULT_SCHEMA: PROFILE_RESULT_SCHEMA,
+  validateProfileResult: validateProfileResult,
+  parseProfileResult: parseProfileResult,
+  analyzeUserProfile: analyzeUserProfile
+};
@@ -0,0 +1,443 @@
+/**
+ * LLM 供應商 - 用戶側寫分析使用的模型轉接層
+ * sidepanel 與 popup 使用（位於 storageSchema.js 之後、llmAnalyzer.js 之前載入）
+ *
+ * 每個供應商實作相同的介面：
+ * - checkAvailability(config): 檢查是否可用，回傳 { available, status, error? }
+ * - prompt(config, messages, options): 回傳完整的回應文字
+ * - stream(config, messages, options): 逐段產生回應文字（async iterator）
+ *
+ * config 為 { provider, baseUrl, model, apiKey }（由 getConfig 依設定組成）；
+ * messages 為 [{ role: 'system' | 'user' | 'assistant', content }]，最後一則必須是 user；
+ * options：
+ * - schema: JSON Schema，要求結構化輸出（回應一律為符合 schema 的 JSON 字串）
+ * - maxTokens: 回應長度上限
+ * - onDownloadProgress: Chrome 內建模型下載進度回調（0-100）
+ *
+ * 內建的供應商：
+ * - chrome:    Chrome 內建模型（LanguageModel），結構化輸出使用 responseConstraint
+ * - openai:    OpenAI 相容的 Chat Completions API，結構化輸出使用 response_format: json_schema；
+ *              端點可改為 Ollama（http://localhost:11434/v1）、llama.cpp server 等本機伺服器，本機伺服器不需要 API Key
+ * - anthropic: Anthropic Messages API，結構化輸出以強制呼叫的工具（tool_use）取得
+ *
+ * 自訂端點需要對應網域的權限（manifest 的 optional_host_permissions），由 sidepanel 的[檢查連線]按鈕向使用者要求
+ */
+
+// ==================== 常數 ====================
+const DEFAULT_LLM_MAX_TOKENS = 2048;
+const ANTHROPIC_API_VERSION = '2023-06-01';
+const STRUCTURED_OUTPUT_NAME = 'profile_result'; // 結構化輸出的 schema / 工具名稱
+
+// ==================== 設定 ====================
+
+/**
+ * 讀取使用中的供應商設定（含 API Key）
+ * @returns {Promise<{provider: string, baseUrl?: string, model?: string, apiKey?: string|null}>}
+ */
+async function getLlmConfig() {
+  const keys = [StorageSchema.LLM_SETTINGS_KEY, StorageSchema.LEGACY_USE_LOCAL_LLM_KEY, ...Object.values(StorageSchema.LLM_API_KEY_KEYS)];
+  const stored = await chrome.storage.local.get(keys);
+  const settings = StorageSchema.normalizeLlmSettings(stored[StorageSchema.LLM_SETTINGS_KEY], stored[StorageSchema.LEGACY_USE_LOCAL_LLM_KEY]);
+  return buildLlmConfig(settings, stored);
+}
+
+/**
+ * 由 LLM 設定與儲存的 API Key 組成供應商設定
+ * @param {Object} settings - StorageSchema.normalizeLlmSettings 的結果
+ * @param {Object} stored - 含各供應商 API Key 的 chrome.storage.local 內容
+ * @param {string} [provider] - 指定供應商（預設為設定中使用的供應商）
+ * @returns {{provider: string, baseUrl?: string, model?: string, apiKey?: string|null}}
+ */
+function buildLlmConfig(settings, stored, provider = settings.provider) {
+  if (!StorageSchema.LLM_API_KEY_KEYS[provider]) return { provider: provider };
+  return {
+    provider: provider,
+    baseUrl: settings[provider].baseUrl,
+    model: settings[provider].model,
+    apiKey: stored[StorageSchema.LLM_API_KEY_KEYS[provider]] || null
+  };
+}
+
+/**
+ * 是否為供應商的官方端點（官方端點必須設定 API Key；自訂端點需要另外取得網域權限）
+ * @param {Object} config - 供應商設定
+ * @returns {boolean}
+ */
+function isDefaultEndpoint(config) {
+  const defaults = StorageSchema.DEFAULT_LLM_SETTINGS[config.provider];
+  return !defaults || config.baseUrl === defaults.baseUrl;
+}
+
+// ==================== 共用工具 ====================
+
+/**
+ * 讀取 Server-Sent Events 串流，逐筆產生 data 欄位
+ * @param {Response} response - fetch 回應
+ */
+async function* readServerSentEvents(response) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { done, value } = await reader.read();
+    buffer += decoder.decode(value, { stream: !done });
+
+    const lines = buffer.split(/\r?\n/);
+    buffer = done ? '' : lines.pop();
+    for (const line of lines) {
+      if (line.startsWith('data:')) yield line.slice(5).trim();
+    }
+    if (done) return;
+  }
+}
+
+/**
+ * 發送 HTTP 請求，非 2xx 時以 API 的錯誤訊息拋出
+ * @param {string} label - 錯誤訊息中的 API 名稱
+ * @param {string} url - 請求網址
+ * @param {Object} init - fetch 參數
+ * @returns {Promise<Response>}
+ */
+async function fetchLlmApi(label, url, init) {
+  let response;
+  try {
+    response = await fetch(url, init);
+  } catch (error) {
+    // 網路錯誤或自訂端點未取得網域權限（CORS）
+    throw new Error(`無法連線到 ${url}：${error.message}`);
+  }
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    const errorMessage = (errorData.error && (errorData.error.message || errorData.error)) || response.statusText;
+    throw new Error(`${label} 錯誤: ${response.status} - ${errorMessage}`);
+  }
+  return response;
+}
+
+// ==================== Chrome 內建模型 ====================
+
+/**
+ * 檢查 Chrome 內建模型是否可用
+ * @returns {Promise<{available: boolean, status: string, error?: string}>}
+ */
+async function checkChromeAvailability() {
+  try {
+    // 檢查 Prompt API 是否存在
+    if (typeof LanguageModel === 'undefined') {
+      return {
+        available: false,
+        status: 'unavailable',
+        error: 'Prompt API not available. Please use Chrome 127+.'
+      };
+    }
+
+    console.log('[LLM] Checking availability...');
+    const availability = await LanguageModel.availability();
+    console.log('[LLM] Availability:', availability);
+
+    if (availability === 'unavailable') {
+      return {
+        available: false,
+        status: 'unavailable',
+        error: 'On-device model is not available. Check hardware requirements.'
+      };
+    }
+
+    return {
+      available: true,
+      status: availability // 'available', 'downloading', or 'downloadable'
+    };
+  } catch (error) {
+    console.error('[LLM] ❌ Availability check error:', error);
+    return {
+      available: false,
+      status: 'error',
+      error: error.message
+    };
+  }
+}
+
+/**
+ * 建立 Chrome 內建模型的 session（最後一則訊息之前的內容作為 initialPrompts）
+ * @param {Array} messages - 對話訊息
+ * @param {Object} options - 呼叫選項
+ * @returns {Promise<Object>} LanguageModel session
+ */
+async function createChromeSession(messages, options) {
+  const availabilityResult = await checkChromeAvailability();
+  if (!availabilityResult.available) {
+    throw new Error(availabilityResult.error);
+  }
+
+  const sessionOptions = { initialPrompts: messages.slice(0, -1) };
+
+  // 下載進度監控
+  const availability = availabilityResult.status;
+  if (availability === 'downloading' || availability === 'downloadable') {
+    console.log('[LLM] Model downloading...');
+    sessionOptions.monitor = (monitor) => {
+      monitor.addEventListener('downloadprogress', (e) => {
+        const progress = Math.round(e.loaded * 100);
+        console.log(`[LLM] Download progress: ${progress}%`);
+        if (typeof options.onDownloadProgress === 'function') {
+          options.onDownloadProgress(progress);
+        }
+      });
+    };
+  }
+
+  console.log('[LLM] Creating session...');
+  return LanguageModel.create(sessionOptions);
+}
+
+function getChromePromptOptions(options) {
+  return options.schema ? { responseConstraint: options.schema } : {};
+}
+
+const chromeProvider = {
+  checkAvailability: checkChromeAvailability,
+
+  async prompt(config, messages, options = {}) {
+    const session = await createChromeSession(messages, options);
+    try {
+      return await session.prompt(messages[messages.length - 1].content, getChromePromptOptions(options));
+    } finally {
+      session.destroy();
+    }
+  },
+
+  async *stream(config, messages, options = {}) {
+    const session = await createChromeSession(messages, options);
+    try {
+      yield* session.promptStreaming(messages[messages.length - 1].content, getChromePromptOptions(options));
+    } finally {
+      session.destroy();
+    }
+  }
+};
+
+// ==================== OpenAI 相容 API ====================
+
+function getOpenAIHeaders(config) {
+  const headers = { 'Content-Type': 'application/json' };
+  // 本機伺服器通常不需要 API Key
+  if (config.apiKey) headers['Authorization'] = `Bearer ${config.apiKey}`;
+  return headers;
+}
+
+function assertOpenAIApiKey(config) {
+  if (!config.apiKey && isDefaultEndpoint(config)) {
+    throw new Error('OpenAI API Key 未設定，請在進階功能中設定');
+  }
+}
+
+function buildOpenAIBody(config, messages, options, stream) {
+  const body = {
+    model: config.model,
+    messages: messages,
+    max_completion_tokens: options.maxTokens || DEFAULT_LLM_MAX_TOKENS
+  };
+  if (options.schema) {
+    body.response_format = {
+      type: 'json_schema',
+      json_schema: { name: STRUCTURED_OUTPUT_NAME, schema: options.schema, strict: true }
+    };
+  }
+  if (stream) body.stream = true;
+  return body;
+}
+
+const openAIProvider = {
+  async checkAvailability(config) {
+    try {
+      assertOpenAIApiKey(config);
+      await fetchLlmApi('OpenAI API', `${config.baseUrl}/models`, { headers: getOpenAIHeaders(config) });
+      return { available: true, status: 'available' };
+    } catch (error) {
+      return { available: false, status: 'error', error: error.message };
+    }
+  },
+
+  async prompt(config, messages, options = {}) {
+    assertOpenAIApiKey(config);
+    const response = await fetchLlmApi('OpenAI API', `${config.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: getOpenAIHeaders(config),
+      body: JSON.stringify(buildOpenAIBody(config, messages, options, false))
+    });
+
+    const data = await response.json();
+    const content = data.choices && data.choices[0] && data.choices[0].message && data.choices[0].message.content;
+    if (!content) {
+      console.error('[OpenAI] 回應中沒有 content，完整回應:', data);
+      throw new Error('OpenAI API 回應格式錯誤');
+    }
+    return content.trim();
+  },
+
+  async *stream(config, messages, options = {}) {
+    assertOpenAIApiKey(config);
+    const response = await fetchLlmApi('OpenAI API', `${config.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: getOpenAIHeaders(config),
+      body: JSON.stringify(buildOpenAIBody(config, messages, options, true))
+    });
+
+    for await (const data of readServerSentEvents(response)) {
+      if (data === '[DONE]') return;
+      const chunk = JSON.parse(data);
+      const delta = chunk.choices && chunk.choices[0] && chunk.choices[0].delta;
+      if (delta && delta.content) yield delta.content;
+    }
+  }
+};
+
+// ==================== Anthropic Messages API ====================
+
+function getAnthropicHeaders(config) {
+  if (!config.apiKey) {
+    throw new Error('Anthropic API Key 未設定，請在進階功能中設定');
+  }
+  return {
+    'Content-Type': 'application/json',
+    'x-api-key': config.apiKey,
+    'anthropic-version': ANTHROPIC_API_VERSION,
+    // 擴充功能頁面直接呼叫 API 需要明確允許瀏覽器存取
+    'anthropic-dangerous-direct-browser-access': 'true'
+  };
+}
+
+function buildAnthropicBody(config, messages, options, stream) {
+  const system = messages.filter(message => message.role === 'system').map(message => message.content).join('\n\n');
+  const body = {
+    model: config.model,
+    max_tokens: options.maxTokens || DEFAULT_LLM_MAX_TOKENS,
+    messages: messages.filter(message => message.role !== 'system')
+  };
+  if (system) body.system = system;
+  if (options.schema) {
+    // Messages API 沒有 JSON Schema 輸出格式，改為強制呼叫以 schema 為參數的工具
+    body.tools = [{ name: STRUCTURED_OUTPUT_NAME, description: '回傳分析結果', input_schema: options.schema }];
+    body.tool_choice = { type: 'tool', name: STRUCTURED_OUTPUT_NAME };
+  }
+  if (stream) body.stream = true;
+  return body;
+}
+
+const anthropicProvider = {
+  async checkAvailability(config) {
+    try {
+      await fetchLlmApi('Anthropic API', `${config.baseUrl}/models`, { headers: getAnthropicHeaders(config) });
+      return { available: true, status: 'available' };
+    } catch (error) {
+      return { available: false, status: 'error', error: error.message };
+    }
+  },
+
+  async prompt(config, messages, options = {}) {
+    const response = await fetchLlmApi('Anthropic API', `${config.baseUrl}/messages`, {
+      method: 'POST',
+      headers: getAnthropicHeaders(config),
+      body: JSON.stringify(buildAnthropicBody(config, messages, options, false))
+    });
+
+    const data = await response.json();
+    const blocks = Array.isArray(data.content) ? data.content : [];
+    if (options.schema) {
+      const toolUse = blocks.find(block => block.type === 'tool_use');
+      if (toolUse) return JSON.stringify(toolUse.input);
+    } else {
+      const text = blocks.filter(block => block.type === 'text').map(block => block.text).join('');
+      if (text) return text.trim();
+    }
+    console.error('[Anthropic] 回應中沒有內容，完整回應:', data);
+    throw new Error('Anthropic API 回應格式錯誤');
+  },
+
+  async *stream(config, messages, options = {}) {
+    const response = await fetchLlmApi('Anthropic API', `${config.baseUrl}/messages`, {
+      method: 'POST',
+      headers: getAnthropicHeaders(config),
+      body: JSON.stringify(buildAnthropicBody(config, messages, options, true))
+    });
+
+    for await (const data of readServerSentEvents(response)) {
+      const event = JSON.parse(data);
+      if (event.type === 'error') {
+        throw new Error(`Anthropic API 錯誤: ${(event.error && event.error.message) || 'stream error'}`);
+      }
+      if (event.type !== 'content_block_delta' || !event.delta) continue;
+      // 結構化輸出時工具參數以 partial_json 分段傳回
+      if (event.delta.type === 'text_delta') yield event.delta.text;
+      if (event.delta.type === 'input_json_delta') yield event.delta.partial_json;
+    }
+  }
+};
+
+// ==================== 供應商登錄 ====================
+
+const LLM_PROVIDER_ADAPTERS = {
+  chrome: chromeProvider,
+  openai: openAIProvider,
+  anthropic: anthropicProvider
+};
+
+/**
+ * 取得供應商的轉接器
+ * @param {string} provider - StorageSchema.LLM_PROVIDERS 之一
+ * @returns {Object} 轉接器
+ */
+function getLlmProvider(provider) {
+  const adapter = LLM_PROVIDER_ADAPTERS[provider];
+  if (!adapter) {
+    throw new Error(`不支援的 LLM 供應商: ${provider}`);
+  }
+  return adapter;
+}
+
+/**
+ * 檢查供應商是否可用（未指定設定時使用目前的設定）
+ * @param {Object} [config] - 供應商設定
+ * @returns {Promise<{available: boolean, status: string, error?: string}>}
+ */
+async function checkLlmAvailability(config) {
+  const resolved = config || await getLlmConfig();
+  return getLlmProvider(resolved.provider).checkAvailability(resolved);
+}
+
+/**
+ * 以目前設定的供應商產生完整回應
+ * @param {Array} messages - 對話訊息
+ * @param {Object} [options] - 呼叫選項
+ * @param {Object} [config] - 供應商設定（預設讀取目前的設定）
+ * @returns {Promise<string>}
+ */
+async function promptLlm(messages, options = {}, config = null) {
+  const resolved = config || await getLlmConfig();
+  return getLlmProvider(resolved.provider).prompt(resolved, messages, options);
+}
+
+/**
+ * 以目前設定的供應商串流產生回應
+ * @param {Array} messages - 對話訊息
+ * @param {Object} [options] - 呼叫選項
+ * @param {Object} [config] - 供應商設定（預設讀取目前的設定）
+ */
+async function* streamLlm(messages, options = {}, config = null) {
+  const resolved = config || await getLlmConfig();
+  yield* getLlmProvider(resolved.provider).stream(resolved, messages, options);
+}
+
+// 暴露給全域（sidepanel / popup 中 self 即 window）
+self.LLMProviders = {
+  PROVIDERS: LLM_PROVIDER_ADAPTERS,
+  getConfig: getLlmConfig,
+  buildConfig: buildLlmConfig,
+  isDefaultEndpoint: isDefaultEndpoint,
+  get: getLlmProvider,
+  checkAvailability: checkLlmAvailability,
+  prompt: promptLlm,
+  stream: streamLlm
+};
@@ -16,6 +16,11 @@ var showCacheBtn = document.getElementById('showCacheBtn');
 var clearCacheBtn = document.getElementById('clearCacheBtn');
 var showProfileCacheBtn = document.getElementById('showProfileCacheBtn');
 var clearProfileCacheBtn = document.getElementById('clearProfileCacheBtn');
+var exportJsonBtn = document.getElementById('exportJsonBtn');
+var exportCsvBtn = document.getElementById('exportCsvBtn');
+var importCacheBtn = document.getElementById('importCacheBtn');
+var importStrategySelect = document.getElementById('importStrategySelect');
+var importFileInput = document.getElementById('importFileInput');
 var openaiApiKeyInput = document.getElementById('openaiApiKeyInput');
 var apiKeyStatus = document.getElementById('apiKeyStatus');
 var apiKeySetIndicator = document.getElementById('apiKeySetIndicator');
@@ -30,6 +35,7 @@ var queryMethodDescription = document.getElementById('queryMethodDescription');
 var queueLengthEl = document.getElementById('queueLength');
 var activeCountEl = document.getElementById('activeCount');
 var queueLogEl = document.getElementById('queueLog');
+var cancelQueueBtn = document.getElementById('cancelQueueBtn');
 
 // 全局變數
 var currentGetUserListArray = [];
@@ -49,11 +55,20 @@ function initPopupConnection() {
 
 // 頁面載入時初始化
 document.addEventListener('DOMContentLoaded', function() {
+  // 先以瀏覽器語言翻譯，載入側邊欄選擇的語言後再重新翻譯
+  I18n.translateDocument();
+  I18n.onChange(applyLanguage);
+  I18n.init();
   initPopupConnection();
   loadSettings();
   updateCacheStats();
   updateProfileCacheStats();
-  notifySidepanelOpened();
+  // 從彈出視窗轉開的匯入頁面（不在 Threads 分頁中，不需通知 content script）
+  if (location.hash === '#import') {
+    updateStatus(I18n.t('popupImportHint'), 'info');
+  } else {
+    notifySidepanelOpened();
+  }
 });
 
 // 通知 content script popup 已開啟
@@ -62,18 +77,24 @@ async function notifySidepanelOpened() {
     var tabs = await chrome.tabs.query({ active: true, currentWindow: true });
     if (tabs[0] && tabs[0].url && tabs[0].url.includes('threads.com')) {
       await chrome.tabs.sendMessage(tabs[0].id, { action: 'sidepanelOpened' });
-      updateStatus('已連接到 Threads 頁面', 'success');
+      updateStatus(I18n.t('popupConnected'), 'success');
     } else {
-      updateStatus('請在 Threads 頁面使用此擴充功能', 'info');
+      updateStatus(I18n.t('popupOpenThreads'), 'info');
     }
   } catch (error) {
     console.log('[Popup] 通知失敗:', error.message);
-    updateStatus('就緒', 'info');
+    updateStatus(I18n.t('statusReady'), 'info');
   }
 }
 
 // ==================== 輔助函數 ====================
 
+// 語言切換後重新翻譯頁面（data-i18n 標記的元素）與程式產生的文字
+function applyLanguage() {
+  I18n.translateDocument();
+  updateCacheStats();
+}
+
 function updateStatus(message, type) {
   type = type || 'info';
   statusBar.textContent = message;
@@ -84,6 +105,10 @@ function updateCacheStats() {
   chrome.runtime.sendMessage({ action: 'getCacheStats' }, function(response) {
     if (response && response.success && response.stats) {
       cacheCount.textContent = response.stats.validCount || 0;
+      cacheCount.title = I18n.t('popupCacheCountTitle',
+        response.stats.confirmedCount || 0,
+        response.stats.undisclosedCount || 0,
+        response.stats.errorCount || 0);
     }
   });
 }
@@ -96,20 +121,6 @@ function updateProfileCacheStats() {
   });
 }
 
-// 監聽 storage 變化，即時更新快取統計
-chrome.storage.onChanged.addListener(function(changes, areaName) {
-  if (areaName === 'local') {
-    // 如果 regionCache 有變化，更新地區快取統計
-    if (changes.regionCache) {
-      updateCacheStats();
-    }
-    // 如果 profileCache 有變化，更新側寫快取統計
-    if (changes.profileCache) {
-      updateProfileCacheStats();
-    }
-  }
-});
-
 // ==================== 隊列狀態更新 ====================
 
 // 監聽來自 background 的隊列狀態更新
@@ -118,9 +129,32 @@ chrome.runtime.onMessage.addListener(function(request, sender, sendResponse) {
     updateQueueDisplay(request.queueLength, request.activeCount, request.message, request.type);
     sendResponse({ success: true });
   }
+  // 查詢任務狀態變化（與頁面標籤、側邊欄收到同一份更新）
+  if (request.action === 'queryJobUpdate') {
+    updateQueueDisplay(request.queueLength, request.activeCount, request.message, request.type);
+  }
+  // 快取內容有變化（background 寫入 IndexedDB 後通知），即時更新快取統計
+  if (request.action === 'cacheUpdated') {
+    updateCacheStats();
+    updateProfileCacheStats();
+  }
   return false;
 });
 
+// 取消所有查詢任務（包含執行中的任務）
+cancelQueueBtn.addEventListener('click', async function() {
+  try {
+    var response = await chrome.runtime.sendMessage({ action: 'cancelQueryJobs', includeRunning: true });
+    if (response && response.success) {
+      updateStatus(response.count > 0 ? I18n.t('popupCancelledJobs', response.count) : I18n.t('popupNoJobs'), 'success');
+    } else {
+      updateStatus(I18n.t('popupCancelFailed', ((response && response.error) || I18n.t('errorUnknown'))), 'error');
+    }
+  } catch (error) {
+    updateStatus(I18n.t('popupCancelFailed', error.message), 'error');
+  }
+});
+
 // 更新隊列顯示
 function updateQueueDisplay(queueLength, activeCount, message, type) {
   // 更新數字
@@ -139,13 +173,13 @@ function addQueueLogItem(message, type) {
   item.className = 'queue-log-item';
   if (type) item.classList.add(type);
 
-  var time = new Date().toLocaleTimeString('zh-TW', { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+  var time = new Date().toLocaleTimeString(document.documentElement.lang, { hour: '2-digit', minute: '2-digit', second: '2-digit' });
   item.textContent = '[' + time + '] ' + message;
 
   // 移除「等待查詢任務...」的初始訊息
-  var firstItem = queueLogEl.querySelector('.queue-log-item');
-  if (firstItem && firstItem.textContent === '等待查詢任務...') {
-    firstItem.remove();
+  var waitingItem = queueLogEl.querySelector('.queue-log-item[data-i18n]');
+  if (waitingItem) {
+    waitingItem.remove();
   }
 
   // 添加到頂部
@@ -161,7 +195,7 @@ function addQueueLogItem(message, type) {
 function requestQueueStatus() {
   chrome.runtime.sendMessage({ action: 'getQueueStatus' }, function(response) {
     if (response && response.success) {
-      updateQueueDisplay(response.queueLength, response.activeCount, null, null);
+      updateQueueDisplay(response.queueLength, response.activeQueryCount, null, null);
     }
   });
 }
@@ -270,7 +304,7 @@ openaiApiKeyInput.addEventListener('change', function() {
   var apiKey = openaiApiKeyInput.value.trim();
   if (apiKey) {
     saveSetting('openaiApiKey', apiKey);
-    apiKeyStatus.textContent = '已儲存';
+    apiKeyStatus.textContent = I18n.t('popupApiKeySaved');
     apiKeyStatus.className = 'api-key-status valid';
     // 顯示已設定指示器
     setTimeout(function() {
@@ -294,7 +328,7 @@ if (clearApiKeyBtn) {
   clearApiKeyBtn.addEventListener('click', function() {
     chrome.storage.local.remove(['openaiApiKey']);
     openaiApiKeyInput.value = '';
-    apiKeyStatus.textContent = '已清除';
+    apiKeyStatus.textContent = I18n.t('popupApiKeyCleared');
     apiKeyStatus.className = 'api-key-status';
     apiKeySetIndicator.style.display = 'none';
     apiKeyInputContainer.style.display = 'inline';
@@ -304,7 +338,7 @@ if (clearApiKeyBtn) {
 // 快取操作
 showCacheBtn.addEventListener('click', async function() {
   try {
-    updateStatus('正在讀取快取...', 'info');
+    updateStatus(I18n.t('popupLoadingCache'), 'info');
     var response = await chrome.runtime.sendMessage({ action: 'getAllCachedRegions' });
 
     if (response && response.success) {
@@ -312,45 +346,45 @@ showCacheBtn.addEventListener('click', async function() {
       var entries = Object.keys(cache);
 
       if (entries.length === 0) {
-        contentOutput.value = '（無儲存的資料）';
+        contentOutput.value = I18n.t('popupCacheEmpty');
       } else {
-        var output = '共 ' + entries.length + ' 筆資料：\n\n';
+        var output = I18n.t('popupCacheHeader', entries.length) + '\n\n';
         entries.forEach(function(username) {
           var data = cache[username];
-          output += '@' + username + ': ' + data.region + '\n';
+          output += '@' + username + ': ' + I18n.getRegionName(data.region) + '\n';
         });
         contentOutput.value = output;
       }
 
       outputSection.style.display = 'block';
-      updateStatus('已載入 ' + entries.length + ' 筆快取', 'success');
+      updateStatus(I18n.t('popupCacheLoaded', entries.length), 'success');
     } else {
-      contentOutput.value = '讀取失敗: ' + ((response && response.error) || '未知錯誤');
-      updateStatus('讀取失敗', 'error');
+      contentOutput.value = I18n.t('popupLoadFailedWithError', ((response && response.error) || I18n.t('errorUnknown')));
+      updateStatus(I18n.t('popupLoadFailed'), 'error');
     }
   } catch (error) {
-    contentOutput.value = '錯誤: ' + error.message;
-    updateStatus('讀取失敗', 'error');
+    contentOutput.value = I18n.t('errorWithMessage', error.message);
+    updateStatus(I18n.t('popupLoadFailed'), 'error');
   }
 });
 
 clearCacheBtn.addEventListener('click', async function() {
-  if (confirm('確定要清除所有地區快取嗎？')) {
+  if (confirm(I18n.t('popupConfirmClearCache'))) {
     try {
       var response = await chrome.runtime.sendMessage({ action: 'clearCache' });
       if (response && response.success) {
         updateCacheStats();
-        updateStatus('已清除所有快取', 'success');
+        updateStatus(I18n.t('popupCacheCleared'), 'success');
       }
     } catch (error) {
-      updateStatus('清除失敗: ' + error.message, 'error');
+      updateStatus(I18n.t('popupClearFailed', error.message), 'error');
     }
   }
 });
 
 showProfileCacheBtn.addEventListener('click', async function() {
   try {
-    updateStatus('正在讀取側寫快取...', 'info');
+    updateStatus(I18n.t('popupLoadingProfileCache'), 'info');
     var response = await chrome.runtime.sendMessage({ action: 'getAllCachedProfiles' });
 
     if (response && response.success) {
@@ -358,40 +392,138 @@ showProfileCacheBtn.addEventListener('click', async function() {
       var entries = Object.keys(cache);
 
       if (entries.length === 0) {
-        contentOutput.value = '（無儲存的側寫資料）';
+        contentOutput.value = I18n.t('popupProfileCacheEmpty');
       } else {
-        var output = '共 ' + entries.length + ' 筆側寫：\n\n';
+        var output = I18n.t('popupProfileCacheHeader', entries.length) + '\n\n';
         entries.forEach(function(username) {
           var data = cache[username];
-          output += '@' + username + ': ' + data.profile + '\n';
+          output += '@' + username + ': ' + StorageSchema.formatProfileTags(data.profileTags) + '\n';
         });
         contentOutput.value = output;
       }
 
       outputSection.style.display = 'block';
-      updateStatus('已載入 ' + entries.length + ' 筆側寫', 'success');
+      updateStatus(I18n.t('popupProfileCacheLoaded', entries.length), 'success');
     } else {
-      contentOutput.value = '讀取失敗: ' + ((response && response.error) || '未知錯誤');
-      updateStatus('讀取失敗', 'error');
+      contentOutput.value = I18n.t('popupLoadFailedWithError', ((response && response.error) || I18n.t('errorUnknown')));
+      updateStatus(I18n.t('popupLoadFailed'), 'error');
     }
   } catch (error) {
-    contentOutput.value = '錯誤: ' + error.message;
-    updateStatus('讀取失敗', 'error');
+    contentOutput.value = I18n.t('errorWithMessage', error.message);
+    updateStatus(I18n.t('popupLoadFailed'), 'error');
   }
 });
 
 clearProfileCacheBtn.addEventListener('click', async function() {
-  if (confirm('確定要清除所有側寫快取嗎？')) {
+  if (confirm(I18n.t('popupConfirmClearProfileCache'))) {
     try {
       var response = await chrome.runtime.sendMessage({ action: 'clearProfileCache' });
       if (response && response.success) {
         updateProfileCacheStats();
-        updateStatus('已清除所有側寫快取', 'success');
+        updateStatus(I18n.t('popupProfileCacheCleared'), 'success');
       }
     } catch (error) {
-      updateStatus('清除失敗: ' + error.message, 'error');
+      updateStatus(I18n.t('popupClearFailed', error.message), 'error');
+    }
+  }
+});
+
+// ==================== 資料備份 ====================
+
+// 下載文字檔
+function downloadTextFile(content, filename, mimeType) {
+  var blob = new Blob([content], { type: mimeType + ';charset=utf-8' });
+  var url = URL.createObjectURL(blob);
+  var link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(function() {
+    URL.revokeObjectURL(url);
+  }, 1000);
+}
+
+async function exportCache(format) {
+  try {
+    updateStatus(I18n.t('popupExporting'), 'info');
+    var response = await chrome.runtime.sendMessage({ action: 'exportCache', format: format });
+    if (response && response.success) {
+      downloadTextFile(response.content, response.filename, response.mimeType);
+      updateStatus(I18n.t('popupExported', response.count), 'success');
+    } else {
+      updateStatus(I18n.t('popupExportFailed', ((response && response.error) || I18n.t('errorUnknown'))), 'error');
     }
+  } catch (error) {
+    updateStatus(I18n.t('popupExportFailed', error.message), 'error');
   }
+}
+
+// 匯入結果摘要
+function formatImportSummary(summary) {
+  return I18n.t('popupImportSummary', summary.added, summary.updated, summary.skipped, summary.userIds, summary.settings);
+}
+
+async function importCacheFile(file) {
+  try {
+    updateStatus(I18n.t('popupImporting', file.name), 'info');
+    var content = await file.text();
+    var format = /\.csv$/i.test(file.name) ? 'csv' : 'json';
+    var response = await chrome.runtime.sendMessage({
+      action: 'importCache',
+      format: format,
+      content: content,
+      strategy: importStrategySelect.value
+    });
+
+    if (response && response.success) {
+      contentOutput.value = I18n.t('popupImportDone', file.name) + '\n' + formatImportSummary(response.summary);
+      updateStatus(I18n.t('popupImportDoneStatus'), 'success');
+      updateCacheStats();
+      updateProfileCacheStats();
+      // 設定可能已變更，重新載入畫面上的設定值
+      if (response.summary.settings > 0) {
+        loadSettings();
+      }
+    } else {
+      var errors = (response && response.errors) || [];
+      contentOutput.value = I18n.t('popupImportFailedWithError', ((response && response.error) || I18n.t('errorUnknown'))) +
+        (errors.length > 0 ? '\n\n' + errors.join('\n') : '');
+      updateStatus(I18n.t('popupImportRejected'), 'error');
+    }
+  } catch (error) {
+    contentOutput.value = I18n.t('errorWithMessage', error.message);
+    updateStatus(I18n.t('popupImportFailed'), 'error');
+  }
+  outputSection.style.display = 'block';
+}
+
+exportJsonBtn.addEventListener('click', function() {
+  exportCache('json');
+});
+
+exportCsvBtn.addEventListener('click', function() {
+  exportCache('csv');
+});
+
+importCacheBtn.addEventListener('click', function() {
+  // 開啟檔案選擇視窗時彈出視窗會失去焦點而關閉，改在分頁中開啟此頁面再選擇檔案
+  var isActionPopup = chrome.extension.getViews({ type: 'popup' }).indexOf(window) !== -1;
+  if (isActionPopup) {
+    chrome.tabs.create({ url: chrome.runtime.getURL('popup.html#import') });
+    window.close();
+    return;
+  }
+  importFileInput.click();
+});
+
+importFileInput.addEventListener('change', function() {
+  var file = importFileInput.files[0];
+  if (file) {
+    importCacheFile(file);
+  }
+  importFileInput.value = '';
 });
 
 // ==================== 自動查詢 ====================
@@ -399,13 +531,13 @@ clearProfileCacheBtn.addEventListener('click', async function() {
 function startAutoQuery() {
   isAutoQuerying = true;
   shouldStopAutoQuery = false;
-  updateStatus('自動查詢已啟用', 'success');
+  updateStatus(I18n.t('popupAutoQueryStarted'), 'success');
 }
 
 function stopAutoQuery() {
   isAutoQuerying = false;
   shouldStopAutoQuery = true;
-  updateStatus('自動查詢已停止', 'info');
+  updateStatus(I18n.t('popupAutoQueryStopped'), 'info');
 }
 
 // ==================== 顯示標籤 ====================
@@ -414,48 +546,54 @@ async function showRegionLabels() {
   try {
     var tabs = await chrome.tabs.query({ active: true, currentWindow: true });
     if (!tabs[0] || !tabs[0].url || !tabs[0].url.includes('threads.com')) {
-      updateStatus('請在 Threads 頁面使用', 'error');
+      updateStatus(I18n.t('popupOpenThreadsShort'), 'error');
       return;
     }
 
     var regionData = {};
 
-    // 使用 for...of 來支援 async/await
+    // 缺少 region/joined 的用戶，一次從快取批次讀取
+    var uncachedAccounts = currentGetUserListArray.filter(function(user) {
+      return !user.region || !user.joined;
+    }).map(function(user) {
+      return user.account;
+    });
+    var cachedUsers = {};
+
+    if (uncachedAccounts.length > 0) {
+      try {
+        var batchResponse = await chrome.runtime.sendMessage({
+          action: 'getCachedUsersBatch',
+          accounts: uncachedAccounts
+        });
+        if (batchResponse && batchResponse.success) {
+          cachedUsers = batchResponse.users;
+        }
+      } catch (err) {
+        console.log('[Popup] 批次讀取用戶快取失敗:', err.message);
+      }
+    }
+
     for (var i = 0; i < currentGetUserListArray.length; i++) {
       var user = currentGetUserListArray[i];
-      var region = user.region || null;
-      var profile = user.profile || null;
-      var joined = user.joined || null;
-
-      // 如果用戶沒有 region/joined，嘗試從快取獲取
-      if (!region || !joined) {
-        var username = user.account.replace(/^@/, '');
-        try {
-          var response = await chrome.runtime.sendMessage({
-            action: 'getCachedUserInfo',
-            username: username
-          });
-          if (response && response.success) {
-            if (response.region && !region) {
-              region = response.region;
-              user.region = response.region;
-            }
-            if (response.joined && !joined) {
-              joined = response.joined;
-              user.joined = response.joined;
-            }
-          }
-        } catch (err) {
-          console.log('[Popup] 讀取用戶快取失敗 ' + username + ':', err.message);
+      var cached = cachedUsers[user.account];
+
+      // 如果用戶沒有 region/joined，使用快取資料
+      if (cached) {
+        if (cached.region && !user.region) {
+          user.region = cached.region;
+        }
+        if (cached.joined && !user.joined) {
+          user.joined = cached.joined;
         }
       }
 
       // 只有有地區資訊的用戶才加入 regionData
-      if (region) {
+      if (user.region) {
         regionData[user.account] = {
-          region: region,
-          profile: profile,
-          joined: joined
+          region: user.region,
+          profile: user.profile || null,
+          joined: user.joined || null
         };
       }
     }
@@ -468,7 +606,7 @@ async function showRegionLabels() {
     if (response && response.success) {
       console.log('[Popup] 已顯示 ' + response.addedCount + ' 個標籤');
     } else {
-      updateStatus('顯示標籤失敗: ' + ((response && response.error) || '未知錯誤'), 'error');
+      updateStatus(I18n.t('popupShowLabelsFailed', ((response && response.error) || I18n.t('errorUnknown'))), 'error');
     }
   } catch (error) {
     console.error('[Popup] 顯示標籤錯誤:', error);
@@ -478,9 +616,9 @@ async function showRegionLabels() {
 // ==================== 監聽來自 background 的消息 ====================
 
 chrome.runtime.onMessage.addListener(function(request, sender, sendResponse) {
-  // 處理頁面滾動事件
-  if (request.action === 'pageScrolled') {
-    console.log('[Popup] 收到頁面滾動通知');
+  // 處理頁面用戶重新整理事件
+  if (request.action === 'refreshPageUsers') {
+    console.log('[Popup] 收到頁面用戶重新整理通知');
     // 使用 async IIFE 確保 updateUserList 完成後再執行 showRegionLabels
     (async function() {
       updateUserList(request.users || []);
@@ -490,6 +628,14 @@ chrome.runtime.onMessage.addListener(function(request, sender, sendResponse) {
     return true; // 保持消息通道開啟以進行異步響應
   }
 
+  // 處理頁面上的用戶變化（新用戶的標籤已由 content script 加上，只需更新列表）
+  if (request.action === 'pageUsersChanged') {
+    updateUserList((request.users || []).map(function(account) {
+      return { account: account };
+    }));
+    return false;
+  }
+
   // 處理狀態更新
   if (request.action === 'updateStatus') {
     updateStatus(request.message, request.type || 'info');
@@ -527,7 +673,7 @@ chrome.runtime.onMessage.addListener(function(request, sender, sendResponse) {
     var analysisAccount = request.account;
 
     if (profileData && profileData.needAnalysis) {
-      processLLMAnalysis(analysisAccount, profileData.userPostContent, profileData.userReplyContent);
+      processLLMAnalysis(analysisAccount, profileData.userPosts, profileData.userReplies);
     } else if (profileData && profileData.fromCache) {
       // 使用快取結果更新
       currentGetUserListArray.forEach(function(user) {
@@ -547,12 +693,12 @@ chrome.runtime.onMessage.addListener(function(request, sender, sendResponse) {
 
 // ==================== LLM 分析 ====================
 
-async function processLLMAnalysis(account, postContent, replyContent) {
+async function processLLMAnalysis(account, userPosts, userReplies) {
   try {
-    updateStatus('正在分析 @' + account + ' 的社群行為...', 'info');
+    updateStatus(I18n.t('popupAnalyzing', account), 'info');
 
-    // 呼叫 OpenAI API 進行分析
-    var result = await callOpenAIForAnalysis(postContent, replyContent);
+    // 以側邊欄設定的 LLM 供應商進行分析（見 llmProviders.js）
+    var result = await requestProfileAnalysis(account, userPosts, userReplies);
 
     if (result.success) {
       // 更新用戶資料
@@ -572,116 +718,28 @@ async function processLLMAnalysis(account, postContent, replyContent) {
 
       updateProfileCacheStats();
       showRegionLabels();
-      updateStatus('已完成 @' + account + ' 的分析', 'success');
+      updateStatus(I18n.t('popupAnalyzed', account), 'success');
     } else {
-      updateStatus('分析失敗: ' + result.error, 'error');
+      updateStatus(I18n.t('popupAnalysisFailed', result.error), 'error');
     }
   } catch (error) {
-    updateStatus('分析錯誤: ' + error.message, 'error');
+    updateStatus(I18n.t('popupAnalysisError', error.message), 'error');
   }
 }
 
-async function callOpenAIForAnalysis(postContent, replyContent) {
-  var storageResult = await chrome.storage.local.get(['openaiApiKey']);
-  var apiKey = storageResult.openaiApiKey;
-
-  if (!apiKey) {
-    return { success: false, error: 'OpenAI API Key 未設定' };
-  }
-
-  var TAG_SAMPLE = "生活帳,生活日常,情緒宣洩,憤世抱怨,攻擊發言,酸言酸語,政治帳,立場鮮明,易怒,惡意嘲諷,人身攻擊,溫暖陪伴,真誠分享,情感支持,理性討論,仇恨言論,觀點交流,社會關懷,同理傾聽,價值探索,個人成長";
-  var UF_KEYWORD = "憨鳥,萊爾賴,萊爾校長,綠共,青鳥真是腦殘,賴皮寮,氫鳥,賴清德戒嚴,賴清德獨裁,賴喪,冥禁黨,賴功德";
-
-  var socialContent = '';
-  if (postContent) {
-    socialContent += '\n\n作者本人貼文:\n' + postContent.substring(0, 4096);
-  }
-  if (replyContent) {
-    socialContent += '\n\n作者回覆他人的貼文:\n' + replyContent.substring(0, 4096);
-  }
-
-  if (!socialContent) {
-    return { success: false, error: '沒有內容可分析' };
-  }
-
-  var systemPrompt = '會依照用戶過去的社群回覆與發文，產出用戶profile標籤的分析程式';
-  var userPrompt = '請參考以下所提供的貼文與回覆, 依內容數量排序, 提供五個最貼切描述該用戶社群帳號展現出的風格的標籤 (舉例但不限這些: ' + TAG_SAMPLE + '..). ' +
-    '只有當標註「人身攻擊、仇恨言論、統戰言論」，這三個標注，要提供完整的理由。如果有大量使用到統戰用語（' + UF_KEYWORD + '），請標注「統戰言論」。' +
-    '\n 重要：請直接輸出 JSON 格式，不要加任何前綴文字或 markdown 標記。格式為：{"tags":[{"tag":"標籤名","reason":"理由"}]}。只能用繁體中文，每個標籤2-5個字。' +
-    '\n\n' + socialContent;
-
-  try {
-    var response = await fetch('https://api.openai.com/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': 'Bearer ' + apiKey
-      },
-      body: JSON.stringify({
-        model: 'gpt-4o-mini',
-        messages: [
-          { role: 'system', content: systemPrompt },
-          { role: 'user', content: userPrompt }
-        ],
-        max_completion_tokens: 2048
-      })
-    });
-
-    if (!response.ok) {
-      var errorData = await response.json().catch(function() { return {}; });
-      var errorMessage = (errorData.error && errorData.error.message) || response.statusText;
-      throw new Error('OpenAI API 錯誤: ' + response.status + ' - ' + errorMessage);
-    }
-
-    var data = await response.json();
-    var content = data.choices && data.choices[0] && data.choices[0].message && data.choices[0].message.content;
-
-    if (!content) {
-      throw new Error('OpenAI API 回應格式錯誤');
-    }
-
-    // 解析 JSON 回應
-    var tagEntries = [];
-    try {
-      var jsonStr = content.trim();
-      if (jsonStr.startsWith('```json')) {
-        jsonStr = jsonStr.replace(/^```json\s*/, '').replace(/\s*```$/, '');
-      } else if (jsonStr.startsWith('```')) {
-        jsonStr = jsonStr.replace(/^```\s*/, '').replace(/\s*```$/, '');
-      }
-
-      var parsed = JSON.parse(jsonStr);
-      if (parsed.tags && Array.isArray(parsed.tags)) {
-        parsed.tags.forEach(function(item) {
-          var tag = (item.tag || '').trim();
-          var reason = (item.reason || '').trim();
-          if (tag.length > 0 && tag.length < 6) {
-            tagEntries.push({ tag: tag, reason: reason });
-          }
-        });
-        tagEntries = tagEntries.slice(0, 5);
-      }
-    } catch (jsonError) {
-      console.warn('[Popup] JSON 解析失敗，嘗試舊格式:', jsonError);
-      content.trim().split(',').forEach(function(entry) {
-        var trimmed = entry.trim();
-        if (trimmed.length > 0 && trimmed.length < 6) {
-          tagEntries.push({ tag: trimmed, reason: '' });
-        }
-      });
-      tagEntries = tagEntries.slice(0, 5);
-    }
-
-    var processedTags = tagEntries.map(function(entry) {
-      return entry.reason ? entry.tag + ':' + entry.reason : entry.tag;
-    }).join(',');
-
-    return { success: true, tags: processedTags };
-
-  } catch (error) {
-    console.error('[Popup] OpenAI API 錯誤:', error);
-    return { success: false, error: error.message };
+/**
+ * 以側邊欄設定的 LLM 供應商分析用戶側寫（提示詞、結構化輸出與修正流程見 llmAnalyzer.js）
+ * @param {string} account - 用戶帳號
+ * @param {SocialPost[]} userPosts - 用戶的貼文
+ * @param {SocialPost[]} userReplies - 用戶回覆頁面的貼文
+ * @returns {Promise<{success: boolean, tags?: ProfileTag[], error?: string}>}
+ */
+async function requestProfileAnalysis(account, userPosts, userReplies) {
+  if ((!userPosts || userPosts.length === 0) && (!userReplies || userReplies.length === 0)) {
+    return { success: false, error: I18n.t('popupNothingToAnalyze') };
   }
+  var target = account.startsWith('@') ? account : '@' + account;
+  return LLMAnalyzer.analyzeUserProfile(target, userPosts, userReplies);
 }
 
 // ==================== 更新用戶列表 ====================
@@ -728,15 +786,16 @@ function updateQueryMethodToggle(method) {
     }
   });
 
-  // 更新描述文字
+  // 更新描述文字（記錄在 data-i18n，切換語言時一併重新翻譯）
   if (queryMethodDescription) {
     if (method === 'off') {
-      queryMethodDescription.textContent = '手動點擊標籤上的查詢按鈕';
+      queryMethodDescription.dataset.i18n = 'popupQueryMethodOff';
     } else if (method === 'api') {
-      queryMethodDescription.textContent = 'API 較快（<1秒），需先瀏覽動態';
+      queryMethodDescription.dataset.i18n = 'popupQueryMethodApi';
     } else {
-      queryMethodDescription.textContent = '開分頁較穩定（3-5秒），自動開啟查詢頁';
+      queryMethodDescription.dataset.i18n = 'popupQueryMethodTab';
     }
+    queryMethodDescription.textContent = I18n.t(queryMethodDescription.dataset.i18n);
   }
 }
 
@@ -0,0 +1,215 @@
+/**
+ * 側寫標籤分類與提示詞範本 - 側寫分析使用的標籤、關鍵字、數量限制與提示詞
+ * Sidepanel（分類編輯器）、popup / sidepanel 的 llmAnalyzer.js 與 Service Worker（備份匯入驗證）共用
+ *
+ * 分類格式（ProfileTaxonomy）：
+ * {
+ *   tags: [
+ *     { name: "人身攻擊", description: "", requiresEvidence: true }  // requiresEvidence = 必須附上可對應原文的引述
+ *   ],
+ *   keywords: ["綠共", ...],     // 提示詞中的關鍵字清單（{{keywords}}）
+ *   maxTags: 5,                  // 每位用戶最多幾個標籤
+ *   maxTagLength: 5,             // 每個標籤最多幾個字
+ *   prompts: {
+ *     system: "...",             // 系統提示詞
+ *     remote: "...",             // 遠端 API 模型的分析指示
+ *     local: "..."               // Chrome 內建模型的分析指示（模型較小，預設不使用需要引述的標籤）
+ *   }
+ * }
+ *
+ * 提示詞範本可使用的佔位符：
+ * - {{contentTypes}}: 提供的內容類型（貼文、回覆他人的貼文）
+ * - {{tags}}:         標籤清單（有說明時附在括號內；Chrome 內建模型不含需要引述的標籤）
+ * - {{evidenceTags}}: 需要引述的標籤
+ * - {{keywords}}:     關鍵字清單
+ * - {{maxTags}} / {{maxTagLength}}: 數量限制
+ * 輸出格式（JSON）的說明與貼文內容由 llmAnalyzer.js 附加在範本之後，不需要寫在範本中。
+ * 標籤與顏色規則的對應存放在顏色規則的 match.profileTags（見 colorRules.js）。
+ */
+
+// chrome.storage.local 儲存鍵（未設定時使用內建預設分類）
+const PROFILE_TAXONOMY_KEY = 'profileTaxonomy';
+
+const TAXONOMY_MAX_TAGS = 100;
+const TAXONOMY_MAX_KEYWORDS = 200;
+const TAXONOMY_DESCRIPTION_MAX_LENGTH = 200;
+const TAXONOMY_PROMPT_MAX_LENGTH = 4000;
+
+// 數量限制的範圍
+const TAXONOMY_LIMITS = {
+  maxTags: { min: 1, max: 10 },
+  maxTagLength: { min: 2, max: 20 }
+};
+
+const TAXONOMY_PROMPT_TYPES = ['system', 'remote', 'local'];
+
+// 內建預設分類（沿用先前固定在 llmAnalyzer.js 的標籤、關鍵字與提示詞）
+// 與先前的提示詞不同之處：
+// - 範例標籤（{{tags}}）包含全部標籤，多了原本不在範例中的『統戰言論』；Chrome 內建模型的範例則不含需要引述的標籤
+// - 需要引述的標籤改由 {{evidenceTags}} 列出（「這些標籤」取代「這三個標注」）
+// - 標籤數量以數字表示（{{maxTags}}，原本寫作「五個」）
+const DEFAULT_PROFILE_TAXONOMY = {
+  tags: [
+    '生活帳', '生活日常', '情緒宣洩', '憤世抱怨', '攻擊發言', '酸言酸語', '政治帳', '立場鮮明', '易怒', '惡意嘲諷',
+    '人身攻擊', '溫暖陪伴', '真誠分享', '情感支持', '理性討論', '仇恨言論', '觀點交流', '社會關懷', '同理傾聽',
+    '價值探索', '個人成長', '統戰言論'
+  ].map(name => ({
+    name: name,
+    description: '',
+    requiresEvidence: ['人身攻擊', '仇恨言論', '統戰言論'].includes(name)
+  })),
+  keywords: ['憨鳥', '萊爾賴', '萊爾校長', '綠共', '青鳥真是腦殘', '賴皮寮', '氫鳥', '賴清德戒嚴', '賴清德獨裁', '賴喪', '冥禁黨', '賴功德'],
+  maxTags: 5,
+  maxTagLength: 5,
+  prompts: {
+    system: '會依照用戶過去的社群回覆與發文，產出用戶profile標籤的分析程式',
+    remote: '請參考以下所提供的{{contentTypes}}, 依內容數量排序, 提供{{maxTags}}個最貼切描述該用戶社群帳號展現出的風格的標籤 (舉例但不限這些: {{tags}}..). ' +
+      '只有當標註『{{evidenceTags}}』這些標籤時，要提供完整的理由，並在 evidence 引述使用者的發言或回覆。' +
+      '如果有大量使用到統戰用語（{{keywords}}），或是強化中國併吞台灣的正當性論述，削弱台灣的國家意識，請標注『統戰言論』。' +
+      '只能用繁體中文，每個標籤2-{{maxTagLength}}個字。',
+    local: '請參考以下所提供的{{contentTypes}}, 依內容數量排序, 提供{{maxTags}}個最貼切描述該用戶社群帳號展現出的風格的標籤 (舉例但不限這些: {{tags}}..). ' +
+      '不要使用『{{evidenceTags}}』標籤。' +
+      '只能用繁體中文，每個標籤2-{{maxTagLength}}個字。'
+  }
+};
+
+// ==================== 正規化 ====================
+
+/**
+ * 將字串或陣列轉為去除空白、不重複的字串陣列
+ * @param {string|string[]} value - 陣列或逗號分隔字串
+ * @returns {string[]}
+ */
+function toTaxonomyList(value) {
+  const items = Array.isArray(value) ? value : String(value || '').split(/[,，]/);
+  return [...new Set(items.map(item => String(item).trim()).filter(item => item.length > 0))];
+}
+
+/**
+ * 正規化數量限制（不合法時使用預設值，超出範圍時取最接近的值）
+ * @param {*} value
+ * @param {string} type - 'maxTags' 或 'maxTagLength'
+ * @returns {number}
+ */
+function normalizeTaxonomyLimit(value, type) {
+  const number = Math.round(Number(value));
+  if (value === null || value === '' || !Number.isFinite(number)) return DEFAULT_PROFILE_TAXONOMY[type];
+  const { min, max } = TAXONOMY_LIMITS[type];
+  return Math.min(Math.max(number, min), max);
+}
+
+/**
+ * 正規化標籤列表（略過沒有名稱或名稱重複的項目，最多 TAXONOMY_MAX_TAGS 個）
+ * @param {Array} tags
+ * @returns {Array<{name: string, description: string, requiresEvidence: boolean}>}
+ */
+function normalizeTaxonomyTags(tags) {
+  const names = new Set();
+  const result = [];
+  for (const item of tags) {
+    const entry = typeof item === 'string' ? { name: item } : item;
+    if (!entry || typeof entry !== 'object') continue;
+    const name = typeof entry.name === 'string' ? entry.name.trim() : '';
+    if (!name || names.has(name)) continue;
+    names.add(name);
+    result.push({
+      name: name,
+      description: typeof entry.description === 'string' ? entry.description.trim().substring(0, TAXONOMY_DESCRIPTION_MAX_LENGTH) : '',
+      requiresEvidence: entry.requiresEvidence === true
+    });
+    if (result.length >= TAXONOMY_MAX_TAGS) break;
+  }
+  return result;
+}
+
+/**
+ * 正規化分類設定
+ * 缺少或不合法的項目使用預設值；標籤與關鍵字可以清空，空白的提示詞範本使用預設範本
+ * @param {Object} value - 使用者設定
+ * @returns {ProfileTaxonomy} 分類設定，不是物件時返回內建預設分類
+ */
+function normalizeProfileTaxonomy(value) {
+  const taxonomy = value && typeof value === 'object' && !Array.isArray(value) ? value : {};
+  const prompts = taxonomy.prompts && typeof taxonomy.prompts === 'object' ? taxonomy.prompts : {};
+
+  return {
+    tags: normalizeTaxonomyTags(Array.isArray(taxonomy.tags) ? taxonomy.tags : DEFAULT_PROFILE_TAXONOMY.tags),
+    keywords: toTaxonomyList(Array.isArray(taxonomy.keywords) || typeof taxonomy.keywords === 'string' ? taxonomy.keywords : DEFAULT_PROFILE_TAXONOMY.keywords)
+      .slice(0, TAXONOMY_MAX_KEYWORDS),
+    maxTags: normalizeTaxonomyLimit(taxonomy.maxTags, 'maxTags'),
+    maxTagLength: normalizeTaxonomyLimit(taxonomy.maxTagLength, 'maxTagLength'),
+    prompts: Object.fromEntries(TAXONOMY_PROMPT_TYPES.map(type => {
+      const template = typeof prompts[type] === 'string' ? prompts[type].trim().substring(0, TAXONOMY_PROMPT_MAX_LENGTH) : '';
+      return [type, template || DEFAULT_PROFILE_TAXONOMY.prompts[type]];
+    }))
+  };
+}
+
+// ==================== 提示詞 ====================
+
+/**
+ * 代入範本中的佔位符（未知的佔位符保留原樣，方便使用者發現拼錯）
+ * @param {string} template - 範本
+ * @param {Object<string, string|number>} values - 佔位符名稱 → 內容
+ * @returns {string}
+ */
+function renderTemplate(template, values) {
+  return String(template).replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, name) => (
+    Object.prototype.hasOwnProperty.call(values, name) ? String(values[name]) : placeholder
+  ));
+}
+
+/**
+ * 依分類設定產生分析指示
+ * @param {ProfileTaxonomy} taxonomy - normalizeProfileTaxonomy 的結果
+ * @param {string} contentTypes - 提供的內容類型（例如「貼文與回覆他人的貼文」）
+ * @param {boolean} useLocalLLM - 是否為 Chrome 內建模型（使用 local 範本，{{tags}} 不含需要引述的標籤）
+ * @returns {{system: string, user: string}}
+ */
+function renderProfilePrompt(taxonomy, contentTypes, useLocalLLM) {
+  const evidenceTags = taxonomy.tags.filter(tag => tag.requiresEvidence).map(tag => tag.name);
+  const exampleTags = taxonomy.tags
+    .filter(tag => !useLocalLLM || !tag.requiresEvidence)
+    .map(tag => tag.description ? `${tag.name}（${tag.description}）` : tag.name);
+
+  const values = {
+    contentTypes: contentTypes,
+    tags: exampleTags.join(','),
+    evidenceTags: evidenceTags.join('、'),
+    keywords: taxonomy.keywords.join(','),
+    maxTags: taxonomy.maxTags,
+    maxTagLength: taxonomy.maxTagLength
+  };
+
+  return {
+    system: renderTemplate(taxonomy.prompts.system, values),
+    user: renderTemplate(useLocalLLM ? taxonomy.prompts.local : taxonomy.prompts.remote, values)
+  };
+}
+
+/**
+ * 取得已儲存的分類設定（未設定或讀取失敗時使用預設分類）
+ * @returns {Promise<ProfileTaxonomy>}
+ */
+async function loadProfileTaxonomy() {
+  try {
+    const result = await chrome.storage.local.get([PROFILE_TAXONOMY_KEY]);
+    return normalizeProfileTaxonomy(result[PROFILE_TAXONOMY_KEY]);
+  } catch (error) {
+    console.warn('[ProfileTaxonomy] 讀取分類設定失敗，使用預設分類:', error.message);
+    return normalizeProfileTaxonomy(null);
+  }
+}
+
+// ==================== 導出 ====================
+self.ProfileTaxonomy = {
+  STORAGE_KEY: PROFILE_TAXONOMY_KEY,
+  DEFAULT_TAXONOMY: DEFAULT_PROFILE_TAXONOMY,
+  LIMITS: TAXONOMY_LIMITS,
+  MAX_TAGS: TAXONOMY_MAX_TAGS,
+  normalize: normalizeProfileTaxonomy,
+  normalizeLimit: normalizeTaxonomyLimit,
+  renderTemplate: renderTemplate,
+  renderPrompt: renderProfilePrompt,
+  load: loadProfileTaxonomy
+};
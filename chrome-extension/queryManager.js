@@ -2,19 +2,316 @@
  * 查詢管理器 - 統一管理所有地區查詢
  * 提供隊列機制，限制並發查詢數量
  * 提供快取機制，避免重複查詢
+ * 隊列狀態保存在 chrome.storage.session，Service Worker 被終止後重新啟動時還原
  */
 
 // ==================== 隊列配置 ====================
 let queueJobMax = 3; // 最多同時處理的任務數（可動態更新）
 const queryQueueMax = 30; // 隊列最大長度
-let queryQueue = []; // 待處理的查詢隊列
-let activeQueryCount = 0; // 當前正在執行的查詢數量
+let queryQueue = []; // 待處理的查詢任務（QueryJob）
+const runningJobs = new Map(); // 正在執行的查詢任務 { jobId: QueryJob }
 const pendingQueries = new Set(); // 正在查詢中的用戶名（防止同一用戶開多個分頁）
 const recentlyQueriedUrls = new Map(); // URL 冷卻追蹤 { username: timestamp }
 const URL_COOLDOWN_MS = 60000; // URL 冷卻時間（60 秒）
 
-// ==================== 連續 null 結果追蹤（開分頁方式）====================
-let consecutiveNullCount = 0; // 連續 null 結果計數
+// ==================== 隊列持久化 ====================
+// MV3 的 Service Worker 隨時可能被終止，隊列與執行中的任務保存在 chrome.storage.session
+// （瀏覽器關閉時清除），重新啟動時還原；等待結果的呼叫端可透過任務狀態訊息重新取得結果
+const QUEUE_STATE_KEY = 'queryQueueState';
+const FINISHED_JOB_RETENTION_MS = 10 * 60 * 1000; // 已結束任務的結果保留 10 分鐘
+const FINISHED_JOB_MAX = 50; // 最多保留的已結束任務數
+const MAX_JOB_RESTORES = 2; // 執行中的任務因 Service Worker 重啟而重新排隊的次數上限
+
+const finishedJobs = new Map(); // 已結束的任務 { jobId: { id, username, status, result, finishedAt } }
+const jobWaiters = new Map(); // 等待任務結果的回調 { jobId: [callback] }
+let queueReady = Promise.resolve(); // 隊列還原完成前，加入與查詢任務都會等待
+let queueStateWrite = Promise.resolve(); // 依序寫入，避免較舊的狀態覆蓋較新的狀態
+let profileContentReadyHandler = null; // 整合查詢任務使用的側寫內容回調
+
+/**
+ * @typedef {Object} QueryJob
+ * @property {string} id - 任務 ID
+ * @property {string} username - 用戶帳號（不含 @ 符號）
+ * @property {string} account - 加入隊列時傳入的帳號（側寫回調使用）
+ * @property {boolean} isIntegrated - 是否為整合查詢（側寫分析 + 地點查詢）
+ * @property {boolean} enableProfileAnalysis - 是否啟用側寫分析（整合查詢）
+ * @property {boolean} shouldKeepTab - 是否保留查詢分頁
+ * @property {string} keepTabFilter - 保留分頁的過濾條件
+ * @property {string} priority - 'high'（手動點擊）、'normal'（popup / 側邊欄）或 'low'（自動查詢）
+ * @property {string} status - 'queued' 或 'running'
+ * @property {boolean} cancelled - 執行中被取消（分頁已關閉，結束時記為已取消）
+ * @property {number|null} tabId - 執行中使用的查詢分頁
+ * @property {number} restoreCount - 因 Service Worker 重啟而重新排隊的次數
+ * @property {number} enqueuedAt - 加入隊列時間
+ * @property {number|null} startedAt - 開始執行時間
+ */
+
+/**
+ * 建立查詢任務
+ * @param {string} account - 用戶帳號（可含 @ 符號）
+ * @param {Object} options - 任務選項（priority、isIntegrated、enableProfileAnalysis、shouldKeepTab、keepTabFilter）
+ * @returns {QueryJob}
+ */
+function createQueryJob(account, options) {
+  return {
+    id: `job_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`,
+    username: account.startsWith('@') ? account.slice(1) : account,
+    account: account,
+    isIntegrated: !!options.isIntegrated,
+    enableProfileAnalysis: !!options.enableProfileAnalysis,
+    shouldKeepTab: !!options.shouldKeepTab,
+    keepTabFilter: options.keepTabFilter || '',
+    priority: options.priority || 'normal',
+    status: 'queued',
+    cancelled: false,
+    tabId: null,
+    restoreCount: 0,
+    enqueuedAt: Date.now(),
+    startedAt: null
+  };
+}
+
+/**
+ * 保存隊列狀態到 chrome.storage.session
+ * @returns {Promise<void>}
+ */
+function persistQueueState() {
+  queueStateWrite = queueStateWrite.then(() => {
+    const now = Date.now();
+    const recentlyQueried = {};
+    for (const [username, time] of recentlyQueriedUrls) {
+      if (now - time < URL_COOLDOWN_MS) recentlyQueried[username] = time;
+    }
+
+    return chrome.storage.session.set({
+      [QUEUE_STATE_KEY]: {
+        jobs: [...runningJobs.values(), ...queryQueue],
+        finished: [...finishedJobs.values()],
+        recentlyQueried: recentlyQueried
+      }
+    });
+  }).catch((error) => {
+    console.error('[QueryManager] 保存隊列狀態失敗:', error);
+  });
+  return queueStateWrite;
+}
+
+/**
+ * 關閉中斷任務留下的查詢分頁（分頁已不存在時略過）
+ * @param {Object} job - 保存的任務資料
+ * @returns {Promise<void>}
+ */
+async function closeInterruptedJobTab(job) {
+  if (job.tabId === null || job.tabId === undefined) return;
+  try {
+    await chrome.tabs.get(job.tabId);
+  } catch (error) {
+    console.log(`[QueryManager] 中斷任務 @${job.username} 的分頁已不存在`);
+    return;
+  }
+  if (!job.shouldKeepTab) {
+    await chrome.tabs.remove(job.tabId).catch(() => {});
+    console.log(`[QueryManager] 已關閉中斷任務 @${job.username} 的分頁: ${job.tabId}`);
+  }
+}
+
+/**
+ * 從 chrome.storage.session 還原隊列（Service Worker 啟動時呼叫一次）
+ * 執行中被中斷的任務在同優先順序中排最前面，超過重新排隊次數上限則標記為失敗；
+ * 中斷前已被取消的任務記為已取消
+ * @returns {Promise<void>}
+ */
+function restoreQueryQueue() {
+  queueReady = (async () => {
+    const stored = await chrome.storage.session.get([QUEUE_STATE_KEY]);
+    const state = stored[QUEUE_STATE_KEY];
+    if (!state) return;
+
+    const now = Date.now();
+    for (const [username, time] of Object.entries(state.recentlyQueried || {})) {
+      if (now - time < URL_COOLDOWN_MS) recentlyQueriedUrls.set(username, time);
+    }
+    for (const entry of state.finished || []) {
+      if (now - entry.finishedAt < FINISHED_JOB_RETENTION_MS) finishedJobs.set(entry.id, entry);
+    }
+
+    const interruptedJobs = [];
+    const queuedJobs = [];
+    for (const saved of state.jobs || []) {
+      // 舊版保存的任務沒有優先順序
+      const job = { priority: 'normal', cancelled: false, ...saved };
+      if (job.status !== 'running') {
+        queuedJobs.push(job);
+        continue;
+      }
+
+      await closeInterruptedJobTab(job);
+      if (job.cancelled) {
+        finishQueryJob(job, 'cancelled', createCancelledResult());
+        continue;
+      }
+      if (job.restoreCount >= MAX_JOB_RESTORES) {
+        console.log(`[QueryManager] 任務 @${job.username} 已中斷 ${job.restoreCount + 1} 次，標記為失敗`);
+        finishQueryJob(job, 'failed', { success: false, error: '查詢多次中斷，請重新查詢' });
+        continue;
+      }
+      job.status = 'queued';
+      job.tabId = null;
+      job.startedAt = null;
+      job.restoreCount++;
+      interruptedJobs.push(job);
+    }
+
+    // Array.prototype.sort 為穩定排序，同優先順序保持原本順序
+    queryQueue = [...interruptedJobs, ...queuedJobs]
+      .sort((a, b) => JOB_PRIORITIES[b.priority] - JOB_PRIORITIES[a.priority]);
+    queryQueue.forEach(job => pendingQueries.add(job.username));
+    console.log(`[QueryManager] 已還原隊列：${queryQueue.length} 個任務（其中 ${interruptedJobs.length} 個為中斷後重新排隊）`);
+  })().catch((error) => {
+    console.error('[QueryManager] 還原隊列失敗:', error);
+  }).then(() => {
+    persistQueueState();
+    if (queryQueue.length > 0) {
+      sendQueueUpdate(`已還原 ${queryQueue.length} 個查詢任務`, 'pending');
+      queryQueue.forEach(job => broadcastJobUpdate(job, 'queued'));
+      processQueryQueue();
+    }
+  });
+  return queueReady;
+}
+
+/**
+ * 結束任務：保存結果、通知等待中的呼叫端、廣播狀態並更新保存的隊列狀態
+ * @param {QueryJob} job
+ * @param {string} status - 'done'、'failed' 或 'cancelled'
+ * @param {Object} result - 查詢結果
+ */
+function finishQueryJob(job, status, result) {
+  runningJobs.delete(job.id);
+  finishedJobs.set(job.id, {
+    id: job.id,
+    username: job.username,
+    account: job.account,
+    priority: job.priority,
+    status: status,
+    result: result,
+    finishedAt: Date.now()
+  });
+
+  // 只保留最近的結果
+  const now = Date.now();
+  for (const [jobId, entry] of finishedJobs) {
+    if (finishedJobs.size > FINISHED_JOB_MAX || now - entry.finishedAt >= FINISHED_JOB_RETENTION_MS) {
+      finishedJobs.delete(jobId);
+    }
+  }
+
+  const waiters = jobWaiters.get(job.id) || [];
+  jobWaiters.delete(job.id);
+  waiters.forEach(callback => callback(result));
+
+  persistQueueState();
+  broadcastJobUpdate(job, status, result);
+}
+
+/**
+ * 記錄執行中任務使用的查詢分頁（Service Worker 重啟後用來關閉殘留分頁）
+ * 任務已被取消時直接關閉分頁
+ * @param {string} username - 用戶帳號（不含 @ 符號）
+ * @param {number} tabId - 分頁 ID
+ */
+function trackJobTab(username, tabId) {
+  for (const job of runningJobs.values()) {
+    if (job.username === username) {
+      job.tabId = tabId;
+      persistQueueState();
+      if (job.cancelled) {
+        chrome.tabs.remove(tabId).catch(() => {});
+      }
+      return;
+    }
+  }
+}
+
+/**
+ * 檢查用戶的執行中任務是否已被取消
+ * @param {string} username - 用戶帳號（不含 @ 符號）
+ * @returns {boolean}
+ */
+function isJobCancelled(username) {
+  for (const job of runningJobs.values()) {
+    if (job.username === username) return job.cancelled;
+  }
+  return false;
+}
+
+/**
+ * 依任務 ID 或帳號尋找任務（進行中的任務優先，其次為最近結束的任務）
+ * @param {Object} query - { jobId, account }
+ * @returns {{job: Object, status: string, position: number|null, result: Object|null}|null}
+ */
+function findQueryJob(query) {
+  const username = query.account ? (query.account.startsWith('@') ? query.account.slice(1) : query.account) : null;
+  const matches = job => (query.jobId ? job.id === query.jobId : job.username === username);
+
+  for (const job of runningJobs.values()) {
+    if (matches(job)) return { job: job, status: 'running', position: null, result: null };
+  }
+  const index = queryQueue.findIndex(matches);
+  if (index !== -1) return { job: queryQueue[index], status: 'queued', position: index + 1, result: null };
+
+  // 同一帳號可能有多筆已結束的任務，取最近的一筆
+  const finished = [...finishedJobs.values()].filter(matches).pop();
+  return finished ? { job: finished, status: finished.status, position: null, result: finished.result } : null;
+}
+
+/**
+ * 取得任務狀態
+ * @param {Object} query - { jobId, account }，擇一提供
+ * @returns {Promise<{id: string, username: string, status: string, position: number|null, result: Object|null}|null>}
+ */
+async function getQueryJobStatus(query) {
+  await queueReady;
+  const found = findQueryJob(query);
+  if (!found) return null;
+  return {
+    id: found.job.id,
+    username: found.job.username,
+    status: found.status,
+    position: found.position,
+    result: found.result
+  };
+}
+
+/**
+ * 等待任務結束並取得結果（Service Worker 重啟後，呼叫端以此重新取得查詢結果）
+ * @param {Object} query - { jobId, account }，擇一提供
+ * @returns {Promise<Object|null>} 查詢結果，找不到任務時返回 null
+ */
+async function waitForQueryJob(query) {
+  await queueReady;
+  const found = findQueryJob(query);
+  if (!found) return null;
+  if (found.result) return found.result;
+
+  return new Promise((resolve) => {
+    const waiters = jobWaiters.get(found.job.id) || [];
+    waiters.push(resolve);
+    jobWaiters.set(found.job.id, waiters);
+  });
+}
+
+/**
+ * 設定整合查詢的側寫內容回調（Service Worker 重啟後還原的任務沒有原本的回調，改用此處理）
+ * @param {Function} handler - (account, profileData) => void
+ */
+function setProfileContentReadyHandler(handler) {
+  profileContentReadyHandler = handler;
+}
+
+// ==================== 連續未揭露 / 查詢失敗追蹤（開分頁方式）====================
+let consecutiveNullCount = 0; // 連續「未揭露」結果計數
+let consecutiveErrorCount = 0; // 連續查詢失敗計數（與未揭露分開計算）
 const NULL_WARNING_THRESHOLD = 3; // 達到此數量時發出警告
 let lastNullWarningTime = 0; // 上次警告時間（避免頻繁警告）
 const NULL_WARNING_COOLDOWN_MS = 30000; // 警告冷卻時間（30 秒）
@@ -24,7 +321,7 @@ function sendQueueUpdate(message, type) {
   chrome.runtime.sendMessage({
     action: 'queueUpdate',
     queueLength: queryQueue.length,
-    activeCount: activeQueryCount,
+    activeCount: runningJobs.size,
     message: message,
     type: type // 'success', 'error', 'pending'
   }).catch(() => {
@@ -33,133 +330,180 @@ function sendQueueUpdate(message, type) {
 }
 
 /**
- * 檢查連續 null 結果並發出警告
- * @param {boolean} isNull - 本次結果是否為 null/未揭露
+ * 發出連續異常結果的警告（有冷卻時間，避免頻繁警告）
+ * @param {number} count - 連續次數
+ * @param {string} warningMessage - 警告訊息
+ */
+function sendConsecutiveWarning(count, warningMessage) {
+  const now = Date.now();
+  if (count < NULL_WARNING_THRESHOLD || now - lastNullWarningTime <= NULL_WARNING_COOLDOWN_MS) {
+    return;
+  }
+
+  lastNullWarningTime = now;
+  console.warn(`[QueryManager] ${warningMessage}`);
+
+  // 發送警告到 popup 和 sidepanel
+  sendQueueUpdate(warningMessage, 'warning');
+  chrome.runtime.sendMessage({
+    action: 'updateSidepanelStatus',
+    message: warningMessage,
+    type: 'warning'
+  }).catch(() => {});
+}
+
+/**
+ * 檢查連續「未揭露」與連續查詢失敗並發出警告
+ * 兩者分開計算：連續未揭露可能是被 Threads 封鎖，連續失敗則是擴充功能本身取不到資料
+ * @param {string} resultType - 本次結果：'found'、'undisclosed' 或 'error'
  * @param {string} source - 查詢來源 ('tab' 或 'api')
+ * @param {string} reason - 查詢失敗原因代碼（resultType 為 'error' 時）
  */
-function checkConsecutiveNullResults(isNull, source) {
+function checkConsecutiveResults(resultType, source, reason = null) {
   if (source !== 'tab') {
     // 只追蹤開分頁方式的結果
     return;
   }
 
-  if (isNull) {
+  if (resultType === 'undisclosed') {
     consecutiveNullCount++;
-    console.log(`[QueryManager] 連續 null 結果: ${consecutiveNullCount}/${NULL_WARNING_THRESHOLD}`);
-
-    const now = Date.now();
-    if (consecutiveNullCount >= NULL_WARNING_THRESHOLD &&
-        now - lastNullWarningTime > NULL_WARNING_COOLDOWN_MS) {
-      // 發出警告
-      lastNullWarningTime = now;
-      const warningMessage = `⚠️ 連續 ${consecutiveNullCount} 次查詢結果為「未揭露」，可能暫時被 Threads 封鎖，建議切換為「API 攔截」方式`;
-      console.warn(`[QueryManager] ${warningMessage}`);
-
-      // 發送警告到 popup 和 sidepanel
-      sendQueueUpdate(warningMessage, 'warning');
-      chrome.runtime.sendMessage({
-        action: 'updateSidepanelStatus',
-        message: warningMessage,
-        type: 'warning'
-      }).catch(() => {});
-    }
+    consecutiveErrorCount = 0;
+    console.log(`[QueryManager] 連續未揭露結果: ${consecutiveNullCount}/${NULL_WARNING_THRESHOLD}`);
+    sendConsecutiveWarning(consecutiveNullCount,
+      `⚠️ 連續 ${consecutiveNullCount} 次查詢結果為「未揭露」，可能暫時被 Threads 封鎖，建議切換為「API 攔截」方式`);
+  } else if (resultType === 'error') {
+    consecutiveErrorCount++;
+    consecutiveNullCount = 0;
+    console.log(`[QueryManager] 連續查詢失敗: ${consecutiveErrorCount}/${NULL_WARNING_THRESHOLD}（${reason}）`);
+    sendConsecutiveWarning(consecutiveErrorCount,
+      `⚠️ 連續 ${consecutiveErrorCount} 次查詢失敗（${StorageSchema.getQueryErrorLabel(reason)}），請確認網路與 Threads 登入狀態，或稍後再試`);
   } else {
     // 有正常結果，重置計數
-    if (consecutiveNullCount > 0) {
-      console.log(`[QueryManager] 重置連續 null 計數（原: ${consecutiveNullCount}）`);
+    if (consecutiveNullCount > 0 || consecutiveErrorCount > 0) {
+      console.log(`[QueryManager] 重置連續計數（未揭露: ${consecutiveNullCount}，失敗: ${consecutiveErrorCount}）`);
     }
     consecutiveNullCount = 0;
+    consecutiveErrorCount = 0;
   }
 }
 
 // ==================== 地區名稱正規化 ====================
-// 地區名稱對照表（各語言 → 英文）
-const REGION_MAP = {
-  // 台灣
-  '台灣': 'Taiwan', '臺灣': 'Taiwan', '타이완': 'Taiwan',
-  // 日本
-  '日本': 'Japan', '일본': 'Japan',
-  // 中國
-  '中國': 'China', '中国': 'China', '중국': 'China',
-  // 香港
-  '香港': 'Hong Kong', '홍콩': 'Hong Kong',
-  // 韓國
-  '韓國': 'South Korea', '한국': 'South Korea', '大韓民國': 'South Korea',
-  // 美國
-  '美國': 'United States', '미국': 'United States', 'アメリカ': 'United States',
-  // 英國
-  '英國': 'United Kingdom', '영국': 'United Kingdom',
-  // 新加坡
-  '新加坡': 'Singapore', '싱가포르': 'Singapore',
-  // 馬來西亞
-  '馬來西亞': 'Malaysia', '马来西亚': 'Malaysia',
-  // 泰國
-  '泰國': 'Thailand', '태국': 'Thailand',
-  // 越南
-  '越南': 'Vietnam', '베트남': 'Vietnam',
-  // 印尼
-  '印尼': 'Indonesia', '印度尼西亞': 'Indonesia',
-  // 菲律賓
-  '菲律賓': 'Philippines', '필리핀': 'Philippines',
-  // 澳洲
-  '澳洲': 'Australia', '澳大利亞': 'Australia', '호주': 'Australia',
-  // 加拿大
-  '加拿大': 'Canada', '캐나다': 'Canada',
-  // 印度
-  '印度': 'India', '인도': 'India'
-};
+// 地區對照表由 regionMap.js 提供（background.js 以 importScripts 先行載入 RegionUtils）
+
+// ==================== 快取配置 ====================
+// 紀錄格式定義於 storageSchema.js，實際儲存於 IndexedDB（userStore.js）
+// background.js 以 importScripts 先行載入 StorageSchema 與 UserStore
+
+// 儲存結構遷移完成前，讀寫快取需等待（由 background.js 透過 setStorageReady 設定）
+let storageReady = Promise.resolve();
 
 /**
- * 正規化地區名稱（將各語言統一為英文）
- * @param {string} region - 原始地區名稱
- * @returns {string} 正規化後的地區名稱
+ * 設定儲存結構就緒的 Promise
+ * @param {Promise} promise - 遷移流程的 Promise
  */
-function normalizeRegion(region) {
-  if (!region || region === '未揭露') return region;
-  const trimmed = region.trim();
-  if (REGION_MAP[trimmed]) {
-    console.log(`[QueryManager] 地區正規化: "${trimmed}" → "${REGION_MAP[trimmed]}"`);
-    return REGION_MAP[trimmed];
+function setStorageReady(promise) {
+  storageReady = promise.catch(() => {});
+}
+
+/**
+ * 等待儲存結構就緒（供直接存取 UserStore 的模組使用，例如 cacheTransfer.js）
+ * @returns {Promise<void>}
+ */
+function waitForStorage() {
+  return storageReady;
+}
+
+// 各類結果的快取有效期限（小時，由 background.js 從 storage 載入，sidepanel 修改時透過 updateCacheTtl 更新）
+let cacheTtl = StorageSchema.normalizeCacheTtl();
+
+/**
+ * 更新快取有效期限
+ * 過期資料不會立即刪除，下次讀取時才重新查詢（延長期限後舊資料可繼續使用）
+ * @param {Object} value - { confirmed, undisclosed, error, profile }（小時）
+ */
+function updateCacheTtl(value) {
+  cacheTtl = StorageSchema.normalizeCacheTtl(value);
+  console.log('[Cache] 更新快取有效期限（小時）:', cacheTtl);
+  notifyCacheChanged();
+}
+
+// 快取變更通知（合併短時間內的多次寫入，避免訊息過多）
+let cacheChangedTimer = null;
+
+/**
+ * 通知 popup / sidepanel 快取內容已變更（用於更新統計）
+ */
+function notifyCacheChanged() {
+  if (cacheChangedTimer) clearTimeout(cacheChangedTimer);
+  cacheChangedTimer = setTimeout(() => {
+    cacheChangedTimer = null;
+    chrome.runtime.sendMessage({ action: 'cacheUpdated' }).catch(() => {
+      // popup 可能未開啟，忽略錯誤
+    });
+  }, 300);
+}
+
+/**
+ * 取得紀錄中仍有效的部分（過期的地區或側寫欄位會被清空）
+ * @param {UserRecord} record - 原始紀錄
+ * @param {number} now - 目前時間
+ * @returns {UserRecord|null} 有效紀錄，全部過期時返回 null
+ */
+function getFreshRecord(record, now = Date.now()) {
+  if (!record) return null;
+  const fresh = StorageSchema.createUserRecord(record);
+  if (!StorageSchema.isRegionFresh(fresh, now, cacheTtl)) {
+    StorageSchema.clearRegionFields(fresh);
   }
-  return trimmed;
+  if (!StorageSchema.isProfileFresh(fresh, now, cacheTtl)) {
+    StorageSchema.clearProfileFields(fresh);
+  }
+  return StorageSchema.isEmptyRecord(fresh) ? null : fresh;
 }
 
-// ==================== 快取配置 ====================
-const CACHE_KEY = 'regionCache'; // chrome.storage 中的鍵名
-const PROFILE_CACHE_KEY = 'profileCache'; // 用戶側寫快取的鍵名
-const CACHE_EXPIRY_DAYS = 30; // 快取過期天數（30 天）
+/**
+ * 清除紀錄的地區欄位，紀錄已無資料時返回 null（供 upsertUserRecord 使用）
+ * @param {UserRecord|null} record
+ * @returns {UserRecord|null}
+ */
+function withoutRegion(record) {
+  if (!record) return null;
+  StorageSchema.clearRegionFields(record);
+  return StorageSchema.isEmptyRecord(record) ? null : record;
+}
+
+/**
+ * 清除紀錄的側寫欄位，紀錄已無資料時返回 null（供 upsertUserRecord 使用）
+ * @param {UserRecord|null} record
+ * @returns {UserRecord|null}
+ */
+function withoutProfile(record) {
+  if (!record) return null;
+  StorageSchema.clearProfileFields(record);
+  return StorageSchema.isEmptyRecord(record) ? null : record;
+}
 
 // ==================== 快取管理 ====================
 
 /**
  * 從快取中讀取用戶地區
+ * 過期的紀錄保留在資料庫中，返回 null 讓呼叫端重新查詢，新結果寫入時覆蓋
  * @param {string} username - 用戶帳號（不含 @ 符號）
  * @returns {Promise<string|null>} 返回地區或 null（未找到或已過期）
  */
 async function getCachedRegion(username) {
   try {
-    const result = await chrome.storage.local.get([CACHE_KEY]);
-    const cache = result[CACHE_KEY] || {};
-
-    if (cache[username]) {
-      const cached = cache[username];
-      const now = Date.now();
-      const expiryTime = CACHE_EXPIRY_DAYS * 24 * 60 * 60 * 1000; // 轉換為毫秒
+    await storageReady;
+    const cached = await UserStore.getUserRecord(username);
 
-      // 檢查是否過期
-      if (now - cached.timestamp < expiryTime) {
-        //console.log(`[Cache] 命中快取 @${username}: ${cached.region} (保存於 ${new Date(cached.timestamp).toLocaleString()})`);
+    if (cached && cached.region !== null) {
+      // 依結果類型（已確認、未揭露、查詢失敗）檢查是否過期
+      if (StorageSchema.isRegionFresh(cached, Date.now(), cacheTtl)) {
         return cached.region;
-      } else {
-        //console.log(`[Cache] 快取已過期 @${username} (保存於 ${new Date(cached.timestamp).toLocaleString()})`);
-        // 刪除過期的快取
-        delete cache[username];
-        await chrome.storage.local.set({ [CACHE_KEY]: cache });
-        return null;
       }
+      console.log(`[Cache] 快取已過期 @${username}（${StorageSchema.getRegionResultType(cached)}），需重新查詢`);
     }
 
-    //console.log(`[Cache] 未找到快取 @${username}`);
     return null;
   } catch (error) {
     console.error('[Cache] 讀取快取失敗:', error);
@@ -168,27 +512,64 @@ async function getCachedRegion(username) {
 }
 
 /**
- * 將用戶地區保存到快取
+ * 從快取中讀取查詢結果（查詢前檢查，避免重複查詢）
+ * 查詢失敗的紀錄在重試時間之前沿用失敗結果，不會再次開啟查詢
+ * @param {string} username - 用戶帳號（不含 @ 符號）
+ * @returns {Promise<Object|null>} 快取的查詢結果，或 null（需要查詢）
+ */
+async function getCachedQueryResult(username) {
+  const region = await getCachedRegion(username);
+  if (region === null) return null;
+
+  if (region === StorageSchema.QUERY_FAILED_REGION) {
+    const cached = await UserStore.getUserRecord(username);
+    return { ...toQueryErrorResult(cached), fromCache: true };
+  }
+  return { success: true, region: region, fromCache: true };
+}
+
+/**
+ * 將用戶地區保存到快取（保留既有的側寫資料）
  * @param {string} username - 用戶帳號（不含 @ 符號）
  * @param {string} region - 地區
  * @param {string} joined - 加入日期（可選）
+ * @param {Object} details - 其他資訊（可選）
+ * @param {boolean} details.verified - 是否通過 Meta 驗證
+ * @param {string} details.verifiedDate - Meta 驗證日期
+ * @param {string[]} details.formerUsernames - 先前的用戶名稱
+ * @param {string} details.displayName - 顯示名稱
+ * @param {string} details.profileImage - 大頭貼網址
+ * @param {string} details.source - 資料來源（api、api_intercept、tab）
  * @returns {Promise<void>}
  */
-async function saveCachedRegion(username, region, joined = null) {
+async function saveCachedRegion(username, region, joined = null, details = {}) {
   try {
-    // 正規化地區名稱（統一為英文）
-    const normalizedRegion = normalizeRegion(region);
-
-    const result = await chrome.storage.local.get([CACHE_KEY]);
-    const cache = result[CACHE_KEY] || {};
-
-    cache[username] = {
-      region: normalizedRegion,
-      joined: joined,
-      timestamp: Date.now()
-    };
+    // 正規化地區名稱（統一為英文），並記錄標準地區代碼
+    const normalizedRegion = RegionUtils.normalizeRegion(region);
+    const regionCode = RegionUtils.getRegionCode(normalizedRegion);
+
+    await storageReady;
+    await UserStore.upsertUserRecord(username, (existing) => {
+      const record = StorageSchema.createUserRecord(existing || {});
+      record.region = normalizedRegion;
+      record.regionCode = regionCode;
+      record.joined = joined;
+      record.verified = typeof details.verified === 'boolean' ? details.verified : null;
+      record.verifiedDate = details.verifiedDate || null;
+      record.formerUsernames = Array.isArray(details.formerUsernames) ? details.formerUsernames : null;
+      record.displayName = details.displayName || null;
+      record.profileImage = details.profileImage || null;
+      record.source = details.source || null;
+      record.fetchedAt = Date.now();
+      // 查詢成功，清除先前的失敗資訊
+      record.error = null;
+      record.errorMessage = null;
+      record.errorCount = null;
+      record.retryAt = null;
+      return record;
+    });
 
-    await chrome.storage.local.set({ [CACHE_KEY]: cache });
+    notifyCacheChanged();
     console.log(`[Cache] 已保存快取 @${username}: ${normalizedRegion}${joined ? ', 加入: ' + joined : ''}`);
   } catch (error) {
     console.error('[Cache] 保存快取失敗:', error);
@@ -196,28 +577,98 @@ async function saveCachedRegion(username, region, joined = null) {
 }
 
 /**
- * 從快取中讀取完整用戶資訊（包含地區和加入日期）
+ * 將查詢失敗保存到快取（地區記為「查詢失敗」，保留既有的側寫資料）
+ * 連續失敗時重試間隔倍增，在 retryAt 之前沿用失敗結果，不重新查詢
  * @param {string} username - 用戶帳號（不含 @ 符號）
- * @returns {Promise<{region: string, joined: string}|null>} 返回用戶資訊或 null
+ * @param {string} reason - 失敗原因代碼（見 StorageSchema.QUERY_ERROR_REASONS）
+ * @param {string} message - 詳細錯誤訊息（可選）
+ * @param {string} source - 查詢方式（api、tab）
+ * @returns {Promise<Object>} 查詢失敗結果（見 toQueryErrorResult）
  */
-async function getCachedUserInfo(username) {
+async function saveQueryError(username, reason, message = null, source = 'tab') {
+  const errorReason = StorageSchema.QUERY_ERROR_REASONS[reason] ? reason : 'unknown';
+  const now = Date.now();
+  let saved = null;
+
+  // 任務被取消（分頁被關閉）造成的失敗不寫入快取
+  if (isJobCancelled(username)) {
+    console.log(`[Cache] @${username} 的查詢已取消，不保存失敗紀錄`);
+    return { ...createCancelledResult(), region: StorageSchema.QUERY_FAILED_REGION };
+  }
+
   try {
-    const result = await chrome.storage.local.get([CACHE_KEY]);
-    const cache = result[CACHE_KEY] || {};
+    await storageReady;
+    saved = await UserStore.upsertUserRecord(username, (existing) => {
+      const record = StorageSchema.createUserRecord(existing || {});
+      const errorCount = existing && existing.error ? (existing.errorCount || 0) + 1 : 1;
+      StorageSchema.clearRegionFields(record);
+      record.region = StorageSchema.QUERY_FAILED_REGION;
+      record.source = source;
+      record.fetchedAt = now;
+      record.error = errorReason;
+      record.errorMessage = message || null;
+      record.errorCount = errorCount;
+      record.retryAt = now + StorageSchema.getRetryDelayMs(errorCount, cacheTtl);
+      return record;
+    });
 
-    if (cache[username]) {
-      const cached = cache[username];
-      const now = Date.now();
-      const expiryTime = CACHE_EXPIRY_DAYS * 24 * 60 * 60 * 1000;
+    notifyCacheChanged();
+    console.log(`[Cache] 已保存查詢失敗 @${username}: ${errorReason}（第 ${saved.errorCount} 次，${new Date(saved.retryAt).toLocaleString()} 後重試）`);
+  } catch (error) {
+    console.error('[Cache] 保存查詢失敗紀錄失敗:', error);
+  }
 
-      if (now - cached.timestamp < expiryTime) {
-        return {
-          region: cached.region,
-          joined: cached.joined || null
-        };
-      }
-    }
-    return null;
+  return toQueryErrorResult(saved || { error: errorReason, errorMessage: message, retryAt: null });
+}
+
+/**
+ * 將查詢失敗紀錄轉為查詢結果
+ * @param {UserRecord} record - region 為「查詢失敗」的紀錄
+ * @returns {{success: false, region: string, reason: string, error: string, retryAt: number|null}}
+ */
+function toQueryErrorResult(record) {
+  return {
+    success: false,
+    region: StorageSchema.QUERY_FAILED_REGION,
+    reason: record.error || 'unknown',
+    error: record.errorMessage || StorageSchema.getQueryErrorLabel(record.error),
+    retryAt: record.retryAt || null
+  };
+}
+
+/**
+ * 判斷例外的失敗原因（未標記原因時，依訊息辨識 content script 不存在的情況）
+ * @param {Error} error
+ * @returns {string} 原因代碼
+ */
+function getQueryErrorReason(error) {
+  if (error && error.reason) return error.reason;
+  if (error && /Receiving end does not exist|Could not establish connection/i.test(error.message)) {
+    return 'content_script_missing';
+  }
+  return 'unknown';
+}
+
+/**
+ * 建立 content script 未回應 ping 時的錯誤（分頁載入逾時或 content script 未注入）
+ * @param {boolean} tabLoaded - 查詢分頁是否在時限內載入完成
+ * @returns {Error}
+ */
+function createTabLoadError(tabLoaded) {
+  return tabLoaded
+    ? StorageSchema.createQueryError('content_script_missing', 'Content script 未能載入')
+    : StorageSchema.createQueryError('timeout', '查詢分頁載入逾時，content script 未能載入');
+}
+
+/**
+ * 從快取中讀取完整用戶紀錄（地區、加入日期、驗證狀態與側寫）
+ * @param {string} username - 用戶帳號（不含 @ 符號）
+ * @returns {Promise<UserRecord|null>} 返回有效的用戶紀錄或 null（過期欄位為 null）
+ */
+async function getCachedUserInfo(username) {
+  try {
+    await storageReady;
+    return getFreshRecord(await UserStore.getUserRecord(username));
   } catch (error) {
     console.error('[Cache] 讀取用戶資訊失敗:', error);
     return null;
@@ -225,12 +676,14 @@ async function getCachedUserInfo(username) {
 }
 
 /**
- * 清除所有快取
+ * 清除所有地區快取（保留側寫）
  * @returns {Promise<void>}
  */
 async function clearCache() {
   try {
-    await chrome.storage.local.remove([CACHE_KEY]);
+    await storageReady;
+    await UserStore.updateAllUserRecords(withoutRegion);
+    notifyCacheChanged();
     console.log('[Cache] 已清除所有快取');
   } catch (error) {
     console.error('[Cache] 清除快取失敗:', error);
@@ -238,25 +691,28 @@ async function clearCache() {
 }
 
 /**
- * 移除單一用戶的快取
+ * 移除單一用戶的地區快取
  * @param {string} username - 用戶帳號（不含 @ 符號）
  * @returns {Promise<boolean>} 是否成功移除
  */
 async function removeUserCache(username) {
   try {
     const cleanUsername = username.startsWith('@') ? username.slice(1) : username;
-    const result = await chrome.storage.local.get([CACHE_KEY]);
-    const cache = result[CACHE_KEY] || {};
+    let removed = false;
+
+    await storageReady;
+    await UserStore.upsertUserRecord(cleanUsername, (record) => {
+      removed = !!record && record.region !== null;
+      return withoutRegion(record);
+    });
 
-    if (cache[cleanUsername]) {
-      delete cache[cleanUsername];
-      await chrome.storage.local.set({ [CACHE_KEY]: cache });
+    if (removed) {
+      notifyCacheChanged();
       console.log(`[Cache] 已移除 @${cleanUsername} 的快取`);
-      return true;
     } else {
       console.log(`[Cache] @${cleanUsername} 沒有快取資料`);
-      return false;
     }
+    return removed;
   } catch (error) {
     console.error('[Cache] 移除用戶快取失敗:', error);
     return false;
@@ -269,83 +725,128 @@ async function removeUserCache(username) {
  */
 async function getCacheStats() {
   try {
-    const result = await chrome.storage.local.get([CACHE_KEY]);
-    const cache = result[CACHE_KEY] || {};
+    await storageReady;
+    // region 索引只包含有地區的紀錄；有效期限依結果類型而定，需逐筆判斷
+    const records = await UserStore.getAllUserRecords('region');
     const now = Date.now();
-    const expiryTime = CACHE_EXPIRY_DAYS * 24 * 60 * 60 * 1000;
-
-    let totalCount = 0;
-    let validCount = 0;
-    let expiredCount = 0;
-
-    for (const username in cache) {
-      totalCount++;
-      if (now - cache[username].timestamp < expiryTime) {
-        validCount++;
-      } else {
-        expiredCount++;
+    const usernames = Object.keys(records);
+    // 有效紀錄依結果類型分開統計，查詢失敗不計入已儲存的所在地與未揭露
+    const countsByType = { confirmed: 0, undisclosed: 0, error: 0 };
+    for (const username of usernames) {
+      if (StorageSchema.isRegionFresh(records[username], now, cacheTtl)) {
+        countsByType[StorageSchema.getRegionResultType(records[username])]++;
       }
     }
+    const freshCount = countsByType.confirmed + countsByType.undisclosed + countsByType.error;
 
     return {
-      totalCount,
-      validCount,
-      expiredCount,
-      expiryDays: CACHE_EXPIRY_DAYS
+      totalCount: usernames.length,
+      validCount: countsByType.confirmed + countsByType.undisclosed,
+      confirmedCount: countsByType.confirmed,
+      undisclosedCount: countsByType.undisclosed,
+      errorCount: countsByType.error,
+      expiredCount: usernames.length - freshCount,
+      ttlHours: cacheTtl
     };
   } catch (error) {
     console.error('[Cache] 獲取快取統計失敗:', error);
     return {
       totalCount: 0,
       validCount: 0,
+      confirmedCount: 0,
+      undisclosedCount: 0,
+      errorCount: 0,
       expiredCount: 0,
-      expiryDays: CACHE_EXPIRY_DAYS
+      ttlHours: cacheTtl
     };
   }
 }
 
 /**
- * 獲取所有快取的用戶地區資料
- * @returns {Promise<Object>} 所有快取資料
+ * 獲取所有有地區資料的用戶紀錄
+ * @returns {Promise<Object>} { username: UserRecord }
  */
 async function getAllCachedRegions() {
   try {
-    const result = await chrome.storage.local.get([CACHE_KEY]);
-    const cache = result[CACHE_KEY] || {};
-    console.log(`[Cache] 獲取所有快取資料，共 ${Object.keys(cache).length} 筆`);
-    return cache;
+    await storageReady;
+    const regions = await UserStore.getAllUserRecords('region');
+    console.log(`[Cache] 獲取所有快取資料，共 ${Object.keys(regions).length} 筆`);
+    return regions;
   } catch (error) {
     console.error('[Cache] 獲取所有快取失敗:', error);
     return {};
   }
 }
 
+/**
+ * 獲取所有仍有效的用戶紀錄（過期欄位為 null）
+ * @returns {Promise<Object>} { username: UserRecord }
+ */
+async function getAllCachedUserInfo() {
+  try {
+    await storageReady;
+    const all = await UserStore.getAllUserRecords();
+    const now = Date.now();
+    const records = {};
+    for (const username in all) {
+      const fresh = getFreshRecord(all[username], now);
+      if (fresh) {
+        records[username] = fresh;
+      }
+    }
+    return records;
+  } catch (error) {
+    console.error('[Cache] 獲取所有用戶紀錄失敗:', error);
+    return {};
+  }
+}
+
+/**
+ * 批次讀取多位用戶的快取紀錄（單一 IndexedDB 交易）
+ * @param {string[]} accounts - 用戶帳號列表（可含 @ 符號）
+ * @returns {Promise<Object>} { account: UserRecord }，以傳入的帳號為鍵；沒有快取或已過期的欄位為 null
+ */
+async function getCachedUsersBatch(accounts) {
+  try {
+    const uniqueAccounts = [...new Set(accounts)];
+    const usernames = uniqueAccounts.map(account => account.startsWith('@') ? account.slice(1) : account);
+
+    await storageReady;
+    const records = await UserStore.getUserRecords(usernames);
+    const now = Date.now();
+
+    const result = {};
+    uniqueAccounts.forEach((account, index) => {
+      result[account] = getFreshRecord(records[usernames[index]], now) || StorageSchema.createUserRecord();
+    });
+    return result;
+  } catch (error) {
+    console.error('[Cache] 批次讀取用戶紀錄失敗:', error);
+    return {};
+  }
+}
+
 // ==================== 用戶側寫快取管理 ====================
 
 /**
  * 從快取中讀取用戶側寫分析結果
  * @param {string} username - 用戶帳號（不含 @ 符號）
- * @returns {Promise<{profile: string}|null>} 返回側寫資料或 null（未找到或已過期）
+ * @returns {Promise<{profile: ProfileTag[]}|null>} 返回側寫資料或 null（未找到或已過期）
  */
 async function getCachedProfile(username) {
   try {
-    const result = await chrome.storage.local.get([PROFILE_CACHE_KEY]);
-    const cache = result[PROFILE_CACHE_KEY] || {};
+    await storageReady;
+    const cached = await UserStore.getUserRecord(username);
 
-    if (cache[username]) {
-      const cached = cache[username];
-      const now = Date.now();
-      const expiryTime = CACHE_EXPIRY_DAYS * 24 * 60 * 60 * 1000;
-
-      if (now - cached.timestamp < expiryTime) {
-        console.log(`[ProfileCache] 命中快取 @${username}: ${cached.profile}`);
+    if (cached && cached.profileTags !== null) {
+      if (StorageSchema.isProfileFresh(cached, Date.now(), cacheTtl)) {
+        console.log(`[ProfileCache] 命中快取 @${username}: ${StorageSchema.formatProfileTags(cached.profileTags)}`);
         return {
-          profile: cached.profile
+          profile: cached.profileTags
         };
       } else {
-        console.log(`[ProfileCache] 快取已過期 @${username}`);
-        delete cache[username];
-        await chrome.storage.local.set({ [PROFILE_CACHE_KEY]: cache });
+        // 過期的側寫保留在資料庫中，重新分析後覆蓋
+        console.log(`[ProfileCache] 快取已過期 @${username}，需重新分析`);
         return null;
       }
     }
@@ -358,38 +859,40 @@ async function getCachedProfile(username) {
 }
 
 /**
- * 將用戶側寫分析結果保存到快取
+ * 將用戶側寫分析結果保存到快取（保留既有的地區資料）
  * @param {string} username - 用戶帳號（不含 @ 符號）
- * @param {string} profile - 側寫標籤
+ * @param {string|ProfileTag[]} profile - 側寫標籤（ProfileTag 陣列，或舊格式字串 "標籤:理由,..."）
  * @returns {Promise<void>}
  */
 async function saveCachedProfile(username, profile) {
   try {
-    const result = await chrome.storage.local.get([PROFILE_CACHE_KEY]);
-    const cache = result[PROFILE_CACHE_KEY] || {};
-
-    cache[username] = {
-      profile: profile,
-      timestamp: Date.now()
-    };
+    const profileTags = StorageSchema.parseProfileTags(profile) || [];
+
+    await storageReady;
+    await UserStore.upsertUserRecord(username, (existing) => {
+      const record = StorageSchema.createUserRecord(existing || {});
+      record.profileTags = profileTags;
+      record.profileFetchedAt = Date.now();
+      return record;
+    });
 
-    await chrome.storage.local.set({ [PROFILE_CACHE_KEY]: cache });
-    console.log(`[ProfileCache] 已保存快取 @${username}: ${profile}`);
+    notifyCacheChanged();
+    console.log(`[ProfileCache] 已保存快取 @${username}: ${StorageSchema.formatProfileTags(profileTags)}`);
   } catch (error) {
     console.error('[ProfileCache] 保存快取失敗:', error);
   }
 }
 
 /**
- * 獲取所有快取的用戶側寫資料
- * @returns {Promise<Object>} 所有快取資料
+ * 獲取所有有側寫資料的用戶紀錄
+ * @returns {Promise<Object>} { username: UserRecord }
  */
 async function getAllCachedProfiles() {
   try {
-    const result = await chrome.storage.local.get([PROFILE_CACHE_KEY]);
-    const cache = result[PROFILE_CACHE_KEY] || {};
-    console.log(`[ProfileCache] 獲取所有快取資料，共 ${Object.keys(cache).length} 筆`);
-    return cache;
+    await storageReady;
+    const profiles = await UserStore.getAllUserRecords('profileFetchedAt');
+    console.log(`[ProfileCache] 獲取所有快取資料，共 ${Object.keys(profiles).length} 筆`);
+    return profiles;
   } catch (error) {
     console.error('[ProfileCache] 獲取所有快取失敗:', error);
     return {};
@@ -397,12 +900,14 @@ async function getAllCachedProfiles() {
 }
 
 /**
- * 清除所有側寫快取
+ * 清除所有側寫快取（保留地區）
  * @returns {Promise<void>}
  */
 async function clearProfileCache() {
   try {
-    await chrome.storage.local.remove([PROFILE_CACHE_KEY]);
+    await storageReady;
+    await UserStore.updateAllUserRecords(withoutProfile);
+    notifyCacheChanged();
     console.log('[ProfileCache] 已清除所有快取');
   } catch (error) {
     console.error('[ProfileCache] 清除快取失敗:', error);
@@ -417,18 +922,21 @@ async function clearProfileCache() {
 async function removeUserProfileCache(username) {
   try {
     const cleanUsername = username.startsWith('@') ? username.slice(1) : username;
-    const result = await chrome.storage.local.get([PROFILE_CACHE_KEY]);
-    const cache = result[PROFILE_CACHE_KEY] || {};
+    let removed = false;
+
+    await storageReady;
+    await UserStore.upsertUserRecord(cleanUsername, (record) => {
+      removed = !!record && record.profileTags !== null;
+      return withoutProfile(record);
+    });
 
-    if (cache[cleanUsername]) {
-      delete cache[cleanUsername];
-      await chrome.storage.local.set({ [PROFILE_CACHE_KEY]: cache });
+    if (removed) {
+      notifyCacheChanged();
       console.log(`[ProfileCache] 已移除 @${cleanUsername} 的快取`);
-      return true;
     } else {
       console.log(`[ProfileCache] @${cleanUsername} 沒有快取資料`);
-      return false;
     }
+    return removed;
   } catch (error) {
     console.error('[ProfileCache] 移除用戶快取失敗:', error);
     return false;
@@ -441,29 +949,17 @@ async function removeUserProfileCache(username) {
  */
 async function getProfileCacheStats() {
   try {
-    const result = await chrome.storage.local.get([PROFILE_CACHE_KEY]);
-    const cache = result[PROFILE_CACHE_KEY] || {};
-    const now = Date.now();
-    const expiryTime = CACHE_EXPIRY_DAYS * 24 * 60 * 60 * 1000;
-
-    let totalCount = 0;
-    let validCount = 0;
-    let expiredCount = 0;
-
-    for (const username in cache) {
-      totalCount++;
-      if (now - cache[username].timestamp < expiryTime) {
-        validCount++;
-      } else {
-        expiredCount++;
-      }
-    }
+    await storageReady;
+    // profileFetchedAt 索引只包含有側寫的紀錄
+    const validSince = Date.now() - cacheTtl.profile * 60 * 60 * 1000;
+    const totalCount = await UserStore.countUserRecords('profileFetchedAt');
+    const validCount = await UserStore.countUserRecords('profileFetchedAt', IDBKeyRange.lowerBound(validSince, true));
 
     return {
       totalCount,
       validCount,
-      expiredCount,
-      expiryDays: CACHE_EXPIRY_DAYS
+      expiredCount: totalCount - validCount,
+      ttlHours: cacheTtl
     };
   } catch (error) {
     console.error('[ProfileCache] 獲取快取統計失敗:', error);
@@ -471,7 +967,7 @@ async function getProfileCacheStats() {
       totalCount: 0,
       validCount: 0,
       expiredCount: 0,
-      expiryDays: CACHE_EXPIRY_DAYS
+      ttlHours: cacheTtl
     };
   }
 }
@@ -529,14 +1025,15 @@ async function executeQuery(username, shouldKeepTab = false, keepTabFilter = '')
   // 移除 @ 符號（如果有的話）
   const cleanUsername = username.startsWith('@') ? username.slice(1) : username;
 
-  // 先檢查快取，避免重複查詢
-  const cachedRegion = await getCachedRegion(cleanUsername);
-  if (cachedRegion !== null) {
-    console.log(`[QueryManager] @${cleanUsername} 已有快取資料: ${cachedRegion}，跳過查詢`);
-    return { success: true, region: cachedRegion, fromCache: true };
+  // 先檢查快取，避免重複查詢（查詢失敗在重試時間前也不重新查詢）
+  const cachedResult = await getCachedQueryResult(cleanUsername);
+  if (cachedResult) {
+    console.log(`[QueryManager] @${cleanUsername} 已有快取資料: ${cachedResult.region}，跳過查詢`);
+    return cachedResult;
   }
 
   let newTab = null;
+  let tabLoaded = true; // 查詢分頁是否在時限內載入完成（用於區分逾時與 content script 未載入）
 
   try {
     // 標記此用戶正在查詢中
@@ -580,17 +1077,30 @@ async function executeQuery(username, shouldKeepTab = false, keepTabFilter = '')
             console.log(`[QueryManager] API 攔截成功 @${cleanUsername}: ${apiResponse.region}`);
 
             // 保存到快取（包含 joined 資訊）
-            await saveCachedRegion(cleanUsername, apiResponse.region, apiResponse.joined || null);
+            await saveCachedRegion(cleanUsername, apiResponse.region, apiResponse.joined || null, {
+              verified: apiResponse.verified,
+              verifiedDate: apiResponse.verifiedDate,
+              formerUsernames: apiResponse.formerUsernames,
+              displayName: apiResponse.displayName,
+              profileImage: apiResponse.profileImage,
+              source: 'api'
+            });
 
             return {
               success: true,
               region: apiResponse.region,
               joined: apiResponse.joined || null,
+              verified: apiResponse.verified,
+              formerUsernames: apiResponse.formerUsernames || null,
               fromCache: false,
               source: 'api_intercept'
             };
+          } else if (apiResponse && apiResponse.reason) {
+            // API 攔截失敗（逾時、限速、回應無法解析），保存失敗原因，重試時間前不重複查詢
+            console.log(`[QueryManager] API 攔截失敗 @${cleanUsername}：${apiResponse.reason}`);
+            return await saveQueryError(cleanUsername, apiResponse.reason, apiResponse.error, 'api');
           } else if (apiResponse && apiResponse.fallbackNeeded) {
-            // API 攔截失敗（找不到 user ID 等），返回失敗讓使用者知道
+            // 找不到 user ID（尚未瀏覽過該用戶），不屬於查詢失敗，返回失敗讓使用者知道
             console.log(`[QueryManager] API 攔截失敗 @${cleanUsername}：找不到 user ID，請先瀏覽該用戶的動態`);
             return {
               success: false,
@@ -638,23 +1148,24 @@ async function executeQuery(username, shouldKeepTab = false, keepTabFilter = '')
         // 刷新該分頁以確保內容是最新的
         await chrome.tabs.reload(existingTab.id);
 
-        // 等待分頁載入完成
-        await new Promise((resolve) => {
+        // 等待分頁載入完成（逾時返回 false）
+        tabLoaded = await new Promise((resolve) => {
           const listener = (tabId, changeInfo) => {
             if (tabId === existingTab.id && changeInfo.status === 'complete') {
               chrome.tabs.onUpdated.removeListener(listener);
-              resolve();
+              resolve(true);
             }
           };
           chrome.tabs.onUpdated.addListener(listener);
           setTimeout(() => {
             chrome.tabs.onUpdated.removeListener(listener);
-            resolve();
+            resolve(false);
           }, 10000);
         });
 
         // 設定 newTab 為已存在的分頁
         newTab = existingTab;
+        trackJobTab(cleanUsername, newTab.id);
         console.log(`[QueryManager] 使用已存在的分頁 ID ${newTab.id}`);
 
         // 跳過後續的分頁創建邏輯，直接進入查詢階段
@@ -702,13 +1213,14 @@ async function executeQuery(username, shouldKeepTab = false, keepTabFilter = '')
     }
 
     newTab = await chrome.tabs.create(createOptions);
+    trackJobTab(cleanUsername, newTab.id);
 
-    // 等待新分頁載入完成
-    await new Promise((resolve) => {
+    // 等待新分頁載入完成（逾時返回 false）
+    tabLoaded = await new Promise((resolve) => {
       const listener = (tabId, changeInfo) => {
         if (tabId === newTab.id && changeInfo.status === 'complete') {
           chrome.tabs.onUpdated.removeListener(listener);
-          resolve();
+          resolve(true);
         }
       };
       chrome.tabs.onUpdated.addListener(listener);
@@ -716,7 +1228,7 @@ async function executeQuery(username, shouldKeepTab = false, keepTabFilter = '')
       // 設定超時時間（10 秒）
       setTimeout(() => {
         chrome.tabs.onUpdated.removeListener(listener);
-        resolve();
+        resolve(false);
       }, 10000);
     });
 
@@ -746,7 +1258,7 @@ async function executeQuery(username, shouldKeepTab = false, keepTabFilter = '')
     }
 
     if (!contentScriptReady) {
-      throw new Error('Content script 未能載入');
+      throw createTabLoadError(tabLoaded);
     }
 
     // Content script 已準備好，發送查詢請求
@@ -790,12 +1302,12 @@ async function executeQuery(username, shouldKeepTab = false, keepTabFilter = '')
       }
       console.log(`[QueryManager] 查詢成功 @${cleanUsername}: ${region}`);
 
-      // 追蹤連續 null 結果（開分頁方式）
+      // 追蹤連續未揭露結果（開分頁方式）
       const isNullResult = !response.region || region === '未揭露';
-      checkConsecutiveNullResults(isNullResult, 'tab');
+      checkConsecutiveResults(isNullResult ? 'undisclosed' : 'found', 'tab');
 
       // 保存到快取
-      await saveCachedRegion(cleanUsername, region);
+      await saveCachedRegion(cleanUsername, region, null, { source: 'tab' });
 
       return {
         success: true,
@@ -822,18 +1334,15 @@ async function executeQuery(username, shouldKeepTab = false, keepTabFilter = '')
         }
       }
 
-      // 查詢失敗也要保存到快取，避免重複查詢
-      await saveCachedRegion(cleanUsername, '未揭露');
-      console.log(`[QueryManager] @${cleanUsername} 未揭露，已保存到快取`);
+      // 查詢失敗也要保存到快取，在重試時間之前不重複查詢
+      // 沒有回應表示 content script 未處理查詢
+      const reason = response ? (response.reason || 'unknown') : 'content_script_missing';
+      const failure = await saveQueryError(cleanUsername, reason, response && response.error, 'tab');
 
-      // 追蹤連續 null 結果（開分頁方式）
-      checkConsecutiveNullResults(true, 'tab');
+      // 追蹤連續查詢失敗（開分頁方式）
+      checkConsecutiveResults('error', 'tab', reason);
 
-      return {
-        success: true,
-        region: '未揭露',
-        fromCache: false
-      };
+      return { ...failure, fromCache: false };
     }
   } catch (error) {
     // 如果發生錯誤，根據過濾條件決定是否關閉分頁
@@ -853,19 +1362,15 @@ async function executeQuery(username, shouldKeepTab = false, keepTabFilter = '')
       }
     }
 
-    // 查詢錯誤也保存「未揭露」到快取，避免重複嘗試
-    await saveCachedRegion(cleanUsername, '未揭露');
-    console.log(`[QueryManager] @${cleanUsername} 查詢錯誤，標記為未揭露`);
+    // 查詢錯誤保存為「查詢失敗」（不是未揭露），在重試時間之前不重複嘗試
+    const reason = getQueryErrorReason(error);
+    const failure = await saveQueryError(cleanUsername, reason, error.message, 'tab');
 
-    // 追蹤連續 null 結果（開分頁方式）
-    checkConsecutiveNullResults(true, 'tab');
+    // 追蹤連續查詢失敗（開分頁方式）
+    checkConsecutiveResults('error', 'tab', reason);
 
     console.error(`[QueryManager] 查詢失敗 @${cleanUsername}:`, error.message);
-    return {
-      success: true,
-      region: '未揭露',
-      fromCache: false
-    };
+    return { ...failure, fromCache: false };
   } finally {
     // 無論成功或失敗，都要從正在查詢的清單中移除
     pendingQueries.delete(cleanUsername);
@@ -886,8 +1391,8 @@ async function executeIntegratedQuery(username, enableProfileAnalysis = false, s
   const cleanUsername = username.startsWith('@') ? username.slice(1) : username;
 
   let queryTab = null;
-  let userReplyContent = '';
-  let userPostContent = '';
+  let userReplies = []; // 回覆頁面的貼文（SocialPost，含被回覆的原貼文）
+  let userPosts = [];
 
   try {
     console.log(`[QueryManager] 開始整合查詢 @${cleanUsername}，側寫分析: ${enableProfileAnalysis}`);
@@ -928,7 +1433,7 @@ async function executeIntegratedQuery(username, enableProfileAnalysis = false, s
       // 檢查側寫快取
       const cachedProfileData = await getCachedProfile(cleanUsername);
       if (cachedProfileData !== null) {
-        console.log(`[QueryManager] 使用側寫快取 @${cleanUsername}: ${cachedProfileData.profile}`);
+        console.log(`[QueryManager] 使用側寫快取 @${cleanUsername}: ${StorageSchema.formatProfileTags(cachedProfileData.profile)}`);
         // 通知快取結果
         if (onProfileContentReady) {
           onProfileContentReady({
@@ -943,6 +1448,7 @@ async function executeIntegratedQuery(username, enableProfileAnalysis = false, s
         console.log(`[QueryManager] 步驟 1: 前往 @${cleanUsername} 的回覆頁面`);
         const replyUrl = `https://www.threads.com/@${cleanUsername}/replies?hl=zh-tw`;
         queryTab = await chrome.tabs.create({ ...createOptions, url: replyUrl });
+        trackJobTab(cleanUsername, queryTab.id);
 
         // 等待頁面載入完成
         await new Promise((resolve) => {
@@ -980,10 +1486,10 @@ async function executeIntegratedQuery(username, enableProfileAnalysis = false, s
           // 執行隨機捲動以載入更多內容
           await performRandomScrolls(queryTab.id);
 
-          const replyResponse = await chrome.tabs.sendMessage(queryTab.id, { action: 'extractPageText' });
+          const replyResponse = await chrome.tabs.sendMessage(queryTab.id, { action: 'extractPagePosts' });
           if (replyResponse && replyResponse.success) {
-            userReplyContent = replyResponse.text;
-            console.log(`[QueryManager] 取得回覆內容，長度: ${userReplyContent.length}`);
+            userReplies = replyResponse.posts || [];
+            console.log(`[QueryManager] 取得回覆內容，共 ${userReplies.length} 則`);
           }
         }
 
@@ -1028,22 +1534,22 @@ async function executeIntegratedQuery(username, enableProfileAnalysis = false, s
           // 執行隨機捲動以載入更多內容
           await performRandomScrolls(queryTab.id);
 
-          const postResponse = await chrome.tabs.sendMessage(queryTab.id, { action: 'extractPageText' });
+          const postResponse = await chrome.tabs.sendMessage(queryTab.id, { action: 'extractPagePosts' });
           if (postResponse && postResponse.success) {
-            userPostContent = postResponse.text;
-            console.log(`[QueryManager] 取得貼文內容，長度: ${userPostContent.length}`);
+            userPosts = postResponse.posts || [];
+            console.log(`[QueryManager] 取得貼文內容，共 ${userPosts.length} 則`);
           }
         }
 
         // 步驟 3: 通知側寫內容已準備好，開始 LLM 分析（非同步，不等待）
-        if (userPostContent || userReplyContent) {
+        if (userPosts.length > 0 || userReplies.length > 0) {
           console.log(`[QueryManager] 步驟 3: 通知開始 LLM 分析（非同步）`);
           if (onProfileContentReady) {
             // 非同步呼叫，不等待 LLM 完成
             onProfileContentReady({
               success: true,
-              userPostContent: userPostContent,
-              userReplyContent: userReplyContent,
+              userPosts: userPosts,
+              userReplies: userReplies,
               needAnalysis: true
             });
           }
@@ -1080,7 +1586,14 @@ async function executeIntegratedQuery(username, enableProfileAnalysis = false, s
           apiRegion = apiResponse.region;
 
           // 保存到快取
-          await saveCachedRegion(cleanUsername, apiRegion);
+          await saveCachedRegion(cleanUsername, apiRegion, apiResponse.joined || null, {
+            verified: apiResponse.verified,
+            verifiedDate: apiResponse.verifiedDate,
+            formerUsernames: apiResponse.formerUsernames,
+            displayName: apiResponse.displayName,
+            profileImage: apiResponse.profileImage,
+            source: 'api'
+          });
 
           // 如果不需要側寫分析（或已有快取），可以直接返回
           if (!enableProfileAnalysis || !queryTab) {
@@ -1132,20 +1645,21 @@ async function executeIntegratedQuery(username, enableProfileAnalysis = false, s
     } else {
       // 建立新分頁
       queryTab = await chrome.tabs.create({ ...createOptions, url: profileUrl });
+      trackJobTab(cleanUsername, queryTab.id);
     }
 
     // 等待頁面載入完成
-    await new Promise((resolve) => {
+    const tabLoaded = await new Promise((resolve) => {
       const listener = (tabId, changeInfo) => {
         if (tabId === queryTab.id && changeInfo.status === 'complete') {
           chrome.tabs.onUpdated.removeListener(listener);
-          resolve();
+          resolve(true);
         }
       };
       chrome.tabs.onUpdated.addListener(listener);
       setTimeout(() => {
         chrome.tabs.onUpdated.removeListener(listener);
-        resolve();
+        resolve(false);
       }, 10000);
     });
 
@@ -1167,7 +1681,7 @@ async function executeIntegratedQuery(username, enableProfileAnalysis = false, s
     }
 
     if (!contentScriptReady) {
-      throw new Error('Content script 未能載入');
+      throw createTabLoadError(tabLoaded);
     }
 
     // 發送地點查詢請求
@@ -1178,7 +1692,8 @@ async function executeIntegratedQuery(username, enableProfileAnalysis = false, s
 
     // 處理地點查詢結果
     if (response && response.success) {
-      const region = response.region;
+      // 如果 region 為 null 或空，視為「未揭露」
+      const region = response.region || '未揭露';
 
       // 根據設定決定是否關閉分頁
       let shouldCloseTab = !shouldKeepTab;
@@ -1208,7 +1723,7 @@ async function executeIntegratedQuery(username, enableProfileAnalysis = false, s
       console.log(`[QueryManager] 查詢成功 @${cleanUsername}: ${region}`);
 
       // 保存到快取
-      await saveCachedRegion(cleanUsername, region);
+      await saveCachedRegion(cleanUsername, region, null, { source: 'tab' });
 
       return {
         success: true,
@@ -1232,10 +1747,9 @@ async function executeIntegratedQuery(username, enableProfileAnalysis = false, s
         }
       }
 
-      return {
-        success: false,
-        error: (response && response.error) || '未知錯誤'
-      };
+      // 查詢失敗保存到快取（沒有回應表示 content script 未處理查詢）
+      const reason = response ? (response.reason || 'unknown') : 'content_script_missing';
+      return await saveQueryError(cleanUsername, reason, response && response.error, 'tab');
     }
 
   } catch (error) {
@@ -1255,53 +1769,149 @@ async function executeIntegratedQuery(username, enableProfileAnalysis = false, s
     }
 
     console.error(`[QueryManager] 整合查詢失敗 @${cleanUsername}:`, error.message);
-    return {
-      success: false,
-      error: error.message
-    };
+    return await saveQueryError(cleanUsername, getQueryErrorReason(error), error.message, 'tab');
   }
 }
 
 // ==================== 隊列處理 ====================
 
+// 任務優先順序：手動點擊 [查詢] 最優先，其次為 popup / sidepanel 的查詢，自動查詢可見用戶最後
+const JOB_PRIORITIES = { high: 2, normal: 1, low: 0 };
+
 /**
- * 處理查詢隊列
- * 從隊列中取出任務並執行，直到達到並發上限或隊列為空
+ * 建立已取消任務的查詢結果
+ * @returns {{success: false, cancelled: true, error: string}}
  */
-async function processQueryQueue() {
-  // 如果當前執行的任務數已達上限，或隊列為空，則不處理
-  if (activeQueryCount >= queueJobMax || queryQueue.length === 0) {
-    return;
+function createCancelledResult() {
+  return { success: false, cancelled: true, error: '查詢已取消' };
+}
+
+/**
+ * 依優先順序將任務插入隊列（同優先順序依加入順序）
+ * @param {QueryJob} job
+ */
+function insertQueryJob(job) {
+  const index = queryQueue.findIndex(queued => JOB_PRIORITIES[queued.priority] < JOB_PRIORITIES[job.priority]);
+  if (index === -1) {
+    queryQueue.push(job);
+  } else {
+    queryQueue.splice(index, 0, job);
   }
+}
 
-  // 從隊列中取出一個任務
-  const task = queryQueue.shift();
-  activeQueryCount++;
+/**
+ * 組合任務狀態的說明文字（popup 隊列日誌與 sidepanel 狀態列顯示相同內容）
+ * 使用 i18n.js（background.js 先行載入）目前的語言
+ * @param {QueryJob} job
+ * @param {string} status - 任務狀態
+ * @param {Object|null} result - 查詢結果（結束時）
+ * @returns {{message: string, type: string}}
+ */
+function describeJobUpdate(job, status, result) {
+  switch (status) {
+    case 'queued':
+      return { message: I18n.t('jobQueued', job.username), type: 'pending' };
+    case 'running':
+      return { message: I18n.t('jobRunning', job.username), type: 'pending' };
+    case 'done':
+      return result && result.region
+        ? { message: I18n.t('jobDoneWithRegion', job.username, I18n.getRegionName(result.region)), type: 'success' }
+        : { message: I18n.t('jobDone', job.username), type: 'success' };
+    case 'failed':
+      return { message: I18n.t('jobFailed', job.username, (result && result.error) || I18n.t('errorUnknown')), type: 'error' };
+    default:
+      return { message: I18n.t('jobCancelled', job.username), type: 'warning' };
+  }
+}
 
-  console.log(`[QueryManager] 開始處理任務 @${task.username} (進行中: ${activeQueryCount}/${queueJobMax}, 隊列剩餘: ${queryQueue.length})`);
+/**
+ * 廣播任務狀態變化（queued、running、done、failed、cancelled）
+ * 擴充功能頁面（popup、sidepanel）與 Threads 分頁上的標籤收到相同的更新
+ * @param {QueryJob} job
+ * @param {string} status - 任務狀態
+ * @param {Object|null} result - 查詢結果（結束時）
+ */
+function broadcastJobUpdate(job, status, result = null) {
+  const { message, type } = describeJobUpdate(job, status, result);
+  const update = {
+    action: 'queryJobUpdate',
+    job: {
+      id: job.id,
+      username: job.username,
+      account: job.account,
+      priority: job.priority,
+      status: status,
+      position: status === 'queued' ? queryQueue.indexOf(job) + 1 : null,
+      result: result
+    },
+    queueLength: queryQueue.length,
+    activeCount: runningJobs.size,
+    message: message,
+    type: type
+  };
 
+  chrome.runtime.sendMessage(update).catch(() => {
+    // popup / sidepanel 可能未開啟，忽略錯誤
+  });
+  chrome.tabs.query({ url: '*://www.threads.com/*' }).then((tabs) => {
+    tabs.forEach(tab => chrome.tabs.sendMessage(tab.id, update).catch(() => {}));
+  }).catch(() => {});
+}
+
+/**
+ * 處理查詢隊列
+ * 從隊列中取出任務並執行，直到達到並發上限或隊列為空
+ */
+function processQueryQueue() {
+  while (runningJobs.size < queueJobMax && queryQueue.length > 0) {
+    const task = queryQueue.shift();
+    task.status = 'running';
+    task.startedAt = Date.now();
+    runningJobs.set(task.id, task);
+    persistQueueState();
+    broadcastJobUpdate(task, 'running');
+
+    console.log(`[QueryManager] 開始處理任務 @${task.username} (進行中: ${runningJobs.size}/${queueJobMax}, 隊列剩餘: ${queryQueue.length})`);
+    executeQueryJob(task);
+  }
+}
+
+/**
+ * 執行單一查詢任務，結束後繼續處理隊列
+ * @param {QueryJob} task - 已加入 runningJobs 的任務
+ * @returns {Promise<void>}
+ */
+async function executeQueryJob(task) {
   try {
     let result;
     if (task.isIntegrated) {
-      // 整合查詢（側寫分析 + 地點查詢）
+      // 整合查詢（側寫分析 + 地點查詢），側寫內容由 setProfileContentReadyHandler 設定的處理函式通知
+      const onProfileContentReady = profileContentReadyHandler
+        ? profileData => profileContentReadyHandler(task.account, profileData)
+        : null;
       result = await executeIntegratedQuery(
         task.username,
         task.enableProfileAnalysis,
         task.shouldKeepTab,
         task.keepTabFilter,
-        task.onProfileContentReady
+        onProfileContentReady
       );
     } else {
       // 一般查詢（只有地點查詢）
       result = await executeQuery(task.username, task.shouldKeepTab, task.keepTabFilter);
     }
-    task.resolve(result);
+
+    if (task.cancelled) {
+      finishQueryJob(task, 'cancelled', createCancelledResult());
+    } else {
+      finishQueryJob(task, result && result.success ? 'done' : 'failed', result);
+    }
   } catch (error) {
-    task.reject(error);
+    finishQueryJob(task, task.cancelled ? 'cancelled' : 'failed',
+      task.cancelled ? createCancelledResult() : { success: false, error: error.message });
   } finally {
-    activeQueryCount--;
-    console.log(`[QueryManager] 任務完成 @${task.username} (進行中: ${activeQueryCount}/${queueJobMax}, 隊列剩餘: ${queryQueue.length})`);
-    sendQueueUpdate(`完成查詢: @${task.username}`, 'success');
+    pendingQueries.delete(task.username);
+    console.log(`[QueryManager] 任務完成 @${task.username} (進行中: ${runningJobs.size}/${queueJobMax}, 隊列剩餘: ${queryQueue.length})`);
 
     // 任務完成後，繼續處理隊列中的下一個任務
     processQueryQueue();
@@ -1309,140 +1919,162 @@ async function processQueryQueue() {
 }
 
 /**
- * 添加查詢任務到隊列
- * @param {string} username - 用戶帳號
- * @param {boolean} shouldKeepTab - 是否保留查詢分頁
- * @param {string} keepTabFilter - 保留分頁的過濾條件
- * @returns {Promise<{success: boolean, region?: string, error?: string}>|null} 返回 null 表示無法加入隊列
+ * 提交查詢任務
+ * 同一用戶已在隊列或執行中時不重複建立，返回既有任務（新的優先順序較高時提前既有任務）
+ * 隊列已滿時，優先順序較高的任務會取代最後一個優先順序較低的排隊任務
+ * @param {string} account - 用戶帳號（可含 @ 符號）
+ * @param {Object} options - 任務選項
+ * @param {string} options.priority - 'high'、'normal' 或 'low'（預設 normal）
+ * @param {boolean} options.isIntegrated - 是否為整合查詢（側寫分析 + 地點查詢）
+ * @param {boolean} options.enableProfileAnalysis - 是否啟用側寫分析（整合查詢）
+ * @param {boolean} options.shouldKeepTab - 是否保留查詢分頁
+ * @param {string} options.keepTabFilter - 保留分頁的過濾條件
+ * @param {boolean} options.forceRefresh - 是否忽略快取
+ * @returns {Promise<{accepted: boolean, jobId?: string, status?: string, result?: Object, reason?: string, error?: string}>}
+ *          已有快取時 status 為 'cached' 並附上 result；被拒絕時 accepted 為 false，reason 為 'cooldown' 或 'queue_full'
  */
-async function addToQueryQueue(username, shouldKeepTab = false, keepTabFilter = '') {
-  // 移除 @ 符號（如果有的話）
-  const cleanUsername = username.startsWith('@') ? username.slice(1) : username;
+async function submitQueryJob(account, options = {}) {
+  const cleanUsername = account.startsWith('@') ? account.slice(1) : account;
+  const priority = JOB_PRIORITIES[options.priority] !== undefined ? options.priority : 'normal';
+
+  // 等待 Service Worker 重啟前的隊列還原完成
+  await queueReady;
 
   // 先檢查快取，如果已有資料則跳過
-  const cachedRegion = await getCachedRegion(cleanUsername);
-  if (cachedRegion !== null) {
-    console.log(`[QueryManager] @${cleanUsername} 已有快取資料，跳過加入隊列`);
-    return Promise.resolve({ success: true, region: cachedRegion, fromCache: true });
+  if (!options.forceRefresh) {
+    const cachedResult = await getCachedQueryResult(cleanUsername);
+    if (cachedResult) {
+      console.log(`[QueryManager] @${cleanUsername} 已有快取資料，跳過加入隊列`);
+      return { accepted: true, status: 'cached', result: cachedResult };
+    }
+  }
+
+  // 已在隊列或執行中，沿用既有任務（防止同一用戶開多個分頁）
+  const existing = findQueryJob({ account: cleanUsername });
+  if (existing && (existing.status === 'queued' || existing.status === 'running')) {
+    if (existing.status === 'queued' && JOB_PRIORITIES[priority] > JOB_PRIORITIES[existing.job.priority]) {
+      queryQueue.splice(queryQueue.indexOf(existing.job), 1);
+      existing.job.priority = priority;
+      insertQueryJob(existing.job);
+      persistQueueState();
+      broadcastJobUpdate(existing.job, 'queued');
+      console.log(`[QueryManager] @${cleanUsername} 已在隊列中，提升為 ${priority} 優先順序`);
+    } else {
+      console.log(`[QueryManager] @${cleanUsername} 已在隊列或查詢中，沿用既有任務`);
+    }
+    return { accepted: true, jobId: existing.job.id, status: existing.status };
   }
 
   // 檢查 URL 冷卻時間（防止短時間內重複開啟同一用戶頁面）
   const lastQueryTime = recentlyQueriedUrls.get(cleanUsername);
   if (lastQueryTime && (Date.now() - lastQueryTime) < URL_COOLDOWN_MS) {
-    console.log(`[QueryManager] @${cleanUsername} 仍在冷卻期（${Math.ceil((URL_COOLDOWN_MS - (Date.now() - lastQueryTime)) / 1000)}秒後可再查詢）`);
-    return null;
-  }
-
-  // 檢查是否正在查詢中（防止同一用戶開多個分頁）
-  if (pendingQueries.has(cleanUsername)) {
-    console.log(`[QueryManager] @${cleanUsername} 正在查詢中，跳過重複加入`);
-    return null;
+    const seconds = Math.ceil((URL_COOLDOWN_MS - (Date.now() - lastQueryTime)) / 1000);
+    console.log(`[QueryManager] @${cleanUsername} 仍在冷卻期（${seconds}秒後可再查詢）`);
+    return { accepted: false, reason: 'cooldown', error: `@${cleanUsername} 剛查詢過，${seconds} 秒後可再查詢` };
   }
 
-  // 檢查隊列是否已滿
+  // 檢查隊列是否已滿（隊列依優先順序排列，最後一個即為優先順序最低的任務）
   if (queryQueue.length >= queryQueueMax) {
-    console.log(`[QueryManager] 隊列已滿 (${queryQueue.length}/${queryQueueMax})，拒絕加入 @${cleanUsername}`);
-    return null;
+    const lowestJob = queryQueue[queryQueue.length - 1];
+    if (JOB_PRIORITIES[lowestJob.priority] >= JOB_PRIORITIES[priority]) {
+      console.log(`[QueryManager] 隊列已滿 (${queryQueue.length}/${queryQueueMax})，拒絕加入 @${cleanUsername}`);
+      return { accepted: false, reason: 'queue_full', error: `隊列已滿（${queryQueueMax} 個），請稍後再試` };
+    }
+    console.log(`[QueryManager] 隊列已滿，取消優先順序較低的 @${lowestJob.username}，讓 @${cleanUsername} 加入`);
+    cancelJob(lowestJob);
   }
 
-  // 檢查是否已在隊列中（避免重複）
-  const isAlreadyInQueue = queryQueue.some(task => task.username === cleanUsername);
-  if (isAlreadyInQueue) {
-    console.log(`[QueryManager] @${cleanUsername} 已在隊列中，跳過重複加入`);
-    return null;
-  }
+  const job = createQueryJob(account, { ...options, priority: priority });
 
   // ★ 立即標記為正在查詢中和記錄查詢時間，防止並發競爭條件
   pendingQueries.add(cleanUsername);
   recentlyQueriedUrls.set(cleanUsername, Date.now());
-  console.log(`[QueryManager] @${cleanUsername} 已標記為正在查詢中`);
-
-  return new Promise((resolve, reject) => {
-    queryQueue.push({
-      username: cleanUsername,
-      isIntegrated: false,
-      shouldKeepTab,
-      keepTabFilter,
-      resolve,
-      reject
-    });
 
-    console.log(`[QueryManager] 任務已加入隊列 @${cleanUsername} (隊列長度: ${queryQueue.length}/${queryQueueMax})`);
-    sendQueueUpdate(`加入隊列: @${cleanUsername}`, 'pending');
+  insertQueryJob(job);
+  persistQueueState();
+  broadcastJobUpdate(job, 'queued');
+  console.log(`[QueryManager] ${job.isIntegrated ? '整合查詢' : ''}任務已加入隊列 @${cleanUsername}（${priority}，隊列長度: ${queryQueue.length}/${queryQueueMax}）`);
 
-    // 嘗試立即開始處理隊列
-    processQueryQueue();
-  });
+  // 嘗試立即開始處理隊列
+  processQueryQueue();
+  return { accepted: true, jobId: job.id, status: 'queued' };
 }
 
 /**
- * 添加整合查詢任務到隊列（側寫分析 + 地點查詢）
- * @param {string} username - 用戶帳號
- * @param {boolean} enableProfileAnalysis - 是否啟用側寫分析
- * @param {boolean} shouldKeepTab - 是否保留查詢分頁
- * @param {string} keepTabFilter - 保留分頁的過濾條件
- * @param {function} onProfileContentReady - 當側寫內容準備好時的回調
- * @returns {Promise<{success: boolean, region?: string, error?: string}>|null} 返回 null 表示無法加入隊列
+ * 提交查詢任務並等待結果
+ * @param {string} account - 用戶帳號（可含 @ 符號）
+ * @param {Object} options - 任務選項（見 submitQueryJob）
+ * @returns {Promise<Object>} 查詢結果（含 jobId）；被拒絕時為 { success: false, rejected: true, reason, error }
  */
-async function addToIntegratedQueryQueue(username, enableProfileAnalysis = false, shouldKeepTab = false, keepTabFilter = '', onProfileContentReady = null) {
-  // 移除 @ 符號（如果有的話）
-  const cleanUsername = username.startsWith('@') ? username.slice(1) : username;
-
-  // 先檢查快取，如果已有資料則跳過
-  const cachedRegion = await getCachedRegion(cleanUsername);
-  if (cachedRegion !== null) {
-    console.log(`[QueryManager] @${cleanUsername} 已有快取資料，跳過加入隊列`);
-    return Promise.resolve({ success: true, region: cachedRegion, fromCache: true });
+async function runQueryJob(account, options = {}) {
+  const submission = await submitQueryJob(account, options);
+  if (!submission.accepted) {
+    return { success: false, rejected: true, reason: submission.reason, error: submission.error };
   }
-
-  // 檢查 URL 冷卻時間（防止短時間內重複開啟同一用戶頁面）
-  const lastQueryTime = recentlyQueriedUrls.get(cleanUsername);
-  if (lastQueryTime && (Date.now() - lastQueryTime) < URL_COOLDOWN_MS) {
-    console.log(`[QueryManager] @${cleanUsername} 仍在冷卻期（${Math.ceil((URL_COOLDOWN_MS - (Date.now() - lastQueryTime)) / 1000)}秒後可再查詢）`);
-    return null;
+  if (submission.result) {
+    return submission.result;
   }
 
-  // 檢查是否正在查詢中（防止同一用戶開多個分頁）
-  if (pendingQueries.has(cleanUsername)) {
-    console.log(`[QueryManager] @${cleanUsername} 正在查詢中，跳過重複加入`);
-    return null;
-  }
+  const result = await waitForQueryJob({ jobId: submission.jobId });
+  return { ...result, jobId: submission.jobId };
+}
 
-  // 檢查隊列是否已滿
-  if (queryQueue.length >= queryQueueMax) {
-    console.log(`[QueryManager] 隊列已滿 (${queryQueue.length}/${queryQueueMax})，拒絕加入 @${cleanUsername}`);
-    return null;
+/**
+ * 取消任務
+ * 排隊中的任務直接移除；執行中的任務關閉查詢分頁（失敗不寫入快取），執行結束後記為已取消
+ * @param {QueryJob} job
+ */
+function cancelJob(job) {
+  if (job.status === 'queued') {
+    queryQueue.splice(queryQueue.indexOf(job), 1);
+    pendingQueries.delete(job.username);
+    // 尚未開啟分頁，不需要冷卻
+    recentlyQueriedUrls.delete(job.username);
+    finishQueryJob(job, 'cancelled', createCancelledResult());
+    return;
   }
 
-  // 檢查是否已在隊列中（避免重複）
-  const isAlreadyInQueue = queryQueue.some(task => task.username === cleanUsername);
-  if (isAlreadyInQueue) {
-    console.log(`[QueryManager] @${cleanUsername} 已在隊列中，跳過重複加入`);
-    return null;
+  if (!job.cancelled) {
+    job.cancelled = true;
+    persistQueueState();
+    if (job.tabId !== null) {
+      chrome.tabs.remove(job.tabId).catch(() => {});
+    }
   }
+}
 
-  // ★ 立即標記為正在查詢中和記錄查詢時間，防止並發競爭條件
-  pendingQueries.add(cleanUsername);
-  recentlyQueriedUrls.set(cleanUsername, Date.now());
-  console.log(`[QueryManager] @${cleanUsername} 已標記為正在查詢中`);
-
-  return new Promise((resolve, reject) => {
-    queryQueue.push({
-      username: cleanUsername,
-      isIntegrated: true,
-      enableProfileAnalysis,
-      shouldKeepTab,
-      keepTabFilter,
-      onProfileContentReady,
-      resolve,
-      reject
-    });
+/**
+ * 取消單一查詢任務
+ * @param {Object} query - { jobId, account }，擇一提供
+ * @returns {Promise<boolean>} 是否有任務被取消
+ */
+async function cancelQueryJob(query) {
+  await queueReady;
+  const found = findQueryJob(query);
+  if (!found || (found.status !== 'queued' && found.status !== 'running')) {
+    return false;
+  }
 
-    console.log(`[QueryManager] 整合查詢任務已加入隊列 @${cleanUsername} (隊列長度: ${queryQueue.length}/${queryQueueMax})`);
+  console.log(`[QueryManager] 取消任務 @${found.job.username}（${found.status}）`);
+  cancelJob(found.job);
+  return true;
+}
 
-    // 嘗試立即開始處理隊列
-    processQueryQueue();
-  });
+/**
+ * 批次取消查詢任務
+ * @param {Object} filter - 篩選條件
+ * @param {string} filter.priority - 只取消此優先順序的任務（可選）
+ * @param {boolean} filter.includeRunning - 是否也取消執行中的任務（預設只取消排隊中的任務）
+ * @returns {Promise<number>} 取消的任務數
+ */
+async function cancelQueryJobs(filter = {}) {
+  await queueReady;
+  const candidates = filter.includeRunning ? [...queryQueue, ...runningJobs.values()] : [...queryQueue];
+  const targets = candidates.filter(job => !job.cancelled && (!filter.priority || job.priority === filter.priority));
+
+  targets.forEach(cancelJob);
+  console.log(`[QueryManager] 已取消 ${targets.length} 個任務`);
+  return targets.length;
 }
 
 // ==================== 對外接口 ====================
@@ -1452,25 +2084,13 @@ async function addToIntegratedQueryQueue(username, enableProfileAnalysis = false
  * @param {string} username - 用戶帳號
  * @param {boolean} shouldKeepTab - 是否保留查詢分頁（可選，默認從 storage 讀取）
  * @param {boolean} forceRefresh - 是否強制重新查詢（忽略快取，可選，默認 false）
- * @returns {Promise<{success: boolean, region?: string, error?: string, fromCache?: boolean}>}
+ * @param {string} priority - 任務優先順序（可選，默認 'normal'）
+ * @returns {Promise<{success: boolean, region?: string, error?: string, fromCache?: boolean, rejected?: boolean, reason?: string}>}
+ *          無法加入隊列時 rejected 為 true，reason 為 'cooldown' 或 'queue_full'
  */
-async function queryUserRegion(username, shouldKeepTab = null, forceRefresh = false) {
-  // 移除 @ 符號（如果有的話）
-  const cleanUsername = username.startsWith('@') ? username.slice(1) : username;
-
-  // 如果不是強制刷新，先檢查快取
-  if (!forceRefresh) {
-    const cachedRegion = await getCachedRegion(cleanUsername);
-    if (cachedRegion !== null) {
-      console.log(`[QueryManager] 使用快取數據 @${cleanUsername}: ${cachedRegion}`);
-      return {
-        success: true,
-        region: cachedRegion,
-        fromCache: true
-      };
-    }
-  } else {
-    console.log(`[QueryManager] 強制刷新，忽略快取 @${cleanUsername}`);
+async function queryUserRegion(username, shouldKeepTab = null, forceRefresh = false, priority = 'normal') {
+  if (forceRefresh) {
+    console.log(`[QueryManager] 強制刷新，忽略快取 ${username}`);
   }
 
   // 如果未指定 shouldKeepTab，從 chrome.storage 讀取
@@ -1496,20 +2116,14 @@ async function queryUserRegion(username, shouldKeepTab = null, forceRefresh = fa
     }
   }
 
-  // 沒有快取或強制刷新，加入隊列執行查詢
+  // 加入隊列執行查詢（有快取時直接返回快取結果）
   console.log(`[QueryManager] 查詢參數: shouldKeepTab=${shouldKeepTab}, keepTabFilter="${keepTabFilter}"`);
-  const queueResult = addToQueryQueue(cleanUsername, shouldKeepTab, keepTabFilter);
-
-  // 如果無法加入隊列（隊列已滿或已存在），返回失敗
-  if (queueResult === null) {
-    return {
-      success: false,
-      region: null,
-      fromCache: null
-    };
-  }
-
-  return queueResult;
+  return runQueryJob(username, {
+    priority: priority,
+    shouldKeepTab: shouldKeepTab,
+    keepTabFilter: keepTabFilter,
+    forceRefresh: forceRefresh
+  });
 }
 
 /**
@@ -1520,8 +2134,14 @@ function getQueueStatus() {
   return {
     queueLength: queryQueue.length,
     queueMax: queryQueueMax,
-    activeQueryCount: activeQueryCount,
-    maxConcurrent: queueJobMax
+    activeQueryCount: runningJobs.size,
+    maxConcurrent: queueJobMax,
+    jobs: [...runningJobs.values(), ...queryQueue].map(job => ({
+      id: job.id,
+      username: job.username,
+      priority: job.priority,
+      status: job.status
+    }))
   };
 }
 
@@ -1534,10 +2154,8 @@ function updateMaxConcurrent(value) {
   console.log(`[QueryManager] 更新最大並行查詢數: ${queueJobMax} -> ${newValue}`);
   queueJobMax = newValue;
 
-  // 如果有待處理的任務，嘗試立即處理更多任務
-  if (queryQueue.length > 0 && activeQueryCount < queueJobMax) {
-    processQueryQueue();
-  }
+  // 如果有待處理的任務，立即補滿新增的並發名額
+  processQueryQueue();
 }
 
 // ==================== 導出為全域命名空間（供 Service Worker 使用）====================
@@ -1547,13 +2165,26 @@ var QueryManager = {
   getCachedRegion: getCachedRegion,
   getCachedUserInfo: getCachedUserInfo,
   getAllCachedRegions: getAllCachedRegions,
+  getAllCachedUserInfo: getAllCachedUserInfo,
+  getCachedUsersBatch: getCachedUsersBatch,
+  setStorageReady: setStorageReady,
+  waitForStorage: waitForStorage,
+  notifyCacheChanged: notifyCacheChanged,
   saveCachedRegion: saveCachedRegion,
   clearCache: clearCache,
   removeUserCache: removeUserCache,
   getCacheStats: getCacheStats,
   updateMaxConcurrent: updateMaxConcurrent,
+  restoreQueryQueue: restoreQueryQueue,
+  submitQueryJob: submitQueryJob,
+  runQueryJob: runQueryJob,
+  cancelQueryJob: cancelQueryJob,
+  cancelQueryJobs: cancelQueryJobs,
+  getQueryJobStatus: getQueryJobStatus,
+  waitForQueryJob: waitForQueryJob,
+  setProfileContentReadyHandler: setProfileContentReadyHandler,
+  updateCacheTtl: updateCacheTtl,
   executeIntegratedQuery: executeIntegratedQuery,
-  addToIntegratedQueryQueue: addToIntegratedQueryQueue,
   getCachedProfile: getCachedProfile,
   saveCachedProfile: saveCachedProfile,
   getAllCachedProfiles: getAllCachedProfiles,
@@ -0,0 +1,1173 @@
+/**
+ * 用戶資訊標籤元件 - 以 Shadow DOM 封裝的「小黃標」
+ * Content script（manifest 載入，位於 content.js 之前）使用
+ *
+ * 標籤樣式與事件處理都在 shadow root 內，Threads 的 CSS 不會影響標籤；
+ * 標籤狀態保存在資料中（LabelData），不再從背景色或文字判斷。
+ *
+ * Content script 的 isolated world 沒有 customElements 登錄表（window.customElements 為 null），
+ * 因此不使用 customElements.define，而是以合法的自訂元素名稱建立 host 並掛上 shadow root，
+ * 由本模組保存每個標籤的資料並負責繪製。
+ *
+ * 標籤上的按鈕以事件通知 content.js（事件會冒泡到 document）：
+ * - geo-tag-label-query:   點擊 [查詢]，detail: { account }
+ * - geo-tag-label-cancel:  點擊 [取消]，detail: { account, jobId }
+ * - geo-tag-label-refresh: 點擊重新查詢圖示（或詳細資料卡的[重新查詢]），detail: { account }
+ * - geo-tag-label-details: 點擊資訊圖示或側寫標籤，detail: { account }；content.js 讀取快取後以 openCard 顯示詳細資料卡
+ * - geo-tag-label-remove:  點擊詳細資料卡的[從快取移除]，detail: { account }
+ *
+ * 標籤與詳細資料卡的文字依 I18n 的語言設定顯示，語言切換時由 content.js 呼叫 renderAll 重新繪製。
+ *
+ * 顯示方式（setDisplayMode，見 StorageSchema.LABEL_DISPLAY_MODES）：
+ * - full:    完整文字「所在地：台灣 (標籤, ...)」
+ * - compact: 旗幟 emoji，側寫標籤以小圓點表示（點擊圓點顯示詳細資料卡）
+ * - hover:   平時隱藏，滑鼠移到用戶名稱時以浮動框顯示完整標籤
+ */
+
+// ==================== 常數 ====================
+const REGION_LABEL_TAG = 'threads-geo-label';
+const REGION_LABEL_CARD_TAG = 'threads-geo-card';
+
+// 標籤狀態
+const LABEL_STATES = {
+  pending: 'pending',         // 待查詢
+  querying: 'querying',       // 排隊中或查詢中
+  resolved: 'resolved',       // 已取得所在地
+  undisclosed: 'undisclosed', // 未揭露
+  error: 'error'              // 查詢失敗
+};
+
+const LABEL_EVENTS = {
+  query: 'geo-tag-label-query',
+  cancel: 'geo-tag-label-cancel',
+  refresh: 'geo-tag-label-refresh',
+  details: 'geo-tag-label-details',
+  remove: 'geo-tag-label-remove'
+};
+
+// 詳細資料卡顯示的資料來源（UserRecord.source → 訊息鍵）
+const CARD_SOURCE_MESSAGES = {
+  api: 'cardSourceApi',
+  api_intercept: 'cardSourceApiIntercept',
+  tab: 'cardSourceTab'
+};
+
+// 待查詢與查詢中的預設樣式（其他狀態由呼叫端依顏色規則決定，見 colorRules.js）
+const PENDING_LABEL_COLORS = ColorRules.PENDING_STYLE;
+
+const REGION_LABEL_STYLES = `
+  :host {
+    all: initial;
+    display: inline-flex;
+    margin-left: 12px;
+    vertical-align: middle;
+    font-family: inherit;
+    /* 阻止滑鼠事件觸發用戶小卡 panel，按鈕與側寫標籤另外開啟 */
+    pointer-events: none;
+  }
+  :host([hidden]) {
+    display: none;
+  }
+  :host([data-display="compact"]) {
+    margin-left: 6px;
+  }
+  :host([data-display="compact"]) .label {
+    gap: 3px;
+    padding: 1px 5px;
+  }
+  :host([data-display="hover"]:not([data-open])) {
+    display: none;
+  }
+  /* 浮動框：fixed 定位於用戶名稱下方，避免被貼文容器的 overflow 裁切 */
+  :host([data-display="hover"][data-open]) {
+    position: fixed;
+    top: var(--popover-top);
+    left: var(--popover-left);
+    z-index: 2147483646;
+    margin-left: 0;
+  }
+  :host([data-display="hover"]) .label {
+    padding: 4px 10px;
+    box-shadow: var(--label-outline, 0 0 0 0 transparent), 0 2px 8px rgba(0, 0, 0, 0.3);
+    pointer-events: auto;
+    cursor: default;
+  }
+  :host([data-display="hover"]) .arrow {
+    display: none;
+  }
+  .label {
+    display: inline-flex;
+    align-items: center;
+    gap: 4px;
+    position: relative;
+    padding: 2px 8px;
+    background-color: var(--label-bg);
+    color: var(--label-fg);
+    border-radius: 4px;
+    box-shadow: var(--label-outline, none);
+    font-size: 12px;
+    font-weight: var(--label-weight, 600);
+    line-height: 16px;
+    white-space: nowrap;
+  }
+  .arrow {
+    position: absolute;
+    left: -6px;
+    top: 50%;
+    transform: translateY(-50%);
+    width: 0;
+    height: 0;
+    border-top: 6px solid transparent;
+    border-bottom: 6px solid transparent;
+    border-right: 6px solid var(--label-bg);
+  }
+  .text[title],
+  .age-badge,
+  .verified-mark,
+  .renamed-badge {
+    pointer-events: auto;
+    cursor: help;
+  }
+  .age-badge {
+    margin-left: 4px;
+    font-weight: 600;
+  }
+  .age-new {
+    color: rgb(239, 68, 68);
+  }
+  .age-recent {
+    color: rgb(234, 88, 12);
+  }
+  .age-veteran {
+    font-weight: 500;
+    opacity: 0.7;
+  }
+  .verified-mark {
+    margin-left: 4px;
+    color: rgb(37, 99, 235);
+    font-weight: 700;
+  }
+  .renamed-badge {
+    margin-left: 4px;
+    color: rgb(147, 51, 234);
+    font-weight: 600;
+  }
+  .tag-dot {
+    font-size: 8px;
+    line-height: 1;
+  }
+  .tag {
+    cursor: pointer;
+    border-bottom: 1px dashed rgba(255, 255, 255, 0.6);
+    pointer-events: auto;
+  }
+  .tag-dot {
+    border-bottom: none;
+  }
+  .query-btn {
+    margin-left: 4px;
+    padding: 1px 5px;
+    background-color: transparent;
+    color: #333;
+    border: 1.5px solid #333;
+    border-radius: 3px;
+    font: inherit;
+    font-size: 10px;
+    font-weight: bold;
+    cursor: pointer;
+    line-height: 14px;
+    min-width: 32px;
+    pointer-events: auto;
+  }
+  .query-btn:hover:not(:disabled) {
+    background-color: rgba(0, 0, 0, 0.1);
+  }
+  .query-btn:disabled {
+    cursor: not-allowed;
+  }
+  .refresh-btn,
+  .info-btn {
+    margin-left: 4px;
+    padding: 2px;
+    background-color: transparent;
+    color: inherit;
+    border: none;
+    border-radius: 3px;
+    cursor: pointer;
+    display: inline-flex;
+    align-items: center;
+    justify-content: center;
+    opacity: 0.7;
+    transition: opacity 0.2s;
+    pointer-events: auto;
+  }
+  .info-btn {
+    margin-left: 0;
+  }
+  .refresh-btn:hover,
+  .info-btn:hover {
+    opacity: 1;
+    background-color: rgba(255, 255, 255, 0.2);
+  }
+`;
+
+const REGION_LABEL_CARD_STYLES = `
+  :host {
+    all: initial;
+    position: fixed;
+    z-index: 2147483647;
+    transform: translateX(-50%);
+  }
+  .card {
+    position: relative;
+    width: 260px;
+    padding: 10px 12px;
+    background: #333;
+    color: #fff;
+    border-radius: 8px;
+    font-family: inherit;
+    font-size: 12px;
+    font-weight: 400;
+    line-height: 1.5;
+    box-shadow: 0 2px 8px rgba(0, 0, 0, 0.3);
+    animation: fade-in 0.15s ease-out;
+  }
+  .card::before {
+    content: '';
+    position: absolute;
+    top: -6px;
+    left: 50%;
+    transform: translateX(-50%);
+    border-left: 6px solid transparent;
+    border-right: 6px solid transparent;
+    border-bottom: 6px solid #333;
+  }
+  .header {
+    display: flex;
+    align-items: center;
+    gap: 8px;
+    margin-bottom: 8px;
+  }
+  .avatar {
+    width: 36px;
+    height: 36px;
+    border-radius: 50%;
+    object-fit: cover;
+    flex-shrink: 0;
+  }
+  .name {
+    font-size: 13px;
+    font-weight: 700;
+    overflow: hidden;
+    text-overflow: ellipsis;
+    white-space: nowrap;
+  }
+  .account {
+    color: #bbb;
+  }
+  .verified-badge {
+    margin-left: 4px;
+    color: #64b5f6;
+  }
+  .fields {
+    display: grid;
+    grid-template-columns: auto 1fr;
+    gap: 2px 8px;
+    margin: 0;
+  }
+  .fields dt {
+    color: #bbb;
+  }
+  .fields dd {
+    margin: 0;
+    overflow-wrap: anywhere;
+    white-space: pre-line;
+  }
+  .tags {
+    margin: 8px 0 0;
+    padding-left: 16px;
+  }
+  .tag-reason {
+    color: #bbb;
+  }
+  .tag-confidence {
+    margin-left: 4px;
+    color: #64b5f6;
+    font-size: 10px;
+  }
+  .tag-evidence {
+    margin: 2px 0 4px;
+    padding-left: 12px;
+    color: #999;
+    font-style: italic;
+    list-style: none;
+  }
+  .tag-evidence a {
+    color: inherit;
+    text-decoration: underline dotted;
+  }
+  .tag-evidence a:hover {
+    color: #64b5f6;
+  }
+  .evidence-age {
+    margin-left: 4px;
+    font-style: normal;
+    font-size: 10px;
+  }
+  .empty {
+    color: #bbb;
+  }
+  .actions {
+    display: flex;
+    flex-wrap: wrap;
+    gap: 6px;
+    margin-top: 10px;
+  }
+  .actions button {
+    padding: 2px 8px;
+    background: transparent;
+    color: #fff;
+    border: 1px solid rgba(255, 255, 255, 0.5);
+    border-radius: 4px;
+    font: inherit;
+    font-size: 11px;
+    cursor: pointer;
+  }
+  .actions button:hover {
+    background: rgba(255, 255, 255, 0.15);
+  }
+  :host([data-highlight]) .label {
+    animation: highlight-pulse 0.6s ease-in-out 3;
+  }
+  @keyframes fade-in {
+    from { opacity: 0; }
+    to { opacity: 1; }
+  }
+  @keyframes highlight-pulse {
+    50% { box-shadow: 0 0 0 4px rgba(255, 193, 7, 0.8); }
+  }
+`;
+
+const REFRESH_ICON_SVG = `
+  <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round">
+    <path d="M21.5 2v6h-6M2.5 22v-6h6M2 11.5a10 10 0 0 1 18.8-4.3M22 12.5a10 10 0 0 1-18.8 4.2"/>
+  </svg>
+`;
+
+const INFO_ICON_SVG = `
+  <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round">
+    <circle cx="12" cy="12" r="10"/><path d="M12 16v-4M12 8h.01"/>
+  </svg>
+`;
+
+// ==================== 標籤資料 ====================
+
+/**
+ * @typedef {Object} LabelData
+ * @property {string} account - 用戶帳號（帶 @ 符號）
+ * @property {string} state - 標籤狀態（LABEL_STATES）
+ * @property {string|null} region - 地區
+ * @property {ProfileTag[]|null} profile - 側寫標籤（StorageSchema.ProfileTag）
+ * @property {string|null} joined - 加入日期（用於判斷新用戶）
+ * @property {boolean|null} verified - 是否通過 Meta 驗證（null = 未知）
+ * @property {string[]|null} formerUsernames - 先前的用戶名稱（null = 未知）
+ * @property {Object|null} queryError - 查詢失敗資訊 { reason, message, retryAt }
+ * @property {{id: string, status: string}|null} job - 查詢中的任務（queued / running）
+ * @property {boolean} awaiting - 此分頁正在等待查詢結果（結果由發起查詢的流程處理）
+ * @property {{backgroundColor: string, textColor: string, bold: boolean, borderColor: string|null}} colors - 標籤樣式
+ */
+
+const regionLabelData = new WeakMap(); // host → LabelData
+
+// 目前的顯示方式（full / compact / hover），由 content.js 依設定呼叫 setLabelDisplayMode
+let labelDisplayMode = 'full';
+
+/**
+ * 依地區與側寫判斷標籤狀態
+ * @param {string|null} region - 地區
+ * @param {ProfileTag[]|null} profile - 側寫標籤
+ * @returns {string} 標籤狀態
+ */
+function getLabelStateFromData(region, profile) {
+  if (region === StorageSchema.QUERY_FAILED_REGION) return LABEL_STATES.error;
+  if (region === '未揭露' || (!region && profile && profile.length > 0)) return LABEL_STATES.undisclosed;
+  if (region) return LABEL_STATES.resolved;
+  return LABEL_STATES.pending;
+}
+
+// ==================== 建立與更新 ====================
+
+/**
+ * 建立標籤（狀態為待查詢，插入頁面前請以 updateRegionLabel 設定資料）
+ * @param {string} account - 用戶帳號（帶 @ 符號）
+ * @returns {HTMLElement} 標籤 host 元素
+ */
+function createRegionLabel(account) {
+  const host = document.createElement(REGION_LABEL_TAG);
+  host.dataset.account = account;
+
+  const shadow = host.attachShadow({ mode: 'open' });
+  const style = document.createElement('style');
+  style.textContent = REGION_LABEL_STYLES;
+  const container = document.createElement('span');
+  container.className = 'label';
+  shadow.append(style, container);
+
+  // 按鈕與側寫標籤的點擊不可傳到外層的用戶連結（避免開啟用戶頁面或小卡）
+  // 浮動框整個可點擊，點擊框內任何位置都不可開啟用戶頁面
+  ['click', 'mousedown', 'mouseup'].forEach(type => {
+    container.addEventListener(type, (e) => {
+      const interactive = e.target.closest('button, .tag');
+      if (!interactive && host.dataset.display !== 'hover') return;
+      e.stopPropagation();
+      e.preventDefault();
+      if (interactive && type === 'click') handleLabelClick(host, interactive);
+    }, true);
+  });
+
+  regionLabelData.set(host, {
+    account: account,
+    state: LABEL_STATES.pending,
+    region: null,
+    profile: null,
+    joined: null,
+    verified: null,
+    formerUsernames: null,
+    queryError: null,
+    job: null,
+    awaiting: false,
+    colors: PENDING_LABEL_COLORS
+  });
+  renderRegionLabel(host);
+  return host;
+}
+
+/**
+ * 取得標籤資料
+ * @param {HTMLElement} host - 標籤 host 元素
+ * @returns {LabelData|null} 資料副本，不是標籤元素時返回 null
+ */
+function getRegionLabelData(host) {
+  const data = regionLabelData.get(host);
+  return data ? { ...data } : null;
+}
+
+/**
+ * 更新標籤資料並重新繪製
+ * 待查詢與查詢中未指定顏色時使用預設的黃色
+ * @param {HTMLElement} host - 標籤 host 元素
+ * @param {Object} changes - 要更新的 LabelData 欄位
+ */
+function updateRegionLabel(host, changes) {
+  const data = regionLabelData.get(host);
+  if (!data) return;
+
+  Object.assign(data, changes);
+  const isWaiting = data.state === LABEL_STATES.pending || data.state === LABEL_STATES.querying;
+  if (isWaiting && !changes.colors) {
+    data.colors = PENDING_LABEL_COLORS;
+  }
+  if (data.state !== LABEL_STATES.querying) {
+    data.job = null;
+  }
+  renderRegionLabel(host);
+}
+
+/**
+ * 尋找頁面上的標籤
+ * @param {ParentNode} root - 搜尋範圍（預設 document）
+ * @param {string|null} account - 只找此帳號的標籤（帶 @ 符號，可選）
+ * @returns {HTMLElement[]} 標籤 host 元素
+ */
+function findRegionLabels(root = document, account = null) {
+  return [...root.querySelectorAll(REGION_LABEL_TAG)]
+    .filter(host => regionLabelData.has(host) && (!account || host.dataset.account === account));
+}
+
+// ==================== 繪製 ====================
+
+/**
+ * 組合標籤文字
+ * @param {LabelData} data
+ * @returns {string}
+ */
+function getLabelLocationText(data) {
+  switch (data.state) {
+    case LABEL_STATES.querying:
+      return I18n.t('labelLocation', I18n.t(data.job && data.job.status === 'queued' ? 'labelStatusQueued' : 'labelStatusQuerying'));
+    case LABEL_STATES.resolved:
+      return I18n.t('labelLocation', I18n.getRegionName(data.region));
+    case LABEL_STATES.undisclosed:
+      return I18n.t('labelLocation', I18n.t('regionUndisclosed'));
+    case LABEL_STATES.error:
+      return I18n.t('labelLocation', I18n.t('regionQueryFailed'));
+    default:
+      return I18n.t('labelLocation', I18n.t('labelStatusPending'));
+  }
+}
+
+/**
+ * 組合查詢失敗的說明文字（標籤 tooltip 與詳細資料卡使用）
+ * @param {{reason: string, message: string|null, retryAt: number|null}} queryError
+ * @returns {string}
+ */
+function formatQueryErrorTooltip(queryError) {
+  const reason = queryError && StorageSchema.QUERY_ERROR_REASONS[queryError.reason] ? queryError.reason : 'unknown';
+  const lines = [I18n.t('queryErrorTitle', I18n.t(`queryErrorReason_${reason}`))];
+  if (queryError && queryError.message) {
+    lines.push(queryError.message);
+  }
+  if (queryError && queryError.retryAt) {
+    lines.push(I18n.t('queryErrorRetryAt', I18n.formatDateTime(queryError.retryAt)));
+  }
+  return lines.join('\n');
+}
+
+/**
+ * 組合精簡模式的標籤文字（完整文字放在 title）
+ * @param {LabelData} data
+ * @returns {string} 旗幟 emoji，沒有對應旗幟時為地區名稱
+ */
+function getCompactLocationText(data) {
+  switch (data.state) {
+    case LABEL_STATES.querying:
+      return '⋯';
+    case LABEL_STATES.resolved:
+      return RegionUtils.getFlagEmoji(RegionUtils.getRegionCode(data.region)) || data.region;
+    case LABEL_STATES.undisclosed:
+      return '—';
+    case LABEL_STATES.error:
+      return '!';
+    default:
+      return '';
+  }
+}
+
+// 帳號年齡徽章的文字（標籤完整文字 / 精簡模式 / 詳細資料卡），分級見 DateUtils.getAccountAgeBadge
+const ACCOUNT_AGE_BADGE_MESSAGES = {
+  new: { full: 'labelNewUser', compact: 'labelNewUserCompact', card: 'cardJoinedNewUser' },
+  recent: { full: 'labelAgeRecent', compact: 'labelAgeRecentCompact', card: 'cardJoinedRecent' },
+  veteran: { full: 'labelAgeVeteran', compact: 'labelAgeVeteranCompact', card: 'cardJoinedVeteran' }
+};
+
+/**
+ * 先前的用戶名稱顯示文字（"@old_name, @older_name"）
+ * @param {string[]} formerUsernames - 用戶名稱（不含 @ 符號）
+ * @returns {string}
+ */
+function formatFormerUsernames(formerUsernames) {
+  return formerUsernames.map(name => `@${name}`).join(I18n.t('listSeparator'));
+}
+
+/**
+ * 建立帳號年齡徽章
+ * @param {string} joined - 加入日期字串
+ * @param {boolean} isCompact - 是否為精簡模式
+ * @returns {HTMLElement|null} 徽章元素，不需顯示時返回 null
+ */
+function createAccountAgeBadge(joined, isCompact) {
+  const badge = window.DateUtils ? window.DateUtils.getAccountAgeBadge(joined) : null;
+  if (!badge) return null;
+
+  const element = document.createElement('span');
+  element.className = `age-badge age-${badge.grade}`;
+  element.textContent = I18n.t(ACCOUNT_AGE_BADGE_MESSAGES[badge.grade][isCompact ? 'compact' : 'full'], badge.years);
+  element.title = I18n.t('labelJoinedTitle', joined);
+  return element;
+}
+
+/**
+ * 依標籤資料重新繪製 shadow root 內容
+ * @param {HTMLElement} host - 標籤 host 元素
+ */
+function renderRegionLabel(host) {
+  const data = regionLabelData.get(host);
+  const container = host.shadowRoot.querySelector('.label');
+  const isDone = data.state !== LABEL_STATES.pending && data.state !== LABEL_STATES.querying;
+  const isCompact = labelDisplayMode === 'compact';
+
+  host.dataset.state = data.state;
+  host.dataset.display = labelDisplayMode;
+  host.style.setProperty('--label-bg', data.colors.backgroundColor);
+  host.style.setProperty('--label-fg', data.colors.textColor);
+  host.style.setProperty('--label-weight', data.colors.bold ? '800' : '600');
+  if (data.colors.borderColor) {
+    host.style.setProperty('--label-outline', `0 0 0 2px ${data.colors.borderColor}`);
+  } else {
+    host.style.removeProperty('--label-outline');
+  }
+  container.replaceChildren();
+
+  const arrow = document.createElement('span');
+  arrow.className = 'arrow';
+  container.appendChild(arrow);
+
+  const text = document.createElement('span');
+  text.className = 'text';
+  if (isCompact) {
+    text.textContent = getCompactLocationText(data);
+    if (isDone) text.title = getLabelLocationText(data);
+  } else {
+    text.textContent = getLabelLocationText(data);
+  }
+  // 查詢失敗時顯示失敗原因與下次重試時間
+  if (data.state === LABEL_STATES.error && data.queryError) {
+    text.title = formatQueryErrorTooltip(data.queryError);
+  }
+  if (text.textContent) container.appendChild(text);
+
+  if (isDone) {
+    // 帳號年齡徽章（新用戶、未滿半年、加入超過 1 年）
+    const ageBadge = data.joined ? createAccountAgeBadge(data.joined, isCompact) : null;
+    if (ageBadge) text.appendChild(ageBadge);
+
+    // Meta 驗證與曾改名徽章（滑鼠移上去顯示先前的用戶名稱）
+    if (data.verified === true) {
+      const verifiedMark = document.createElement('span');
+      verifiedMark.className = 'verified-mark';
+      verifiedMark.textContent = '✓';
+      verifiedMark.title = I18n.t('labelVerifiedTitle');
+      text.appendChild(verifiedMark);
+    }
+    if (data.formerUsernames && data.formerUsernames.length > 0) {
+      const renamedBadge = document.createElement('span');
+      renamedBadge.className = 'renamed-badge';
+      renamedBadge.textContent = I18n.t(isCompact ? 'labelRenamedCompact' : 'labelRenamed');
+      renamedBadge.title = I18n.t('labelRenamedTitle', formatFormerUsernames(data.formerUsernames));
+      text.appendChild(renamedBadge);
+    }
+
+    // 側寫標籤（滑鼠移上去顯示理由與原文引述，點擊開啟詳細資料卡，可從引述連到原貼文）
+    const tagsWithReasons = StorageSchema.parseProfileTags(data.profile) || [];
+    if (isCompact && tagsWithReasons.length > 0) {
+      // 精簡模式：所有標籤合併為一個圓點
+      const dot = document.createElement('span');
+      dot.className = 'tag tag-dot';
+      dot.textContent = '●';
+      dot.title = tagsWithReasons.map(item => item.tag).join(I18n.t('listSeparator'));
+      container.appendChild(dot);
+    } else if (tagsWithReasons.length > 0) {
+      text.appendChild(document.createTextNode(' ('));
+      tagsWithReasons.forEach((item, index) => {
+        if (index > 0) text.appendChild(document.createTextNode(', '));
+        const tag = document.createElement('span');
+        tag.className = 'tag';
+        tag.textContent = item.tag;
+        const tooltip = [item.reason, ...item.evidence.map(entry => I18n.t('cardTagEvidence', entry.quote))].filter(Boolean);
+        if (tooltip.length > 0) tag.title = tooltip.join('\n');
+        text.appendChild(tag);
+      });
+      text.appendChild(document.createTextNode(')'));
+    }
+
+    const infoButton = document.createElement('button');
+    infoButton.type = 'button';
+    infoButton.className = 'info-btn';
+    infoButton.title = I18n.t('labelDetails');
+    infoButton.innerHTML = INFO_ICON_SVG;
+    container.appendChild(infoButton);
+
+    const refreshButton = document.createElement('button');
+    refreshButton.type = 'button';
+    refreshButton.className = 'refresh-btn';
+    refreshButton.title = I18n.t('labelRefresh');
+    refreshButton.innerHTML = REFRESH_ICON_SVG;
+    container.appendChild(refreshButton);
+    return;
+  }
+
+  // 待查詢：[查詢]；已加入隊列：[取消]；等待隊列回應：[...]
+  const queryButton = document.createElement('button');
+  queryButton.type = 'button';
+  queryButton.className = 'query-btn';
+  if (data.state === LABEL_STATES.pending) {
+    queryButton.textContent = I18n.t('labelQuery');
+  } else if (data.job) {
+    queryButton.textContent = I18n.t('labelCancel');
+    queryButton.dataset.jobId = data.job.id;
+  } else {
+    queryButton.textContent = '...';
+    queryButton.disabled = true;
+  }
+  container.appendChild(queryButton);
+}
+
+// ==================== 事件處理 ====================
+
+/**
+ * 處理標籤內按鈕與側寫標籤的點擊
+ * @param {HTMLElement} host - 標籤 host 元素
+ * @param {Element} target - 被點擊的按鈕或側寫標籤
+ */
+function handleLabelClick(host, target) {
+  const data = regionLabelData.get(host);
+
+  if (target.classList.contains('tag') || target.classList.contains('info-btn')) {
+    // 再次點擊同一個位置時關閉詳細資料卡
+    const isSameTrigger = activeLabelCard && activeLabelCard.trigger === target;
+    closeLabelCard();
+    if (isSameTrigger) return;
+    labelCardTrigger = { host: host, target: target };
+    host.dispatchEvent(new CustomEvent(LABEL_EVENTS.details, { bubbles: true, detail: { account: data.account } }));
+    return;
+  }
+
+  let eventName = LABEL_EVENTS.query;
+  const detail = { account: data.account };
+  if (target.classList.contains('refresh-btn')) {
+    eventName = LABEL_EVENTS.refresh;
+  } else if (target.dataset.jobId) {
+    eventName = LABEL_EVENTS.cancel;
+    detail.jobId = target.dataset.jobId;
+  }
+  host.dispatchEvent(new CustomEvent(eventName, { bubbles: true, detail: detail }));
+}
+
+// ==================== 詳細資料卡 ====================
+
+let labelCardTrigger = null; // 最近一次要求開啟詳細資料卡的位置 { host, target }
+let activeLabelCard = null;  // 目前顯示中的詳細資料卡 { card, host, trigger, remove }
+
+/**
+ * 組合詳細資料卡的欄位
+ * @param {UserRecord} record - 快取紀錄
+ * @returns {Array<[string, string]>} [標題, 內容]
+ */
+function getLabelCardFields(record) {
+  const fields = [];
+
+  if (record.region === StorageSchema.QUERY_FAILED_REGION) {
+    fields.push([I18n.t('cardFieldLocation'), formatQueryErrorTooltip(StorageSchema.getQueryErrorInfo(record))]);
+  } else if (record.region) {
+    const flag = RegionUtils.getFlagEmoji(RegionUtils.getRegionCode(record.region));
+    const regionName = I18n.getRegionName(record.region);
+    fields.push([I18n.t('cardFieldLocation'), flag ? `${flag} ${regionName}` : regionName]);
+  }
+
+  if (record.joined) {
+    const badge = window.DateUtils && window.DateUtils.getAccountAgeBadge(record.joined);
+    fields.push([I18n.t('cardFieldJoined'), badge
+      ? I18n.t(ACCOUNT_AGE_BADGE_MESSAGES[badge.grade].card, record.joined, badge.years)
+      : record.joined]);
+  }
+
+  if (record.formerUsernames && record.formerUsernames.length > 0) {
+    fields.push([I18n.t('cardFieldFormerUsernames'), formatFormerUsernames(record.formerUsernames)]);
+  }
+
+  if (record.verified === true) {
+    fields.push([I18n.t('cardFieldVerified'), record.verifiedDate ? I18n.t('cardVerifiedOn', record.verifiedDate) : I18n.t('cardVerified')]);
+  } else if (record.verified === false) {
+    fields.push([I18n.t('cardFieldVerified'), I18n.t('cardNotVerified')]);
+  }
+
+  if (record.region) {
+    const source = CARD_SOURCE_MESSAGES[record.source] ? I18n.t(CARD_SOURCE_MESSAGES[record.source]) : (record.source || I18n.t('cardSourceUnknown'));
+    const age = window.DateUtils && window.DateUtils.formatElapsedTime(record.fetchedAt);
+    fields.push([I18n.t('cardFieldSource'), age ? I18n.t('cardSourceAge', source, age) : source]);
+  }
+
+  if (record.profileTags) {
+    const age = window.DateUtils && window.DateUtils.formatElapsedTime(record.profileFetchedAt);
+    fields.push([I18n.t('cardFieldProfile'), age || I18n.t('cardProfileAnalyzed')]);
+  }
+
+  return fields;
+}
+
+/**
+ * 組合複製用的文字
+ * @param {string} account - 用戶帳號（帶 @ 符號）
+ * @param {UserRecord|null} record - 快取紀錄
+ * @returns {string}
+ */
+function getLabelCardCopyText(account, record) {
+  const lines = [record && record.displayName ? `${record.displayName} (${account})` : account];
+  if (record) {
+    getLabelCardFields(record).forEach(([title, value]) => {
+      lines.push(I18n.t('cardCopyField', title, value.replace(/\n/g, I18n.t('listSeparator'))));
+    });
+    (StorageSchema.parseProfileTags(record.profileTags) || []).forEach(item => {
+      lines.push(item.reason ? I18n.t('cardCopyField', `#${item.tag}`, item.reason) : `#${item.tag}`);
+      item.evidence.forEach(entry => {
+        const quote = I18n.t('cardTagEvidence', entry.quote);
+        lines.push(`  ${entry.url ? `${quote} ${entry.url}` : quote}`);
+      });
+    });
+  }
+  return lines.join('\n');
+}
+
+/**
+ * 建立資料卡中的一則原文引述
+ * @param {ProfileEvidence} entry - 引述
+ * @returns {HTMLLIElement}
+ */
+function createEvidenceItem(entry) {
+  const item = document.createElement('li');
+  const text = I18n.t('cardTagEvidence', entry.quote);
+  if (!entry.url) {
+    item.textContent = text;
+    return item;
+  }
+
+  const link = document.createElement('a');
+  link.href = entry.url;
+  link.target = '_blank';
+  link.rel = 'noopener noreferrer';
+  link.textContent = text;
+  link.title = I18n.t('cardTagEvidenceOpen');
+  item.appendChild(link);
+
+  const postedAt = entry.postedAt ? Date.parse(entry.postedAt) : NaN;
+  const age = !Number.isNaN(postedAt) && window.DateUtils && window.DateUtils.formatElapsedTime(postedAt);
+  if (age) {
+    const time = document.createElement('span');
+    time.className = 'evidence-age';
+    time.textContent = I18n.t('cardTagEvidenceAge', age);
+    item.appendChild(time);
+  }
+  return item;
+}
+
+/**
+ * 開啟標籤的詳細資料卡（只顯示快取內容，不會觸發查詢）
+ * 詳細資料卡放在 document.body（fixed 定位，避免被父元素 overflow 裁切），同樣以 shadow root 隔離樣式
+ * @param {HTMLElement} host - 標籤 host 元素
+ * @param {UserRecord|null} record - 快取紀錄（沒有快取時為 null）
+ */
+function openLabelCard(host, record) {
+  const data = regionLabelData.get(host);
+  if (!data || !host.isConnected) return;
+  closeLabelCard();
+
+  // 資料卡對齊點擊的位置；找不到時（例如由其他流程開啟）對齊標籤本身
+  const trigger = labelCardTrigger && labelCardTrigger.host === host && labelCardTrigger.target.isConnected
+    ? labelCardTrigger.target
+    : host;
+  labelCardTrigger = null;
+  const cached = record && !StorageSchema.isEmptyRecord(record) ? record : null;
+
+  const card = document.createElement(REGION_LABEL_CARD_TAG);
+  const shadow = card.attachShadow({ mode: 'open' });
+  const style = document.createElement('style');
+  style.textContent = REGION_LABEL_CARD_STYLES;
+  const body = document.createElement('div');
+  body.className = 'card';
+  shadow.append(style, body);
+
+  // 標題：大頭貼、顯示名稱、帳號
+  const header = document.createElement('div');
+  header.className = 'header';
+  const avatarUrl = cached && StorageSchema.normalizeProfileImage(cached.profileImage);
+  if (avatarUrl) {
+    const avatar = document.createElement('img');
+    avatar.className = 'avatar';
+    avatar.alt = '';
+    avatar.referrerPolicy = 'no-referrer';
+    avatar.src = avatarUrl;
+    // 大頭貼網址有時效，失效時不顯示
+    avatar.addEventListener('error', () => avatar.remove());
+    header.appendChild(avatar);
+  }
+  const names = document.createElement('div');
+  const name = document.createElement('div');
+  name.className = 'name';
+  name.textContent = (cached && cached.displayName) || data.account;
+  if (cached && cached.verified) {
+    const badge = document.createElement('span');
+    badge.className = 'verified-badge';
+    badge.textContent = '✓';
+    badge.title = I18n.t('cardVerifiedBadge');
+    name.appendChild(badge);
+  }
+  const account = document.createElement('div');
+  account.className = 'account';
+  account.textContent = data.account;
+  names.append(name, account);
+  header.appendChild(names);
+  body.appendChild(header);
+
+  if (cached) {
+    const fields = document.createElement('dl');
+    fields.className = 'fields';
+    getLabelCardFields(cached).forEach(([title, value]) => {
+      const dt = document.createElement('dt');
+      dt.textContent = title;
+      const dd = document.createElement('dd');
+      dd.textContent = value;
+      fields.append(dt, dd);
+    });
+    body.appendChild(fields);
+
+    // 舊資料沒有引述與信心程度，經 parseProfileTags 補上預設值
+    const profileTags = StorageSchema.parseProfileTags(cached.profileTags) || [];
+    if (profileTags.length > 0) {
+      const tags = document.createElement('ul');
+      tags.className = 'tags';
+      profileTags.forEach(item => {
+        const tag = document.createElement('li');
+        tag.textContent = item.tag;
+        if (item.confidence !== null) {
+          const confidence = document.createElement('span');
+          confidence.className = 'tag-confidence';
+          confidence.textContent = I18n.t('cardTagConfidence', String(Math.round(item.confidence * 100)));
+          tag.appendChild(confidence);
+        }
+        if (item.reason) {
+          const reason = document.createElement('span');
+          reason.className = 'tag-reason';
+          reason.textContent = I18n.t('cardTagReason', item.reason);
+          tag.appendChild(reason);
+        }
+        // 原文引述（LLM 判斷的依據），有貼文網址時連到原貼文
+        if (item.evidence.length > 0) {
+          const quotes = document.createElement('ul');
+          quotes.className = 'tag-evidence';
+          item.evidence.forEach(entry => {
+            quotes.appendChild(createEvidenceItem(entry));
+          });
+          tag.appendChild(quotes);
+        }
+        tags.appendChild(tag);
+      });
+      body.appendChild(tags);
+    }
+  } else {
+    const empty = document.createElement('div');
+    empty.className = 'empty';
+    empty.textContent = I18n.t('cardNoCache');
+    body.appendChild(empty);
+  }
+
+  const actions = document.createElement('div');
+  actions.className = 'actions';
+  [
+    ['refresh', 'labelRefresh'],
+    ['remove', 'cardActionRemove'],
+    ['copy', 'cardActionCopy'],
+    ['open', 'cardActionOpen']
+  ].forEach(([action, messageKey]) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.dataset.action = action;
+    button.textContent = I18n.t(messageKey);
+    if (action === 'remove' && !cached) button.disabled = true;
+    actions.appendChild(button);
+  });
+  body.appendChild(actions);
+
+  actions.addEventListener('click', (e) => {
+    const button = e.target.closest('button');
+    if (!button) return;
+    handleLabelCardAction(host, button, cached);
+  });
+
+  const rect = trigger.getBoundingClientRect();
+  card.style.top = `${rect.bottom + 8}px`;
+  card.style.left = `${rect.left + rect.width / 2}px`;
+  document.body.appendChild(card);
+
+  // 點擊其他地方、按 Esc 或頁面捲動時關閉
+  const closeOnClick = (event) => {
+    const path = event.composedPath();
+    if (!path.includes(card) && !path.includes(trigger)) removeCard();
+  };
+  const closeOnKeydown = (event) => {
+    if (event.key === 'Escape') removeCard();
+  };
+  const removeCard = () => {
+    card.remove();
+    document.removeEventListener('click', closeOnClick);
+    document.removeEventListener('keydown', closeOnKeydown);
+    window.removeEventListener('scroll', removeCard, true);
+    if (activeLabelCard && activeLabelCard.card === card) activeLabelCard = null;
+  };
+
+  setTimeout(() => {
+    document.addEventListener('click', closeOnClick);
+    document.addEventListener('keydown', closeOnKeydown);
+    // 使用 capture 模式監聽所有捲動事件（包括子元素的捲動）
+    window.addEventListener('scroll', removeCard, true);
+  }, 0);
+
+  activeLabelCard = { card: card, host: host, trigger: trigger, remove: removeCard };
+}
+
+/**
+ * 關閉詳細資料卡
+ */
+function closeLabelCard() {
+  if (activeLabelCard) activeLabelCard.remove();
+}
+
+/**
+ * 處理詳細資料卡的按鈕
+ * @param {HTMLElement} host - 標籤 host 元素
+ * @param {HTMLButtonElement} button - 被點擊的按鈕
+ * @param {UserRecord|null} record - 快取紀錄
+ */
+function handleLabelCardAction(host, button, record) {
+  const account = regionLabelData.get(host).account;
+
+  switch (button.dataset.action) {
+    case 'refresh':
+      closeLabelCard();
+      host.dispatchEvent(new CustomEvent(LABEL_EVENTS.refresh, { bubbles: true, detail: { account: account } }));
+      break;
+    case 'remove':
+      closeLabelCard();
+      host.dispatchEvent(new CustomEvent(LABEL_EVENTS.remove, { bubbles: true, detail: { account: account } }));
+      break;
+    case 'copy':
+      navigator.clipboard.writeText(getLabelCardCopyText(account, record)).then(() => {
+        button.textContent = I18n.t('cardCopied');
+      }).catch((error) => {
+        console.log('[Threads] 複製失敗:', error);
+        button.textContent = I18n.t('cardCopyFailed');
+      });
+      break;
+    case 'open':
+      closeLabelCard();
+      window.open(`https://www.threads.com/${account}`, '_blank', 'noopener');
+      break;
+  }
+}
+
+// ==================== 顯示方式 ====================
+
+/**
+ * 設定顯示方式並重新繪製頁面上的所有標籤
+ * @param {string} mode - full / compact / hover（已正規化）
+ */
+function setLabelDisplayMode(mode) {
+  if (mode === labelDisplayMode) return;
+  labelDisplayMode = mode;
+  renderAllRegionLabels();
+}
+
+/**
+ * 重新繪製頁面上的所有標籤（顯示方式或語言變更時）
+ */
+function renderAllRegionLabels() {
+  closeLabelPopover();
+  closeLabelCard();
+  findRegionLabels().forEach(renderRegionLabel);
+}
+
+const LABEL_POPOVER_CLOSE_DELAY_MS = 300;
+
+let activeLabelPopover = null; // 目前開啟的浮動框 { host, closeTimer }
+
+/**
+ * 找出滑鼠所在用戶名稱的標籤
+ * 標籤插入在用戶連結內（或緊接在連結之後），見 content.js showRegionLabelsOnPageInternal
+ * @param {Element} target - mouseover 事件目標
+ * @returns {{host: HTMLElement, anchor: Element}|null}
+ */
+function findHoverLabel(target) {
+  const anchor = target.closest ? target.closest('a') : null;
+  if (!anchor) return null;
+
+  const host = [...anchor.children].find(child => child.localName === REGION_LABEL_TAG) ||
+    (anchor.nextElementSibling && anchor.nextElementSibling.localName === REGION_LABEL_TAG ? anchor.nextElementSibling : null);
+  if (!host || host.hidden || !regionLabelData.has(host)) return null;
+  return { host: host, anchor: anchor };
+}
+
+/**
+ * 在用戶名稱下方開啟浮動框
+ * @param {HTMLElement} host - 標籤 host 元素
+ * @param {Element} anchor - 用戶連結
+ */
+function openLabelPopover(host, anchor) {
+  if (activeLabelPopover && activeLabelPopover.host === host) {
+    clearTimeout(activeLabelPopover.closeTimer);
+    activeLabelPopover.closeTimer = null;
+    return;
+  }
+  closeLabelPopover();
+
+  const rect = anchor.getBoundingClientRect();
+  host.style.setProperty('--popover-top', `${rect.bottom + 4}px`);
+  host.style.setProperty('--popover-left', `${rect.left}px`);
+  host.dataset.open = '';
+  activeLabelPopover = { host: host, closeTimer: null };
+}
+
+/**
+ * 關閉浮動框
+ */
+function closeLabelPopover() {
+  if (!activeLabelPopover) return;
+  clearTimeout(activeLabelPopover.closeTimer);
+  delete activeLabelPopover.host.dataset.open;
+  activeLabelPopover = null;
+}
+
+/**
+ * 滑鼠移動時開啟或延遲關閉浮動框（移到浮動框本身時保持開啟，方便點擊按鈕）
+ * @param {MouseEvent} event
+ */
+function handleLabelPopoverMouseOver(event) {
+  if (labelDisplayMode !== 'hover') return;
+
+  const hoveredHost = event.composedPath().find(node => node.localName === REGION_LABEL_TAG);
+  const hovered = hoveredHost ? { host: hoveredHost } : findHoverLabel(event.target);
+  if (hovered && hovered.anchor) {
+    openLabelPopover(hovered.host, hovered.anchor);
+    return;
+  }
+  if (!activeLabelPopover) return;
+
+  if (hovered && hovered.host === activeLabelPopover.host) {
+    clearTimeout(activeLabelPopover.closeTimer);
+    activeLabelPopover.closeTimer = null;
+  } else if (!activeLabelPopover.closeTimer) {
+    activeLabelPopover.closeTimer = setTimeout(closeLabelPopover, LABEL_POPOVER_CLOSE_DELAY_MS);
+  }
+}
+
+// ==================== 標示標籤 ====================
+const LABEL_HIGHLIGHT_DURATION_MS = 2000;
+
+const labelHighlightTimers = new WeakMap(); // host -> 移除標示的計時器
+
+/**
+ * 短暫閃爍用戶連結旁的標籤（sidepanel 用戶列表捲動到用戶時使用）
+ * @param {Element} anchor - 用戶連結
+ * @returns {boolean} 是否找到可見的標籤
+ */
+function highlightRegionLabel(anchor) {
+  const found = findHoverLabel(anchor);
+  if (!found) return false;
+
+  const host = found.host;
+  clearTimeout(labelHighlightTimers.get(host));
+  delete host.dataset.highlight;
+  // 強制重排，連續點擊同一用戶時重新播放動畫
+  void host.offsetWidth;
+  host.dataset.highlight = '';
+  labelHighlightTimers.set(host, setTimeout(() => delete host.dataset.highlight, LABEL_HIGHLIGHT_DURATION_MS));
+  return true;
+}
+
+document.addEventListener('mouseover', handleLabelPopoverMouseOver, { passive: true });
+// 浮動框為 fixed 定位，頁面捲動後位置不再正確，直接關閉
+window.addEventListener('scroll', closeLabelPopover, { capture: true, passive: true });
+
+// 暴露給全域（content script 中 self 即 window）
+self.RegionLabel = {
+  TAG: REGION_LABEL_TAG,
+  STATES: LABEL_STATES,
+  EVENTS: LABEL_EVENTS,
+  create: createRegionLabel,
+  update: updateRegionLabel,
+  getData: getRegionLabelData,
+  find: findRegionLabels,
+  getStateFromData: getLabelStateFromData,
+  setDisplayMode: setLabelDisplayMode,
+  renderAll: renderAllRegionLabels,
+  openCard: openLabelCard,
+  highlight: highlightRegionLabel
+};
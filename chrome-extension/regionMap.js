@@ -1,126 +1,390 @@
 /**
  * 地區名稱對照表 - 統一不同語言的地區名稱
- * 將各語言地區名稱正規化為英文格式
+ * Content script（manifest 載入）與 Service Worker（importScripts 載入）共用同一份對照表
+ * 以 ISO 3166-1 二碼（如 TW、JP）作為標準代碼，英文名稱作為顯示用的正規化名稱
  */
 
-// 地區名稱對照表（各語言 → 英文）
-const REGION_MAP = {
-  // 台灣
-  '台灣': 'Taiwan',
-  '臺灣': 'Taiwan',
-  '타이완': 'Taiwan',
-
-  // 日本
-  '日本': 'Japan',
-  '일본': 'Japan',
-
-  // 中國
-  '中國': 'China',
-  '中国': 'China',
-  '중국': 'China',
-
-  // 香港
-  '香港': 'Hong Kong',
-  '홍콩': 'Hong Kong',
-
-  // 韓國
-  '韓國': 'South Korea',
-  '한국': 'South Korea',
-  '大韓民國': 'South Korea',
-
-  // 美國
-  '美國': 'United States',
-  '미국': 'United States',
-  'アメリカ': 'United States',
-
-  // 英國
-  '英國': 'United Kingdom',
-  '영국': 'United Kingdom',
-  'イギリス': 'United Kingdom',
-
-  // 新加坡
-  '新加坡': 'Singapore',
-  '싱가포르': 'Singapore',
-  'シンガポール': 'Singapore',
-
-  // 馬來西亞
-  '馬來西亞': 'Malaysia',
-  '马来西亚': 'Malaysia',
-  '말레이시아': 'Malaysia',
-
-  // 泰國
-  '泰國': 'Thailand',
-  '태국': 'Thailand',
-  'タイ': 'Thailand',
-
-  // 越南
-  '越南': 'Vietnam',
-  '베트남': 'Vietnam',
-  'ベトナム': 'Vietnam',
-
-  // 印尼
-  '印尼': 'Indonesia',
-  '印度尼西亞': 'Indonesia',
-  '인도네시아': 'Indonesia',
-
-  // 菲律賓
-  '菲律賓': 'Philippines',
-  '필리핀': 'Philippines',
-  'フィリピン': 'Philippines',
-
-  // 澳洲
-  '澳洲': 'Australia',
-  '澳大利亞': 'Australia',
-  '호주': 'Australia',
-  'オーストラリア': 'Australia',
-
-  // 加拿大
-  '加拿大': 'Canada',
-  '캐나다': 'Canada',
-  'カナダ': 'Canada',
-
-  // 德國
-  '德國': 'Germany',
-  '독일': 'Germany',
-  'ドイツ': 'Germany',
-
-  // 法國
-  '法國': 'France',
-  '프랑스': 'France',
-  'フランス': 'France',
-
-  // 義大利
-  '義大利': 'Italy',
-  '意大利': 'Italy',
-  '이탈리아': 'Italy',
-  'イタリア': 'Italy',
-
-  // 西班牙
-  '西班牙': 'Spain',
-  '스페인': 'Spain',
-  'スペイン': 'Spain',
-
-  // 荷蘭
-  '荷蘭': 'Netherlands',
-  '네덜란드': 'Netherlands',
-  'オランダ': 'Netherlands',
-
-  // 印度
-  '印度': 'India',
-  '인도': 'India',
-  'インド': 'India',
-
-  // 巴西
-  '巴西': 'Brazil',
-  '브라질': 'Brazil',
-  'ブラジル': 'Brazil',
-
-  // 墨西哥
-  '墨西哥': 'Mexico',
-  '멕시코': 'Mexico',
-  'メキシコ': 'Mexico'
+// ==================== 地區登錄表 ====================
+// 每個代碼包含：英文、繁中（台灣）、簡中、日文、韓文名稱，以及其他常見別名
+const REGION_REGISTRY = {
+  AD: { en: 'Andorra', zhTW: '安道爾', zhCN: '安道尔', ja: 'アンドラ', ko: '안도라' },
+  AE: { en: 'United Arab Emirates', zhTW: '阿拉伯聯合大公國', zhCN: '阿拉伯联合酋长国', ja: 'アラブ首長国連邦', ko: '아랍에미리트', aliases: ['UAE'] },
+  AF: { en: 'Afghanistan', zhTW: '阿富汗', zhCN: '阿富汗', ja: 'アフガニスタン', ko: '아프가니스탄' },
+  AG: { en: 'Antigua & Barbuda', zhTW: '安地卡及巴布達', zhCN: '安提瓜和巴布达', ja: 'アンティグア・バーブーダ', ko: '앤티가 바부다' },
+  AI: { en: 'Anguilla', zhTW: '安奎拉', zhCN: '安圭拉', ja: 'アンギラ', ko: '앵귈라' },
+  AL: { en: 'Albania', zhTW: '阿爾巴尼亞', zhCN: '阿尔巴尼亚', ja: 'アルバニア', ko: '알바니아' },
+  AM: { en: 'Armenia', zhTW: '亞美尼亞', zhCN: '亚美尼亚', ja: 'アルメニア', ko: '아르메니아' },
+  AO: { en: 'Angola', zhTW: '安哥拉', zhCN: '安哥拉', ja: 'アンゴラ', ko: '앙골라' },
+  AQ: { en: 'Antarctica', zhTW: '南極洲', zhCN: '南极洲', ja: '南極', ko: '남극 대륙' },
+  AR: { en: 'Argentina', zhTW: '阿根廷', zhCN: '阿根廷', ja: 'アルゼンチン', ko: '아르헨티나' },
+  AS: { en: 'American Samoa', zhTW: '美屬薩摩亞', zhCN: '美属萨摩亚', ja: '米領サモア', ko: '아메리칸 사모아' },
+  AT: { en: 'Austria', zhTW: '奧地利', zhCN: '奥地利', ja: 'オーストリア', ko: '오스트리아' },
+  AU: { en: 'Australia', zhTW: '澳洲', zhCN: '澳大利亚', ja: 'オーストラリア', ko: '오스트레일리아', aliases: ['澳大利亞', '호주'] },
+  AW: { en: 'Aruba', zhTW: '荷屬阿魯巴', zhCN: '阿鲁巴', ja: 'アルバ', ko: '아루바' },
+  AX: { en: 'Åland Islands', zhTW: '奧蘭群島', zhCN: '奥兰群岛', ja: 'オーランド諸島', ko: '올란드 제도' },
+  AZ: { en: 'Azerbaijan', zhTW: '亞塞拜然', zhCN: '阿塞拜疆', ja: 'アゼルバイジャン', ko: '아제르바이잔' },
+  BA: { en: 'Bosnia & Herzegovina', zhTW: '波士尼亞與赫塞哥維納', zhCN: '波斯尼亚和黑塞哥维那', ja: 'ボスニア・ヘルツェゴビナ', ko: '보스니아 헤르체고비나' },
+  BB: { en: 'Barbados', zhTW: '巴貝多', zhCN: '巴巴多斯', ja: 'バルバドス', ko: '바베이도스' },
+  BD: { en: 'Bangladesh', zhTW: '孟加拉', zhCN: '孟加拉国', ja: 'バングラデシュ', ko: '방글라데시' },
+  BE: { en: 'Belgium', zhTW: '比利時', zhCN: '比利时', ja: 'ベルギー', ko: '벨기에' },
+  BF: { en: 'Burkina Faso', zhTW: '布吉納法索', zhCN: '布基纳法索', ja: 'ブルキナファソ', ko: '부르키나파소' },
+  BG: { en: 'Bulgaria', zhTW: '保加利亞', zhCN: '保加利亚', ja: 'ブルガリア', ko: '불가리아' },
+  BH: { en: 'Bahrain', zhTW: '巴林', zhCN: '巴林', ja: 'バーレーン', ko: '바레인' },
+  BI: { en: 'Burundi', zhTW: '蒲隆地', zhCN: '布隆迪', ja: 'ブルンジ', ko: '부룬디' },
+  BJ: { en: 'Benin', zhTW: '貝南', zhCN: '贝宁', ja: 'ベナン', ko: '베냉' },
+  BL: { en: 'St. Barthélemy', zhTW: '聖巴瑟米', zhCN: '圣巴泰勒米', ja: 'サン・バルテルミー', ko: '생바르텔레미' },
+  BM: { en: 'Bermuda', zhTW: '百慕達', zhCN: '百慕大', ja: 'バミューダ', ko: '버뮤다' },
+  BN: { en: 'Brunei', zhTW: '汶萊', zhCN: '文莱', ja: 'ブルネイ', ko: '브루나이' },
+  BO: { en: 'Bolivia', zhTW: '玻利維亞', zhCN: '玻利维亚', ja: 'ボリビア', ko: '볼리비아' },
+  BQ: { en: 'Caribbean Netherlands', zhTW: '荷蘭加勒比區', zhCN: '荷属加勒比区', ja: 'オランダ領カリブ', ko: '네덜란드령 카리브' },
+  BR: { en: 'Brazil', zhTW: '巴西', zhCN: '巴西', ja: 'ブラジル', ko: '브라질' },
+  BS: { en: 'Bahamas', zhTW: '巴哈馬', zhCN: '巴哈马', ja: 'バハマ', ko: '바하마' },
+  BT: { en: 'Bhutan', zhTW: '不丹', zhCN: '不丹', ja: 'ブータン', ko: '부탄' },
+  BV: { en: 'Bouvet Island', zhTW: '布威島', zhCN: '布韦岛', ja: 'ブーベ島', ko: '부베섬' },
+  BW: { en: 'Botswana', zhTW: '波札那', zhCN: '博茨瓦纳', ja: 'ボツワナ', ko: '보츠와나' },
+  BY: { en: 'Belarus', zhTW: '白俄羅斯', zhCN: '白俄罗斯', ja: 'ベラルーシ', ko: '벨라루스' },
+  BZ: { en: 'Belize', zhTW: '貝里斯', zhCN: '伯利兹', ja: 'ベリーズ', ko: '벨리즈' },
+  CA: { en: 'Canada', zhTW: '加拿大', zhCN: '加拿大', ja: 'カナダ', ko: '캐나다' },
+  CC: { en: 'Cocos (Keeling) Islands', zhTW: '科克斯（基靈）群島', zhCN: '科科斯（基林）群岛', ja: 'ココス(キーリング)諸島', ko: '코코스 제도' },
+  CD: { en: 'DR Congo', zhTW: '剛果民主共和國', zhCN: '刚果民主共和国', ja: 'コンゴ民主共和国(キンシャサ)', ko: '콩고-킨샤사', aliases: ['Congo - Kinshasa', '剛果（金夏沙）', '刚果（金）'] },
+  CF: { en: 'Central African Republic', zhTW: '中非共和國', zhCN: '中非共和国', ja: '中央アフリカ共和国', ko: '중앙 아프리카 공화국' },
+  CG: { en: 'Congo', zhTW: '剛果共和國', zhCN: '刚果共和国', ja: 'コンゴ共和国(ブラザビル)', ko: '콩고-브라자빌', aliases: ['Congo - Brazzaville', '剛果（布拉薩）', '刚果（布）'] },
+  CH: { en: 'Switzerland', zhTW: '瑞士', zhCN: '瑞士', ja: 'スイス', ko: '스위스' },
+  CI: { en: 'Côte d\'Ivoire', zhTW: '象牙海岸', zhCN: '科特迪瓦', ja: 'コートジボワール', ko: '코트디부아르', aliases: ['Côte d’Ivoire', 'Ivory Coast'] },
+  CK: { en: 'Cook Islands', zhTW: '庫克群島', zhCN: '库克群岛', ja: 'クック諸島', ko: '쿡 제도' },
+  CL: { en: 'Chile', zhTW: '智利', zhCN: '智利', ja: 'チリ', ko: '칠레' },
+  CM: { en: 'Cameroon', zhTW: '喀麥隆', zhCN: '喀麦隆', ja: 'カメルーン', ko: '카메룬' },
+  CN: { en: 'China', zhTW: '中國', zhCN: '中国', ja: '中国', ko: '중국', aliases: ['People\'s Republic of China', 'PRC', '中國大陸', '中国大陆', 'Mainland China'] },
+  CO: { en: 'Colombia', zhTW: '哥倫比亞', zhCN: '哥伦比亚', ja: 'コロンビア', ko: '콜롬비아' },
+  CR: { en: 'Costa Rica', zhTW: '哥斯大黎加', zhCN: '哥斯达黎加', ja: 'コスタリカ', ko: '코스타리카' },
+  CU: { en: 'Cuba', zhTW: '古巴', zhCN: '古巴', ja: 'キューバ', ko: '쿠바' },
+  CV: { en: 'Cape Verde', zhTW: '維德角', zhCN: '佛得角', ja: 'カーボベルデ', ko: '카보베르데', aliases: ['Cabo Verde'] },
+  CW: { en: 'Curaçao', zhTW: '庫拉索', zhCN: '库拉索', ja: 'キュラソー', ko: '퀴라소' },
+  CX: { en: 'Christmas Island', zhTW: '聖誕島', zhCN: '圣诞岛', ja: 'クリスマス島', ko: '크리스마스섬' },
+  CY: { en: 'Cyprus', zhTW: '賽普勒斯', zhCN: '塞浦路斯', ja: 'キプロス', ko: '키프로스' },
+  CZ: { en: 'Czechia', zhTW: '捷克', zhCN: '捷克', ja: 'チェコ', ko: '체코', aliases: ['Czech Republic'] },
+  DE: { en: 'Germany', zhTW: '德國', zhCN: '德国', ja: 'ドイツ', ko: '독일' },
+  DJ: { en: 'Djibouti', zhTW: '吉布地', zhCN: '吉布提', ja: 'ジブチ', ko: '지부티' },
+  DK: { en: 'Denmark', zhTW: '丹麥', zhCN: '丹麦', ja: 'デンマーク', ko: '덴마크' },
+  DM: { en: 'Dominica', zhTW: '多米尼克', zhCN: '多米尼克', ja: 'ドミニカ国', ko: '도미니카' },
+  DO: { en: 'Dominican Republic', zhTW: '多明尼加共和國', zhCN: '多米尼加共和国', ja: 'ドミニカ共和国', ko: '도미니카 공화국' },
+  DZ: { en: 'Algeria', zhTW: '阿爾及利亞', zhCN: '阿尔及利亚', ja: 'アルジェリア', ko: '알제리' },
+  EC: { en: 'Ecuador', zhTW: '厄瓜多', zhCN: '厄瓜多尔', ja: 'エクアドル', ko: '에콰도르' },
+  EE: { en: 'Estonia', zhTW: '愛沙尼亞', zhCN: '爱沙尼亚', ja: 'エストニア', ko: '에스토니아' },
+  EG: { en: 'Egypt', zhTW: '埃及', zhCN: '埃及', ja: 'エジプト', ko: '이집트' },
+  EH: { en: 'Western Sahara', zhTW: '西撒哈拉', zhCN: '西撒哈拉', ja: '西サハラ', ko: '서사하라' },
+  ER: { en: 'Eritrea', zhTW: '厄利垂亞', zhCN: '厄立特里亚', ja: 'エリトリア', ko: '에리트리아' },
+  ES: { en: 'Spain', zhTW: '西班牙', zhCN: '西班牙', ja: 'スペイン', ko: '스페인' },
+  ET: { en: 'Ethiopia', zhTW: '衣索比亞', zhCN: '埃塞俄比亚', ja: 'エチオピア', ko: '에티오피아' },
+  FI: { en: 'Finland', zhTW: '芬蘭', zhCN: '芬兰', ja: 'フィンランド', ko: '핀란드' },
+  FJ: { en: 'Fiji', zhTW: '斐濟', zhCN: '斐济', ja: 'フィジー', ko: '피지' },
+  FK: { en: 'Falkland Islands', zhTW: '福克蘭群島', zhCN: '福克兰群岛', ja: 'フォークランド諸島', ko: '포클랜드 제도' },
+  FM: { en: 'Micronesia', zhTW: '密克羅尼西亞', zhCN: '密克罗尼西亚', ja: 'ミクロネシア連邦', ko: '미크로네시아' },
+  FO: { en: 'Faroe Islands', zhTW: '法羅群島', zhCN: '法罗群岛', ja: 'フェロー諸島', ko: '페로 제도' },
+  FR: { en: 'France', zhTW: '法國', zhCN: '法国', ja: 'フランス', ko: '프랑스' },
+  GA: { en: 'Gabon', zhTW: '加彭', zhCN: '加蓬', ja: 'ガボン', ko: '가봉' },
+  GB: { en: 'United Kingdom', zhTW: '英國', zhCN: '英国', ja: 'イギリス', ko: '영국', aliases: ['UK', 'U.K.', 'Great Britain', 'Britain', 'England', 'Scotland', 'Wales', '英格蘭'] },
+  GD: { en: 'Grenada', zhTW: '格瑞那達', zhCN: '格林纳达', ja: 'グレナダ', ko: '그레나다' },
+  GE: { en: 'Georgia', zhTW: '喬治亞', zhCN: '格鲁吉亚', ja: 'ジョージア', ko: '조지아' },
+  GF: { en: 'French Guiana', zhTW: '法屬圭亞那', zhCN: '法属圭亚那', ja: '仏領ギアナ', ko: '프랑스령 기아나' },
+  GG: { en: 'Guernsey', zhTW: '根息', zhCN: '根西岛', ja: 'ガーンジー', ko: '건지' },
+  GH: { en: 'Ghana', zhTW: '迦納', zhCN: '加纳', ja: 'ガーナ', ko: '가나' },
+  GI: { en: 'Gibraltar', zhTW: '直布羅陀', zhCN: '直布罗陀', ja: 'ジブラルタル', ko: '지브롤터' },
+  GL: { en: 'Greenland', zhTW: '格陵蘭', zhCN: '格陵兰', ja: 'グリーンランド', ko: '그린란드' },
+  GM: { en: 'Gambia', zhTW: '甘比亞', zhCN: '冈比亚', ja: 'ガンビア', ko: '감비아' },
+  GN: { en: 'Guinea', zhTW: '幾內亞', zhCN: '几内亚', ja: 'ギニア', ko: '기니' },
+  GP: { en: 'Guadeloupe', zhTW: '瓜地洛普', zhCN: '瓜德罗普', ja: 'グアドループ', ko: '과들루프' },
+  GQ: { en: 'Equatorial Guinea', zhTW: '赤道幾內亞', zhCN: '赤道几内亚', ja: '赤道ギニア', ko: '적도 기니' },
+  GR: { en: 'Greece', zhTW: '希臘', zhCN: '希腊', ja: 'ギリシャ', ko: '그리스' },
+  GS: { en: 'South Georgia & South Sandwich Islands', zhTW: '南喬治亞與南三明治群島', zhCN: '南乔治亚和南桑威奇群岛', ja: 'サウスジョージア・サウスサンドウィッチ諸島', ko: '사우스조지아 사우스샌드위치 제도' },
+  GT: { en: 'Guatemala', zhTW: '瓜地馬拉', zhCN: '危地马拉', ja: 'グアテマラ', ko: '과테말라' },
+  GU: { en: 'Guam', zhTW: '關島', zhCN: '关岛', ja: 'グアム', ko: '괌' },
+  GW: { en: 'Guinea-Bissau', zhTW: '幾內亞比索', zhCN: '几内亚比绍', ja: 'ギニアビサウ', ko: '기니비사우' },
+  GY: { en: 'Guyana', zhTW: '蓋亞那', zhCN: '圭亚那', ja: 'ガイアナ', ko: '가이아나' },
+  HK: { en: 'Hong Kong', zhTW: '香港', zhCN: '香港', ja: '香港', ko: '홍콩', aliases: ['Hong Kong SAR China', 'Hong Kong SAR', '中國香港', '中國香港特別行政區', '中国香港特别行政区', '中華人民共和国香港特別行政区', '홍콩(중국 특별행정구)'] },
+  HM: { en: 'Heard & McDonald Islands', zhTW: '赫德島及麥唐納群島', zhCN: '赫德岛和麦克唐纳群岛', ja: 'ハード島・マクドナルド諸島', ko: '허드 맥도널드 제도' },
+  HN: { en: 'Honduras', zhTW: '宏都拉斯', zhCN: '洪都拉斯', ja: 'ホンジュラス', ko: '온두라스' },
+  HR: { en: 'Croatia', zhTW: '克羅埃西亞', zhCN: '克罗地亚', ja: 'クロアチア', ko: '크로아티아' },
+  HT: { en: 'Haiti', zhTW: '海地', zhCN: '海地', ja: 'ハイチ', ko: '아이티' },
+  HU: { en: 'Hungary', zhTW: '匈牙利', zhCN: '匈牙利', ja: 'ハンガリー', ko: '헝가리' },
+  ID: { en: 'Indonesia', zhTW: '印尼', zhCN: '印度尼西亚', ja: 'インドネシア', ko: '인도네시아', aliases: ['印度尼西亞'] },
+  IE: { en: 'Ireland', zhTW: '愛爾蘭', zhCN: '爱尔兰', ja: 'アイルランド', ko: '아일랜드' },
+  IL: { en: 'Israel', zhTW: '以色列', zhCN: '以色列', ja: 'イスラエル', ko: '이스라엘' },
+  IM: { en: 'Isle of Man', zhTW: '曼島', zhCN: '马恩岛', ja: 'マン島', ko: '맨섬' },
+  IN: { en: 'India', zhTW: '印度', zhCN: '印度', ja: 'インド', ko: '인도' },
+  IO: { en: 'British Indian Ocean Territory', zhTW: '英屬印度洋領地', zhCN: '英属印度洋领地', ja: '英領インド洋地域', ko: '영국령 인도양 지역' },
+  IQ: { en: 'Iraq', zhTW: '伊拉克', zhCN: '伊拉克', ja: 'イラク', ko: '이라크' },
+  IR: { en: 'Iran', zhTW: '伊朗', zhCN: '伊朗', ja: 'イラン', ko: '이란' },
+  IS: { en: 'Iceland', zhTW: '冰島', zhCN: '冰岛', ja: 'アイスランド', ko: '아이슬란드' },
+  IT: { en: 'Italy', zhTW: '義大利', zhCN: '意大利', ja: 'イタリア', ko: '이탈리아' },
+  JE: { en: 'Jersey', zhTW: '澤西島', zhCN: '泽西岛', ja: 'ジャージー', ko: '저지' },
+  JM: { en: 'Jamaica', zhTW: '牙買加', zhCN: '牙买加', ja: 'ジャマイカ', ko: '자메이카' },
+  JO: { en: 'Jordan', zhTW: '約旦', zhCN: '约旦', ja: 'ヨルダン', ko: '요르단' },
+  JP: { en: 'Japan', zhTW: '日本', zhCN: '日本', ja: '日本', ko: '일본' },
+  KE: { en: 'Kenya', zhTW: '肯亞', zhCN: '肯尼亚', ja: 'ケニア', ko: '케냐' },
+  KG: { en: 'Kyrgyzstan', zhTW: '吉爾吉斯', zhCN: '吉尔吉斯斯坦', ja: 'キルギス', ko: '키르기스스탄' },
+  KH: { en: 'Cambodia', zhTW: '柬埔寨', zhCN: '柬埔寨', ja: 'カンボジア', ko: '캄보디아' },
+  KI: { en: 'Kiribati', zhTW: '吉里巴斯', zhCN: '基里巴斯', ja: 'キリバス', ko: '키리바시' },
+  KM: { en: 'Comoros', zhTW: '葛摩', zhCN: '科摩罗', ja: 'コモロ', ko: '코모로' },
+  KN: { en: 'St. Kitts & Nevis', zhTW: '聖克里斯多福及尼維斯', zhCN: '圣基茨和尼维斯', ja: 'セントクリストファー・ネーヴィス', ko: '세인트키츠 네비스' },
+  KP: { en: 'North Korea', zhTW: '北韓', zhCN: '朝鲜', ja: '北朝鮮', ko: '북한', aliases: ['북조선', 'DPRK'] },
+  KR: { en: 'South Korea', zhTW: '南韓', zhCN: '韩国', ja: '韓国', ko: '대한민국', aliases: ['韓國', '한국', '大韓民國', 'Korea', 'Republic of Korea'] },
+  KW: { en: 'Kuwait', zhTW: '科威特', zhCN: '科威特', ja: 'クウェート', ko: '쿠웨이트' },
+  KY: { en: 'Cayman Islands', zhTW: '開曼群島', zhCN: '开曼群岛', ja: 'ケイマン諸島', ko: '케이맨 제도' },
+  KZ: { en: 'Kazakhstan', zhTW: '哈薩克', zhCN: '哈萨克斯坦', ja: 'カザフスタン', ko: '카자흐스탄' },
+  LA: { en: 'Laos', zhTW: '寮國', zhCN: '老挝', ja: 'ラオス', ko: '라오스' },
+  LB: { en: 'Lebanon', zhTW: '黎巴嫩', zhCN: '黎巴嫩', ja: 'レバノン', ko: '레바논' },
+  LC: { en: 'St. Lucia', zhTW: '聖露西亞', zhCN: '圣卢西亚', ja: 'セントルシア', ko: '세인트루시아' },
+  LI: { en: 'Liechtenstein', zhTW: '列支敦斯登', zhCN: '列支敦士登', ja: 'リヒテンシュタイン', ko: '리히텐슈타인' },
+  LK: { en: 'Sri Lanka', zhTW: '斯里蘭卡', zhCN: '斯里兰卡', ja: 'スリランカ', ko: '스리랑카' },
+  LR: { en: 'Liberia', zhTW: '賴比瑞亞', zhCN: '利比里亚', ja: 'リベリア', ko: '라이베리아' },
+  LS: { en: 'Lesotho', zhTW: '賴索托', zhCN: '莱索托', ja: 'レソト', ko: '레소토' },
+  LT: { en: 'Lithuania', zhTW: '立陶宛', zhCN: '立陶宛', ja: 'リトアニア', ko: '리투아니아' },
+  LU: { en: 'Luxembourg', zhTW: '盧森堡', zhCN: '卢森堡', ja: 'ルクセンブルク', ko: '룩셈부르크' },
+  LV: { en: 'Latvia', zhTW: '拉脫維亞', zhCN: '拉脱维亚', ja: 'ラトビア', ko: '라트비아' },
+  LY: { en: 'Libya', zhTW: '利比亞', zhCN: '利比亚', ja: 'リビア', ko: '리비아' },
+  MA: { en: 'Morocco', zhTW: '摩洛哥', zhCN: '摩洛哥', ja: 'モロッコ', ko: '모로코' },
+  MC: { en: 'Monaco', zhTW: '摩納哥', zhCN: '摩纳哥', ja: 'モナコ', ko: '모나코' },
+  MD: { en: 'Moldova', zhTW: '摩爾多瓦', zhCN: '摩尔多瓦', ja: 'モルドバ', ko: '몰도바' },
+  ME: { en: 'Montenegro', zhTW: '蒙特內哥羅', zhCN: '黑山', ja: 'モンテネグロ', ko: '몬테네그로' },
+  MF: { en: 'St. Martin', zhTW: '法屬聖馬丁', zhCN: '法属圣马丁', ja: 'サン・マルタン', ko: '생마르탱' },
+  MG: { en: 'Madagascar', zhTW: '馬達加斯加', zhCN: '马达加斯加', ja: 'マダガスカル', ko: '마다가스카르' },
+  MH: { en: 'Marshall Islands', zhTW: '馬紹爾群島', zhCN: '马绍尔群岛', ja: 'マーシャル諸島', ko: '마셜 제도' },
+  MK: { en: 'North Macedonia', zhTW: '北馬其頓', zhCN: '北马其顿', ja: '北マケドニア', ko: '북마케도니아', aliases: ['Macedonia'] },
+  ML: { en: 'Mali', zhTW: '馬利', zhCN: '马里', ja: 'マリ', ko: '말리' },
+  MM: { en: 'Myanmar', zhTW: '緬甸', zhCN: '缅甸', ja: 'ミャンマー', ko: '미얀마', aliases: ['Burma', 'Myanmar (Burma)', 'ミャンマー (ビルマ)'] },
+  MN: { en: 'Mongolia', zhTW: '蒙古', zhCN: '蒙古', ja: 'モンゴル', ko: '몽골' },
+  MO: { en: 'Macau', zhTW: '澳門', zhCN: '澳门', ja: 'マカオ', ko: '마카오', aliases: ['Macao', 'Macao SAR China', '中國澳門特別行政區', '中国澳门特别行政区', '中華人民共和国マカオ特別行政区', '마카오(중국 특별행정구)'] },
+  MP: { en: 'Northern Mariana Islands', zhTW: '北馬利安納群島', zhCN: '北马里亚纳群岛', ja: '北マリアナ諸島', ko: '북마리아나제도' },
+  MQ: { en: 'Martinique', zhTW: '馬丁尼克', zhCN: '马提尼克', ja: 'マルティニーク', ko: '마르티니크' },
+  MR: { en: 'Mauritania', zhTW: '茅利塔尼亞', zhCN: '毛里塔尼亚', ja: 'モーリタニア', ko: '모리타니' },
+  MS: { en: 'Montserrat', zhTW: '蒙哲臘', zhCN: '蒙特塞拉特', ja: 'モントセラト', ko: '몬트세라트' },
+  MT: { en: 'Malta', zhTW: '馬爾他', zhCN: '马耳他', ja: 'マルタ', ko: '몰타' },
+  MU: { en: 'Mauritius', zhTW: '模里西斯', zhCN: '毛里求斯', ja: 'モーリシャス', ko: '모리셔스' },
+  MV: { en: 'Maldives', zhTW: '馬爾地夫', zhCN: '马尔代夫', ja: 'モルディブ', ko: '몰디브' },
+  MW: { en: 'Malawi', zhTW: '馬拉威', zhCN: '马拉维', ja: 'マラウイ', ko: '말라위' },
+  MX: { en: 'Mexico', zhTW: '墨西哥', zhCN: '墨西哥', ja: 'メキシコ', ko: '멕시코' },
+  MY: { en: 'Malaysia', zhTW: '馬來西亞', zhCN: '马来西亚', ja: 'マレーシア', ko: '말레이시아' },
+  MZ: { en: 'Mozambique', zhTW: '莫三比克', zhCN: '莫桑比克', ja: 'モザンビーク', ko: '모잠비크' },
+  NA: { en: 'Namibia', zhTW: '納米比亞', zhCN: '纳米比亚', ja: 'ナミビア', ko: '나미비아' },
+  NC: { en: 'New Caledonia', zhTW: '新喀里多尼亞', zhCN: '新喀里多尼亚', ja: 'ニューカレドニア', ko: '뉴칼레도니아' },
+  NE: { en: 'Niger', zhTW: '尼日', zhCN: '尼日尔', ja: 'ニジェール', ko: '니제르' },
+  NF: { en: 'Norfolk Island', zhTW: '諾福克島', zhCN: '诺福克岛', ja: 'ノーフォーク島', ko: '노퍽섬' },
+  NG: { en: 'Nigeria', zhTW: '奈及利亞', zhCN: '尼日利亚', ja: 'ナイジェリア', ko: '나이지리아' },
+  NI: { en: 'Nicaragua', zhTW: '尼加拉瓜', zhCN: '尼加拉瓜', ja: 'ニカラグア', ko: '니카라과' },
+  NL: { en: 'Netherlands', zhTW: '荷蘭', zhCN: '荷兰', ja: 'オランダ', ko: '네덜란드', aliases: ['Holland'] },
+  NO: { en: 'Norway', zhTW: '挪威', zhCN: '挪威', ja: 'ノルウェー', ko: '노르웨이' },
+  NP: { en: 'Nepal', zhTW: '尼泊爾', zhCN: '尼泊尔', ja: 'ネパール', ko: '네팔' },
+  NR: { en: 'Nauru', zhTW: '諾魯', zhCN: '瑙鲁', ja: 'ナウル', ko: '나우루' },
+  NU: { en: 'Niue', zhTW: '紐埃島', zhCN: '纽埃', ja: 'ニウエ', ko: '니우에' },
+  NZ: { en: 'New Zealand', zhTW: '紐西蘭', zhCN: '新西兰', ja: 'ニュージーランド', ko: '뉴질랜드' },
+  OM: { en: 'Oman', zhTW: '阿曼', zhCN: '阿曼', ja: 'オマーン', ko: '오만' },
+  PA: { en: 'Panama', zhTW: '巴拿馬', zhCN: '巴拿马', ja: 'パナマ', ko: '파나마' },
+  PE: { en: 'Peru', zhTW: '秘魯', zhCN: '秘鲁', ja: 'ペルー', ko: '페루' },
+  PF: { en: 'French Polynesia', zhTW: '法屬玻里尼西亞', zhCN: '法属波利尼西亚', ja: '仏領ポリネシア', ko: '프랑스령 폴리네시아' },
+  PG: { en: 'Papua New Guinea', zhTW: '巴布亞紐幾內亞', zhCN: '巴布亚新几内亚', ja: 'パプアニューギニア', ko: '파푸아뉴기니' },
+  PH: { en: 'Philippines', zhTW: '菲律賓', zhCN: '菲律宾', ja: 'フィリピン', ko: '필리핀' },
+  PK: { en: 'Pakistan', zhTW: '巴基斯坦', zhCN: '巴基斯坦', ja: 'パキスタン', ko: '파키스탄' },
+  PL: { en: 'Poland', zhTW: '波蘭', zhCN: '波兰', ja: 'ポーランド', ko: '폴란드' },
+  PM: { en: 'St. Pierre & Miquelon', zhTW: '聖皮埃與密克隆群島', zhCN: '圣皮埃尔和密克隆群岛', ja: 'サンピエール島・ミクロン島', ko: '생피에르 미클롱' },
+  PN: { en: 'Pitcairn Islands', zhTW: '皮特肯群島', zhCN: '皮特凯恩群岛', ja: 'ピトケアン諸島', ko: '핏케언 제도' },
+  PR: { en: 'Puerto Rico', zhTW: '波多黎各', zhCN: '波多黎各', ja: 'プエルトリコ', ko: '푸에르토리코' },
+  PS: { en: 'Palestine', zhTW: '巴勒斯坦', zhCN: '巴勒斯坦', ja: 'パレスチナ', ko: '팔레스타인', aliases: ['Palestinian Territories', '巴勒斯坦自治區', '巴勒斯坦领土', 'パレスチナ自治区', '팔레스타인 지구'] },
+  PT: { en: 'Portugal', zhTW: '葡萄牙', zhCN: '葡萄牙', ja: 'ポルトガル', ko: '포르투갈' },
+  PW: { en: 'Palau', zhTW: '帛琉', zhCN: '帕劳', ja: 'パラオ', ko: '팔라우' },
+  PY: { en: 'Paraguay', zhTW: '巴拉圭', zhCN: '巴拉圭', ja: 'パラグアイ', ko: '파라과이' },
+  QA: { en: 'Qatar', zhTW: '卡達', zhCN: '卡塔尔', ja: 'カタール', ko: '카타르' },
+  RE: { en: 'Réunion', zhTW: '留尼旺', zhCN: '留尼汪', ja: 'レユニオン', ko: '레위니옹' },
+  RO: { en: 'Romania', zhTW: '羅馬尼亞', zhCN: '罗马尼亚', ja: 'ルーマニア', ko: '루마니아' },
+  RS: { en: 'Serbia', zhTW: '塞爾維亞', zhCN: '塞尔维亚', ja: 'セルビア', ko: '세르비아' },
+  RU: { en: 'Russia', zhTW: '俄羅斯', zhCN: '俄罗斯', ja: 'ロシア', ko: '러시아', aliases: ['Russian Federation'] },
+  RW: { en: 'Rwanda', zhTW: '盧安達', zhCN: '卢旺达', ja: 'ルワンダ', ko: '르완다' },
+  SA: { en: 'Saudi Arabia', zhTW: '沙烏地阿拉伯', zhCN: '沙特阿拉伯', ja: 'サウジアラビア', ko: '사우디아라비아' },
+  SB: { en: 'Solomon Islands', zhTW: '索羅門群島', zhCN: '所罗门群岛', ja: 'ソロモン諸島', ko: '솔로몬 제도' },
+  SC: { en: 'Seychelles', zhTW: '塞席爾', zhCN: '塞舌尔', ja: 'セーシェル', ko: '세이셸' },
+  SD: { en: 'Sudan', zhTW: '蘇丹', zhCN: '苏丹', ja: 'スーダン', ko: '수단' },
+  SE: { en: 'Sweden', zhTW: '瑞典', zhCN: '瑞典', ja: 'スウェーデン', ko: '스웨덴' },
+  SG: { en: 'Singapore', zhTW: '新加坡', zhCN: '新加坡', ja: 'シンガポール', ko: '싱가포르' },
+  SH: { en: 'St. Helena', zhTW: '聖赫勒拿島', zhCN: '圣赫勒拿', ja: 'セントヘレナ', ko: '세인트헬레나' },
+  SI: { en: 'Slovenia', zhTW: '斯洛維尼亞', zhCN: '斯洛文尼亚', ja: 'スロベニア', ko: '슬로베니아' },
+  SJ: { en: 'Svalbard & Jan Mayen', zhTW: '挪威屬斯瓦巴及尖棉', zhCN: '斯瓦尔巴和扬马延', ja: 'スバールバル諸島・ヤンマイエン島', ko: '스발바르제도-얀마웬섬' },
+  SK: { en: 'Slovakia', zhTW: '斯洛伐克', zhCN: '斯洛伐克', ja: 'スロバキア', ko: '슬로바키아' },
+  SL: { en: 'Sierra Leone', zhTW: '獅子山', zhCN: '塞拉利昂', ja: 'シエラレオネ', ko: '시에라리온' },
+  SM: { en: 'San Marino', zhTW: '聖馬利諾', zhCN: '圣马力诺', ja: 'サンマリノ', ko: '산마리노' },
+  SN: { en: 'Senegal', zhTW: '塞內加爾', zhCN: '塞内加尔', ja: 'セネガル', ko: '세네갈' },
+  SO: { en: 'Somalia', zhTW: '索馬利亞', zhCN: '索马里', ja: 'ソマリア', ko: '소말리아' },
+  SR: { en: 'Suriname', zhTW: '蘇利南', zhCN: '苏里南', ja: 'スリナム', ko: '수리남' },
+  SS: { en: 'South Sudan', zhTW: '南蘇丹', zhCN: '南苏丹', ja: '南スーダン', ko: '남수단' },
+  ST: { en: 'São Tomé & Príncipe', zhTW: '聖多美普林西比', zhCN: '圣多美和普林西比', ja: 'サントメ・プリンシペ', ko: '상투메 프린시페' },
+  SV: { en: 'El Salvador', zhTW: '薩爾瓦多', zhCN: '萨尔瓦多', ja: 'エルサルバドル', ko: '엘살바도르' },
+  SX: { en: 'Sint Maarten', zhTW: '荷屬聖馬丁', zhCN: '荷属圣马丁', ja: 'シント・マールテン', ko: '신트마르턴' },
+  SY: { en: 'Syria', zhTW: '敘利亞', zhCN: '叙利亚', ja: 'シリア', ko: '시리아' },
+  SZ: { en: 'Eswatini', zhTW: '史瓦帝尼', zhCN: '斯威士兰', ja: 'エスワティニ', ko: '에스와티니', aliases: ['Swaziland'] },
+  TC: { en: 'Turks & Caicos Islands', zhTW: '土克斯及開科斯群島', zhCN: '特克斯和凯科斯群岛', ja: 'タークス・カイコス諸島', ko: '터크스 케이커스 제도' },
+  TD: { en: 'Chad', zhTW: '查德', zhCN: '乍得', ja: 'チャド', ko: '차드' },
+  TF: { en: 'French Southern Territories', zhTW: '法屬南部屬地', zhCN: '法属南部领地', ja: '仏領極南諸島', ko: '프랑스령 남방 지역' },
+  TG: { en: 'Togo', zhTW: '多哥', zhCN: '多哥', ja: 'トーゴ', ko: '토고' },
+  TH: { en: 'Thailand', zhTW: '泰國', zhCN: '泰国', ja: 'タイ', ko: '태국' },
+  TJ: { en: 'Tajikistan', zhTW: '塔吉克', zhCN: '塔吉克斯坦', ja: 'タジキスタン', ko: '타지키스탄' },
+  TK: { en: 'Tokelau', zhTW: '托克勞群島', zhCN: '托克劳', ja: 'トケラウ', ko: '토켈라우' },
+  TL: { en: 'Timor-Leste', zhTW: '東帝汶', zhCN: '东帝汶', ja: '東ティモール', ko: '동티모르' },
+  TM: { en: 'Turkmenistan', zhTW: '土庫曼', zhCN: '土库曼斯坦', ja: 'トルクメニスタン', ko: '투르크메니스탄' },
+  TN: { en: 'Tunisia', zhTW: '突尼西亞', zhCN: '突尼斯', ja: 'チュニジア', ko: '튀니지' },
+  TO: { en: 'Tonga', zhTW: '東加', zhCN: '汤加', ja: 'トンガ', ko: '통가' },
+  TR: { en: 'Türkiye', zhTW: '土耳其', zhCN: '土耳其', ja: 'トルコ', ko: '튀르키예', aliases: ['Turkey', '터키'] },
+  TT: { en: 'Trinidad & Tobago', zhTW: '千里達及托巴哥', zhCN: '特立尼达和多巴哥', ja: 'トリニダード・トバゴ', ko: '트리니다드 토바고' },
+  TV: { en: 'Tuvalu', zhTW: '吐瓦魯', zhCN: '图瓦卢', ja: 'ツバル', ko: '투발루' },
+  TW: { en: 'Taiwan', zhTW: '台灣', zhCN: '台湾', ja: '台湾', ko: '대만', aliases: ['臺灣', '타이완', '中華民國', 'Republic of China', 'ROC'] },
+  TZ: { en: 'Tanzania', zhTW: '坦尚尼亞', zhCN: '坦桑尼亚', ja: 'タンザニア', ko: '탄자니아' },
+  UA: { en: 'Ukraine', zhTW: '烏克蘭', zhCN: '乌克兰', ja: 'ウクライナ', ko: '우크라이나' },
+  UG: { en: 'Uganda', zhTW: '烏干達', zhCN: '乌干达', ja: 'ウガンダ', ko: '우간다' },
+  UM: { en: 'U.S. Outlying Islands', zhTW: '美國本土外小島嶼', zhCN: '美国本土外小岛屿', ja: '合衆国領有小離島', ko: '미국령 해외 제도' },
+  US: { en: 'United States', zhTW: '美國', zhCN: '美国', ja: 'アメリカ', ko: '미국', aliases: ['USA', 'US', 'U.S.', 'U.S.A.', 'United States of America', '美利堅合眾國', 'アメリカ合衆国'] },
+  UY: { en: 'Uruguay', zhTW: '烏拉圭', zhCN: '乌拉圭', ja: 'ウルグアイ', ko: '우루과이' },
+  UZ: { en: 'Uzbekistan', zhTW: '烏茲別克', zhCN: '乌兹别克斯坦', ja: 'ウズベキスタン', ko: '우즈베키스탄' },
+  VA: { en: 'Vatican City', zhTW: '梵蒂岡', zhCN: '梵蒂冈', ja: 'バチカン市国', ko: '바티칸 시국', aliases: ['Vatican', 'Holy See'] },
+  VC: { en: 'St. Vincent & Grenadines', zhTW: '聖文森及格瑞那丁', zhCN: '圣文森特和格林纳丁斯', ja: 'セントビンセント及びグレナディーン諸島', ko: '세인트빈센트그레나딘' },
+  VE: { en: 'Venezuela', zhTW: '委內瑞拉', zhCN: '委内瑞拉', ja: 'ベネズエラ', ko: '베네수엘라' },
+  VG: { en: 'British Virgin Islands', zhTW: '英屬維京群島', zhCN: '英属维尔京群岛', ja: '英領ヴァージン諸島', ko: '영국령 버진아일랜드' },
+  VI: { en: 'U.S. Virgin Islands', zhTW: '美屬維京群島', zhCN: '美属维尔京群岛', ja: '米領ヴァージン諸島', ko: '미국령 버진아일랜드' },
+  VN: { en: 'Vietnam', zhTW: '越南', zhCN: '越南', ja: 'ベトナム', ko: '베트남', aliases: ['Viet Nam'] },
+  VU: { en: 'Vanuatu', zhTW: '萬那杜', zhCN: '瓦努阿图', ja: 'バヌアツ', ko: '바누아투' },
+  WF: { en: 'Wallis & Futuna', zhTW: '瓦利斯群島和富圖那群島', zhCN: '瓦利斯和富图纳', ja: 'ウォリス・フツナ', ko: '왈리스-푸투나 제도' },
+  WS: { en: 'Samoa', zhTW: '薩摩亞', zhCN: '萨摩亚', ja: 'サモア', ko: '사모아' },
+  YE: { en: 'Yemen', zhTW: '葉門', zhCN: '也门', ja: 'イエメン', ko: '예멘' },
+  YT: { en: 'Mayotte', zhTW: '馬約特島', zhCN: '马约特', ja: 'マヨット', ko: '마요트' },
+  ZA: { en: 'South Africa', zhTW: '南非', zhCN: '南非', ja: '南アフリカ', ko: '남아프리카' },
+  ZM: { en: 'Zambia', zhTW: '尚比亞', zhCN: '赞比亚', ja: 'ザンビア', ko: '잠비아' },
+  ZW: { en: 'Zimbabwe', zhTW: '辛巴威', zhCN: '津巴布韦', ja: 'ジンバブエ', ko: '짐바브웨' },
+  XK: { en: 'Kosovo', zhTW: '科索沃', zhCN: '科索沃', ja: 'コソボ', ko: '코소보' }
 };
 
+// 未揭露等非地區值，不做正規化
+const UNDISCLOSED_REGION = '未揭露';
+
+// 語言代碼 → 登錄表欄位
+const REGION_LANG_KEYS = {
+  'en': 'en',
+  'zh-TW': 'zhTW',
+  'zh-CN': 'zhCN',
+  'ja': 'ja',
+  'ko': 'ko'
+};
+
+// ==================== 索引建立 ====================
+
+/**
+ * 名稱索引（小寫名稱 → 代碼），載入時建立一次
+ */
+const REGION_NAME_INDEX = (() => {
+  const index = {};
+  for (const [code, entry] of Object.entries(REGION_REGISTRY)) {
+    const names = [entry.en, entry.zhTW, entry.zhCN, entry.ja, entry.ko, ...(entry.aliases || [])];
+    for (const name of names) {
+      const key = name.toLowerCase();
+      // 先登記者優先，避免別名覆蓋其他地區的正式名稱
+      if (!index[key]) {
+        index[key] = code;
+      }
+    }
+  }
+  return index;
+})();
+
+// 從自由文字提取地區時只比對這些常見地區
+// 容器文字可能包含貼文與名稱，比對完整登錄表會把 "Chad"、"Guinea pig"、"New Jersey" 這類一般用語誤判為地區
+// 順序沿用舊版清單（台灣優先）
+const TEXT_REGION_CODES = [
+  'TW', 'CN', 'JP', 'KR', 'HK', 'SG', 'MY', 'TH', 'VN', 'PH', 'ID', 'IN',
+  'US', 'CA',
+  'GB', 'FR', 'DE', 'IT', 'ES', 'NL',
+  'AU', 'NZ',
+  'BR', 'MX', 'RU'
+];
+
+// 文字比對用的樣式清單（延遲建立，同一地區內名稱較長者優先比對）
+let regionTextPatterns = null;
+
+function getRegionTextPatterns() {
+  if (regionTextPatterns) return regionTextPatterns;
+
+  const patterns = [];
+  for (const code of TEXT_REGION_CODES) {
+    const entry = REGION_REGISTRY[code];
+    const names = [...new Set([entry.en, entry.zhTW, entry.zhCN, entry.ja, entry.ko, ...(entry.aliases || [])])]
+      .sort((a, b) => b.length - a.length);
+    for (const name of names) {
+      const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      // 名稱後方不可緊接文字（避免 "日本語"、"タイトル"）；漢字名稱前方可接其他漢字（如 "中国台湾"、"住在日本"），
+      // 其他名稱前方也不可緊接文字（避免 "ネクタイ"）。ASCII 名稱區分大小寫，避免 "us" 這類一般單字誤判
+      const prefix = /^\p{Script=Han}+$/u.test(name) ? '' : '(?<![\\p{L}\\p{N}])';
+      patterns.push({ code, regex: new RegExp(`${prefix}${escaped}(?![\\p{L}\\p{N}])`, 'u') });
+    }
+  }
+
+  regionTextPatterns = patterns;
+  return regionTextPatterns;
+}
+
+// ==================== 旗幟 emoji ====================
+
+/**
+ * 將地區代碼轉換為旗幟 emoji
+ * @param {string} code - ISO 3166-1 二碼
+ * @returns {string} 旗幟 emoji（無效代碼返回空字串）
+ */
+function getFlagEmoji(code) {
+  if (!code || !/^[A-Z]{2}$/.test(code)) return '';
+  return String.fromCodePoint(...[...code].map(char => 0x1F1E6 + char.charCodeAt(0) - 65));
+}
+
+/**
+ * 將旗幟 emoji 轉換為地區代碼
+ * @param {string} flag - 旗幟 emoji
+ * @returns {string|null} 地區代碼或 null
+ */
+function flagEmojiToCode(flag) {
+  if (!flag) return null;
+  const points = [...flag.trim()].map(char => char.codePointAt(0));
+  if (points.length !== 2 || points.some(point => point < 0x1F1E6 || point > 0x1F1FF)) {
+    return null;
+  }
+  const code = String.fromCharCode(...points.map(point => point - 0x1F1E6 + 65));
+  return REGION_REGISTRY[code] ? code : null;
+}
+
+// ==================== 查詢與正規化 ====================
+
+/**
+ * 取得地區代碼
+ * 支援代碼本身、任一語言名稱、別名與旗幟 emoji
+ * @param {string} region - 地區名稱、代碼或旗幟
+ * @returns {string|null} ISO 3166-1 二碼，無法辨識時返回 null
+ */
+function getRegionCode(region) {
+  if (!region || region === UNDISCLOSED_REGION) return null;
+
+  const trimmed = region.trim();
+  if (REGION_REGISTRY[trimmed]) return trimmed;
+
+  const code = REGION_NAME_INDEX[trimmed.toLowerCase()];
+  if (code) return code;
+
+  return flagEmojiToCode(trimmed);
+}
+
+/**
+ * 依語言取得地區顯示名稱
+ * @param {string} code - 地區代碼
+ * @param {string} lang - 語言（en、zh-TW、zh-CN、ja、ko，預設 en）
+ * @returns {string|null} 地區名稱，代碼不存在時返回 null
+ */
+function getRegionName(code, lang = 'en') {
+  const entry = code && REGION_REGISTRY[code];
+  if (!entry) return null;
+  return entry[REGION_LANG_KEYS[lang] || 'en'] || entry.en;
+}
+
 /**
  * 正規化地區名稱
  * 將各語言的地區名稱統一轉換為英文
@@ -128,25 +392,57 @@ const REGION_MAP = {
  * @returns {string} 正規化後的地區名稱（英文或原始值）
  */
 function normalizeRegion(region) {
-  if (!region || region === '未揭露') {
+  if (!region || region === UNDISCLOSED_REGION) {
     return region;
   }
 
   // 去除前後空白
   const trimmedRegion = region.trim();
+  const code = getRegionCode(trimmedRegion);
 
-  // 檢查是否在對照表中
-  if (REGION_MAP[trimmedRegion]) {
-    console.log(`[RegionMap] 轉換地區: "${trimmedRegion}" → "${REGION_MAP[trimmedRegion]}"`);
-    return REGION_MAP[trimmedRegion];
+  if (code) {
+    const normalized = REGION_REGISTRY[code].en;
+    if (normalized !== trimmedRegion) {
+      console.log(`[RegionMap] 轉換地區: "${trimmedRegion}" → "${normalized}"`);
+    }
+    return normalized;
   }
 
   // 不在對照表中，返回原始值
   return trimmedRegion;
 }
 
-// 暴露給全域（供 content.js 使用）
-window.RegionUtils = {
+/**
+ * 從文字中提取地區（常見地區名稱或旗幟 emoji，見 TEXT_REGION_CODES）
+ * @param {string} text - 要分析的文字
+ * @returns {string|null} 正規化後的英文地區名稱
+ */
+function extractRegionFromText(text) {
+  if (!text) return null;
+
+  for (const pattern of getRegionTextPatterns()) {
+    if (pattern.regex.test(text)) {
+      return REGION_REGISTRY[pattern.code].en;
+    }
+  }
+
+  // 嘗試匹配旗幟 emoji（如 🇹🇼、🇺🇸）
+  const flagMatch = text.match(/[\u{1F1E6}-\u{1F1FF}]{2}/u);
+  if (flagMatch) {
+    const code = flagEmojiToCode(flagMatch[0]);
+    if (code) return REGION_REGISTRY[code].en;
+  }
+
+  return null;
+}
+
+// 暴露給全域（content script 中 self 即 window；Service Worker 中為全域 scope）
+self.RegionUtils = {
+  REGION_REGISTRY: REGION_REGISTRY,
   normalizeRegion: normalizeRegion,
-  REGION_MAP: REGION_MAP
+  getRegionCode: getRegionCode,
+  getRegionName: getRegionName,
+  getFlagEmoji: getFlagEmoji,
+  flagEmojiToCode: flagEmojiToCode,
+  extractRegionFromText: extractRegionFromText
 };
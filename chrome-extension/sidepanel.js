@@ -10,6 +10,7 @@ const manualDetectBtn = document.getElementById('manualDetectBtn');
 const contentOutput = document.getElementById('contentOutput');
 const statusBar = document.getElementById('statusBar');
 const userCountElement = document.getElementById('userCount');
+const seenUserCountElement = document.getElementById('seenUserCount');
 const progressLabel = document.getElementById('progressLabel');
 const queryProgress = document.getElementById('queryProgress');
 const cacheCountElement = document.getElementById('cacheCount');
@@ -18,7 +19,12 @@ const clearCacheBtn = document.getElementById('clearCacheBtn');
 const profileCacheCountElement = document.getElementById('profileCacheCount');
 const showProfileCacheBtn = document.getElementById('showProfileCacheBtn');
 const clearProfileCacheBtn = document.getElementById('clearProfileCacheBtn');
-const openaiApiKeyInput = document.getElementById('openaiApiKeyInput');
+const exportJsonBtn = document.getElementById('exportJsonBtn');
+const exportCsvBtn = document.getElementById('exportCsvBtn');
+const importCacheBtn = document.getElementById('importCacheBtn');
+const importStrategySelect = document.getElementById('importStrategySelect');
+const importFileInput = document.getElementById('importFileInput');
+const llmApiKeyInput = document.getElementById('llmApiKeyInput');
 const apiKeyStatus = document.getElementById('apiKeyStatus');
 const apiKeySetIndicator = document.getElementById('apiKeySetIndicator');
 const apiKeyInputContainer = document.getElementById('apiKeyInputContainer');
@@ -26,9 +32,12 @@ const editApiKeyBtn = document.getElementById('editApiKeyBtn');
 const clearApiKeyBtn = document.getElementById('clearApiKeyBtn');
 const llmProviderSection = document.getElementById('llmProviderSection');
 const llmProviderSelect = document.getElementById('llmProviderSelect');
-const openaiConfigPanel = document.getElementById('openaiConfigPanel');
-const localLLMConfigPanel = document.getElementById('localLLMConfigPanel');
-const localLLMStatus = document.getElementById('localLLMStatus');
+const llmEndpointPanel = document.getElementById('llmEndpointPanel');
+const llmBaseUrlInput = document.getElementById('llmBaseUrlInput');
+const llmBaseUrlHint = document.getElementById('llmBaseUrlHint');
+const llmModelInput = document.getElementById('llmModelInput');
+const llmStatus = document.getElementById('llmStatus');
+const checkLlmBtn = document.getElementById('checkLlmBtn');
 
 // ==================== 全局變數說明 ====================
 /**
@@ -39,7 +48,7 @@ const localLLMStatus = document.getElementById('localLLMStatus');
  *   {
  *     account: "@username",  // 用戶帳號（帶 @ 符號）
  *     region: null,          // 所在地區（null = 尚未查詢，字串 = 已查詢結果）
- *     profile: null          // 用戶側寫標籤（null = 尚未分析，字串 = 已分析結果）
+ *     profile: null          // 用戶側寫標籤（null = 尚未分析，陣列 = 已分析結果，見 StorageSchema.ProfileTag）
  *   },
  *   ...
  * ]
@@ -55,17 +64,18 @@ const localLLMStatus = document.getElementById('localLLMStatus');
  *
  * ■ 方式 1: 從 content.js 接收用戶列表更新（updateLinkList 函數）
  *   觸發時機：
- *   - 頁面滾動（每 2 秒一次）
- *   - Sidepanel 開啟時
- *   - 頁面載入後 5 秒
+ *   - content.js 偵測到新插入的用戶連結，或定期清理移除了已不在頁面上的用戶（'pageUsersChanged'）
+ *   - Sidepanel 開啟時 / 手動偵測（'refreshPageUsers'）
  *
  *   流程：
  *   1. sidepanel 發送 'listAllUsers' action 到 content.js
- *   2. content.js 返回頁面上所有用戶帳號（只傳 account 名稱，不傳 DOM 元素）
+ *   2. content.js 返回目前頁面上的用戶帳號（只傳 account 名稱，不傳 DOM 元素）
+ *      以及本次瀏覽出現過的帳號數量（seenCount）
  *   3. sidepanel 收到後更新 currentGetUserListArray：
  *      - 保留已經查詢過的用戶 region 資料（使用 existingDataMap）
  *      - 新用戶的 region 設為 null
  *      - 舊用戶的 region 保留原值
+ *      - 已不在頁面上的用戶會從陣列移除
  *
  * ■ 方式 2: 手動查詢按鈕更新（從 content.js 的查詢按鈕觸發）
  *   觸發時機：
@@ -82,7 +92,7 @@ const localLLMStatus = document.getElementById('localLLMStatus');
  * ■ 方式 3: 自動查詢更新（從 content.js 的自動查詢觸發）
  *   觸發時機：
  *   - 啟用「自動查詢頁面中用戶所在地點」選項
- *   - 頁面滾動停止 1 秒後
+ *   - 頁面滾動停止或偵測到新用戶 1 秒後
  *   - 自動點擊可見範圍內待查詢用戶的 [查詢] 按鈕
  *
  *   流程：與方式 2 相同（最終都是透過查詢按鈕觸發）
@@ -96,7 +106,7 @@ const localLLMStatus = document.getElementById('localLLMStatus');
  * - sidepanel → content.js: 傳遞 regionData（用於更新標籤顏色）
  *
  * 【資料流向圖】
- * 頁面滾動 → content.js 偵測用戶 → 傳送 account 列表 → sidepanel 更新陣列
+ * 頁面新增節點 → content.js 偵測用戶 → 傳送 account 列表 → sidepanel 更新陣列
  *                                                              ↓
  * 用戶點擊 [查詢] → background 執行查詢 → 返回 region → sidepanel 更新 region
  *                                                              ↓
@@ -118,10 +128,11 @@ function updateStatus(message, type = 'info') {
 }
 
 
-// 更新用戶數量顯示的輔助函數
-function updateUserCount() {
+// 更新用戶數量顯示的輔助函數（目前頁面上 / 本次瀏覽出現過）
+function updateUserCount(seenCount = 0) {
   const count = currentGetUserListArray.length;
   userCountElement.textContent = count;
+  seenUserCountElement.textContent = Math.max(seenCount, count);
 }
 
 // 更新快取統計顯示的輔助函數
@@ -136,13 +147,18 @@ async function updateCacheStats() {
       const totalCount = response.stats.totalCount || 0;
       const expiredCount = response.stats.expiredCount || 0;
 
+      const errorCount = response.stats.errorCount || 0;
+
       cacheCountElement.textContent = validCount;
+      // 查詢失敗不計入已儲存的所在地，分開列在提示中
+      cacheCountElement.title = I18n.t('sidepanelCacheCountTitle', response.stats.confirmedCount || 0, response.stats.undisclosedCount || 0, errorCount);
 
       console.log(`[Sidepanel] 快取統計更新:`, {
         validCount: validCount,
+        errorCount: errorCount,
         totalCount: totalCount,
         expiredCount: expiredCount,
-        expiryDays: response.stats.expiryDays
+        ttlHours: response.stats.ttlHours
       });
 
       // 如果有過期的快取，在控制台提示
@@ -187,7 +203,7 @@ async function updateProfileCacheStats() {
         validCount: validCount,
         totalCount: totalCount,
         expiredCount: expiredCount,
-        expiryDays: response.stats.expiryDays
+        ttlHours: response.stats.ttlHours
       });
 
       if (expiredCount > 0) {
@@ -217,7 +233,7 @@ async function queryUserRegion(username, shouldKeepTab = null) {
     // 移除 @ 符號（如果有的話）
     const cleanUsername = username.startsWith('@') ? username.slice(1) : username;
 
-    updateStatus(`正在查詢 @${cleanUsername} 的所在區域...`, 'info');
+    updateStatus(I18n.t('sidepanelQuerying', cleanUsername), 'info');
 
     // 如果未指定 shouldKeepTab，從 checkbox 讀取
     if (shouldKeepTab === null) {
@@ -254,77 +270,64 @@ async function showRegionLabels()
 {
 
   if (currentGetUserListArray.length === 0) {
-    updateStatus('請先列出用戶帳號', 'error');
+    updateStatus(I18n.t('sidepanelListUsersFirst'), 'error');
     return;
   }
 
   try {
-    updateStatus('正在頁面上顯示用戶資訊標籤...', 'info');
+    updateStatus(I18n.t('sidepanelShowingLabels'), 'info');
 
     // 獲取當前活動標籤頁
     const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
 
     if (!tab) {
-      updateStatus('錯誤: 無法找到活動標籤頁', 'error');
+      updateStatus(I18n.t('sidepanelNoActiveTab'), 'error');
       return;
     }
 
-    // 準備地區資料，格式: { "@username": { region: "Taiwan", profile: "標籤1,標籤2" }, ... }
+    // 準備地區資料，格式: { "@username": { region: "Taiwan", profile: [{ tag, reason, ... }] }, ... }
     // 優先使用 user.region/profile，若無則查詢快取
     // 重要：只有在拿到完整資料（地點+側寫）後才加入 regionData，否則保持黃色待查詢狀態
     const regionData = {};
-    for (const user of currentGetUserListArray) {
-      let region = null;
-      let profile = null;
-      let joined = null;
-
-      // 處理 region 和 joined
-      if (user.region) {
-        region = user.region;
-        joined = user.joined || null;
-      } else {
-        // 從快取中查詢（去掉 @ 符號）
-        const username = user.account.replace(/^@/, '');
-        try {
-          const response = await chrome.runtime.sendMessage({
-            action: 'getCachedUserInfo',
-            username: username
-          });
-          if (response && response.success) {
-            if (response.region) {
-              region = response.region;
-              user.region = response.region; // 同步更新 user 物件
-            }
-            if (response.joined) {
-              joined = response.joined;
-              user.joined = response.joined; // 同步更新 user 物件
-            }
-          }
-        } catch (error) {
-          console.log(`[Sidepanel] 讀取用戶快取失敗 ${username}:`, error);
+
+    // 缺少地點或側寫的用戶，一次從快取批次讀取
+    const uncachedAccounts = currentGetUserListArray
+      .filter(user => !user.region || user.profile === undefined || user.profile === null)
+      .map(user => user.account);
+    let cachedUsers = {};
+
+    if (uncachedAccounts.length > 0) {
+      try {
+        const response = await chrome.runtime.sendMessage({
+          action: 'getCachedUsersBatch',
+          accounts: uncachedAccounts
+        });
+        if (response && response.success) {
+          cachedUsers = response.users;
         }
+      } catch (error) {
+        console.log('[Sidepanel] 批次讀取用戶快取失敗:', error);
+      }
+    }
+
+    for (const user of currentGetUserListArray) {
+      const cached = cachedUsers[user.account];
+
+      // 處理 region 和 joined（優先使用 user 物件中的資料）
+      if (!user.region && cached && cached.region) {
+        user.region = cached.region; // 同步更新 user 物件
+        user.joined = cached.joined;
       }
 
       // 處理 profile
-      if (user.profile !== undefined && user.profile !== null) {
-        profile = user.profile;
-      } else {
-        // 從快取中查詢（去掉 @ 符號）
-        const username = user.account.replace(/^@/, '');
-        try {
-          const response = await chrome.runtime.sendMessage({
-            action: 'getCachedProfile',
-            username: username
-          });
-          if (response && response.success && response.profile) {
-            profile = response.profile;
-            user.profile = response.profile; // 同步更新 user 物件
-          }
-        } catch (error) {
-          console.log(`[Sidepanel] 讀取側寫快取失敗 ${username}:`, error);
-        }
+      if ((user.profile === undefined || user.profile === null) && cached && cached.profile) {
+        user.profile = cached.profile; // 同步更新 user 物件
       }
 
+      const region = user.region || null;
+      const profile = user.profile ?? null;
+      const joined = region ? (user.joined || null) : null;
+
       // 只要有地點或側寫其中之一，就加入 regionData
       // 這樣可以正確顯示已查詢到的地點（即使側寫尚未取得或使用者停用側寫功能）
       if (region !== null || profile !== null) {
@@ -348,13 +351,13 @@ async function showRegionLabels()
 
     if (response && response.success) {
       //updateStatus(`成功顯示標籤 ${response.addedCount}/${response.totalCount}`, 'success');
-      contentOutput.value = `已在頁面上顯示用戶資訊標籤\n成功: ${response.addedCount}/${response.totalCount}\n\n提示：\n- 黃色標籤 = 待查詢\n- 綠色標籤 = 已查詢`;
+      contentOutput.value = I18n.t('sidepanelLabelsShown', response.addedCount, response.totalCount);
     } else {
-      updateStatus(`顯示標籤失敗: ${(response && response.error) || '未知錯誤'}`, 'error');
+      updateStatus(I18n.t('popupShowLabelsFailed', (response && response.error) || I18n.t('errorUnknown')), 'error');
     }
   } catch (error) {
-    updateStatus(`錯誤: ${error.message}`, 'error');
-    contentOutput.value = `錯誤: ${error.message}`;
+    updateStatus(I18n.t('errorWithMessage', error.message), 'error');
+    contentOutput.value = I18n.t('errorWithMessage', error.message);
   }
 }
 
@@ -362,13 +365,13 @@ async function showRegionLabels()
 // 隱藏用戶資訊標籤按鈕
 hideLabelsBtn.addEventListener('click', async () => {
   try {
-    updateStatus('正在隱藏用戶資訊標籤...', 'info');
+    updateStatus(I18n.t('sidepanelHidingLabels'), 'info');
 
     // 獲取當前活動標籤頁
     const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
 
     if (!tab) {
-      updateStatus('錯誤: 無法找到活動標籤頁', 'error');
+      updateStatus(I18n.t('sidepanelNoActiveTab'), 'error');
       return;
     }
 
@@ -378,18 +381,226 @@ hideLabelsBtn.addEventListener('click', async () => {
     });
 
     if (response && response.success) {
-      updateStatus(`已隱藏 ${response.hiddenCount} 個標籤`, 'success');
-      contentOutput.value = `已隱藏頁面上的用戶資訊標籤\n隱藏數量: ${response.hiddenCount}`;
+      updateStatus(I18n.t('sidepanelLabelsHidden', response.hiddenCount), 'success');
+      contentOutput.value = I18n.t('sidepanelLabelsHiddenOutput', response.hiddenCount);
     } else {
-      updateStatus(`隱藏標籤失敗: ${(response && response.error) || '未知錯誤'}`, 'error');
+      updateStatus(I18n.t('sidepanelHideLabelsFailed', (response && response.error) || I18n.t('errorUnknown')), 'error');
     }
   } catch (error) {
-    updateStatus(`錯誤: ${error.message}`, 'error');
-    contentOutput.value = `錯誤: ${error.message}`;
+    updateStatus(I18n.t('errorWithMessage', error.message), 'error');
+    contentOutput.value = I18n.t('errorWithMessage', error.message);
   }
 });
 
 */
+// ==================== 用戶列表 ====================
+
+const userSearchInput = document.getElementById('userSearchInput');
+const userSortSelect = document.getElementById('userSortSelect');
+const regionFilterSelect = document.getElementById('regionFilterSelect');
+const tagFilterSelect = document.getElementById('tagFilterSelect');
+const joinedFilterSelect = document.getElementById('joinedFilterSelect');
+const accountFilterSelect = document.getElementById('accountFilterSelect');
+const regionCountsElement = document.getElementById('regionCounts');
+const userListSummaryElement = document.getElementById('userListSummary');
+const userListElement = document.getElementById('userList');
+
+// 用戶列表上方的摘要（由 updateLinkList 產生），切換篩選條件時沿用
+let userListSummary = '';
+
+/**
+ * 地區分類的顯示文字（已確認的地區附上旗幟）
+ * @param {string} key - UserListFilters.getUserRegionKey 的結果
+ * @returns {string}
+ */
+function getRegionKeyLabel(key) {
+  if (key === 'pending') return I18n.t('userListPending');
+  if (key === 'undisclosed') return I18n.getRegionName('未揭露');
+  if (key === 'error') return I18n.getRegionName(StorageSchema.QUERY_FAILED_REGION);
+
+  const region = key.slice('region:'.length);
+  const flag = RegionUtils.getFlagEmoji(region);
+  const name = I18n.getRegionName(region);
+  return flag ? `${flag} ${name}` : name;
+}
+
+/**
+ * 重建篩選選單的選項（保留目前的選擇；選擇的項目已不在列表中時仍保留，數量為 0）
+ * @param {HTMLSelectElement} select - 篩選選單
+ * @param {string} allLabel - 「全部」選項的文字
+ * @param {Map<string, number>} counts - 選項值 → 用戶數
+ * @param {Function} getLabel - 選項值 → 顯示文字
+ */
+function renderFilterOptions(select, allLabel, counts, getLabel) {
+  const selected = select.value || 'all';
+  const options = new Map(counts);
+  if (selected !== 'all' && !options.has(selected)) options.set(selected, 0);
+
+  const createOption = (value, text) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = text;
+    return option;
+  };
+  select.replaceChildren(
+    createOption('all', allLabel),
+    ...[...options].map(([value, count]) => createOption(value, `${getLabel(value)} (${count})`))
+  );
+  select.value = selected;
+}
+
+/**
+ * 顯示各地區的用戶數（點擊切換地區篩選）
+ * @param {Map<string, number>} regionCounts - 地區分類 → 用戶數（依數量排序）
+ */
+function renderRegionCounts(regionCounts) {
+  regionCountsElement.replaceChildren(...[...regionCounts].map(([key, count]) => {
+    const chip = document.createElement('button');
+    chip.type = 'button';
+    chip.className = 'region-count-chip';
+    chip.classList.toggle('active', regionFilterSelect.value === key);
+    chip.dataset.regionKey = key;
+    chip.textContent = `${getRegionKeyLabel(key)} ${count}`;
+    return chip;
+  }));
+}
+
+/**
+ * 建立用戶列表的一列
+ * @param {Object} user - currentGetUserListArray 的項目
+ * @returns {HTMLLIElement}
+ */
+function createUserListRow(user) {
+  const row = document.createElement('li');
+  row.className = 'user-list-row';
+  row.dataset.account = user.account;
+  row.title = I18n.t('userListRowTitle');
+
+  const main = document.createElement('div');
+  main.className = 'user-list-main';
+
+  const account = document.createElement('span');
+  account.className = 'user-list-account';
+  account.textContent = user.account;
+  const addBadge = (className, text, title) => {
+    const badge = document.createElement('span');
+    badge.className = `user-list-badge ${className}`;
+    badge.textContent = text;
+    if (title) badge.title = title;
+    account.appendChild(badge);
+  };
+  if (user.joined && DateUtils.isNewUser(user.joined)) addBadge('age-new', I18n.t('labelNewUserCompact'), I18n.t('labelJoinedTitle', user.joined));
+  if (user.verified === true) addBadge('verified', '✓', I18n.t('labelVerifiedTitle'));
+  if (UserListFilters.ACCOUNT_FILTERS.renamed(user)) addBadge('renamed', I18n.t('labelRenamedCompact'));
+
+  const regionKey = UserListFilters.getUserRegionKey(user);
+  const region = document.createElement('span');
+  region.className = `user-list-region ${regionKey.startsWith('region:') ? '' : regionKey}`.trim();
+  region.textContent = getRegionKeyLabel(regionKey);
+  main.append(account, region);
+  row.appendChild(main);
+
+  const details = [];
+  if (user.joined) details.push(I18n.t('sidepanelJoinedSuffix', user.joined));
+  if (UserListFilters.ACCOUNT_FILTERS.renamed(user)) {
+    details.push(I18n.t('sidepanelFormerUsernamesSuffix', user.formerUsernames.map(name => `@${name}`).join(I18n.t('listSeparator'))));
+  }
+  const tags = UserListFilters.getUserTags(user);
+  if (tags.length > 0) details.push(tags.join(I18n.t('listSeparator')));
+  const fetchedAge = DateUtils.formatElapsedTime(user.fetchedAt);
+  if (fetchedAge) details.push(I18n.t('userListFetched', fetchedAge));
+  if (details.length > 0) {
+    const meta = document.createElement('div');
+    meta.className = 'user-list-meta';
+    meta.textContent = details.join(' · ');
+    row.appendChild(meta);
+  }
+  return row;
+}
+
+// 依搜尋、篩選與排序條件顯示用戶列表
+function renderUserList() {
+  const query = userSearchInput.value.trim().replace(/^@/, '').toLowerCase();
+  const regionFilter = regionFilterSelect.value || 'all';
+  const tagFilter = tagFilterSelect.value || 'all';
+  const matchesJoined = UserListFilters.JOINED_FILTERS[joinedFilterSelect.value] || UserListFilters.JOINED_FILTERS.all;
+  const matchesAccount = UserListFilters.ACCOUNT_FILTERS[accountFilterSelect.value] || UserListFilters.ACCOUNT_FILTERS.all;
+
+  // 各地區與側寫標籤的用戶數（以完整列表計算）
+  const regionCounts = new Map();
+  const tagCounts = new Map();
+  currentGetUserListArray.forEach(user => {
+    const regionKey = UserListFilters.getUserRegionKey(user);
+    regionCounts.set(regionKey, (regionCounts.get(regionKey) || 0) + 1);
+    UserListFilters.getUserTags(user).forEach(tag => tagCounts.set(`tag:${tag}`, (tagCounts.get(`tag:${tag}`) || 0) + 1));
+  });
+  const sortedRegionCounts = new Map([...regionCounts].sort((a, b) => b[1] - a[1]));
+  renderFilterOptions(regionFilterSelect, I18n.t('userListAllRegions'), sortedRegionCounts, getRegionKeyLabel);
+  renderFilterOptions(tagFilterSelect, I18n.t('userListAllTags'), tagCounts, value => value.slice('tag:'.length));
+  renderRegionCounts(sortedRegionCounts);
+
+  const users = currentGetUserListArray.filter(user => {
+    if (query && !user.account.slice(1).toLowerCase().includes(query) &&
+      !(user.formerUsernames || []).some(name => name.toLowerCase().includes(query))) return false;
+    if (regionFilter !== 'all' && UserListFilters.getUserRegionKey(user) !== regionFilter) return false;
+    if (tagFilter !== 'all' && !UserListFilters.getUserTags(user).includes(tagFilter.slice('tag:'.length))) return false;
+    return matchesJoined(user.joined) && matchesAccount(user);
+  });
+  const sorter = UserListFilters.USER_SORTERS[userSortSelect.value];
+  if (sorter) users.sort(sorter);
+
+  userListSummaryElement.textContent = users.length === currentGetUserListArray.length
+    ? userListSummary
+    : `${userListSummary} ${I18n.t('userListShowing', users.length, currentGetUserListArray.length)}`.trim();
+
+  if (users.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'user-list-row user-list-empty';
+    empty.textContent = I18n.t(currentGetUserListArray.length === 0 ? 'sidepanelNoUsersFound' : 'userListNoMatch');
+    userListElement.replaceChildren(empty);
+    return;
+  }
+  userListElement.replaceChildren(...users.map(createUserListRow));
+}
+
+/**
+ * 捲動頁面到用戶第一次出現的位置（content script 的 scrollToUser）
+ * @param {string} account - 用戶帳號（帶 @ 符號）
+ */
+async function scrollToUserOnPage(account) {
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!tab) {
+      updateStatus(I18n.t('sidepanelNoActiveTab'), 'error');
+      return;
+    }
+
+    const response = await chrome.tabs.sendMessage(tab.id, { action: 'scrollToUser', account: account });
+    if (!response || !response.found) {
+      updateStatus(I18n.t('userListUserNotOnPage', account), 'info');
+    }
+  } catch (error) {
+    updateStatus(I18n.t('errorWithMessage', error.message), 'error');
+  }
+}
+
+userSearchInput.addEventListener('input', renderUserList);
+[userSortSelect, regionFilterSelect, tagFilterSelect, joinedFilterSelect, accountFilterSelect].forEach(select => {
+  select.addEventListener('change', renderUserList);
+});
+
+regionCountsElement.addEventListener('click', (event) => {
+  const chip = event.target.closest('.region-count-chip');
+  if (!chip) return;
+  regionFilterSelect.value = regionFilterSelect.value === chip.dataset.regionKey ? 'all' : chip.dataset.regionKey;
+  renderUserList();
+});
+
+userListElement.addEventListener('click', (event) => {
+  const row = event.target.closest('.user-list-row[data-account]');
+  if (row) scrollToUserOnPage(row.dataset.account);
+});
+
 async function updateLinkList()
 {
   try {
@@ -399,7 +610,7 @@ async function updateLinkList()
     const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
 
     if (!tab) {
-      updateStatus('錯誤: 無法找到活動標籤頁', 'error');
+      updateStatus(I18n.t('sidepanelNoActiveTab'), 'error');
       return;
     }
 
@@ -412,77 +623,70 @@ async function updateLinkList()
       const users = response.users || [];
       const newCount = response.newCount || 0;
       const totalCount = response.count || users.length;
+      const seenCount = response.seenCount || totalCount;
 
       if (users.length === 0) {
-        contentOutput.value = '未找到任何用戶帳號';
         currentGetUserListArray = [];
-        updateUserCount();
-        updateStatus('未找到用戶', 'info');
+        userListSummary = '';
+        renderUserList();
+        updateUserCount(seenCount);
+        updateStatus(I18n.t('sidepanelNoUsers'), 'info');
       } else {
         // 保留已經查詢過的用戶資料（內存中的數據，包含 region 和 profile）
         const existingDataMap = new Map();
         currentGetUserListArray.forEach(user => {
-          existingDataMap.set(user.account, { region: user.region, profile: user.profile });
+          existingDataMap.set(user.account, user);
         });
 
-        // 從快取中讀取地區和側寫數據
-        const cachePromises = users.map(async account => {
-          // 先檢查內存中是否有數據
+        // 內存中沒有數據的帳號，一次從快取批次讀取地區和側寫
+        const uncachedAccounts = users.filter(account => {
           const existingData = existingDataMap.get(account);
-          if (existingData && (existingData.region !== null || existingData.profile !== null)) {
-            return { account, region: existingData.region, profile: existingData.profile };
-          }
-
-          // 內存中沒有，從快取中讀取
-          let region = null;
-          let profile = null;
+          return !existingData || (existingData.region === null && existingData.profile === null);
+        });
+        let cachedUsers = {};
 
+        if (uncachedAccounts.length > 0) {
           try {
-            const regionResponse = await chrome.runtime.sendMessage({
-              action: 'getCachedRegion',
-              username: account
+            const response = await chrome.runtime.sendMessage({
+              action: 'getCachedUsersBatch',
+              accounts: uncachedAccounts
             });
-
-            if (regionResponse && regionResponse.success && regionResponse.region) {
-              console.log(`[Sidepanel] 從快取載入地區 ${account}: ${regionResponse.region}`);
-              region = regionResponse.region;
+            if (response && response.success) {
+              cachedUsers = response.users;
             }
           } catch (error) {
-            console.error(`[Sidepanel] 讀取地區快取失敗 ${account}:`, error);
+            console.error('[Sidepanel] 批次讀取用戶快取失敗:', error);
           }
+        }
 
-          try {
-            const profileResponse = await chrome.runtime.sendMessage({
-              action: 'getCachedProfile',
-              username: account
-            });
-
-            if (profileResponse && profileResponse.success && profileResponse.profile) {
-              console.log(`[Sidepanel] 從快取載入側寫 ${account}: ${profileResponse.profile}`);
-              profile = profileResponse.profile;
-            }
-          } catch (error) {
-            console.error(`[Sidepanel] 讀取側寫快取失敗 ${account}:`, error);
+        const usersWithRegion = users.map(account => {
+          // 先使用內存中的數據
+          const existingData = existingDataMap.get(account);
+          if (existingData && (existingData.region !== null || existingData.profile !== null)) {
+            return { ...existingData, account };
           }
 
-          return { account, region, profile };
+          const cached = cachedUsers[account];
+          return {
+            account,
+            region: cached ? cached.region : null,
+            profile: cached ? cached.profile : null,
+            joined: cached ? cached.joined : null,
+            verified: cached ? cached.verified : null,
+            formerUsernames: cached ? cached.formerUsernames : null,
+            fetchedAt: cached ? cached.fetchedAt : null
+          };
         });
 
-        // 等待所有快取讀取完成
-        const usersWithRegion = await Promise.all(cachePromises);
-
         // 將用戶列表轉換為物件結構 { account, region }
         currentGetUserListArray = usersWithRegion;
 
-        const summary = newCount > 0
-          ? `總共 ${totalCount} 個用戶帳號 (新增 ${newCount} 個):\n\n`
-          : `總共 ${totalCount} 個用戶帳號:\n\n`;
-
-        contentOutput.value = summary + usersWithRegion.map((user, index) => {
-          return user.region ? `[${index}] ${user.account} - ${user.region}` : `[${index}] ${user.account}`;
-        }).join('\n');
+        userListSummary = newCount > 0
+          ? I18n.t('sidepanelUserSummaryNew', totalCount, seenCount, newCount)
+          : I18n.t('sidepanelUserSummary', totalCount, seenCount);
+        renderUserList();
 
-        updateUserCount();
+        updateUserCount(seenCount);
         updateQueryProgress(0, 0); // 重置進度
         updateCacheStats(); // 更新快取統計
         updateProfileCacheStats(); // 更新側寫快取統計
@@ -494,19 +698,19 @@ async function updateLinkList()
         }
       }
     } else {
-      contentOutput.value = `查詢失敗: ${(response && response.error) || '未知錯誤'}`;
-      updateStatus('查詢失敗', 'error');
+      contentOutput.value = I18n.t('sidepanelQueryFailedWithError', (response && response.error) || I18n.t('errorUnknown'));
+      updateStatus(I18n.t('sidepanelQueryFailed'), 'error');
     }
   } catch (error) {
-    updateStatus(`錯誤: ${error.message}`, 'error');
-    contentOutput.value = `錯誤: ${error.message}`;
+    updateStatus(I18n.t('errorWithMessage', error.message), 'error');
+    contentOutput.value = I18n.t('errorWithMessage', error.message);
   }
 }
-// 監聽來自 content script 的滾動事件和查詢結果更新
+// 監聽來自 content script 的用戶列表變化和查詢結果更新
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-  // 處理頁面滾動事件
-  if (request.action === 'pageScrolled') {
-    console.log('[Sidepanel] 收到頁面滾動通知，更新用戶列表');
+  // 處理頁面用戶重新整理事件
+  if (request.action === 'refreshPageUsers') {
+    console.log('[Sidepanel] 收到頁面用戶重新整理通知，更新用戶列表');
     // 使用 async IIFE 確保 updateLinkList 完成後再執行 showRegionLabels
     (async () => {
       await updateLinkList();
@@ -516,6 +720,13 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     return true; // 保持消息通道開啟以進行異步響應
   }
 
+  // 處理頁面上的用戶變化（新用戶的標籤已由 content script 加上，只需更新列表）
+  if (request.action === 'pageUsersChanged') {
+    console.log(`[Sidepanel] 頁面用戶變化（新增 ${request.newCount} 個連結），更新用戶列表`);
+    updateLinkList();
+    return false;
+  }
+
   // 處理 sidepanel 狀態欄更新
   if (request.action === 'updateSidepanelStatus') {
     const { message, type } = request;
@@ -525,6 +736,12 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     return true;
   }
 
+  // 處理查詢任務狀態變化（與 popup 隊列日誌、頁面標籤同一份更新）
+  if (request.action === 'queryJobUpdate') {
+    updateStatus(request.message, request.type);
+    return false;
+  }
+
   // 處理用戶地區查詢結果更新
   if (request.action === 'updateUserRegion') {
     const { account, region } = request;
@@ -535,6 +752,7 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     currentGetUserListArray.forEach((user, index) => {
       if (user.account === account) {
         currentGetUserListArray[index].region = region;
+        currentGetUserListArray[index].fetchedAt = Date.now();
         updatedCount++;
       }
     });
@@ -543,9 +761,7 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       console.log(`[Sidepanel] 已更新 ${updatedCount} 個 ${account} 的地區為: ${region}`);
 
       // 更新顯示
-      const completedUsers = currentGetUserListArray.filter(u => u.region !== null);
-      const resultText = completedUsers.map(u => `${u.account} - ${u.region || '未找到'}`).join('\n');
-      contentOutput.value = `已查詢的用戶 (${completedUsers.length}/${currentGetUserListArray.length}):\n\n${resultText}`;
+      renderUserList();
 
       // 更新快取統計
       updateCacheStats();
@@ -570,7 +786,7 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     const user = currentGetUserListArray.find(u => u.account === account);
 
     if (user && user.profile) {
-      console.log(`[Sidepanel] 找到用戶 ${account} 的側寫: ${user.profile}`);
+      console.log(`[Sidepanel] 找到用戶 ${account} 的側寫: ${StorageSchema.formatProfileTags(user.profile)}`);
       sendResponse({ success: true, profile: user.profile });
     } else {
       console.log(`[Sidepanel] 用戶 ${account} 沒有側寫資料`);
@@ -582,7 +798,7 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   // 處理用戶側寫分析結果更新
   if (request.action === 'updateUserProfile') {
     const { account, profile } = request;
-    console.log(`[Sidepanel] 收到側寫分析結果更新: ${account} - ${profile}`);
+    console.log(`[Sidepanel] 收到側寫分析結果更新: ${account} - ${StorageSchema.formatProfileTags(profile)}`);
 
     // 在 currentGetUserListArray 中找到所有對應的用戶並更新 profile
     let updatedCount = 0;
@@ -592,9 +808,10 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         updatedCount++;
       }
     });
+    renderUserList();
 
     if (updatedCount > 0) {
-      console.log(`[Sidepanel] 已更新 ${updatedCount} 個 ${account} 的側寫為: ${profile}`);
+      console.log(`[Sidepanel] 已更新 ${updatedCount} 個 ${account} 的側寫為: ${StorageSchema.formatProfileTags(profile)}`);
       sendResponse({ success: true, updated: true, count: updatedCount });
     } else {
       console.log(`[Sidepanel] 找不到用戶 ${account}，無法更新側寫`);
@@ -615,7 +832,7 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 
         // 如果是快取結果，直接使用
         if (profileData.fromCache && profileData.profile) {
-          console.log(`[Sidepanel] 使用側寫快取 ${account}: ${profileData.profile}`);
+          console.log(`[Sidepanel] 使用側寫快取 ${account}: ${StorageSchema.formatProfileTags(profileData.profile)}`);
 
           // 更新 currentGetUserListArray
           currentGetUserListArray.forEach((user, index) => {
@@ -623,35 +840,37 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
               currentGetUserListArray[index].profile = profileData.profile;
             }
           });
+          renderUserList();
 
           // 刷新標籤顯示
           await showRegionLabels();
-          updateStatus(`側寫分析完成: ${account}`, 'success');
+          updateStatus(I18n.t('sidepanelProfileDone', account), 'success');
           return;
         }
 
         // 需要進行 LLM 分析
         if (profileData.needAnalysis) {
           console.log(`[Sidepanel] 開始 LLM 分析 ${account}`);
-          updateStatus(`正在分析 ${account} 的用戶側寫...`, 'info');
+          updateStatus(I18n.t('sidepanelProfileAnalyzing', account), 'info');
 
-          if (typeof window.analyzeUserProfile !== 'function') {
-            console.error('[Sidepanel] analyzeUserProfile 函數未載入');
-            updateStatus('側寫分析失敗: LLM 函數未載入', 'error');
+          if (!self.LLMAnalyzer) {
+            console.error('[Sidepanel] LLMAnalyzer 未載入');
+            updateStatus(I18n.t('sidepanelProfileNoLlm'), 'error');
             return;
           }
 
-          const analysisResult = await window.analyzeUserProfile(
-            profileData.userPostContent,
-            profileData.userReplyContent,
+          const analysisResult = await LLMAnalyzer.analyzeUserProfile(
+            account,
+            profileData.userPosts,
+            profileData.userReplies,
             (progress) => {
-              updateStatus(`LLM 模型下載中: ${progress}%`, 'info');
+              updateStatus(I18n.t('sidepanelModelDownloading', progress), 'info');
             }
           );
 
           if (analysisResult && analysisResult.success) {
             const profile = analysisResult.tags;
-            console.log(`[Sidepanel] LLM 分析成功 ${account}: ${profile}`);
+            console.log(`[Sidepanel] LLM 分析成功 ${account}: ${StorageSchema.formatProfileTags(profile)}`);
 
             // 保存到快取
             await chrome.runtime.sendMessage({
@@ -669,18 +888,19 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
                 currentGetUserListArray[index].profile = profile;
               }
             });
+            renderUserList();
 
             // 刷新標籤顯示
             await showRegionLabels();
-            updateStatus(`側寫分析完成: ${account}`, 'success');
+            updateStatus(I18n.t('sidepanelProfileDone', account), 'success');
           } else {
             console.log(`[Sidepanel] LLM 分析失敗: ${analysisResult && analysisResult.error}`);
-            updateStatus(`側寫分析失敗: ${(analysisResult && analysisResult.error) || '未知錯誤'}`, 'error');
+            updateStatus(I18n.t('sidepanelProfileFailed', (analysisResult && analysisResult.error) || I18n.t('errorUnknown')), 'error');
           }
         }
       } catch (error) {
         console.error('[Sidepanel] 側寫分析錯誤:', error);
-        updateStatus(`側寫分析錯誤: ${error.message}`, 'error');
+        updateStatus(I18n.t('sidepanelProfileError', error.message), 'error');
       }
     })();
 
@@ -779,6 +999,762 @@ maxConcurrentInput.addEventListener('change', async () => {
   }
 });
 
+// ==================== 快取有效期限 ====================
+
+const cacheTtlInputs = document.querySelectorAll('#cacheTtlOptions input[data-ttl-type]');
+const resetCacheTtlBtn = document.getElementById('resetCacheTtlBtn');
+
+/**
+ * 將有效期限設定（小時）填入輸入框（以天為單位的欄位四捨五入，最少 1）
+ * @param {Object} ttl - { confirmed, undisclosed, error, profile }
+ */
+function renderCacheTtl(ttl) {
+  cacheTtlInputs.forEach((input) => {
+    const unitHours = Number(input.dataset.ttlUnitHours);
+    input.value = Math.max(1, Math.round(ttl[input.dataset.ttlType] / unitHours));
+  });
+}
+
+/**
+ * 保存有效期限設定並通知 background 更新 queryManager
+ * @param {Object} ttl - { confirmed, undisclosed, error, profile }（小時）
+ */
+async function saveCacheTtl(ttl) {
+  const normalized = StorageSchema.normalizeCacheTtl(ttl);
+  renderCacheTtl(normalized);
+
+  await chrome.storage.local.set({ [StorageSchema.CACHE_TTL_KEY]: normalized });
+  console.log('[Sidepanel] 保存快取有效期限（小時）:', normalized);
+
+  try {
+    await chrome.runtime.sendMessage({ action: 'updateCacheTtl', value: normalized });
+    // 期限變更會影響有效筆數
+    await updateCacheStats();
+    await updateProfileCacheStats();
+  } catch (error) {
+    console.error('[Sidepanel] 通知 background 失敗:', error);
+  }
+}
+
+chrome.storage.local.get([StorageSchema.CACHE_TTL_KEY], (result) => {
+  renderCacheTtl(StorageSchema.normalizeCacheTtl(result[StorageSchema.CACHE_TTL_KEY]));
+});
+
+cacheTtlInputs.forEach((input) => {
+  input.addEventListener('change', () => {
+    const ttl = {};
+    cacheTtlInputs.forEach((item) => {
+      ttl[item.dataset.ttlType] = Number(item.value) * Number(item.dataset.ttlUnitHours);
+    });
+    saveCacheTtl(ttl);
+  });
+});
+
+resetCacheTtlBtn.addEventListener('click', () => {
+  saveCacheTtl(StorageSchema.DEFAULT_CACHE_TTL_HOURS);
+});
+
+// ==================== 標籤顯示方式 ====================
+
+const labelDisplayModeSelect = document.getElementById('labelDisplayModeSelect');
+
+chrome.storage.local.get([StorageSchema.LABEL_DISPLAY_MODE_KEY], (result) => {
+  labelDisplayModeSelect.value = StorageSchema.normalizeLabelDisplayMode(result[StorageSchema.LABEL_DISPLAY_MODE_KEY]);
+});
+
+// 儲存後各分頁的 content script 會透過 storage.onChanged 重新繪製標籤
+labelDisplayModeSelect.addEventListener('change', () => {
+  const mode = StorageSchema.normalizeLabelDisplayMode(labelDisplayModeSelect.value);
+  chrome.storage.local.set({ [StorageSchema.LABEL_DISPLAY_MODE_KEY]: mode }, () => {
+    console.log('[Sidepanel] 標籤顯示方式已更新:', mode);
+  });
+});
+
+// ==================== 新用戶門檻 ====================
+
+const newUserMonthsInput = document.getElementById('newUserMonthsInput');
+
+chrome.storage.local.get([StorageSchema.NEW_USER_MONTHS_KEY], (result) => {
+  const months = StorageSchema.normalizeNewUserMonths(result[StorageSchema.NEW_USER_MONTHS_KEY]);
+  newUserMonthsInput.value = months;
+  DateUtils.setNewUserMonths(months);
+});
+
+// 儲存後各分頁的 content script 會透過 storage.onChanged 重新繪製標籤
+newUserMonthsInput.addEventListener('change', () => {
+  const months = StorageSchema.normalizeNewUserMonths(newUserMonthsInput.value);
+  newUserMonthsInput.value = months;
+  DateUtils.setNewUserMonths(months);
+  if (joinedFilterSelect.value === 'new') renderUserList();
+  chrome.storage.local.set({ [StorageSchema.NEW_USER_MONTHS_KEY]: months }, () => {
+    console.log('[Sidepanel] 新用戶門檻已更新:', months);
+  });
+});
+
+// ==================== 標籤顏色規則 ====================
+
+const colorRulesList = document.getElementById('colorRulesList');
+const addColorRuleBtn = document.getElementById('addColorRuleBtn');
+const resetColorRulesBtn = document.getElementById('resetColorRulesBtn');
+const revertColorRulesBtn = document.getElementById('revertColorRulesBtn');
+const saveColorRulesBtn = document.getElementById('saveColorRulesBtn');
+
+// 已儲存的規則與編輯中的草稿（草稿會即時預覽在目前分頁上）
+let savedColorRules = ColorRules.normalize(null);
+let draftColorRules = structuredClone(savedColorRules);
+let colorRulesPreviewTimer = null;
+
+// 選項文字為訊息鍵，繪製時依目前語言翻譯
+const TRI_STATE_OPTIONS = [['', 'triStateAny'], ['true', 'triStateYes'], ['false', 'triStateNo']];
+
+/**
+ * 草稿是否與已儲存的規則不同
+ * @returns {boolean}
+ */
+function isColorRulesDirty() {
+  return JSON.stringify(draftColorRules) !== JSON.stringify(savedColorRules);
+}
+
+/**
+ * 將規則草稿送到目前分頁預覽（rules 為 null 時結束預覽）
+ * @param {Array|null} rules - 規則列表
+ */
+async function previewColorRules(rules) {
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!tab || !tab.url || !tab.url.includes('threads.com')) return;
+    await chrome.tabs.sendMessage(tab.id, { action: 'previewColorRules', rules: rules });
+  } catch (error) {
+    console.log('[Sidepanel] 預覽顏色規則失敗:', error.message);
+  }
+}
+
+/**
+ * 規則草稿變更後：更新按鈕狀態並延遲預覽（拖動顏色選擇器時避免連續發送）
+ */
+function handleColorRulesEdited() {
+  const dirty = isColorRulesDirty();
+  saveColorRulesBtn.disabled = !dirty;
+  revertColorRulesBtn.disabled = !dirty;
+
+  clearTimeout(colorRulesPreviewTimer);
+  colorRulesPreviewTimer = setTimeout(() => {
+    previewColorRules(dirty ? draftColorRules : null);
+  }, 150);
+  refreshTaxonomyColorRuleSelects();
+}
+
+/**
+ * 套用規則樣式到預覽色塊
+ * @param {HTMLElement} swatch
+ * @param {Object} style - { backgroundColor, textColor, bold, borderColor }
+ */
+function applyColorRuleSwatch(swatch, style) {
+  swatch.style.backgroundColor = style.backgroundColor;
+  swatch.style.color = style.textColor;
+  swatch.style.fontWeight = style.bold ? '800' : '600';
+  swatch.style.boxShadow = style.borderColor ? `0 0 0 2px ${style.borderColor}` : 'none';
+}
+
+/**
+ * 建立帶文字說明的欄位
+ * @param {string} text - 說明文字
+ * @param {HTMLElement} control - 輸入元件
+ * @returns {HTMLLabelElement}
+ */
+function createColorRuleField(text, control) {
+  const label = document.createElement('label');
+  label.append(`${text} `, control);
+  return label;
+}
+
+/**
+ * 建立三態（不限 / 是 / 否）選單
+ * @param {boolean|null} value
+ * @param {Function} onChange - 參數為 true / false / null
+ * @returns {HTMLSelectElement}
+ */
+function createTriStateSelect(value, onChange) {
+  const select = document.createElement('select');
+  TRI_STATE_OPTIONS.forEach(([optionValue, messageKey]) => {
+    const option = document.createElement('option');
+    option.value = optionValue;
+    option.textContent = I18n.t(messageKey);
+    select.appendChild(option);
+  });
+  select.value = value === null ? '' : String(value);
+  select.addEventListener('change', () => {
+    onChange(select.value === '' ? null : select.value === 'true');
+  });
+  return select;
+}
+
+/**
+ * 建立清單文字輸入框（逗號分隔）
+ * @param {string[]} values
+ * @param {string} placeholder
+ * @param {Function} onChange - 參數為去除空白、不重複的字串陣列，返回實際保存的陣列
+ * @returns {HTMLInputElement}
+ */
+function createListInput(values, placeholder, onChange) {
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.value = values.join(', ');
+  input.placeholder = placeholder;
+  input.addEventListener('change', () => {
+    const items = [...new Set(input.value.split(/[,，]/).map(item => item.trim()).filter(Boolean))];
+    input.value = onChange(items).join(', ');
+  });
+  return input;
+}
+
+/**
+ * 建立顏色選擇器
+ * @param {string} value - #rrggbb
+ * @param {Function} onChange
+ * @returns {HTMLInputElement}
+ */
+function createColorInput(value, onChange) {
+  const input = document.createElement('input');
+  input.type = 'color';
+  input.value = value;
+  input.addEventListener('input', () => onChange(input.value));
+  return input;
+}
+
+/**
+ * 建立小型文字按鈕
+ * @param {string} text
+ * @param {string} title
+ * @param {Function} onClick
+ * @returns {HTMLButtonElement}
+ */
+function createColorRuleButton(text, title, onClick) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'small-text-btn';
+  button.textContent = text;
+  button.title = title;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+/**
+ * 建立單一規則的編輯列（欄位直接修改草稿中的規則物件）
+ * @param {Object} rule - 草稿中的規則
+ * @param {number} index - 規則位置
+ * @returns {HTMLElement}
+ */
+function createColorRuleRow(rule, index) {
+  const row = document.createElement('div');
+  row.className = 'color-rule';
+  row.classList.toggle('disabled', !rule.enabled);
+
+  const swatch = document.createElement('span');
+  swatch.className = 'color-rule-swatch';
+  swatch.textContent = I18n.t('colorRuleSwatch');
+  applyColorRuleSwatch(swatch, rule.style);
+
+  const updateStyle = (changes) => {
+    Object.assign(rule.style, changes);
+    applyColorRuleSwatch(swatch, rule.style);
+    handleColorRulesEdited();
+  };
+
+  // 第一列：啟用、名稱、預覽、排序與刪除
+  const enabledCheckbox = document.createElement('input');
+  enabledCheckbox.type = 'checkbox';
+  enabledCheckbox.checked = rule.enabled;
+  enabledCheckbox.title = I18n.t('colorRuleEnable');
+  enabledCheckbox.addEventListener('change', () => {
+    rule.enabled = enabledCheckbox.checked;
+    row.classList.toggle('disabled', !rule.enabled);
+    handleColorRulesEdited();
+  });
+
+  const nameInput = document.createElement('input');
+  nameInput.type = 'text';
+  nameInput.value = rule.name;
+  nameInput.addEventListener('change', () => {
+    rule.name = nameInput.value.trim() || I18n.t('colorRuleDefaultName', index + 1);
+    nameInput.value = rule.name;
+    handleColorRulesEdited();
+  });
+
+  const header = document.createElement('div');
+  header.className = 'color-rule-header';
+  header.append(
+    enabledCheckbox,
+    nameInput,
+    swatch,
+    createColorRuleButton('↑', I18n.t('colorRuleMoveUp'), () => moveColorRule(index, -1)),
+    createColorRuleButton('↓', I18n.t('colorRuleMoveDown'), () => moveColorRule(index, 1)),
+    createColorRuleButton('✕', I18n.t('colorRuleDelete'), () => removeColorRule(index))
+  );
+
+  // 第二列：比對條件
+  const conditions = document.createElement('div');
+  conditions.className = 'color-rule-fields';
+  conditions.append(
+    createColorRuleField(I18n.t('colorRuleRegions'), createListInput(rule.match.regions, 'TW, HK', (items) => {
+      rule.match.regions = [...new Set(items.map(code => code.toUpperCase()))];
+      handleColorRulesEdited();
+      return rule.match.regions;
+    })),
+    createColorRuleField(I18n.t('colorRuleProfileTags'), createListInput(rule.match.profileTags, '易怒, 人身攻擊', (items) => {
+      rule.match.profileTags = items;
+      handleColorRulesEdited();
+      return rule.match.profileTags;
+    })),
+    createColorRuleField(I18n.t('colorRuleNewUser'), createTriStateSelect(rule.match.newUser, (value) => {
+      rule.match.newUser = value;
+      handleColorRulesEdited();
+    })),
+    createColorRuleField(I18n.t('colorRuleVerified'), createTriStateSelect(rule.match.verified, (value) => {
+      rule.match.verified = value;
+      handleColorRulesEdited();
+    }))
+  );
+
+  // 第三列：樣式
+  const borderColorInput = createColorInput(rule.style.borderColor || '#000000', (value) => {
+    borderCheckbox.checked = true;
+    updateStyle({ borderColor: value });
+  });
+  const borderCheckbox = document.createElement('input');
+  borderCheckbox.type = 'checkbox';
+  borderCheckbox.checked = !!rule.style.borderColor;
+  borderCheckbox.addEventListener('change', () => {
+    updateStyle({ borderColor: borderCheckbox.checked ? borderColorInput.value : null });
+  });
+
+  const boldCheckbox = document.createElement('input');
+  boldCheckbox.type = 'checkbox';
+  boldCheckbox.checked = rule.style.bold;
+  boldCheckbox.addEventListener('change', () => updateStyle({ bold: boldCheckbox.checked }));
+
+  const styleFields = document.createElement('div');
+  styleFields.className = 'color-rule-fields';
+  styleFields.append(
+    createColorRuleField(I18n.t('colorRuleBackground'), createColorInput(rule.style.backgroundColor, (value) => updateStyle({ backgroundColor: value }))),
+    createColorRuleField(I18n.t('colorRuleText'), createColorInput(rule.style.textColor, (value) => updateStyle({ textColor: value }))),
+    createColorRuleField(I18n.t('colorRuleBold'), boldCheckbox),
+    createColorRuleField(I18n.t('colorRuleBorder'), borderCheckbox),
+    borderColorInput
+  );
+
+  row.append(header, conditions, styleFields);
+  return row;
+}
+
+/**
+ * 依草稿重新繪製規則列表
+ */
+function renderColorRules() {
+  colorRulesList.replaceChildren();
+
+  if (draftColorRules.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'color-rules-empty';
+    empty.textContent = I18n.t('colorRulesEmpty');
+    colorRulesList.appendChild(empty);
+  }
+
+  draftColorRules.forEach((rule, index) => {
+    colorRulesList.appendChild(createColorRuleRow(rule, index));
+  });
+
+  addColorRuleBtn.disabled = draftColorRules.length >= ColorRules.MAX_RULES;
+  saveColorRulesBtn.disabled = !isColorRulesDirty();
+  revertColorRulesBtn.disabled = !isColorRulesDirty();
+  refreshTaxonomyColorRuleSelects();
+}
+
+/**
+ * 移動規則順序
+ * @param {number} index - 規則位置
+ * @param {number} offset - -1 上移、1 下移
+ */
+function moveColorRule(index, offset) {
+  const target = index + offset;
+  if (target < 0 || target >= draftColorRules.length) return;
+  [draftColorRules[index], draftColorRules[target]] = [draftColorRules[target], draftColorRules[index]];
+  renderColorRules();
+  handleColorRulesEdited();
+}
+
+/**
+ * 刪除規則
+ * @param {number} index - 規則位置
+ */
+function removeColorRule(index) {
+  draftColorRules.splice(index, 1);
+  renderColorRules();
+  handleColorRulesEdited();
+}
+
+addColorRuleBtn.addEventListener('click', () => {
+  draftColorRules.push(ColorRules.create(draftColorRules));
+  renderColorRules();
+  handleColorRulesEdited();
+});
+
+resetColorRulesBtn.addEventListener('click', () => {
+  draftColorRules = structuredClone(ColorRules.normalize(null));
+  renderColorRules();
+  handleColorRulesEdited();
+  updateStatus(I18n.t('colorRulesResetLoaded'), 'info');
+});
+
+revertColorRulesBtn.addEventListener('click', () => {
+  draftColorRules = structuredClone(savedColorRules);
+  renderColorRules();
+  handleColorRulesEdited();
+});
+
+saveColorRulesBtn.addEventListener('click', async () => {
+  try {
+    const normalized = ColorRules.normalize(draftColorRules);
+    // 各分頁的 content script 會透過 storage.onChanged 套用新規則並結束預覽
+    await chrome.storage.local.set({ [ColorRules.STORAGE_KEY]: normalized });
+    savedColorRules = normalized;
+    draftColorRules = structuredClone(normalized);
+    renderColorRules();
+    console.log('[Sidepanel] 保存顏色規則:', normalized);
+    updateStatus(I18n.t('colorRulesSaved'), 'success');
+  } catch (error) {
+    console.error('[Sidepanel] 保存顏色規則失敗:', error);
+    updateStatus(I18n.t('colorRulesSaveFailed', error.message), 'error');
+  }
+});
+
+chrome.storage.local.get([ColorRules.STORAGE_KEY], (result) => {
+  savedColorRules = ColorRules.normalize(result[ColorRules.STORAGE_KEY]);
+  draftColorRules = structuredClone(savedColorRules);
+  renderColorRules();
+});
+
+// 其他地方變更規則（例如匯入備份）時，沒有未儲存的編輯就同步顯示
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'local' || !changes[ColorRules.STORAGE_KEY]) return;
+  const dirty = isColorRulesDirty();
+  savedColorRules = ColorRules.normalize(changes[ColorRules.STORAGE_KEY].newValue);
+  if (!dirty) {
+    draftColorRules = structuredClone(savedColorRules);
+  }
+  renderColorRules();
+});
+
+// ==================== 側寫標籤分類 ====================
+
+const taxonomyTagsList = document.getElementById('taxonomyTagsList');
+const addTaxonomyTagBtn = document.getElementById('addTaxonomyTagBtn');
+const taxonomyKeywordsInput = document.getElementById('taxonomyKeywordsInput');
+const taxonomyLimitInputs = document.querySelectorAll('[data-taxonomy-limit]');
+const taxonomyPromptInputs = document.querySelectorAll('.taxonomy-prompt');
+const resetTaxonomyBtn = document.getElementById('resetTaxonomyBtn');
+const exportTaxonomyBtn = document.getElementById('exportTaxonomyBtn');
+const importTaxonomyBtn = document.getElementById('importTaxonomyBtn');
+const revertTaxonomyBtn = document.getElementById('revertTaxonomyBtn');
+const saveTaxonomyBtn = document.getElementById('saveTaxonomyBtn');
+const taxonomyFileInput = document.getElementById('taxonomyFileInput');
+
+// 已儲存的分類與編輯中的草稿（儲存後下一次側寫分析才會使用）
+let savedTaxonomy = ProfileTaxonomy.normalize(null);
+let draftTaxonomy = structuredClone(savedTaxonomy);
+
+/**
+ * 草稿是否與已儲存的分類不同
+ * @returns {boolean}
+ */
+function isTaxonomyDirty() {
+  return JSON.stringify(draftTaxonomy) !== JSON.stringify(savedTaxonomy);
+}
+
+/**
+ * 分類草稿變更後更新按鈕狀態
+ */
+function handleTaxonomyEdited() {
+  const dirty = isTaxonomyDirty();
+  saveTaxonomyBtn.disabled = !dirty;
+  revertTaxonomyBtn.disabled = !dirty;
+}
+
+/**
+ * 取得標籤目前對應的顏色規則（規則草稿中第一條包含此標籤的啟用規則，沒有時取第一條停用的規則）
+ * @param {string} tagName
+ * @returns {string} 規則 id，沒有對應時為空字串
+ */
+function getTaxonomyColorRuleId(tagName) {
+  const rules = draftColorRules.filter(rule => rule.match.profileTags.includes(tagName));
+  const rule = rules.find(item => item.enabled) || rules[0];
+  return rule ? rule.id : '';
+}
+
+/**
+ * 將標籤改為只對應一條顏色規則（修改規則草稿，需在規則區儲存）
+ * @param {string} tagName
+ * @param {string} ruleId - 規則 id，空字串 = 不對應任何規則
+ */
+function setTaxonomyColorRule(tagName, ruleId) {
+  draftColorRules.forEach((rule) => {
+    const hadTag = rule.match.profileTags.includes(tagName);
+    if (rule.id === ruleId) {
+      if (!hadTag) rule.match.profileTags.push(tagName);
+    } else if (hadTag) {
+      rule.match.profileTags = rule.match.profileTags.filter(tag => tag !== tagName);
+      // 空的標籤條件代表不限標籤，規則會套用到所有用戶，因此一併停用
+      if (rule.match.profileTags.length === 0) rule.enabled = false;
+    }
+  });
+  renderColorRules();
+  handleColorRulesEdited();
+}
+
+/**
+ * 更新各標籤的顏色規則選單（規則草稿變更時呼叫，選項為規則名稱）
+ */
+function refreshTaxonomyColorRuleSelects() {
+  taxonomyTagsList.querySelectorAll('select[data-tag-name]').forEach((select) => {
+    const options = [['', I18n.t('taxonomyNoColorRule')]].concat(draftColorRules.map(rule => [
+      rule.id,
+      rule.enabled ? rule.name : I18n.t('taxonomyColorRuleDisabled', rule.name)
+    ]));
+    select.replaceChildren(...options.map(([value, text]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = text;
+      return option;
+    }));
+    select.value = getTaxonomyColorRuleId(select.dataset.tagName);
+  });
+}
+
+/**
+ * 建立單一標籤的編輯列（欄位直接修改草稿中的標籤物件）
+ * @param {Object} tag - 草稿中的標籤 { name, description, requiresEvidence }
+ * @param {number} index - 標籤位置
+ * @returns {HTMLElement}
+ */
+function createTaxonomyTagRow(tag, index) {
+  const row = document.createElement('div');
+  row.className = 'taxonomy-tag';
+
+  const colorRuleSelect = document.createElement('select');
+  colorRuleSelect.dataset.tagName = tag.name;
+  colorRuleSelect.title = I18n.t('taxonomyColorRule');
+  colorRuleSelect.disabled = !tag.name;
+  colorRuleSelect.addEventListener('change', () => setTaxonomyColorRule(tag.name, colorRuleSelect.value));
+
+  const nameInput = document.createElement('input');
+  nameInput.type = 'text';
+  nameInput.value = tag.name;
+  nameInput.maxLength = ProfileTaxonomy.LIMITS.maxTagLength.max;
+  nameInput.placeholder = I18n.t('taxonomyTagName');
+  nameInput.addEventListener('change', () => {
+    const previousName = tag.name;
+    tag.name = nameInput.value.trim();
+    nameInput.value = tag.name;
+    colorRuleSelect.dataset.tagName = tag.name;
+    colorRuleSelect.disabled = !tag.name;
+    // 改名時一併更新顏色規則中的標籤名稱
+    if (previousName && tag.name && draftColorRules.some(rule => rule.match.profileTags.includes(previousName))) {
+      draftColorRules.forEach((rule) => {
+        rule.match.profileTags = [...new Set(rule.match.profileTags.map(name => (name === previousName ? tag.name : name)))];
+      });
+      renderColorRules();
+      handleColorRulesEdited();
+    } else {
+      refreshTaxonomyColorRuleSelects();
+    }
+    handleTaxonomyEdited();
+  });
+
+  const descriptionInput = document.createElement('input');
+  descriptionInput.type = 'text';
+  descriptionInput.className = 'taxonomy-tag-description';
+  descriptionInput.value = tag.description;
+  descriptionInput.placeholder = I18n.t('taxonomyTagDescription');
+  descriptionInput.addEventListener('change', () => {
+    tag.description = descriptionInput.value.trim();
+    descriptionInput.value = tag.description;
+    handleTaxonomyEdited();
+  });
+
+  const evidenceCheckbox = document.createElement('input');
+  evidenceCheckbox.type = 'checkbox';
+  evidenceCheckbox.checked = tag.requiresEvidence;
+  evidenceCheckbox.addEventListener('change', () => {
+    tag.requiresEvidence = evidenceCheckbox.checked;
+    handleTaxonomyEdited();
+  });
+
+  row.append(
+    nameInput,
+    descriptionInput,
+    createColorRuleField(I18n.t('taxonomyRequiresEvidence'), evidenceCheckbox),
+    colorRuleSelect,
+    createColorRuleButton('✕', I18n.t('taxonomyDeleteTag'), () => {
+      draftTaxonomy.tags.splice(index, 1);
+      renderTaxonomy();
+      handleTaxonomyEdited();
+    })
+  );
+  return row;
+}
+
+/**
+ * 依草稿重新繪製分類編輯器
+ */
+function renderTaxonomy() {
+  taxonomyTagsList.replaceChildren();
+
+  if (draftTaxonomy.tags.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'color-rules-empty';
+    empty.textContent = I18n.t('taxonomyTagsEmpty');
+    taxonomyTagsList.appendChild(empty);
+  }
+
+  draftTaxonomy.tags.forEach((tag, index) => {
+    taxonomyTagsList.appendChild(createTaxonomyTagRow(tag, index));
+  });
+  refreshTaxonomyColorRuleSelects();
+
+  taxonomyKeywordsInput.value = draftTaxonomy.keywords.join(', ');
+  taxonomyLimitInputs.forEach((input) => {
+    input.value = draftTaxonomy[input.dataset.taxonomyLimit];
+  });
+  taxonomyPromptInputs.forEach((textarea) => {
+    textarea.value = draftTaxonomy.prompts[textarea.dataset.promptType];
+  });
+
+  addTaxonomyTagBtn.disabled = draftTaxonomy.tags.length >= ProfileTaxonomy.MAX_TAGS;
+  handleTaxonomyEdited();
+}
+
+addTaxonomyTagBtn.addEventListener('click', () => {
+  draftTaxonomy.tags.push({ name: '', description: '', requiresEvidence: false });
+  renderTaxonomy();
+  taxonomyTagsList.lastElementChild.querySelector('input').focus();
+});
+
+taxonomyKeywordsInput.addEventListener('change', () => {
+  draftTaxonomy.keywords = [...new Set(taxonomyKeywordsInput.value.split(/[,，]/).map(item => item.trim()).filter(Boolean))];
+  taxonomyKeywordsInput.value = draftTaxonomy.keywords.join(', ');
+  handleTaxonomyEdited();
+});
+
+taxonomyLimitInputs.forEach((input) => {
+  input.addEventListener('change', () => {
+    const type = input.dataset.taxonomyLimit;
+    draftTaxonomy[type] = ProfileTaxonomy.normalizeLimit(input.value, type);
+    input.value = draftTaxonomy[type];
+    handleTaxonomyEdited();
+  });
+});
+
+// 清空的範本保留在草稿中，儲存時由 ProfileTaxonomy.normalize 恢復預設
+taxonomyPromptInputs.forEach((textarea) => {
+  textarea.addEventListener('input', () => {
+    draftTaxonomy.prompts[textarea.dataset.promptType] = textarea.value;
+    handleTaxonomyEdited();
+  });
+});
+
+resetTaxonomyBtn.addEventListener('click', () => {
+  draftTaxonomy = structuredClone(ProfileTaxonomy.normalize(null));
+  renderTaxonomy();
+  updateStatus(I18n.t('taxonomyResetLoaded'), 'info');
+});
+
+revertTaxonomyBtn.addEventListener('click', () => {
+  draftTaxonomy = structuredClone(savedTaxonomy);
+  renderTaxonomy();
+});
+
+saveTaxonomyBtn.addEventListener('click', async () => {
+  try {
+    const normalized = ProfileTaxonomy.normalize(draftTaxonomy);
+    await chrome.storage.local.set({ [ProfileTaxonomy.STORAGE_KEY]: normalized });
+    savedTaxonomy = normalized;
+    draftTaxonomy = structuredClone(normalized);
+    renderTaxonomy();
+    console.log('[Sidepanel] 保存側寫標籤分類:', normalized);
+    updateStatus(I18n.t('taxonomySaved'), 'success');
+  } catch (error) {
+    console.error('[Sidepanel] 保存側寫標籤分類失敗:', error);
+    updateStatus(I18n.t('taxonomySaveFailed', error.message), 'error');
+  }
+});
+
+// 匯出編輯中的分類（可分享給其他人匯入，或以 tools/evalProfiles.js --taxonomy 評估）
+exportTaxonomyBtn.addEventListener('click', () => {
+  const date = new Date().toISOString().slice(0, 10);
+  downloadTextFile(JSON.stringify(ProfileTaxonomy.normalize(draftTaxonomy), null, 2), `threads-geo-tag-taxonomy-${date}.json`, 'application/json');
+});
+
+importTaxonomyBtn.addEventListener('click', () => taxonomyFileInput.click());
+
+// 匯入的分類先載入草稿，確認後再按[儲存]
+taxonomyFileInput.addEventListener('change', async () => {
+  const file = taxonomyFileInput.files[0];
+  taxonomyFileInput.value = '';
+  if (!file) return;
+
+  try {
+    const data = JSON.parse(await file.text());
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new Error(I18n.t('taxonomyImportInvalid'));
+    }
+    draftTaxonomy = structuredClone(ProfileTaxonomy.normalize(data));
+    renderTaxonomy();
+    updateStatus(I18n.t('taxonomyImported', file.name), 'info');
+  } catch (error) {
+    console.error('[Sidepanel] 匯入側寫標籤分類失敗:', error);
+    updateStatus(I18n.t('taxonomyImportFailed', error.message), 'error');
+  }
+});
+
+chrome.storage.local.get([ProfileTaxonomy.STORAGE_KEY], (result) => {
+  savedTaxonomy = ProfileTaxonomy.normalize(result[ProfileTaxonomy.STORAGE_KEY]);
+  draftTaxonomy = structuredClone(savedTaxonomy);
+  renderTaxonomy();
+});
+
+// 其他地方變更分類（例如匯入備份）時，沒有未儲存的編輯就同步顯示
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'local' || !changes[ProfileTaxonomy.STORAGE_KEY]) return;
+  const dirty = isTaxonomyDirty();
+  savedTaxonomy = ProfileTaxonomy.normalize(changes[ProfileTaxonomy.STORAGE_KEY].newValue);
+  if (!dirty) {
+    draftTaxonomy = structuredClone(savedTaxonomy);
+  }
+  renderTaxonomy();
+});
+
+// ==================== LLM 供應商設定 ====================
+
+// 目前的 LLM 設定（StorageSchema.normalizeLlmSettings 的結果）與各供應商的 API Key（以儲存鍵為 key）
+let llmSettings = StorageSchema.normalizeLlmSettings(null);
+const llmApiKeys = {};
+
+// API Key 的格式檢查（只檢查官方端點，自訂端點的 Key 格式不限）
+const LLM_API_KEY_PREFIXES = {
+  openai: 'sk-',
+  anthropic: 'sk-ant-'
+};
+
+function getSelectedLlmConfig() {
+  return LLMProviders.buildConfig(llmSettings, llmApiKeys);
+}
+
+function saveLlmSettings() {
+  chrome.storage.local.set({ [StorageSchema.LLM_SETTINGS_KEY]: llmSettings }, () => {
+    console.log('[Sidepanel] 保存 LLM 設定:', llmSettings.provider, llmSettings[llmSettings.provider] || '');
+  });
+}
+
 // 更新 LLM Provider UI 顯示狀態
 function updateLLMProviderUI() {
   const isChecked = llmProfileAnalysisCheckbox.checked;
@@ -792,58 +1768,65 @@ function updateLLMProviderUI() {
   // 啟用分析功能：顯示 provider 選擇區域
   llmProviderSection.style.display = 'block';
 
-  // 根據選擇的 provider 顯示對應的配置面板
-  const useLocalLLM = llmProviderSelect.value === 'local';
+  // Chrome 內建模型不需要端點、模型與 API Key
+  const config = getSelectedLlmConfig();
+  llmProviderSelect.value = config.provider;
+  llmStatus.className = 'llm-status';
+  llmStatus.textContent = '';
 
-  if (useLocalLLM) {
-    openaiConfigPanel.style.display = 'none';
-    localLLMConfigPanel.style.display = 'block';
+  if (config.provider === 'chrome') {
+    llmEndpointPanel.style.display = 'none';
     // 檢查本地 LLM 可用性
-    checkLocalLLMAvailability();
-  } else {
-    openaiConfigPanel.style.display = 'block';
-    localLLMConfigPanel.style.display = 'none';
+    refreshLlmStatus(config);
+    return;
   }
+
+  llmEndpointPanel.style.display = 'block';
+  llmBaseUrlHint.style.display = config.provider === 'openai' ? 'block' : 'none';
+  llmBaseUrlInput.value = config.baseUrl;
+  llmBaseUrlInput.placeholder = StorageSchema.DEFAULT_LLM_SETTINGS[config.provider].baseUrl;
+  llmModelInput.value = config.model;
+  llmModelInput.placeholder = StorageSchema.DEFAULT_LLM_SETTINGS[config.provider].model;
+  llmApiKeyInput.value = config.apiKey || '';
+  llmApiKeyInput.placeholder = `${LLM_API_KEY_PREFIXES[config.provider]}...`;
+  apiKeyStatus.textContent = '';
+  updateApiKeyDisplayState(Boolean(config.apiKey));
 }
 
-// 檢查本地 LLM 可用性
-async function checkLocalLLMAvailability() {
-  localLLMStatus.className = 'local-llm-status checking';
-  localLLMStatus.textContent = '檢查中...';
+// 檢查 LLM 供應商是否可用並顯示狀態
+async function refreshLlmStatus(config) {
+  llmStatus.className = 'llm-status checking';
+  llmStatus.textContent = I18n.t('sidepanelChecking');
 
   try {
-    if (typeof window.checkLLMAvailability !== 'function') {
-      throw new Error('LLM 檢查函數未載入');
-    }
-
-    const result = await window.checkLLMAvailability();
+    const result = await LLMProviders.checkAvailability(config);
 
     if (result.available) {
-      localLLMStatus.className = 'local-llm-status available';
+      llmStatus.className = 'llm-status available';
       if (result.status === 'downloading') {
-        localLLMStatus.textContent = '✓ 可用（模型下載中）';
+        llmStatus.textContent = I18n.t('localLlmDownloading');
       } else if (result.status === 'downloadable') {
-        localLLMStatus.textContent = '✓ 可用（首次使用需下載模型）';
+        llmStatus.textContent = I18n.t('localLlmDownloadable');
       } else {
-        localLLMStatus.textContent = '✓ 可用';
+        llmStatus.textContent = I18n.t('llmAvailable');
       }
     } else {
-      localLLMStatus.className = 'local-llm-status unavailable';
-      let errorMsg = '✗ 不可用';
+      llmStatus.className = 'llm-status unavailable';
+      let errorMsg = I18n.t('llmUnavailable');
       if (result.error) {
         if (result.error.includes('Chrome 127')) {
-          errorMsg = '✗ 需要 Chrome 127 以上版本';
+          errorMsg = I18n.t('localLlmNeedsChrome');
         } else if (result.error.includes('hardware')) {
-          errorMsg = '✗ 硬體不支援，需要較新的 GPU';
+          errorMsg = I18n.t('localLlmNeedsGpu');
         } else {
-          errorMsg = `✗ ${result.error}`;
+          errorMsg = I18n.t('llmError', result.error);
         }
       }
-      localLLMStatus.textContent = errorMsg;
+      llmStatus.textContent = errorMsg;
     }
   } catch (error) {
-    localLLMStatus.className = 'local-llm-status unavailable';
-    localLLMStatus.textContent = `✗ 檢查失敗: ${error.message}`;
+    llmStatus.className = 'llm-status unavailable';
+    llmStatus.textContent = I18n.t('llmCheckFailed', error.message);
   }
 }
 
@@ -858,13 +1841,44 @@ llmProfileAnalysisCheckbox.addEventListener('change', () => {
 
 // 監聽 LLM Provider 選擇變化
 llmProviderSelect.addEventListener('change', () => {
-  const useLocalLLM = llmProviderSelect.value === 'local';
-  chrome.storage.local.set({ useLocalLLM: useLocalLLM }, () => {
-    console.log('[Sidepanel] 切換到', useLocalLLM ? '本地 LLM' : 'OpenAI API');
-  });
+  llmSettings = StorageSchema.normalizeLlmSettings({ ...llmSettings, provider: llmProviderSelect.value });
+  saveLlmSettings();
   updateLLMProviderUI();
 });
 
+// 端點與模型修改後儲存（清空時恢復該供應商的預設值）
+[llmBaseUrlInput, llmModelInput].forEach(input => {
+  input.addEventListener('change', () => {
+    const provider = llmSettings.provider;
+    llmSettings = StorageSchema.normalizeLlmSettings({
+      ...llmSettings,
+      [provider]: { baseUrl: llmBaseUrlInput.value, model: llmModelInput.value }
+    });
+    saveLlmSettings();
+    llmBaseUrlInput.value = llmSettings[provider].baseUrl;
+    llmModelInput.value = llmSettings[provider].model;
+    llmStatus.className = 'llm-status';
+    llmStatus.textContent = '';
+  });
+});
+
+// 檢查連線：自訂端點需要先取得該網域的權限（必須在按鈕點擊中要求）
+checkLlmBtn.addEventListener('click', async () => {
+  const config = getSelectedLlmConfig();
+
+  if (config.baseUrl && !LLMProviders.isDefaultEndpoint(config)) {
+    const origin = `${new URL(config.baseUrl).origin}/*`;
+    const granted = await chrome.permissions.request({ origins: [origin] }).catch(() => false);
+    if (!granted) {
+      llmStatus.className = 'llm-status unavailable';
+      llmStatus.textContent = I18n.t('llmPermissionDenied', origin);
+      return;
+    }
+  }
+
+  refreshLlmStatus(config);
+});
+
 // 更新 API Key 顯示狀態（已設定時隱藏輸入框，顯示 edit 按鈕）
 function updateApiKeyDisplayState(hasApiKey) {
   if (hasApiKey) {
@@ -880,15 +1894,17 @@ function updateApiKeyDisplayState(hasApiKey) {
 editApiKeyBtn.addEventListener('click', () => {
   apiKeySetIndicator.style.display = 'none';
   apiKeyInputContainer.style.display = 'inline';
-  openaiApiKeyInput.focus();
+  llmApiKeyInput.focus();
 });
 
 // 監聽 clear API key 按鈕點擊
 clearApiKeyBtn.addEventListener('click', () => {
-  openaiApiKeyInput.value = '';
-  chrome.storage.local.remove('openaiApiKey', () => {
-    console.log('[Sidepanel] 已清除 OpenAI API Key');
-    apiKeyStatus.textContent = '已清除';
+  const storageKey = StorageSchema.LLM_API_KEY_KEYS[llmSettings.provider];
+  llmApiKeyInput.value = '';
+  delete llmApiKeys[storageKey];
+  chrome.storage.local.remove(storageKey, () => {
+    console.log('[Sidepanel] 已清除 API Key:', storageKey);
+    apiKeyStatus.textContent = I18n.t('popupApiKeyCleared');
     apiKeyStatus.className = 'api-key-status';
     setTimeout(() => {
       apiKeyStatus.textContent = '';
@@ -897,24 +1913,17 @@ clearApiKeyBtn.addEventListener('click', () => {
   updateApiKeyDisplayState(false);
 });
 
-// 初始化：從 chrome.storage 讀取 OpenAI API Key 和 LLM Provider 設定
-chrome.storage.local.get(['openaiApiKey', 'useLocalLLM'], (result) => {
-  if (result.openaiApiKey) {
-    openaiApiKeyInput.value = result.openaiApiKey;
-    console.log('[Sidepanel] 載入 OpenAI API Key');
-    updateApiKeyDisplayState(true);
-  } else {
-    updateApiKeyDisplayState(false);
-  }
-
-  // 設定 LLM Provider 選擇
-  if (result.useLocalLLM === true) {
-    llmProviderSelect.value = 'local';
-    console.log('[Sidepanel] 載入 LLM Provider 設定: 本地 LLM');
-  } else {
-    llmProviderSelect.value = 'openai';
-    console.log('[Sidepanel] 載入 LLM Provider 設定: OpenAI API');
-  }
+// 初始化：從 chrome.storage 讀取 LLM 設定與各供應商的 API Key
+chrome.storage.local.get([
+  StorageSchema.LLM_SETTINGS_KEY,
+  StorageSchema.LEGACY_USE_LOCAL_LLM_KEY,
+  ...Object.values(StorageSchema.LLM_API_KEY_KEYS)
+], (result) => {
+  llmSettings = StorageSchema.normalizeLlmSettings(result[StorageSchema.LLM_SETTINGS_KEY], result[StorageSchema.LEGACY_USE_LOCAL_LLM_KEY]);
+  Object.values(StorageSchema.LLM_API_KEY_KEYS).forEach(storageKey => {
+    if (result[storageKey]) llmApiKeys[storageKey] = result[storageKey];
+  });
+  console.log('[Sidepanel] 載入 LLM 設定:', llmSettings.provider);
 
   // 初始化後更新顯示狀態
   updateLLMProviderUI();
@@ -922,8 +1931,10 @@ chrome.storage.local.get(['openaiApiKey', 'useLocalLLM'], (result) => {
 
 // 當 API Key 輸入框內容變化時，自動儲存
 let apiKeySaveTimeout = null;
-openaiApiKeyInput.addEventListener('input', () => {
-  const apiKey = openaiApiKeyInput.value.trim();
+llmApiKeyInput.addEventListener('input', () => {
+  const apiKey = llmApiKeyInput.value.trim();
+  const config = getSelectedLlmConfig();
+  const storageKey = StorageSchema.LLM_API_KEY_KEYS[config.provider];
 
   // 清除之前的延遲儲存
   if (apiKeySaveTimeout) {
@@ -938,16 +1949,17 @@ openaiApiKeyInput.addEventListener('input', () => {
       return;
     }
 
-    // 簡單驗證 API Key 格式
-    if (!apiKey.startsWith('sk-')) {
-      apiKeyStatus.textContent = '格式不正確';
+    // 簡單驗證官方端點的 API Key 格式
+    if (LLMProviders.isDefaultEndpoint(config) && !apiKey.startsWith(LLM_API_KEY_PREFIXES[config.provider])) {
+      apiKeyStatus.textContent = I18n.t('apiKeyInvalidFormat');
       apiKeyStatus.className = 'api-key-status error';
       return;
     }
 
-    chrome.storage.local.set({ openaiApiKey: apiKey }, () => {
-      console.log('[Sidepanel] 自動儲存 OpenAI API Key');
-      apiKeyStatus.textContent = '✓ 已儲存';
+    llmApiKeys[storageKey] = apiKey;
+    chrome.storage.local.set({ [storageKey]: apiKey }, () => {
+      console.log('[Sidepanel] 自動儲存 API Key:', storageKey);
+      apiKeyStatus.textContent = I18n.t('apiKeySavedCheck');
       apiKeyStatus.className = 'api-key-status saved';
 
       // 2 秒後清除狀態訊息並切換到已設定狀態
@@ -965,11 +1977,11 @@ openaiApiKeyInput.addEventListener('input', () => {
 showCacheBtn.addEventListener('click', async () => {
   try {
     console.log('[Sidepanel] 顯示快取按鈕被點擊');
-    updateStatus('正在讀取本機資料...', 'info');
+    updateStatus(I18n.t('sidepanelLoadingRegions'), 'info');
 
     // 禁用按鈕防止重複點擊
     showCacheBtn.disabled = true;
-    showCacheBtn.textContent = '讀取中...';
+    showCacheBtn.textContent = I18n.t('sidepanelLoading');
 
     // 發送獲取快取請求
     const response = await chrome.runtime.sendMessage({
@@ -981,35 +1993,35 @@ showCacheBtn.addEventListener('click', async () => {
       const entries = Object.entries(cache);
 
       if (entries.length === 0) {
-        contentOutput.value = '本機沒有儲存任何用戶所在地資料';
-        updateStatus('本機資料為空', 'info');
+        contentOutput.value = I18n.t('sidepanelNoStoredRegions');
+        updateStatus(I18n.t('sidepanelStoredRegionsEmpty'), 'info');
       } else {
         // 格式化輸出
         const output = entries.map(([account, data]) => {
-          const region = data.region || '未知';
+          const region = I18n.getRegionName(data.region) || I18n.t('sidepanelUnknown');
           return `${account}: ${region}`;
         }).join('\n');
 
-        contentOutput.value = `本機儲存的用戶所在地資料 (共 ${entries.length} 筆):\n\n${output}`;
-        updateStatus(`已載入 ${entries.length} 筆本機資料`, 'success');
+        contentOutput.value = `${I18n.t('sidepanelStoredRegionsHeader', entries.length)}\n\n${output}`;
+        updateStatus(I18n.t('sidepanelStoredRegionsLoaded', entries.length), 'success');
       }
     } else {
-      contentOutput.value = `讀取失敗: ${(response && response.error) || '未知錯誤'}`;
-      updateStatus(`讀取失敗: ${(response && response.error) || '未知錯誤'}`, 'error');
+      contentOutput.value = I18n.t('popupLoadFailedWithError', (response && response.error) || I18n.t('errorUnknown'));
+      updateStatus(I18n.t('popupLoadFailedWithError', (response && response.error) || I18n.t('errorUnknown')), 'error');
     }
 
     // 恢復按鈕狀態
     showCacheBtn.disabled = false;
-    showCacheBtn.textContent = '顯示';
+    showCacheBtn.textContent = I18n.t('popupShow');
 
   } catch (error) {
     console.error('[Sidepanel] 讀取快取錯誤:', error);
-    updateStatus(`讀取快取錯誤: ${error.message}`, 'error');
-    contentOutput.value = `讀取錯誤: ${error.message}`;
+    updateStatus(I18n.t('sidepanelLoadCacheError', error.message), 'error');
+    contentOutput.value = I18n.t('sidepanelLoadError', error.message);
 
     // 恢復按鈕狀態
     showCacheBtn.disabled = false;
-    showCacheBtn.textContent = '顯示';
+    showCacheBtn.textContent = I18n.t('popupShow');
   }
 });
 
@@ -1017,7 +2029,7 @@ showCacheBtn.addEventListener('click', async () => {
 clearCacheBtn.addEventListener('click', async () => {
   try {
     // 顯示確認對話框
-    const confirmed = confirm('確定要清除所有本機保存的用戶所在地資料嗎？\n\n此操作無法復原。');
+    const confirmed = confirm(I18n.t('sidepanelConfirmClearRegions'));
 
     if (!confirmed) {
       console.log('[Sidepanel] 用戶取消清除快取');
@@ -1025,11 +2037,11 @@ clearCacheBtn.addEventListener('click', async () => {
     }
 
     console.log('[Sidepanel] 清除快取按鈕被點擊');
-    updateStatus('正在清除本機資料...', 'info');
+    updateStatus(I18n.t('sidepanelClearingRegions'), 'info');
 
     // 禁用按鈕防止重複點擊
     clearCacheBtn.disabled = true;
-    clearCacheBtn.textContent = '清除中...';
+    clearCacheBtn.textContent = I18n.t('sidepanelClearing');
 
     // 發送清除快取請求
     const response = await chrome.runtime.sendMessage({
@@ -1037,39 +2049,40 @@ clearCacheBtn.addEventListener('click', async () => {
     });
 
     if (response && response.success) {
-      updateStatus('本機資料已清除', 'success');
+      updateStatus(I18n.t('sidepanelRegionsCleared'), 'success');
 
       // 更新快取統計顯示
       await updateCacheStats();
 
       // 清除當前用戶列表中的 region 資料（保留用戶名）
       currentGetUserListArray = currentGetUserListArray.map(user => ({
-        account: user.account,
-        region: null
+        ...user,
+        region: null,
+        joined: null,
+        verified: null,
+        formerUsernames: null,
+        fetchedAt: null
       }));
 
       // 更新顯示
-      const summary = `總共 ${currentGetUserListArray.length} 個用戶帳號:\n\n`;
-      contentOutput.value = summary + currentGetUserListArray.map((user, index) => {
-        return `[${index}] ${user.account}`;
-      }).join('\n');
+      renderUserList();
 
       console.log('[Sidepanel] 快取已清除，用戶列表已重置');
     } else {
-      updateStatus(`清除失敗: ${(response && response.error) || '未知錯誤'}`, 'error');
+      updateStatus(I18n.t('popupClearFailed', (response && response.error) || I18n.t('errorUnknown')), 'error');
     }
 
     // 恢復按鈕狀態
     clearCacheBtn.disabled = false;
-    clearCacheBtn.textContent = '清除';
+    clearCacheBtn.textContent = I18n.t('popupClearButton');
 
   } catch (error) {
     console.error('[Sidepanel] 清除快取錯誤:', error);
-    updateStatus(`清除快取錯誤: ${error.message}`, 'error');
+    updateStatus(I18n.t('sidepanelClearCacheError', error.message), 'error');
 
     // 恢復按鈕狀態
     clearCacheBtn.disabled = false;
-    clearCacheBtn.textContent = '清除';
+    clearCacheBtn.textContent = I18n.t('popupClearButton');
   }
 });
 
@@ -1079,11 +2092,11 @@ clearCacheBtn.addEventListener('click', async () => {
 showProfileCacheBtn.addEventListener('click', async () => {
   try {
     console.log('[Sidepanel] 顯示側寫快取按鈕被點擊');
-    updateStatus('正在讀取側寫資料...', 'info');
+    updateStatus(I18n.t('sidepanelLoadingProfiles'), 'info');
 
     // 禁用按鈕防止重複點擊
     showProfileCacheBtn.disabled = true;
-    showProfileCacheBtn.textContent = '讀取中...';
+    showProfileCacheBtn.textContent = I18n.t('sidepanelLoading');
 
     // 發送獲取側寫快取請求
     const response = await chrome.runtime.sendMessage({
@@ -1095,35 +2108,35 @@ showProfileCacheBtn.addEventListener('click', async () => {
       const entries = Object.entries(cache);
 
       if (entries.length === 0) {
-        contentOutput.value = '本機沒有儲存任何用戶側寫資料';
-        updateStatus('側寫資料為空', 'info');
+        contentOutput.value = I18n.t('sidepanelNoStoredProfiles');
+        updateStatus(I18n.t('sidepanelStoredProfilesEmpty'), 'info');
       } else {
         // 格式化輸出
         const output = entries.map(([account, data]) => {
-          const profile = data.profile || '未知';
+          const profile = StorageSchema.formatProfileTags(data.profileTags) || I18n.t('sidepanelUnknown');
           return `${account}: ${profile}`;
         }).join('\n');
 
-        contentOutput.value = `本機儲存的用戶側寫資料 (共 ${entries.length} 筆):\n\n${output}`;
-        updateStatus(`已載入 ${entries.length} 筆側寫資料`, 'success');
+        contentOutput.value = `${I18n.t('sidepanelStoredProfilesHeader', entries.length)}\n\n${output}`;
+        updateStatus(I18n.t('sidepanelStoredProfilesLoaded', entries.length), 'success');
       }
     } else {
-      contentOutput.value = `讀取失敗: ${(response && response.error) || '未知錯誤'}`;
-      updateStatus(`讀取失敗: ${(response && response.error) || '未知錯誤'}`, 'error');
+      contentOutput.value = I18n.t('popupLoadFailedWithError', (response && response.error) || I18n.t('errorUnknown'));
+      updateStatus(I18n.t('popupLoadFailedWithError', (response && response.error) || I18n.t('errorUnknown')), 'error');
     }
 
     // 恢復按鈕狀態
     showProfileCacheBtn.disabled = false;
-    showProfileCacheBtn.textContent = '顯示';
+    showProfileCacheBtn.textContent = I18n.t('popupShow');
 
   } catch (error) {
     console.error('[Sidepanel] 讀取側寫快取錯誤:', error);
-    updateStatus(`讀取側寫快取錯誤: ${error.message}`, 'error');
-    contentOutput.value = `讀取錯誤: ${error.message}`;
+    updateStatus(I18n.t('sidepanelLoadProfileCacheError', error.message), 'error');
+    contentOutput.value = I18n.t('sidepanelLoadError', error.message);
 
     // 恢復按鈕狀態
     showProfileCacheBtn.disabled = false;
-    showProfileCacheBtn.textContent = '顯示';
+    showProfileCacheBtn.textContent = I18n.t('popupShow');
   }
 });
 
@@ -1131,7 +2144,7 @@ showProfileCacheBtn.addEventListener('click', async () => {
 clearProfileCacheBtn.addEventListener('click', async () => {
   try {
     // 顯示確認對話框
-    const confirmed = confirm('確定要清除所有本機保存的用戶側寫資料嗎？\n\n此操作無法復原。');
+    const confirmed = confirm(I18n.t('sidepanelConfirmClearProfiles'));
 
     if (!confirmed) {
       console.log('[Sidepanel] 用戶取消清除側寫快取');
@@ -1139,11 +2152,11 @@ clearProfileCacheBtn.addEventListener('click', async () => {
     }
 
     console.log('[Sidepanel] 清除側寫快取按鈕被點擊');
-    updateStatus('正在清除側寫資料...', 'info');
+    updateStatus(I18n.t('sidepanelClearingProfiles'), 'info');
 
     // 禁用按鈕防止重複點擊
     clearProfileCacheBtn.disabled = true;
-    clearProfileCacheBtn.textContent = '清除中...';
+    clearProfileCacheBtn.textContent = I18n.t('sidepanelClearing');
 
     // 發送清除側寫快取請求
     const response = await chrome.runtime.sendMessage({
@@ -1151,65 +2164,151 @@ clearProfileCacheBtn.addEventListener('click', async () => {
     });
 
     if (response && response.success) {
-      updateStatus('側寫資料已清除', 'success');
+      updateStatus(I18n.t('sidepanelProfilesCleared'), 'success');
 
       // 更新側寫快取統計顯示
       await updateProfileCacheStats();
 
       // 清除當前用戶列表中的 profile 資料（保留其他資料）
-      currentGetUserListArray = currentGetUserListArray.map(user => ({
-        account: user.account,
-        region: user.region,
-        profile: null
-      }));
+      currentGetUserListArray = currentGetUserListArray.map(user => ({ ...user, profile: null }));
+      renderUserList();
 
       console.log('[Sidepanel] 側寫快取已清除，用戶列表已重置');
     } else {
-      updateStatus(`清除失敗: ${(response && response.error) || '未知錯誤'}`, 'error');
+      updateStatus(I18n.t('popupClearFailed', (response && response.error) || I18n.t('errorUnknown')), 'error');
     }
 
     // 恢復按鈕狀態
     clearProfileCacheBtn.disabled = false;
-    clearProfileCacheBtn.textContent = '清除';
+    clearProfileCacheBtn.textContent = I18n.t('popupClearButton');
 
   } catch (error) {
     console.error('[Sidepanel] 清除側寫快取錯誤:', error);
-    updateStatus(`清除側寫快取錯誤: ${error.message}`, 'error');
+    updateStatus(I18n.t('sidepanelClearProfileCacheError', error.message), 'error');
 
     // 恢復按鈕狀態
     clearProfileCacheBtn.disabled = false;
-    clearProfileCacheBtn.textContent = '清除';
+    clearProfileCacheBtn.textContent = I18n.t('popupClearButton');
   }
 });
 
+// ==================== 資料備份 ====================
+
+/**
+ * 下載文字檔
+ * @param {string} content - 檔案內容
+ * @param {string} filename - 檔名
+ * @param {string} mimeType - MIME 類型
+ */
+function downloadTextFile(content, filename, mimeType) {
+  const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * 匯出快取
+ * @param {string} format - 'json' 或 'csv'
+ */
+async function exportCache(format) {
+  try {
+    updateStatus(I18n.t('popupExporting'), 'info');
+    const response = await chrome.runtime.sendMessage({ action: 'exportCache', format });
+
+    if (response && response.success) {
+      downloadTextFile(response.content, response.filename, response.mimeType);
+      updateStatus(I18n.t('popupExported', response.count), 'success');
+    } else {
+      updateStatus(I18n.t('popupExportFailed', (response && response.error) || I18n.t('errorUnknown')), 'error');
+    }
+  } catch (error) {
+    console.error('[Sidepanel] 匯出快取錯誤:', error);
+    updateStatus(I18n.t('popupExportFailed', error.message), 'error');
+  }
+}
+
+/**
+ * 匯入備份檔（格式依副檔名判斷）
+ * @param {File} file - 使用者選擇的檔案
+ */
+async function importCacheFile(file) {
+  try {
+    updateStatus(I18n.t('popupImporting', file.name), 'info');
+    const content = await file.text();
+    const response = await chrome.runtime.sendMessage({
+      action: 'importCache',
+      format: /\.csv$/i.test(file.name) ? 'csv' : 'json',
+      content,
+      strategy: importStrategySelect.value
+    });
+
+    if (response && response.success) {
+      const { summary } = response;
+      contentOutput.value = `${I18n.t('popupImportDone', file.name)}\n` +
+        I18n.t('popupImportSummary', summary.added, summary.updated, summary.skipped, summary.userIds, summary.settings) +
+        (summary.settings > 0 ? `\n\n${I18n.t('sidepanelImportSettingsUpdated')}` : '');
+      updateStatus(I18n.t('popupImportDoneStatus'), 'success');
+      await updateCacheStats();
+      await updateProfileCacheStats();
+    } else {
+      const errors = (response && response.errors) || [];
+      contentOutput.value = I18n.t('popupImportFailedWithError', (response && response.error) || I18n.t('errorUnknown')) +
+        (errors.length > 0 ? `\n\n${errors.join('\n')}` : '');
+      updateStatus(I18n.t('popupImportRejected'), 'error');
+    }
+  } catch (error) {
+    console.error('[Sidepanel] 匯入快取錯誤:', error);
+    contentOutput.value = I18n.t('errorWithMessage', error.message);
+    updateStatus(I18n.t('popupImportFailed'), 'error');
+  }
+}
+
+exportJsonBtn.addEventListener('click', () => exportCache('json'));
+exportCsvBtn.addEventListener('click', () => exportCache('csv'));
+importCacheBtn.addEventListener('click', () => importFileInput.click());
+
+importFileInput.addEventListener('change', () => {
+  const file = importFileInput.files[0];
+  if (file) {
+    importCacheFile(file);
+  }
+  importFileInput.value = '';
+});
+
 // ==================== 手動偵測按鈕 ====================
 
-// 監聽手動偵測按鈕點擊，觸發 content.js 的 handlePageScroll
+// 監聽手動偵測按鈕點擊，觸發 content.js 的 refreshAllUserLabels
 manualDetectBtn.addEventListener('click', async () => {
   try {
     console.log('[Sidepanel] 手動偵測按鈕被點擊');
-    updateStatus('手動偵測中...', 'info');
+    updateStatus(I18n.t('sidepanelDetecting'), 'info');
 
     // 禁用按鈕防止重複點擊
     manualDetectBtn.disabled = true;
-    manualDetectBtn.textContent = '偵測中...';
+    manualDetectBtn.textContent = I18n.t('sidepanelDetectingButton');
 
     // 獲取當前活動標籤頁
     const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
 
     if (!tab) {
-      updateStatus('錯誤: 無法找到活動標籤頁', 'error');
+      updateStatus(I18n.t('sidepanelNoActiveTab'), 'error');
       manualDetectBtn.disabled = false;
-      manualDetectBtn.textContent = '手動加入標籤';
+      manualDetectBtn.textContent = I18n.t('sidepanelManualDetect');
       return;
     }
 
     // 檢查當前頁面是否為 threads.com
     if (!tab.url || !tab.url.includes('threads.com')) {
-      updateStatus('錯誤: 請先開啟 Threads 頁面', 'error');
-      contentOutput.value = '此工具僅適用於 threads.com 網站\n\n請先開啟 Threads 頁面，然後再點擊手動偵測按鈕。';
+      updateStatus(I18n.t('sidepanelOpenThreadsFirst'), 'error');
+      contentOutput.value = I18n.t('sidepanelThreadsOnly');
       manualDetectBtn.disabled = false;
-      manualDetectBtn.textContent = '手動加入標籤';
+      manualDetectBtn.textContent = I18n.t('sidepanelManualDetect');
       return;
     }
 
@@ -1229,46 +2328,88 @@ manualDetectBtn.addEventListener('click', async () => {
     }
 
     if (!contentScriptReady) {
-      updateStatus('錯誤: Content script 未載入', 'error');
-      contentOutput.value = 'Content script 尚未載入或未準備就緒\n\n可能的解決方法：\n1. 重新整理 Threads 頁面\n2. 關閉並重新開啟此側邊欄\n3. 重新載入擴充功能';
+      updateStatus(I18n.t('sidepanelContentScriptMissing'), 'error');
+      contentOutput.value = I18n.t('sidepanelContentScriptHelp');
       manualDetectBtn.disabled = false;
-      manualDetectBtn.textContent = '手動加入標籤';
+      manualDetectBtn.textContent = I18n.t('sidepanelManualDetect');
       return;
     }
 
-    // 發送消息給 content.js，觸發 handlePageScroll
+    // 發送消息給 content.js，觸發 refreshAllUserLabels
     const response = await chrome.tabs.sendMessage(tab.id, {
       action: 'sidepanelOpened'
     });
 
     if (response && response.success) {
       console.log('[Sidepanel] Content script 已收到手動偵測通知');
-      updateStatus('手動偵測完成', 'success');
+      updateStatus(I18n.t('sidepanelDetectDone'), 'success');
     } else {
-      updateStatus('手動偵測完成', 'info');
+      updateStatus(I18n.t('sidepanelDetectDone'), 'info');
     }
 
     // 恢復按鈕狀態
     manualDetectBtn.disabled = false;
-    manualDetectBtn.textContent = '手動加入標籤';
+    manualDetectBtn.textContent = I18n.t('sidepanelManualDetect');
 
   } catch (error) {
     console.error('[Sidepanel] 手動偵測錯誤:', error);
 
     // 根據錯誤類型提供更友好的提示
     if (error.message.includes('Could not establish connection')) {
-      updateStatus('錯誤: 無法連接到頁面', 'error');
-      contentOutput.value = '無法連接到當前頁面\n\n可能的原因：\n1. 當前頁面不是 threads.com\n2. Content script 尚未載入\n3. 頁面需要重新整理\n\n請嘗試：\n- 確認已開啟 Threads 頁面\n- 重新整理頁面\n- 重新開啟此側邊欄';
+      updateStatus(I18n.t('sidepanelCannotConnect'), 'error');
+      contentOutput.value = I18n.t('sidepanelCannotConnectHelp');
     } else {
-      updateStatus(`手動偵測錯誤: ${error.message}`, 'error');
+      updateStatus(I18n.t('sidepanelDetectError', error.message), 'error');
     }
 
     // 恢復按鈕狀態
     manualDetectBtn.disabled = false;
-    manualDetectBtn.textContent = '手動加入標籤';
+    manualDetectBtn.textContent = I18n.t('sidepanelManualDetect');
+  }
+});
+
+// ==================== 介面語言 ====================
+
+const languageSelect = document.getElementById('languageSelect');
+
+// 「跟隨瀏覽器」隨介面語言翻譯，各語言以該語言本身的寫法顯示
+[I18n.AUTO, ...I18n.LOCALES].forEach((language) => {
+  const option = document.createElement('option');
+  option.value = language;
+  if (language === I18n.AUTO) {
+    option.dataset.i18n = 'sidepanelLanguageAuto';
+  } else {
+    option.textContent = I18n.NATIVE_NAMES[language];
   }
+  languageSelect.appendChild(option);
+});
+
+chrome.storage.local.get([I18n.STORAGE_KEY], (result) => {
+  languageSelect.value = I18n.normalize(result[I18n.STORAGE_KEY]);
+});
+
+// 儲存後 popup、sidepanel、background 與各分頁的 content script 會透過 storage.onChanged 切換語言
+languageSelect.addEventListener('change', () => {
+  const language = I18n.normalize(languageSelect.value);
+  chrome.storage.local.set({ [I18n.STORAGE_KEY]: language }, () => {
+    console.log('[Sidepanel] 介面語言已更新:', language);
+  });
+});
+
+// 語言切換後重新翻譯頁面（data-i18n 標記的元素）與程式產生的文字
+I18n.onChange(() => {
+  I18n.translateDocument();
+  renderColorRules();
+  renderTaxonomy();
+  updateLLMProviderUI();
+  updateCacheStats();
+  renderUserList();
 });
 
+// 先以瀏覽器語言翻譯，載入選擇的語言後再重新翻譯
+I18n.translateDocument();
+I18n.init();
+
 // ==================== Sidepanel 初始化 ====================
 
 // 建立與 background.js 的持久連接，用於偵測 sidepanel 關閉
@@ -1276,7 +2417,7 @@ manualDetectBtn.addEventListener('click', async () => {
 const sidepanelPort = chrome.runtime.connect({ name: 'sidepanel' });
 console.log('[Sidepanel] 已建立與 background 的持久連接');
 
-// 當 sidepanel 開啟時，通知 content.js 執行 handlePageScroll
+// 當 sidepanel 開啟時，通知 content.js 執行 refreshAllUserLabels
 (async () => {
   try {
     console.log('[Sidepanel] Sidepanel 已開啟，通知 content.js 執行更新');
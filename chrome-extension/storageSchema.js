@@ -0,0 +1,468 @@
+/**
+ * 本機儲存結構定義 - 用戶資料紀錄的統一格式
+ * Service Worker（importScripts）、content script、popup 與 sidepanel 共用
+ *
+ * chrome.storage.local 儲存鍵：
+ * - schemaVersion: 目前的儲存結構版本（由 background.js 的遷移流程維護）
+ * - userIdCache:   { username: userId }，API 攔截查詢用的 user ID 對照
+ * - cacheTtlHours: { confirmed, undisclosed, error, profile }，各類結果的快取有效期限（小時）
+ * - colorRules:    標籤顏色規則列表（格式見 colorRules.js）
+ * - profileTaxonomy: 側寫標籤分類與提示詞範本（格式見 profileTaxonomy.js）
+ * - labelDisplayMode: 頁面標籤的顯示方式（full / compact / hover）
+ * - newUserMonths: 新用戶門檻（幾個月內加入視為新用戶，見 dateUtils.js）
+ * - language:      介面語言（auto 或 _locales 的語言代碼，見 i18n.js）
+ * - llmSettings:   側寫分析使用的 LLM 供應商、端點與模型（見 llmProviders.js）
+ * - openaiApiKey / anthropicApiKey: 各供應商的 API Key（個人憑證，不納入備份）
+ * 用戶紀錄（UserRecord，每位用戶一筆：地區 + 側寫）存放於 IndexedDB，見 userStore.js
+ *
+ * 版本歷史：
+ * - v1: regionCache { region, joined, timestamp, source? } 與 profileCache { profile: "標籤:理由,...", timestamp } 分開儲存
+ * - v2: 合併為 chrome.storage.local 的 userCache，側寫改存為 [{ tag, reason }] 陣列
+ * - v3: userCache 移至 IndexedDB，每位用戶獨立一筆紀錄
+ * - v4: 查詢失敗改記為「查詢失敗」並保存原因與重試資訊，不再混入「未揭露」
+ */
+
+// ==================== 結構版本與鍵名 ====================
+const SCHEMA_VERSION = 4;
+const SCHEMA_VERSION_KEY = 'schemaVersion';
+const USER_CACHE_KEY = 'userCache'; // v2 的用戶紀錄鍵名，v3 起僅供遷移使用
+const USER_ID_CACHE_KEY = 'userIdCache';
+
+const CACHE_TTL_KEY = 'cacheTtlHours';
+const LABEL_DISPLAY_MODE_KEY = 'labelDisplayMode';
+const NEW_USER_MONTHS_KEY = 'newUserMonths';
+const LLM_SETTINGS_KEY = 'llmSettings';
+const LEGACY_USE_LOCAL_LLM_KEY = 'useLocalLLM'; // v1.0.27 以前只能切換 OpenAI 與 Chrome 內建模型
+
+// ==================== 快取有效期限 ====================
+
+// 各類結果的預設有效期限（小時）
+const DEFAULT_CACHE_TTL_HOURS = {
+  confirmed: 90 * 24,  // 已確認的地區：所在地很少變動
+  undisclosed: 24,     // 未揭露：用戶之後可能公開所在地
+  error: 1,            // 查詢失敗：分頁逾時、content script 未載入等，稍後重試
+  profile: 14 * 24     // 側寫：發文內容變化比所在地快
+};
+
+const CACHE_TTL_MAX_HOURS = 365 * 24;
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * 正規化有效期限設定（缺少或不合法的項目使用預設值，範圍 1 小時 ~ 365 天）
+ * @param {Object} value - 使用者設定（可選）
+ * @returns {{confirmed: number, undisclosed: number, error: number, profile: number}} 各類結果的有效期限（小時）
+ */
+function normalizeCacheTtl(value = {}) {
+  const ttl = {};
+  for (const type in DEFAULT_CACHE_TTL_HOURS) {
+    const hours = Math.round(Number(value && value[type]));
+    ttl[type] = Number.isFinite(hours) && hours >= 1
+      ? Math.min(hours, CACHE_TTL_MAX_HOURS)
+      : DEFAULT_CACHE_TTL_HOURS[type];
+  }
+  return ttl;
+}
+
+// ==================== 標籤顯示方式 ====================
+
+// full = 完整文字、compact = 旗幟與側寫圓點、hover = 滑鼠移到用戶名稱時才顯示
+const LABEL_DISPLAY_MODES = ['full', 'compact', 'hover'];
+const DEFAULT_LABEL_DISPLAY_MODE = 'full';
+
+/**
+ * 正規化標籤顯示方式（不合法時使用預設的完整文字）
+ * @param {string} value - 使用者設定
+ * @returns {string} LABEL_DISPLAY_MODES 之一
+ */
+function normalizeLabelDisplayMode(value) {
+  return LABEL_DISPLAY_MODES.includes(value) ? value : DEFAULT_LABEL_DISPLAY_MODE;
+}
+
+// ==================== 新用戶門檻 ====================
+
+const DEFAULT_NEW_USER_MONTHS = 2;
+const NEW_USER_MAX_MONTHS = 12;
+
+/**
+ * 正規化新用戶門檻（不合法時使用預設值，範圍 1 ~ 12 個月）
+ * @param {number} value - 使用者設定（月）
+ * @returns {number} 月份門檻
+ */
+function normalizeNewUserMonths(value) {
+  const months = Math.round(Number(value));
+  return Number.isFinite(months) && months >= 1
+    ? Math.min(months, NEW_USER_MAX_MONTHS)
+    : DEFAULT_NEW_USER_MONTHS;
+}
+
+// ==================== LLM 設定 ====================
+
+// 側寫分析可用的 LLM 供應商（轉接器見 llmProviders.js）
+// - chrome:    Chrome 內建模型（Prompt API，本機執行）
+// - openai:    OpenAI 相容的 Chat Completions API，可改端點指向 Ollama、llama.cpp 等本機伺服器
+// - anthropic: Anthropic Messages API
+const LLM_PROVIDERS = ['chrome', 'openai', 'anthropic'];
+
+// 需要端點與模型的供應商的預設值
+const DEFAULT_LLM_SETTINGS = {
+  provider: 'openai',
+  openai: { baseUrl: 'https://api.openai.com/v1', model: 'gpt-4o-mini' },
+  anthropic: { baseUrl: 'https://api.anthropic.com/v1', model: 'claude-3-5-haiku-latest' }
+};
+
+// 各供應商的 API Key 儲存鍵（chrome 不需要）
+const LLM_API_KEY_KEYS = {
+  openai: 'openaiApiKey',
+  anthropic: 'anthropicApiKey'
+};
+
+/**
+ * 正規化 LLM 設定（未知的供應商使用預設；空白或不是 http(s) 的端點、空白的模型使用該供應商的預設值）
+ * @param {Object} value - 使用者設定 { provider, openai: { baseUrl, model }, anthropic: { baseUrl, model } }
+ * @param {boolean} [useLocalLLM] - 舊版的 useLocalLLM 設定，尚未儲存 llmSettings 時決定供應商
+ * @returns {Object} 完整的 LLM 設定
+ */
+function normalizeLlmSettings(value, useLocalLLM = false) {
+  const settings = value && typeof value === 'object' ? value : {};
+  const normalized = {
+    provider: LLM_PROVIDERS.includes(settings.provider)
+      ? settings.provider
+      : (useLocalLLM === true ? 'chrome' : DEFAULT_LLM_SETTINGS.provider)
+  };
+
+  for (const provider of Object.keys(LLM_API_KEY_KEYS)) {
+    const config = settings[provider] && typeof settings[provider] === 'object' ? settings[provider] : {};
+    const baseUrl = typeof config.baseUrl === 'string' ? config.baseUrl.trim().replace(/\/+$/, '') : '';
+    const model = typeof config.model === 'string' ? config.model.trim() : '';
+    normalized[provider] = {
+      baseUrl: /^https?:\/\/[^/]+/.test(baseUrl) ? baseUrl : DEFAULT_LLM_SETTINGS[provider].baseUrl,
+      model: model || DEFAULT_LLM_SETTINGS[provider].model
+    };
+  }
+  return normalized;
+}
+
+// ==================== 查詢失敗 ====================
+
+// 查詢失敗時記錄的地區值（與「未揭露」區分：未揭露是用戶未公開，查詢失敗是擴充功能沒取得資料）
+const QUERY_FAILED_REGION = '查詢失敗';
+
+// 失敗原因代碼與說明
+const QUERY_ERROR_REASONS = {
+  timeout: '頁面載入或 API 回應逾時',
+  content_script_missing: '查詢分頁未載入擴充功能',
+  dom_not_found: '找不到「About this profile」選單',
+  rate_limited: '被 Threads 暫時限制查詢頻率',
+  parse_failure: '無法解析個人資料回應',
+  unknown: '未知錯誤'
+};
+
+// 連續失敗時，重試間隔以查詢失敗的有效期限為基準倍增，最多 32 倍
+const QUERY_ERROR_MAX_BACKOFF_STEPS = 5;
+
+/**
+ * 建立帶有失敗原因的錯誤
+ * @param {string} reason - QUERY_ERROR_REASONS 的代碼
+ * @param {string} message - 錯誤訊息（可選，預設使用原因說明）
+ * @returns {Error} error.reason 為原因代碼
+ */
+function createQueryError(reason, message) {
+  const error = new Error(message || getQueryErrorLabel(reason));
+  error.reason = reason;
+  return error;
+}
+
+/**
+ * 取得失敗原因的說明文字
+ * @param {string} reason - 原因代碼
+ * @returns {string}
+ */
+function getQueryErrorLabel(reason) {
+  return QUERY_ERROR_REASONS[reason] || QUERY_ERROR_REASONS.unknown;
+}
+
+/**
+ * 計算下次重試前的等待時間（連續失敗次數越多等越久）
+ * @param {number} errorCount - 連續失敗次數（含本次）
+ * @param {Object} ttl - 有效期限設定（小時，見 normalizeCacheTtl）
+ * @returns {number} 毫秒
+ */
+function getRetryDelayMs(errorCount, ttl = DEFAULT_CACHE_TTL_HOURS) {
+  const steps = Math.min(Math.max(errorCount, 1) - 1, QUERY_ERROR_MAX_BACKOFF_STEPS);
+  return ttl.error * HOUR_MS * Math.pow(2, steps);
+}
+
+/**
+ * 取出紀錄中的查詢失敗資訊（供標籤顯示失敗原因與下次重試時間）
+ * @param {UserRecord} record
+ * @returns {{reason: string, message: string|null, retryAt: number|null}|null} 非查詢失敗時返回 null
+ */
+function getQueryErrorInfo(record) {
+  if (!record || record.region !== QUERY_FAILED_REGION) return null;
+  return {
+    reason: record.error || 'unknown',
+    message: record.errorMessage || null,
+    retryAt: record.retryAt || null
+  };
+}
+
+// ==================== 用戶紀錄 ====================
+
+/**
+ * @typedef {Object} ProfileTag
+ * @property {string} tag - 標籤
+ * @property {string} reason - 判斷理由（可為空字串）
+ * @property {ProfileEvidence[]} evidence - 支持判斷的原文引述（舊資料為空陣列）
+ * @property {number|null} confidence - 信心程度 0 ~ 1（舊資料為 null）
+ */
+
+/**
+ * @typedef {Object} ProfileEvidence
+ * @property {string} quote - 引述的原文
+ * @property {string|null} postId - 引述的貼文代碼（網址 /post/ 後的部分，未知時為 null）
+ * @property {string|null} url - 貼文網址
+ * @property {string|null} postedAt - 貼文時間（ISO 8601）
+ */
+
+/**
+ * @typedef {Object} UserRecord
+ * @property {string|null} region - 正規化後的地區名稱（英文）、「未揭露」或「查詢失敗」
+ * @property {string|null} regionCode - ISO 3166-1 二碼
+ * @property {string|null} joined - 加入日期（原始文字）
+ * @property {boolean|null} verified - 是否通過 Meta 驗證（null = 未知）
+ * @property {string|null} verifiedDate - Meta 驗證日期（原始文字）
+ * @property {string[]|null} formerUsernames - 先前的用戶名稱（不含 @ 符號；[] = 未曾改名，null = 未知）
+ * @property {string|null} displayName - 顯示名稱
+ * @property {string|null} profileImage - 大頭貼網址
+ * @property {ProfileTag[]|null} profileTags - 側寫標籤（null = 尚未分析）
+ * @property {string|null} source - 地區資料來源（api、api_intercept、tab）
+ * @property {string|null} error - 查詢失敗原因代碼（見 QUERY_ERROR_REASONS，null = 查詢成功）
+ * @property {string|null} errorMessage - 查詢失敗的詳細訊息
+ * @property {number|null} errorCount - 連續查詢失敗次數
+ * @property {number|null} retryAt - 查詢失敗後可重試的時間（在此之前沿用失敗結果，不重新查詢）
+ * @property {number|null} fetchedAt - 地區資料取得時間
+ * @property {number|null} profileFetchedAt - 側寫分析時間
+ */
+
+/**
+ * 建立完整的用戶紀錄（缺少的欄位補 null）
+ * @param {Object} fields - 部分欄位
+ * @returns {UserRecord}
+ */
+function createUserRecord(fields = {}) {
+  return {
+    region: fields.region ?? null,
+    regionCode: fields.regionCode ?? null,
+    joined: fields.joined ?? null,
+    verified: typeof fields.verified === 'boolean' ? fields.verified : null,
+    verifiedDate: fields.verifiedDate ?? null,
+    formerUsernames: Array.isArray(fields.formerUsernames) ? fields.formerUsernames : null,
+    displayName: fields.displayName ?? null,
+    profileImage: fields.profileImage ?? null,
+    profileTags: Array.isArray(fields.profileTags) ? fields.profileTags : null,
+    source: fields.source ?? null,
+    error: fields.error ?? null,
+    errorMessage: fields.errorMessage ?? null,
+    errorCount: fields.errorCount ?? null,
+    retryAt: fields.retryAt ?? null,
+    fetchedAt: fields.fetchedAt ?? null,
+    profileFetchedAt: fields.profileFetchedAt ?? null
+  };
+}
+
+/**
+ * 驗證大頭貼網址
+ * 只接受 Instagram / Threads CDN 的 https 網址（匯入的資料與資料卡都會經過這裡，避免載入其他網站的圖片）
+ * @param {*} url - 大頭貼網址
+ * @returns {string|null} 不合法時返回 null
+ */
+function normalizeProfileImage(url) {
+  return typeof url === 'string' && /^https:\/\/([a-z0-9-]+\.)*(cdninstagram\.com|fbcdn\.net)\//i.test(url) ? url : null;
+}
+
+/**
+ * 清除紀錄中的地區欄位（保留側寫）
+ * @param {UserRecord} record
+ */
+function clearRegionFields(record) {
+  record.region = null;
+  record.regionCode = null;
+  record.joined = null;
+  record.verified = null;
+  record.verifiedDate = null;
+  record.formerUsernames = null;
+  record.displayName = null;
+  record.profileImage = null;
+  record.source = null;
+  record.error = null;
+  record.errorMessage = null;
+  record.errorCount = null;
+  record.retryAt = null;
+  record.fetchedAt = null;
+}
+
+/**
+ * 清除紀錄中的側寫欄位（保留地區）
+ * @param {UserRecord} record
+ */
+function clearProfileFields(record) {
+  record.profileTags = null;
+  record.profileFetchedAt = null;
+}
+
+/**
+ * 紀錄是否已無任何資料（可直接刪除）
+ * @param {UserRecord} record
+ * @returns {boolean}
+ */
+function isEmptyRecord(record) {
+  return !record || (record.region === null && record.profileTags === null);
+}
+
+/**
+ * 判斷地區結果的類型（決定套用哪一種有效期限）
+ * @param {UserRecord} record
+ * @returns {string} 'confirmed'、'undisclosed' 或 'error'
+ */
+function getRegionResultType(record) {
+  if (record.region === QUERY_FAILED_REGION) return 'error';
+  if (record.region === '未揭露') return 'undisclosed';
+  return 'confirmed';
+}
+
+/**
+ * 地區資料是否仍在有效期內
+ * @param {UserRecord} record
+ * @param {number} now - 目前時間（預設 Date.now()）
+ * @param {Object} ttl - 有效期限設定（小時，見 normalizeCacheTtl）
+ * @returns {boolean}
+ */
+function isRegionFresh(record, now = Date.now(), ttl = DEFAULT_CACHE_TTL_HOURS) {
+  if (!record || record.region === null) return false;
+  // 查詢失敗在寫入時就決定重試時間（含連續失敗的倍增間隔）
+  if (record.region === QUERY_FAILED_REGION && record.retryAt) return now < record.retryAt;
+  return now - (record.fetchedAt || 0) < ttl[getRegionResultType(record)] * HOUR_MS;
+}
+
+/**
+ * 側寫資料是否仍在有效期內
+ * @param {UserRecord} record
+ * @param {number} now - 目前時間（預設 Date.now()）
+ * @param {Object} ttl - 有效期限設定（小時，見 normalizeCacheTtl）
+ * @returns {boolean}
+ */
+function isProfileFresh(record, now = Date.now(), ttl = DEFAULT_CACHE_TTL_HOURS) {
+  return !!record && record.profileTags !== null && now - (record.profileFetchedAt || 0) < ttl.profile * HOUR_MS;
+}
+
+// ==================== 側寫標籤轉換 ====================
+
+/**
+ * 解析側寫標籤
+ * 支援 ProfileTag 陣列（LLM 的結構化輸出）與舊格式字串 "標籤1:理由1,標籤2:理由2"（支援全形冒號）
+ * @param {string|ProfileTag[]} profile - 側寫資料
+ * @returns {ProfileTag[]|null} 標籤陣列，無資料時返回 null
+ */
+function parseProfileTags(profile) {
+  if (Array.isArray(profile)) {
+    return profile
+      .filter(item => item && item.tag)
+      .map(item => createProfileTag(item.tag, item.reason, item.evidence, item.confidence));
+  }
+  if (!profile || typeof profile !== 'string') return null;
+
+  return profile.split(',').map(entry => {
+    const trimmed = entry.trim();
+    const colonIndex = trimmed.indexOf(':') !== -1 ? trimmed.indexOf(':') : trimmed.indexOf('：');
+    if (colonIndex > 0) {
+      return createProfileTag(trimmed.substring(0, colonIndex), trimmed.substring(colonIndex + 1));
+    }
+    return createProfileTag(trimmed);
+  }).filter(item => item.tag);
+}
+
+/**
+ * 建立正規化的側寫標籤
+ * @param {string} tag - 標籤
+ * @param {string} [reason] - 判斷理由
+ * @param {Array<ProfileEvidence|string>} [evidence] - 原文引述（字串視為沒有來源貼文的引述）
+ * @param {number} [confidence] - 信心程度（0 ~ 1，其他值視為未知）
+ * @returns {ProfileTag}
+ */
+function createProfileTag(tag, reason, evidence, confidence) {
+  return {
+    tag: String(tag).trim(),
+    reason: reason ? String(reason).trim() : '',
+    evidence: Array.isArray(evidence) ? evidence.map(createProfileEvidence).filter(Boolean) : [],
+    confidence: typeof confidence === 'number' && confidence >= 0 && confidence <= 1 ? confidence : null
+  };
+}
+
+/**
+ * 建立正規化的原文引述
+ * @param {ProfileEvidence|string} item - 引述（字串視為沒有來源貼文的引述）
+ * @returns {ProfileEvidence|null} 沒有引述內容時返回 null
+ */
+function createProfileEvidence(item) {
+  const source = typeof item === 'string' ? { quote: item } : item;
+  if (!source || typeof source.quote !== 'string' || !source.quote.trim()) return null;
+  return {
+    quote: source.quote.trim(),
+    postId: typeof source.postId === 'string' && source.postId ? source.postId : null,
+    // 只接受 Threads 的網址（匯入的資料也會經過這裡，避免資料卡出現其他網站的連結）
+    url: typeof source.url === 'string' && /^https:\/\/(www\.)?threads\.(com|net)\//.test(source.url) ? source.url : null,
+    postedAt: typeof source.postedAt === 'string' && source.postedAt ? source.postedAt : null
+  };
+}
+
+/**
+ * 將側寫標籤轉為顯示用字串 "標籤1:理由1,標籤2:理由2"（只用於文字輸出與記錄，不含引述與信心程度）
+ * @param {ProfileTag[]|null} tags - 標籤陣列
+ * @returns {string|null} 字串，無資料時返回 null
+ */
+function formatProfileTags(tags) {
+  if (!Array.isArray(tags)) return null;
+  return tags.map(item => item.reason ? `${item.tag}:${item.reason}` : item.tag).join(',');
+}
+
+// 暴露給全域（content script / 擴充頁面中 self 即 window；Service Worker 中為全域 scope）
+self.StorageSchema = {
+  SCHEMA_VERSION: SCHEMA_VERSION,
+  SCHEMA_VERSION_KEY: SCHEMA_VERSION_KEY,
+  USER_CACHE_KEY: USER_CACHE_KEY,
+  USER_ID_CACHE_KEY: USER_ID_CACHE_KEY,
+  QUERY_FAILED_REGION: QUERY_FAILED_REGION,
+  QUERY_ERROR_REASONS: QUERY_ERROR_REASONS,
+  CACHE_TTL_KEY: CACHE_TTL_KEY,
+  DEFAULT_CACHE_TTL_HOURS: DEFAULT_CACHE_TTL_HOURS,
+  normalizeCacheTtl: normalizeCacheTtl,
+  LABEL_DISPLAY_MODE_KEY: LABEL_DISPLAY_MODE_KEY,
+  LABEL_DISPLAY_MODES: LABEL_DISPLAY_MODES,
+  normalizeLabelDisplayMode: normalizeLabelDisplayMode,
+  NEW_USER_MONTHS_KEY: NEW_USER_MONTHS_KEY,
+  DEFAULT_NEW_USER_MONTHS: DEFAULT_NEW_USER_MONTHS,
+  NEW_USER_MAX_MONTHS: NEW_USER_MAX_MONTHS,
+  normalizeNewUserMonths: normalizeNewUserMonths,
+  LLM_SETTINGS_KEY: LLM_SETTINGS_KEY,
+  LEGACY_USE_LOCAL_LLM_KEY: LEGACY_USE_LOCAL_LLM_KEY,
+  LLM_PROVIDERS: LLM_PROVIDERS,
+  DEFAULT_LLM_SETTINGS: DEFAULT_LLM_SETTINGS,
+  LLM_API_KEY_KEYS: LLM_API_KEY_KEYS,
+  normalizeLlmSettings: normalizeLlmSettings,
+  createQueryError: createQueryError,
+  getQueryErrorLabel: getQueryErrorLabel,
+  getRetryDelayMs: getRetryDelayMs,
+  getQueryErrorInfo: getQueryErrorInfo,
+  createUserRecord: createUserRecord,
+  normalizeProfileImage: normalizeProfileImage,
+  clearRegionFields: clearRegionFields,
+  clearProfileFields: clearProfileFields,
+  isEmptyRecord: isEmptyRecord,
+  getRegionResultType: getRegionResultType,
+  isRegionFresh: isRegionFresh,
+  isProfileFresh: isProfileFresh,
+  parseProfileTags: parseProfileTags,
+  createProfileTag: createProfileTag,
+  createProfileEvidence: createProfileEvidence,
+  formatProfileTags: formatProfileTags
+};
@@ -0,0 +1,74 @@
+/**
+ * 用戶列表篩選與排序 - 側邊欄用戶列表的加入時間 / 帳號篩選、地區分類與排序方式
+ * 只在 Sidepanel 使用（sidepanel.html 於 sidepanel.js 之前載入），依賴 dateUtils.js、storageSchema.js、i18n.js
+ *
+ * 列表項目（currentGetUserListArray 的項目）：
+ * { account, region, profile, joined, verified, formerUsernames, fetchedAt }
+ */
+
+// 加入時間篩選條件（分級與頁面標籤的帳號年齡徽章相同，見 DateUtils.getAccountAgeBadge）
+const JOINED_FILTERS = {
+  all: () => true,
+  new: (joined) => DateUtils.isNewUser(joined),
+  recent: (joined) => DateUtils.isNewUser(joined, DateUtils.ACCOUNT_AGE_RECENT_MONTHS),
+  veteran: (joined) => DateUtils.parseJoinedDate(joined) !== null && !DateUtils.isNewUser(joined, DateUtils.ACCOUNT_AGE_VETERAN_MONTHS),
+  unknown: (joined) => DateUtils.parseJoinedDate(joined) === null
+};
+
+// 帳號篩選條件（改名紀錄與 Meta 驗證來自 API 查詢，開分頁查詢的用戶沒有這些資料）
+const ACCOUNT_FILTERS = {
+  all: () => true,
+  renamed: (user) => Array.isArray(user.formerUsernames) && user.formerUsernames.length > 0,
+  verified: (user) => user.verified === true
+};
+
+// 地區排序時未揭露、查詢失敗與待查詢排在已確認的地區之後
+const REGION_SORT_RANKS = { undisclosed: 1, error: 2, pending: 3 };
+
+// 排序方式（未列出的 page = 頁面上的順序）；同值時維持頁面順序，沒有資料的用戶排在最後
+const USER_SORTERS = {
+  region: (a, b) => getRegionSortRank(a) - getRegionSortRank(b) ||
+    (I18n.getRegionName(a.region) || '').localeCompare(I18n.getRegionName(b.region) || '', document.documentElement.lang),
+  joined: (a, b) => compareNewestFirst(getJoinedTime(a), getJoinedTime(b)),
+  fetched: (a, b) => compareNewestFirst(a.fetchedAt, b.fetchedAt)
+};
+
+/**
+ * 取得用戶的地區分類（地區篩選與各地區計數使用）
+ * @param {Object} user - 列表項目
+ * @returns {string} pending、undisclosed、error 或 region:地區代碼
+ */
+function getUserRegionKey(user) {
+  if (!user.region) return 'pending';
+  const type = StorageSchema.getRegionResultType(user);
+  if (type !== 'confirmed') return type;
+  return `region:${RegionUtils.getRegionCode(user.region) || user.region}`;
+}
+
+function getRegionSortRank(user) {
+  return REGION_SORT_RANKS[getUserRegionKey(user)] || 0;
+}
+
+function getJoinedTime(user) {
+  const date = DateUtils.parseJoinedDate(user.joined);
+  return date ? date.getTime() : null;
+}
+
+// 由新到舊比較時間（沒有時間的排在最後）
+function compareNewestFirst(a, b) {
+  if (!a || !b) return (a ? 0 : 1) - (b ? 0 : 1);
+  return b - a;
+}
+
+function getUserTags(user) {
+  return (StorageSchema.parseProfileTags(user.profile) || []).map(item => item.tag);
+}
+
+// 暴露給全域（Sidepanel 使用）
+self.UserListFilters = {
+  JOINED_FILTERS: JOINED_FILTERS,
+  ACCOUNT_FILTERS: ACCOUNT_FILTERS,
+  USER_SORTERS: USER_SORTERS,
+  getUserRegionKey: getUserRegionKey,
+  getUserTags: getUserTags
+};
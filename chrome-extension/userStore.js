@@ -0,0 +1,262 @@
+/**
+ * 用戶紀錄儲存 - 以 IndexedDB 保存每位用戶一筆紀錄
+ * 僅在 Service Worker 中使用（background.js 以 importScripts 載入）
+ * content script、popup 與 sidepanel 需透過訊息向 background 讀寫
+ *
+ * Object store：users（keyPath: username）
+ * 索引：region、fetchedAt（地區資料取得時間）、profileFetchedAt（側寫分析時間）、source
+ * 欄位值為 null 的紀錄不會出現在對應索引中，可直接用索引計算「有地區 / 有側寫」的筆數
+ */
+
+// ==================== 資料庫配置 ====================
+const USER_DB_NAME = 'threadsGeoTag';
+const USER_DB_VERSION = 1;
+const USER_STORE_NAME = 'users';
+
+let userDbPromise = null;
+
+/**
+ * 開啟資料庫（同一個 Service Worker 生命週期內共用連線）
+ * @returns {Promise<IDBDatabase>}
+ */
+function openUserDb() {
+  if (userDbPromise) return userDbPromise;
+
+  userDbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(USER_DB_NAME, USER_DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(USER_STORE_NAME)) {
+        const store = db.createObjectStore(USER_STORE_NAME, { keyPath: 'username' });
+        store.createIndex('region', 'region');
+        store.createIndex('fetchedAt', 'fetchedAt');
+        store.createIndex('profileFetchedAt', 'profileFetchedAt');
+        store.createIndex('source', 'source');
+      }
+    };
+
+    request.onsuccess = () => {
+      const db = request.result;
+      // 其他連線要升級資料庫時釋放連線，下次使用時重新開啟
+      db.onversionchange = () => {
+        db.close();
+        userDbPromise = null;
+      };
+      resolve(db);
+    };
+
+    request.onerror = () => {
+      userDbPromise = null;
+      reject(request.error);
+    };
+  });
+
+  return userDbPromise;
+}
+
+/**
+ * 在單一交易中執行操作
+ * callback 必須同步發出請求（IndexedDB 交易在事件迴圈閒置時會自動提交）
+ * @param {IDBTransactionMode} mode - 'readonly' 或 'readwrite'
+ * @param {Function} callback - (store, setResult) => void
+ * @returns {Promise<*>} 交易完成後返回 setResult 設定的值
+ */
+async function runUserTransaction(mode, callback) {
+  const db = await openUserDb();
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(USER_STORE_NAME, mode);
+    let result;
+
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('交易已中止'));
+
+    callback(tx.objectStore(USER_STORE_NAME), (value) => {
+      result = value;
+    });
+  });
+}
+
+/**
+ * 將資料庫中的值轉為用戶紀錄（去除 keyPath 欄位）
+ * @param {Object|undefined} value - 資料庫中的值
+ * @returns {UserRecord|null}
+ */
+function toUserRecord(value) {
+  return value ? StorageSchema.createUserRecord(value) : null;
+}
+
+// ==================== 讀取 ====================
+
+/**
+ * 讀取單一用戶紀錄
+ * @param {string} username - 用戶帳號（不含 @ 符號）
+ * @returns {Promise<UserRecord|null>}
+ */
+function getUserRecord(username) {
+  return runUserTransaction('readonly', (store, setResult) => {
+    const request = store.get(username);
+    request.onsuccess = () => setResult(toUserRecord(request.result));
+  });
+}
+
+/**
+ * 批次讀取多位用戶紀錄（單一交易）
+ * @param {string[]} usernames - 用戶帳號列表（不含 @ 符號）
+ * @returns {Promise<Object>} { username: UserRecord }，找不到的用戶不會出現在結果中
+ */
+function getUserRecords(usernames) {
+  return runUserTransaction('readonly', (store, setResult) => {
+    const records = {};
+    setResult(records);
+
+    for (const username of new Set(usernames)) {
+      const request = store.get(username);
+      request.onsuccess = () => {
+        if (request.result) {
+          records[username] = toUserRecord(request.result);
+        }
+      };
+    }
+  });
+}
+
+/**
+ * 讀取所有用戶紀錄，可指定索引只取該欄位有值的紀錄
+ * @param {string} indexName - 索引名稱（可選）
+ * @returns {Promise<Object>} { username: UserRecord }
+ */
+function getAllUserRecords(indexName = null) {
+  return runUserTransaction('readonly', (store, setResult) => {
+    const source = indexName ? store.index(indexName) : store;
+    const request = source.getAll();
+    request.onsuccess = () => {
+      const records = {};
+      for (const value of request.result) {
+        records[value.username] = toUserRecord(value);
+      }
+      setResult(records);
+    };
+  });
+}
+
+/**
+ * 計算索引中符合範圍的紀錄數
+ * @param {string} indexName - 索引名稱
+ * @param {IDBKeyRange} range - 範圍（可選，省略時計算該欄位有值的所有紀錄）
+ * @returns {Promise<number>}
+ */
+function countUserRecords(indexName, range = undefined) {
+  return runUserTransaction('readonly', (store, setResult) => {
+    const request = store.index(indexName).count(range);
+    request.onsuccess = () => setResult(request.result);
+  });
+}
+
+// ==================== 寫入 ====================
+
+/**
+ * 原子更新單一用戶紀錄（讀取與寫入在同一交易中完成，並行寫入不會互相覆蓋）
+ * @param {string} username - 用戶帳號（不含 @ 符號）
+ * @param {Function} updater - (record|null) => UserRecord|null，返回 null 表示刪除紀錄
+ * @returns {Promise<UserRecord|null>} 更新後的紀錄
+ */
+function upsertUserRecord(username, updater) {
+  return runUserTransaction('readwrite', (store, setResult) => {
+    const request = store.get(username);
+    request.onsuccess = () => {
+      const existing = toUserRecord(request.result);
+      const next = updater(existing);
+
+      if (next) {
+        store.put({ ...StorageSchema.createUserRecord(next), username: username });
+      } else if (existing) {
+        store.delete(username);
+      }
+      setResult(next || null);
+    };
+  });
+}
+
+/**
+ * 原子批次更新多位用戶紀錄（單一交易，用於匯入合併）
+ * @param {string[]} usernames - 用戶帳號列表（不含 @ 符號）
+ * @param {Function} updater - (username, record|null) => UserRecord|null|undefined
+ *                             返回 null 表示刪除紀錄，undefined 表示不變更
+ * @returns {Promise<void>}
+ */
+function upsertUserRecords(usernames, updater) {
+  return runUserTransaction('readwrite', (store) => {
+    for (const username of new Set(usernames)) {
+      const request = store.get(username);
+      request.onsuccess = () => {
+        const existing = toUserRecord(request.result);
+        const next = updater(username, existing);
+
+        if (next) {
+          store.put({ ...StorageSchema.createUserRecord(next), username: username });
+        } else if (next === null && existing) {
+          store.delete(username);
+        }
+      };
+    }
+  });
+}
+
+/**
+ * 逐筆更新所有用戶紀錄（單一交易）
+ * @param {Function} updater - (record) => UserRecord|null，返回 null 表示刪除紀錄
+ * @returns {Promise<{updated: number, deleted: number}>}
+ */
+function updateAllUserRecords(updater) {
+  return runUserTransaction('readwrite', (store, setResult) => {
+    const counts = { updated: 0, deleted: 0 };
+    setResult(counts);
+
+    const request = store.openCursor();
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return;
+
+      const next = updater(toUserRecord(cursor.value));
+      if (next) {
+        cursor.update({ ...StorageSchema.createUserRecord(next), username: cursor.key });
+        counts.updated++;
+      } else {
+        cursor.delete();
+        counts.deleted++;
+      }
+      cursor.continue();
+    };
+  });
+}
+
+/**
+ * 批次寫入用戶紀錄（覆蓋同名紀錄，用於匯入）
+ * @param {Object} records - { username: UserRecord }
+ * @returns {Promise<number>} 寫入筆數
+ */
+function putUserRecords(records) {
+  return runUserTransaction('readwrite', (store, setResult) => {
+    let count = 0;
+    for (const username in records) {
+      store.put({ ...StorageSchema.createUserRecord(records[username]), username: username });
+      count++;
+    }
+    setResult(count);
+  });
+}
+
+// 暴露給全域（Service Worker 使用）
+self.UserStore = {
+  getUserRecord: getUserRecord,
+  getUserRecords: getUserRecords,
+  getAllUserRecords: getAllUserRecords,
+  countUserRecords: countUserRecords,
+  upsertUserRecord: upsertUserRecord,
+  upsertUserRecords: upsertUserRecords,
+  updateAllUserRecords: updateAllUserRecords,
+  putUserRecords: putUserRecords
+};
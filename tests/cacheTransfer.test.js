@@ -0,0 +1,249 @@
+/**
+ * cacheTransfer.js 離線測試
+ * 執行方式：node --test tests/
+ *
+ * 匯入的檔案必須完整通過驗證才會寫入；合併策略以替身 UserStore 與 chrome.storage 檢查
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadModules } = require('./helpers/loadModules');
+
+/**
+ * 載入 cacheTransfer.js，本機資料存放在替身 UserStore 與 chrome.storage.local
+ * @param {Object} records - 本機用戶紀錄（username → 部分欄位）
+ * @param {Object} local - chrome.storage.local 內容
+ * @returns {{sandbox: Object, records: Object, local: Object}}
+ */
+function loadCacheTransfer(records = {}, local = {}) {
+  const chrome = {
+    storage: {
+      local: {
+        get: async (keys) => Object.fromEntries(keys.filter(key => key in local).map(key => [key, local[key]])),
+        set: async (items) => { Object.assign(local, items); }
+      }
+    },
+    i18n: { getUILanguage: () => 'zh-TW', getMessage: () => '' }
+  };
+  const sandbox = loadModules(
+    ['regionMap.js', 'i18n.js', 'storageSchema.js', 'colorRules.js', 'profileTaxonomy.js', 'cacheTransfer.js'],
+    { chrome }
+  );
+  for (const username in records) {
+    records[username] = sandbox.StorageSchema.createUserRecord(records[username]);
+  }
+  sandbox.UserStore = {
+    getAllUserRecords: async () => records,
+    upsertUserRecords: async (usernames, updater) => {
+      for (const username of new Set(usernames)) {
+        const next = updater(username, records[username] || null);
+        if (next) records[username] = sandbox.StorageSchema.createUserRecord(next);
+      }
+    }
+  };
+  return { sandbox, records, local };
+}
+
+function bundleWith(fields) {
+  return { format: 'threads-geo-tag-cache', version: 1, exportedAt: '2026-01-01T00:00:00.000Z', ...fields };
+}
+
+test('JSON 驗證：格式與版本', () => {
+  const { sandbox } = loadCacheTransfer();
+  assert.deepEqual([...sandbox.validateBundle(null).errors], ['不是小黃標的備份檔案']);
+  assert.deepEqual([...sandbox.validateBundle({ format: 'other', version: 1 }).errors], ['不是小黃標的備份檔案']);
+  for (const version of [0, -1, 2, 1.5, '1', undefined]) {
+    const result = sandbox.validateBundle(bundleWith({ version }));
+    assert.equal(result.bundle, null, String(version));
+    assert.match(result.errors[0], /不支援的備份版本/);
+  }
+  assert.deepEqual([...sandbox.validateBundle(bundleWith({ regions: [] })).errors], ['regions 必須是物件']);
+
+  const empty = sandbox.validateBundle(bundleWith({}));
+  assert.equal(empty.errors.length, 0);
+  assert.deepEqual(JSON.parse(JSON.stringify(empty.bundle)), { regions: {}, profiles: {}, userIdCache: {}, settings: {} });
+});
+
+test('JSON 驗證：帳號、時間戳與欄位型別', () => {
+  const { sandbox } = loadCacheTransfer();
+  const result = sandbox.validateBundle(bundleWith({
+    regions: {
+      'bad name': { region: 'Taiwan' },
+      ['a'.repeat(31)]: { region: 'Taiwan' },
+      alice: { region: 'Taiwan', fetchedAt: -1 },
+      bob: { region: 'Japan', fetchedAt: '2026-01-01' },
+      carol: { region: ' ' },
+      dave: { region: 'Japan', formerUsernames: ['ok', 'not ok'] }
+    },
+    profiles: { erin: { profileTags: [{ reason: 'missing tag' }] } },
+    userIdCache: { frank: 'abc' }
+  }));
+  assert.equal(result.bundle, null);
+  assert.deepEqual([...result.errors], [
+    'regions.bad name: 帳號格式不正確',
+    `regions.${'a'.repeat(31)}: 帳號格式不正確`,
+    'regions.alice.fetchedAt: 必須是時間戳或 null',
+    'regions.bob.fetchedAt: 必須是時間戳或 null',
+    'regions.carol.region: 必須是非空字串',
+    'regions.dave.formerUsernames: 必須是帳號陣列或 null',
+    'profiles.erin.profileTags: 每個項目需包含 tag（字串）與 reason（字串）',
+    'userIdCache.frank: user ID 必須是數字'
+  ]);
+});
+
+test('JSON 驗證：正規化地區、查詢失敗、大頭貼與側寫', () => {
+  const { sandbox } = loadCacheTransfer();
+  const { errors, bundle } = sandbox.validateBundle(bundleWith({
+    regions: {
+      alice: { region: '台灣', fetchedAt: 1000, profileImage: 'https://scontent-tpe1-1.cdninstagram.com/v/t51.jpg' },
+      bob: { region: '未揭露', error: 'Tab timeout', fetchedAt: 2000, profileImage: 'https://evil.example/tracker.png' },
+      carol: { region: '查詢失敗', error: 'timeout', errorCount: 3, retryAt: 5000, profileImage: 'javascript:alert(1)' },
+      dave: { region: 'Japan', profileImage: 'http://scontent.cdninstagram.com/a.jpg' },
+      erin: { region: 'Japan', profileImage: 'https://scontent.cdninstagram.com.evil.example/a.jpg' }
+    },
+    profiles: { alice: { profileTags: [{ tag: '生活帳', reason: '日常', evidence: [{ quote: '早安', url: 'https://evil.example/' }] }], profileFetchedAt: 3000 } },
+    userIdCache: { alice: 12345 }
+  }));
+  assert.equal(errors.length, 0);
+
+  assert.equal(bundle.regions.alice.region, 'Taiwan');
+  assert.equal(bundle.regions.alice.regionCode, 'TW');
+  assert.equal(bundle.regions.alice.profileImage, 'https://scontent-tpe1-1.cdninstagram.com/v/t51.jpg');
+
+  // 舊版備份的「未揭露 + error 訊息」轉為查詢失敗
+  assert.equal(bundle.regions.bob.region, '查詢失敗');
+  assert.equal(bundle.regions.bob.error, 'unknown');
+  assert.equal(bundle.regions.bob.errorMessage, 'Tab timeout');
+  assert.equal(bundle.regions.bob.errorCount, 1);
+
+  assert.equal(bundle.regions.carol.error, 'timeout');
+  assert.equal(bundle.regions.carol.errorCount, 3);
+  assert.equal(bundle.regions.carol.retryAt, 5000);
+
+  // 非 Instagram / Threads CDN 的 https 網址一律不保留
+  for (const username of ['bob', 'carol', 'dave', 'erin']) {
+    assert.equal(bundle.regions[username].profileImage, null, username);
+  }
+
+  assert.equal(bundle.profiles.alice.profileTags[0].tag, '生活帳');
+  assert.equal(bundle.profiles.alice.profileTags[0].evidence[0].url, null);
+  assert.equal(bundle.userIdCache.alice, '12345');
+});
+
+test('JSON 驗證：設定正規化', () => {
+  const { sandbox } = loadCacheTransfer();
+  const { errors, bundle } = sandbox.validateBundle(bundleWith({
+    settings: {
+      cacheTtlHours: { confirmed: 0, error: 2 },
+      labelDisplayMode: 'unknown',
+      newUserMonths: 999,
+      language: 'xx',
+      colorRules: [],
+      keepTabAfterQuery: true,
+      llmSettings: { provider: 'openai', endpoint: 'https://attacker.example/v1' },
+      futureSetting: 1
+    }
+  }));
+  assert.equal(errors.length, 0);
+  const settings = JSON.parse(JSON.stringify(bundle.settings));
+  assert.equal(settings.cacheTtlHours.confirmed, 90 * 24);
+  assert.equal(settings.cacheTtlHours.error, 2);
+  assert.equal(settings.labelDisplayMode, 'full');
+  assert.equal(settings.newUserMonths, sandbox.StorageSchema.normalizeNewUserMonths(999));
+  assert.equal(settings.language, sandbox.I18n.normalize('xx'));
+  assert.equal(settings.keepTabAfterQuery, true);
+  assert.ok(Array.isArray(settings.colorRules));
+  // LLM 供應商設定與未知的設定不匯入
+  assert.equal('llmSettings' in settings, false);
+  assert.equal('futureSetting' in settings, false);
+
+  const invalid = sandbox.validateBundle(bundleWith({ settings: { keepTabAfterQuery: 'yes', colorRules: {} } }));
+  assert.deepEqual([...invalid.errors], ['settings.keepTabAfterQuery: 必須是 boolean', 'settings.colorRules: 必須是 array']);
+});
+
+test('CSV 解析：引號、跳脫引號、欄位內換行與空白列', () => {
+  const { sandbox } = loadCacheTransfer();
+  const rows = sandbox.parseCsvRows('a,"b,c","say ""hi"""\r\n\r\n"multi\nline",x,\n,,\nlast,row');
+  assert.deepEqual(JSON.parse(JSON.stringify(rows)), [
+    ['a', 'b,c', 'say "hi"'],
+    ['multi\nline', 'x', ''],
+    ['last', 'row']
+  ]);
+});
+
+test('CSV 驗證：必要欄位、帳號與時間戳', () => {
+  const { sandbox } = loadCacheTransfer();
+  assert.deepEqual([...sandbox.validateCsv('').errors], ['CSV 檔案是空的']);
+  assert.match(sandbox.validateCsv('username,joined\nalice,2020').errors[0], /CSV 標題列需包含/);
+
+  const invalid = sandbox.validateCsv('username,region,timestamp\n"bad,name",Taiwan,\nbob,,\ncarol,Japan,yesterday');
+  assert.equal(invalid.bundle, null);
+  assert.deepEqual([...invalid.errors], [
+    '第 2 行: 帳號格式不正確 "bad,name"',
+    '第 3 行: region 不可為空',
+    '第 4 行: 無法解析 timestamp "yesterday"'
+  ]);
+
+  const before = Date.now();
+  const { errors, bundle } = sandbox.validateCsv('\uFEFFUsername,Region,Joined,Timestamp\r\n@alice,"台灣",2020年1月,2026-01-01T00:00:00.000Z\r\nbob,"Japan",,1700000000000\r\ncarol,"Somewhere, Far",,\r\n');
+  assert.equal(errors.length, 0);
+  assert.equal(bundle.regions.alice.region, 'Taiwan');
+  assert.equal(bundle.regions.alice.joined, '2020年1月');
+  assert.equal(bundle.regions.alice.fetchedAt, Date.parse('2026-01-01T00:00:00.000Z'));
+  assert.equal(bundle.regions.bob.fetchedAt, 1700000000000);
+  assert.equal(bundle.regions.carol.region, 'Somewhere, Far');
+  assert.equal(bundle.regions.carol.regionCode, null);
+  // 沒有 timestamp 時以匯入時間計
+  assert.ok(bundle.regions.carol.fetchedAt >= before);
+});
+
+test('匯入：合併策略', async () => {
+  const content = JSON.stringify(bundleWith({
+    regions: {
+      alice: { region: 'Japan', fetchedAt: 2000 },
+      bob: { region: 'Japan', fetchedAt: 500 },
+      carol: { region: 'Japan', fetchedAt: 100 }
+    },
+    userIdCache: { alice: '1', carol: '3' },
+    settings: { keepTabAfterQuery: true, labelDisplayMode: 'compact' }
+  }));
+  const setup = () => loadCacheTransfer(
+    { alice: { region: 'Taiwan', fetchedAt: 1000 }, bob: { region: 'Taiwan', fetchedAt: 1000 } },
+    { userIdCache: { alice: '9' }, labelDisplayMode: 'hover' }
+  );
+
+  // newer：只採用較新的資料；沒有時間資訊的 user ID 與設定只補上本機沒有的值
+  let { sandbox, records, local } = setup();
+  let result = await sandbox.CacheTransfer.importCache('json', content, 'newer');
+  assert.equal(result.success, true);
+  assert.deepEqual({ ...result.summary }, { added: 1, updated: 1, skipped: 1, userIds: 1, settings: 1 });
+  assert.equal(records.alice.region, 'Japan');
+  assert.equal(records.bob.region, 'Taiwan');
+  assert.equal(records.carol.region, 'Japan');
+  assert.deepEqual({ ...local.userIdCache }, { alice: '9', carol: '3' });
+  assert.equal(local.labelDisplayMode, 'hover');
+  assert.equal(local.keepTabAfterQuery, true);
+
+  // overwrite：全部以匯入資料取代
+  ({ sandbox, records, local } = setup());
+  result = await sandbox.CacheTransfer.importCache('json', content, 'overwrite');
+  assert.deepEqual({ ...result.summary }, { added: 1, updated: 2, skipped: 0, userIds: 2, settings: 2 });
+  assert.equal(records.bob.region, 'Japan');
+  assert.deepEqual({ ...local.userIdCache }, { alice: '1', carol: '3' });
+  assert.equal(local.labelDisplayMode, 'compact');
+
+  // skip：本機已有的資料一律保留
+  ({ sandbox, records, local } = setup());
+  result = await sandbox.CacheTransfer.importCache('json', content, 'skip');
+  assert.deepEqual({ ...result.summary }, { added: 1, updated: 0, skipped: 2, userIds: 1, settings: 1 });
+  assert.equal(records.alice.region, 'Taiwan');
+  assert.equal(records.carol.region, 'Japan');
+
+  // 未知的策略與驗證失敗的檔案不寫入任何資料
+  ({ sandbox, records } = setup());
+  assert.equal((await sandbox.CacheTransfer.importCache('json', content, 'merge')).success, false);
+  result = await sandbox.CacheTransfer.importCache('json', JSON.stringify(bundleWith({ regions: { alice: { region: 'Japan', fetchedAt: 'x' } } })), 'overwrite');
+  assert.equal(result.success, false);
+  assert.equal(records.alice.region, 'Taiwan');
+  assert.match((await sandbox.CacheTransfer.importCache('json', '{', 'newer')).error, /JSON 格式錯誤/);
+});
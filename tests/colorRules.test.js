@@ -0,0 +1,85 @@
+/**
+ * colorRules.js 離線測試
+ * 執行方式：node --test tests/
+ *
+ * 內建預設規則必須維持原本固定的配色：台灣綠色、有負面側寫標籤或其他地區灰色、
+ * 查詢失敗棕色、待查詢黃色，紅色規則預設關閉
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadModules } = require('./helpers/loadModules');
+
+const { ColorRules } = loadModules(['regionMap.js', 'dateUtils.js', 'storageSchema.js', 'colorRules.js']);
+
+const GREEN = '#4caf50';
+const GRAY = '#9e9e9e';
+const RED = '#f44336';
+const BROWN = '#795548';
+const YELLOW = '#ffc107';
+
+function backgroundOf(data, rules = ColorRules.normalize(null)) {
+  return ColorRules.resolveStyle(data, rules).backgroundColor;
+}
+
+test('預設規則：所在地與側寫標籤', () => {
+  assert.equal(backgroundOf({ region: 'Taiwan' }), GREEN);
+  assert.equal(backgroundOf({ region: '台灣' }), GREEN);
+  assert.equal(backgroundOf({ region: 'Japan' }), GRAY);
+  assert.equal(backgroundOf({ region: '未揭露' }), GRAY);
+  assert.equal(backgroundOf({ region: 'China' }), GRAY);
+  // 有負面側寫標籤的台灣用戶不顯示綠色（支援全形冒號的「標籤：理由」）
+  assert.equal(backgroundOf({ region: 'Taiwan', profile: '幽默:常開玩笑,易怒：常罵人' }), GRAY);
+  assert.equal(backgroundOf({ region: 'Taiwan', profile: '幽默:常開玩笑' }), GREEN);
+  // LLM 結構化輸出的 ProfileTag 陣列
+  assert.equal(backgroundOf({ region: 'Taiwan', profile: [{ tag: '易怒', reason: '常罵人', evidence: [], confidence: 0.9 }] }), GRAY);
+  assert.equal(backgroundOf({ region: 'Taiwan', profile: [] }), GREEN);
+});
+
+test('預設規則：查詢狀態不受規則影響', () => {
+  assert.equal(backgroundOf({ region: null, profile: null }), YELLOW);
+  assert.equal(backgroundOf({ region: '查詢失敗', profile: '幽默' }), BROWN);
+  // 只有側寫沒有地區時視為已完成
+  assert.equal(backgroundOf({ region: null, profile: '幽默' }), GRAY);
+});
+
+test('啟用紅色預設規則後優先於其他規則', () => {
+  const rules = ColorRules.normalize(null).map(rule => ({ ...rule, enabled: true }));
+  assert.equal(backgroundOf({ region: 'China' }, rules), RED);
+  assert.equal(backgroundOf({ region: '中國' }, rules), RED);
+  assert.equal(backgroundOf({ region: 'Taiwan', profile: '統戰言論:理由' }, rules), RED);
+  assert.equal(backgroundOf({ region: 'Taiwan' }, rules), GREEN);
+});
+
+test('新用戶與驗證狀態條件', () => {
+  const rules = ColorRules.normalize([
+    { name: '已驗證', match: { verified: true }, style: { backgroundColor: '#2196F3', textColor: '#ffffff', bold: true } },
+    { name: '香港新用戶', match: { regions: 'hk, mo', newUser: true }, style: { backgroundColor: '#ff9800', borderColor: '#000000' } }
+  ]);
+  const thisMonth = new Date().toLocaleString('en-US', { month: 'long', year: 'numeric' });
+
+  assert.deepEqual([...rules[1].match.regions], ['HK', 'MO']);
+  assert.deepEqual(
+    { ...ColorRules.resolveStyle({ region: 'Japan', verified: true }, rules) },
+    { backgroundColor: '#2196f3', textColor: '#ffffff', bold: true, borderColor: null }
+  );
+  assert.equal(backgroundOf({ region: 'Hong Kong', joined: thisMonth }, rules), '#ff9800');
+  assert.equal(backgroundOf({ region: 'Hong Kong', joined: 'March 2020' }, rules), GRAY);
+  // 驗證狀態未知的用戶不符合驗證條件
+  assert.equal(backgroundOf({ region: 'Japan', verified: null }, rules), GRAY);
+});
+
+test('正規化：略過不合法的項目並修正顏色與重複 id', () => {
+  const rules = ColorRules.normalize([
+    null,
+    'rule',
+    { id: 'a', style: { backgroundColor: 'red' } },
+    { id: 'a', enabled: false, match: { newUser: 'yes' } }
+  ]);
+  assert.equal(rules.length, 2);
+  assert.equal(rules[0].style.backgroundColor, GRAY);
+  assert.notEqual(rules[0].id, rules[1].id);
+  assert.equal(rules[1].enabled, false);
+  assert.equal(rules[1].match.newUser, null);
+  assert.equal(ColorRules.normalize([]).length, 0);
+});
@@ -0,0 +1,89 @@
+/**
+ * dateUtils.js 加入日期解析與帳號年齡分級離線測試
+ * 執行方式：node --test tests/
+ *
+ * Threads 依介面語言顯示不同格式的加入時間（年月、精確到日、相對時間），參考日期固定為 2026/10/19
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadModules } = require('./helpers/loadModules');
+
+const REFERENCE_DATE = new Date(2026, 9, 19);
+
+function loadDateUtils() {
+  return loadModules(['dateUtils.js']).DateUtils;
+}
+
+function formatDate(date) {
+  return date ? `${date.getFullYear()}-${date.getMonth() + 1}-${date.getDate()}` : null;
+}
+
+test('parseJoinedDate 解析年月與精確到日的格式', () => {
+  const { parseJoinedDate } = loadDateUtils();
+  const cases = {
+    '2024年1月': '2024-1-1',
+    'Dec 2024': '2024-12-1',
+    '2024년 12월': '2024-12-1',
+    '2024年1月15日': '2024-1-15',
+    'January 15, 2024': '2024-1-15',
+    '15 Mar 2024': '2024-3-15',
+    '2024년 1월 15일': '2024-1-15',
+    '2024/2/3': '2024-2-3',
+    '2024年2月30日': '2024-2-1', // 不存在的日期只保留年月
+    'sometime': null
+  };
+  for (const [input, expected] of Object.entries(cases)) {
+    assert.equal(formatDate(parseJoinedDate(input, REFERENCE_DATE)), expected, input);
+  }
+});
+
+test('parseJoinedDate 以參考日期換算相對時間', () => {
+  const { parseJoinedDate } = loadDateUtils();
+  const cases = {
+    'Joined 3 weeks ago': '2026-9-28',
+    'a month ago': '2026-9-19',
+    '2 years ago': '2024-10-19',
+    '5 hours ago': '2026-10-19',
+    '3週間前': '2026-9-28',
+    '2个月前': '2026-8-19',
+    '10일 전': '2026-10-9',
+    '1년 전': '2025-10-19',
+    'yesterday': '2026-10-18'
+  };
+  for (const [input, expected] of Object.entries(cases)) {
+    assert.equal(formatDate(parseJoinedDate(input, REFERENCE_DATE)), expected, input);
+  }
+});
+
+test('isNewUser 依門檻判斷，只有年月時以月初為門檻', () => {
+  const dateUtils = loadDateUtils();
+  assert.equal(dateUtils.isNewUser('2026年8月', 2, REFERENCE_DATE), true);
+  assert.equal(dateUtils.isNewUser('2026年7月', 2, REFERENCE_DATE), false);
+  assert.equal(dateUtils.isNewUser('2026年8月20日', 2, REFERENCE_DATE), true);
+  assert.equal(dateUtils.isNewUser('2026年8月18日', 2, REFERENCE_DATE), false);
+
+  // 預設門檻跟隨設定
+  assert.equal(dateUtils.isNewUser('2026年7月', undefined, REFERENCE_DATE), false);
+  dateUtils.setNewUserMonths(4);
+  assert.equal(dateUtils.isNewUser('2026年7月', undefined, REFERENCE_DATE), true);
+});
+
+test('getAccountAgeBadge 依新用戶門檻、半年與一年分級', () => {
+  const dateUtils = loadDateUtils();
+  const gradeOf = (joined) => {
+    const badge = dateUtils.getAccountAgeBadge(joined, REFERENCE_DATE);
+    return badge && (badge.years ? `${badge.grade}:${badge.years}` : badge.grade);
+  };
+
+  assert.equal(gradeOf('Joined 3 weeks ago'), 'new');
+  assert.equal(gradeOf('2026年6月'), 'recent');
+  assert.equal(gradeOf('2026年1月'), null); // 半年到一年之間不顯示
+  assert.equal(gradeOf('September 2025'), 'veteran:1');
+  assert.equal(gradeOf('2023年5月'), 'veteran:3');
+  assert.equal(gradeOf(''), null);
+
+  dateUtils.setNewUserMonths(1);
+  assert.equal(gradeOf('2026年9月'), 'new');
+  assert.equal(gradeOf('2026年8月'), 'recent');
+});
@@ -0,0 +1,63 @@
+/**
+ * tools/evalProfiles.js 離線評估工具測試
+ * 執行方式：node --test tests/
+ *
+ * 以 fixtures/eval 下的資料集與錄製的模型輸出跑完整的評估流程，檢查各項統計數字
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+const { readJsonLines, normalizeDataset, runEvaluation, computeReport, formatReport } = require('../tools/evalProfiles');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'eval');
+
+function loadMockResponses() {
+  return Object.fromEntries(readJsonLines(path.join(FIXTURE_DIR, 'responses.jsonl')).map(item => [item.id, item.responses]));
+}
+
+test('normalizeDataset 將字串貼文轉為 SocialPost 並檢查標註', () => {
+  const [item] = normalizeDataset([{ id: 'a', account: 'someone', posts: ['你好'], labels: [' 生活帳 ', '生活帳'] }]);
+  assert.equal(item.account, '@someone');
+  assert.deepEqual(item.posts, [{ id: null, author: '@someone', url: null, postedAt: null, text: '你好' }]);
+  assert.deepEqual(item.replies, []);
+  assert.deepEqual(item.labels, ['生活帳']);
+
+  assert.throws(() => normalizeDataset([{ id: 'a', labels: [] }, { id: 'a', labels: [] }]), /id 重複/);
+  assert.throws(() => normalizeDataset([{ id: 'a' }]), /labels 必須是陣列/);
+});
+
+test('重播錄製的模型輸出，計算格式符合率與各標籤的 precision / recall', async () => {
+  const dataset = normalizeDataset(readJsonLines(path.join(FIXTURE_DIR, 'dataset.jsonl')));
+  const results = await runEvaluation(dataset, { mockResponses: loadMockResponses() });
+
+  assert.deepEqual(results.map(result => result.attempts), [1, 2, 3, 3]);
+  assert.deepEqual(results.map(result => result.success), [true, true, true, false]);
+
+  const report = computeReport(results);
+  assert.equal(report.cases, 4);
+  // 第一次就符合格式：daily-life；修正後符合：daily-life、work-rant（discussion 的引述始終不在原文中）
+  assert.equal(report.format.firstAttemptRate, 0.25);
+  assert.equal(report.format.finalRate, 0.5);
+  assert.equal(report.format.averageAttempts, 2.25);
+  assert.equal(report.format.failed, 1);
+
+  assert.equal(report.agreement.exactMatchRate, 0.5);
+  assert.equal(report.agreement.microPrecision, 5 / 6);
+  assert.equal(report.agreement.microRecall, 5 / 7);
+
+  assert.deepEqual(report.tags['生活帳'], { support: 2, predicted: 1, truePositives: 1, precision: 1, recall: 0.5, f1: 2 / 3 });
+  assert.equal(report.tags['生活日常'].precision, 0);
+  assert.equal(report.tags['生活日常'].recall, null);
+
+  const text = formatReport(report);
+  assert.match(text, /第一次輸出：25\.0%/);
+  assert.match(text, /生活帳\s+2\s+1\s+100\.0%\s+50\.0%\s+66\.7%/);
+});
+
+test('錄製輸出不足時該案例視為分析失敗', async () => {
+  const dataset = normalizeDataset([{ id: 'missing', posts: ['你好'], labels: ['生活帳'] }]);
+  const [result] = await runEvaluation(dataset, { mockResponses: {} });
+  assert.equal(result.success, false);
+  assert.match(result.error, /沒有 missing 的第 1 則錄製輸出/);
+});
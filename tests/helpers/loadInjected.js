@@ -0,0 +1,78 @@
+/**
+ * 在 Node 沙箱中載入 injected.js
+ * 提供最小的 window / document / XHR 替身，讓攔截器在沒有瀏覽器的環境下也能初始化，
+ * 並回傳腳本中宣告的解析函數供測試使用
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const INJECTED_PATH = path.join(__dirname, '..', '..', 'chrome-extension', 'injected.js');
+
+function createWindowStub() {
+  const listeners = {};
+
+  function FakeXMLHttpRequest() {}
+  FakeXMLHttpRequest.prototype.open = function() {};
+  FakeXMLHttpRequest.prototype.send = function() {};
+  FakeXMLHttpRequest.prototype.setRequestHeader = function() {};
+
+  const sandbox = {
+    console: {
+      log: () => {},
+      warn: () => {},
+      // 保留錯誤輸出，解析失敗時才看得到原因
+      error: (...args) => console.error(...args)
+    },
+    // 初始掃描使用 setTimeout，測試中不需要執行
+    setTimeout: () => 0,
+    clearTimeout: () => {},
+    fetch: async () => { throw new Error('測試環境不允許網路請求'); },
+    XMLHttpRequest: FakeXMLHttpRequest,
+    CustomEvent: class CustomEvent {
+      constructor(type, init = {}) {
+        this.type = type;
+        this.detail = init.detail;
+      }
+    },
+    document: {
+      querySelectorAll: () => []
+    },
+    addEventListener(type, handler) {
+      (listeners[type] = listeners[type] || []).push(handler);
+    },
+    dispatchEvent(event) {
+      (listeners[event.type] || []).forEach(handler => handler(event));
+      return true;
+    },
+    postMessage() {},
+    // 供測試檢查 injected.js 發出的事件
+    __listeners: listeners
+  };
+  sandbox.window = sandbox;
+  return sandbox;
+}
+
+/**
+ * 載入 injected.js 並回傳沙箱
+ * @returns {object} 沙箱全域物件（含 parseProfileResponse、extractProfileInfo 等函數）
+ */
+function loadInjected() {
+  const source = fs.readFileSync(INJECTED_PATH, 'utf8');
+  const sandbox = createWindowStub();
+  vm.createContext(sandbox);
+  vm.runInContext(source, sandbox, { filename: INJECTED_PATH });
+  return sandbox;
+}
+
+/**
+ * 讀取錄製的 API 回應
+ * @param {string} name - fixtures/profile 下的檔名
+ * @returns {string} 原始回應文字（含 for (;;); 前綴）
+ */
+function readProfileFixture(name) {
+  return fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'profile', name), 'utf8');
+}
+
+module.exports = { loadInjected, readProfileFixture };
@@ -0,0 +1,20 @@
+/**
+ * 測試用的模組載入（tools/lib/loadModules.js），預設只輸出 console.error，避免模組的記錄淹沒測試結果
+ */
+
+const { loadModules: loadExtensionModules } = require('../../tools/lib/loadModules');
+
+/**
+ * 載入模組並回傳沙箱
+ * @param {string[]} files - chrome-extension 下的檔名（依 manifest 的載入順序）
+ * @param {object} globals - 額外放入沙箱的全域變數（例如 chrome、fetch）
+ * @returns {object} 沙箱全域物件（含各模組暴露的 RegionUtils、StorageSchema 等）
+ */
+function loadModules(files, globals = {}) {
+  return loadExtensionModules(files, {
+    console: { log: () => {}, warn: () => {}, error: (...args) => console.error(...args) },
+    ...globals
+  });
+}
+
+module.exports = { loadModules };
@@ -0,0 +1,89 @@
+/**
+ * i18n.js 與 _locales 訊息檔離線測試
+ * 執行方式：node --test tests/
+ *
+ * 各語言的訊息檔必須有相同的鍵與代入參數，翻譯時依所選語言讀取訊息檔並代入 $1、$2...
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { loadModules } = require('./helpers/loadModules');
+
+const LOCALES_DIR = path.join(__dirname, '..', 'chrome-extension', '_locales');
+
+function readMessages(locale) {
+  return JSON.parse(fs.readFileSync(path.join(LOCALES_DIR, locale, 'messages.json'), 'utf8'));
+}
+
+function placeholdersOf(message) {
+  return [...new Set(message.match(/\$\d/g) || [])].sort();
+}
+
+/**
+ * 以替身 chrome API 載入 i18n.js
+ * @param {Object} stored - chrome.storage.local 的內容
+ * @param {string} uiLanguage - 瀏覽器語言
+ */
+function loadI18n(stored = {}, uiLanguage = 'zh-TW') {
+  const chrome = {
+    i18n: { getUILanguage: () => uiLanguage, getMessage: () => '' },
+    runtime: { getURL: file => file },
+    storage: {
+      local: { get: async () => stored },
+      onChanged: { addListener: () => {} }
+    }
+  };
+  const fetch = async (file) => ({
+    ok: true,
+    json: async () => JSON.parse(fs.readFileSync(path.join(LOCALES_DIR, '..', file), 'utf8'))
+  });
+  return loadModules(['regionMap.js', 'i18n.js'], {
+    chrome,
+    fetch,
+    location: { protocol: 'chrome-extension:' }
+  }).I18n;
+}
+
+test('各語言訊息檔的鍵與代入參數一致', () => {
+  const base = readMessages('zh_TW');
+  const I18n = loadI18n();
+  for (const locale of I18n.LOCALES) {
+    const messages = readMessages(locale);
+    assert.deepEqual(Object.keys(messages).sort(), Object.keys(base).sort(), locale);
+    for (const key of Object.keys(base)) {
+      assert.ok(messages[key].message.length > 0, `${locale}.${key}`);
+      assert.deepEqual(placeholdersOf(messages[key].message), placeholdersOf(base[key].message), `${locale}.${key}`);
+    }
+  }
+});
+
+test('依設定載入語言並代入參數', async () => {
+  const I18n = loadI18n({ language: 'en' });
+  await I18n.init();
+  assert.equal(I18n.getLocale(), 'en');
+  assert.equal(I18n.t('popupCacheCountTitle', 2, 1, 0), '2 confirmed, 1 undisclosed, 0 failed');
+  // 找不到的鍵返回鍵名
+  assert.equal(I18n.t('noSuchMessage'), 'noSuchMessage');
+});
+
+test('auto 跟隨瀏覽器語言，不支援的語言使用英文', async () => {
+  const cases = [['zh-HK', 'zh_TW'], ['zh-CN', 'zh_CN'], ['ja-JP', 'ja'], ['ko', 'ko'], ['fr-FR', 'en']];
+  for (const [uiLanguage, expected] of cases) {
+    const I18n = loadI18n({ language: 'auto' }, uiLanguage);
+    await I18n.init();
+    assert.equal(I18n.getLocale(), expected, uiLanguage);
+  }
+  // 不合法的設定視為 auto
+  assert.equal(loadI18n().normalize('xx'), 'auto');
+});
+
+test('地區名稱依所選語言顯示', async () => {
+  const I18n = loadI18n({ language: 'ja' });
+  await I18n.init();
+  assert.equal(I18n.getRegionName('Taiwan'), '台湾');
+  assert.equal(I18n.getRegionName('未揭露'), readMessages('ja').regionUndisclosed.message);
+  // 不在對照表中的地區顯示原始值
+  assert.equal(I18n.getRegionName('Atlantis'), 'Atlantis');
+});
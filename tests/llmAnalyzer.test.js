@@ -0,0 +1,179 @@
+/**
+ * llmAnalyzer.js 結構化輸出離線測試
+ * 執行方式：node --test tests/
+ *
+ * 以替身 LLMProviders 回傳預先準備的輸出，檢查結果驗證、引述與貼文的對應，以及不符合格式時的修正流程
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadModules } = require('./helpers/loadModules');
+
+const POSTS = [
+  { id: 'C1aaa', author: '@tester', url: 'https://www.threads.com/@tester/post/C1aaa', postedAt: '2026-01-02T03:04:05.000Z', text: '今天又加班到十點，老闆真的很誇張' },
+  { id: 'C1bbb', author: '@tester', url: 'https://www.threads.com/@tester/post/C1bbb', postedAt: '2026-01-03T03:04:05.000Z', text: '週末去爬山，\n天氣超好' }
+];
+
+/**
+ * 載入 llmAnalyzer.js，LLMProviders.prompt 依序回傳 responses
+ * @param {string[]} responses - 每次呼叫的模型輸出
+ * @param {string} provider - 設定的供應商
+ * @param {Object} [taxonomy] - 已儲存的分類設定（未提供時使用內建分類）
+ * @returns {{LLMAnalyzer: Object, StorageSchema: Object, calls: Array}}
+ */
+function loadAnalyzer(responses, provider = 'openai', taxonomy = null) {
+  const calls = [];
+  const LLMProviders = {
+    getConfig: async () => ({ provider, model: 'test-model' }),
+    prompt: async (messages, options) => {
+      calls.push({ messages: messages.map(message => ({ ...message })), options });
+      return responses[calls.length - 1];
+    }
+  };
+  const chrome = {
+    storage: { local: { get: async () => (taxonomy ? { profileTaxonomy: taxonomy } : {}) } }
+  };
+  const sandbox = loadModules(['regionMap.js', 'storageSchema.js', 'profileTaxonomy.js', 'llmAnalyzer.js'], { chrome, LLMProviders });
+  return { LLMAnalyzer: sandbox.LLMAnalyzer, StorageSchema: sandbox.StorageSchema, calls };
+}
+
+function tagResult(tags) {
+  return JSON.stringify({ tags });
+}
+
+const POST_INDEX = { p1: POSTS[0], p2: POSTS[1] };
+
+test('parseProfileResult 解析結構化輸出，引述須出自標明的貼文', () => {
+  const { LLMAnalyzer } = loadAnalyzer([]);
+
+  const result = LLMAnalyzer.parseProfileResult('```json\n' + tagResult([
+    {
+      tag: '憤世抱怨',
+      reason: '常抱怨工作',
+      evidence: [{ postId: 'p1', quote: '老闆真的很誇張' }, { postId: 'p2', quote: '老闆真的很誇張' }, { postId: 'p9', quote: '我恨星期一' }],
+      confidence: 0.8
+    },
+    { tag: '生活帳', reason: '分享日常', evidence: [{ postId: 'p2', quote: '週末去爬山， 天氣超好' }], confidence: 0.6 }
+  ]) + '\n```', POST_INDEX);
+
+  assert.deepEqual([...result.tags.map(item => item.tag)], ['憤世抱怨', '生活帳']);
+  // 沙箱中的物件屬於不同 realm，先轉為一般資料再比較
+  assert.deepEqual(JSON.parse(JSON.stringify(result.tags[0].evidence)), [
+    { quote: '老闆真的很誇張', postId: 'C1aaa', url: 'https://www.threads.com/@tester/post/C1aaa', postedAt: '2026-01-02T03:04:05.000Z' }
+  ]);
+  // 換行與空白不同仍視為同一句
+  assert.equal(result.tags[1].evidence[0].postId, 'C1bbb');
+  assert.equal(result.tags[0].confidence, 0.8);
+  assert.equal(result.errors.length, 2);
+  assert.match(result.errors[0], /不在 p2 中/);
+  assert.match(result.errors[1], /p9.*不是提供的貼文編號/);
+});
+
+test('parseProfileResult 回報格式錯誤', () => {
+  const { LLMAnalyzer } = loadAnalyzer([]);
+
+  assert.deepEqual([...LLMAnalyzer.parseProfileResult('生活帳,情緒宣洩').errors], ['輸出不是 JSON 物件']);
+  assert.match(LLMAnalyzer.parseProfileResult('{"tags": [}').errors[0], /JSON 格式錯誤/);
+
+  const result = LLMAnalyzer.parseProfileResult(tagResult([
+    { tag: '非常喜歡抱怨的人', reason: '', evidence: [], confidence: 0.5 },
+    { tag: '生活帳', reason: '分享日常', evidence: 'x', confidence: 2 }
+  ]));
+  assert.deepEqual([...result.tags.map(item => item.tag)], ['生活帳']);
+  assert.equal(result.tags[0].confidence, null);
+  assert.equal(result.errors.length, 3);
+});
+
+test('analyzeUserProfile 逐則編號貼文，以 JSON Schema 要求輸出並回傳 ProfileTag 陣列', async () => {
+  const { LLMAnalyzer, calls } = loadAnalyzer([
+    tagResult([{ tag: '生活帳', reason: '分享日常', evidence: [{ postId: 'p2', quote: '週末去爬山' }], confidence: 0.7 }])
+  ], 'chrome');
+
+  const result = await LLMAnalyzer.analyzeUserProfile('@tester', POSTS, []);
+  assert.equal(result.success, true);
+  assert.deepEqual(JSON.parse(JSON.stringify(result.tags)), [{
+    tag: '生活帳',
+    reason: '分享日常',
+    evidence: [{ quote: '週末去爬山', postId: 'C1bbb', url: 'https://www.threads.com/@tester/post/C1bbb', postedAt: '2026-01-03T03:04:05.000Z' }],
+    confidence: 0.7
+  }]);
+  assert.equal(calls.length, 1);
+  assert.equal(calls[0].options.schema, LLMAnalyzer.PROFILE_RESULT_SCHEMA);
+  assert.match(calls[0].messages[1].content, /\[p1\] @tester 2026-01-02T03:04:05\.000Z\n今天又加班/);
+  assert.match(calls[0].messages[1].content, /\[p2\] @tester/);
+});
+
+test('analyzeUserProfile 輸出不符合格式時附上錯誤請模型修正', async () => {
+  const { LLMAnalyzer, calls } = loadAnalyzer([
+    '生活帳,憤世抱怨',
+    tagResult([{ tag: '生活帳', reason: '分享日常', evidence: [{ postId: 'r1', quote: '週末去爬山' }], confidence: 0.7 }])
+  ]);
+
+  const result = await LLMAnalyzer.analyzeUserProfile('@tester', [], POSTS.slice(1));
+  assert.equal(result.success, true);
+  assert.equal(result.tags[0].tag, '生活帳');
+
+  assert.equal(calls.length, 2);
+  const retryMessages = calls[1].messages;
+  assert.deepEqual([...retryMessages.slice(-2).map(message => message.role)], ['assistant', 'user']);
+  assert.equal(retryMessages[2].content, '生活帳,憤世抱怨');
+  assert.match(retryMessages[3].content, /輸出不是 JSON 物件/);
+});
+
+test('analyzeUserProfile 修正次數用完後保留通過檢查的標籤，一個都沒有時回報失敗', async () => {
+  const partial = tagResult([
+    { tag: '生活帳', reason: '分享日常', evidence: [{ postId: 'p2', quote: '週末去爬山' }], confidence: 0.7 },
+    { tag: '易怒', reason: '常罵人', evidence: [{ postId: 'p1', quote: '沒有這句話' }], confidence: 0.4 }
+  ]);
+  const { LLMAnalyzer, calls } = loadAnalyzer([partial, partial, partial]);
+
+  const result = await LLMAnalyzer.analyzeUserProfile('@tester', POSTS, []);
+  assert.equal(result.success, true);
+  assert.equal(calls.length, 3);
+  assert.deepEqual([...result.tags.map(item => item.tag)], ['生活帳', '易怒']);
+  assert.deepEqual([...result.tags[1].evidence], []);
+
+  const failed = loadAnalyzer(['無法分析', '無法分析', '無法分析']);
+  const failure = await failed.LLMAnalyzer.analyzeUserProfile('@tester', POSTS, []);
+  assert.equal(failure.success, false);
+  assert.match(failure.error, /不符合格式/);
+  assert.equal(failed.calls.length, 3);
+});
+
+test('分類中需要引述的標籤沒有對應原文時不採用，數量限制依分類設定', async () => {
+  const taxonomy = {
+    tags: [{ name: 'Toxic', description: 'insults others', requiresEvidence: true }, { name: 'Friendly' }],
+    keywords: [],
+    maxTags: 2,
+    maxTagLength: 8,
+    prompts: { system: 'You label accounts.', remote: 'Tags for {{contentTypes}}: {{tags}}. Cite for {{evidenceTags}}.' }
+  };
+  const response = tagResult([
+    { tag: 'Toxic', reason: 'rude', evidence: [{ postId: 'p1', quote: '不在原文' }], confidence: 0.9 },
+    { tag: 'Friendly', reason: 'kind', evidence: [], confidence: 0.6 },
+    { tag: 'Outdoors', reason: 'hiking', evidence: [], confidence: 0.5 }
+  ]);
+  const { LLMAnalyzer, calls } = loadAnalyzer([response, response, response], 'openai', taxonomy);
+
+  const result = await LLMAnalyzer.analyzeUserProfile('@tester', POSTS, []);
+  assert.equal(calls[0].messages[0].content, 'You label accounts.');
+  assert.match(calls[0].messages[1].content, /^Tags for 貼文: Toxic（insults others）,Friendly\. Cite for Toxic\./);
+  assert.match(calls[0].messages[1].content, /最多 2 個標籤，每個標籤最多 8 個字/);
+  // 修正次數用完仍沒有引述，只保留 Friendly
+  assert.equal(calls.length, 3);
+  assert.deepEqual([...result.tags.map(item => item.tag)], ['Friendly']);
+  assert.ok(result.errors.some(error => /Toxic.*必須在 evidence/.test(error)));
+  assert.ok(result.errors.some(error => /tags 最多 2 個/.test(error)));
+});
+
+test('舊格式的引述（字串）與非 Threads 網址正規化', () => {
+  const { StorageSchema } = loadAnalyzer([]);
+
+  const [tag] = StorageSchema.parseProfileTags([
+    { tag: '易怒', reason: '常罵人', evidence: ['你們都閉嘴', { quote: '滾', url: 'javascript:alert(1)', postId: 'C1' }, { quote: ' ' }] }
+  ]);
+  assert.deepEqual(JSON.parse(JSON.stringify(tag.evidence)), [
+    { quote: '你們都閉嘴', postId: null, url: null, postedAt: null },
+    { quote: '滾', postId: 'C1', url: null, postedAt: null }
+  ]);
+});
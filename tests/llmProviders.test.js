@@ -0,0 +1,151 @@
+/**
+ * llmProviders.js 供應商轉接層離線測試
+ * 執行方式：node --test tests/
+ *
+ * 以替身 fetch 檢查各供應商的請求格式（端點、模型、結構化輸出）與回應解析，不會連線到真正的 API
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadModules } = require('./helpers/loadModules');
+
+const TAG_SCHEMA = {
+  type: 'object',
+  properties: { tags: { type: 'array', items: { type: 'string' } } },
+  required: ['tags'],
+  additionalProperties: false
+};
+
+const MESSAGES = [
+  { role: 'system', content: '分析程式' },
+  { role: 'user', content: '請分析' }
+];
+
+/**
+ * 載入 llmProviders.js，fetch 記錄請求並回傳指定的回應
+ * @param {Object} stored - chrome.storage.local 的內容
+ * @param {Function} respond - (url, init) => Response
+ * @returns {{LLMProviders: Object, StorageSchema: Object, requests: Array}}
+ */
+function loadProviders(stored, respond) {
+  const requests = [];
+  const chrome = {
+    storage: { local: { get: async (keys) => Object.fromEntries(keys.filter(key => key in stored).map(key => [key, stored[key]])) } }
+  };
+  const fetch = async (url, init = {}) => {
+    requests.push({ url, init, body: init.body ? JSON.parse(init.body) : null });
+    return respond(url, init);
+  };
+  const sandbox = loadModules(['regionMap.js', 'storageSchema.js', 'llmProviders.js'], { chrome, fetch, TextDecoder });
+  return { LLMProviders: sandbox.LLMProviders, StorageSchema: sandbox.StorageSchema, requests };
+}
+
+function jsonResponse(data) {
+  return new Response(JSON.stringify(data), { status: 200, headers: { 'Content-Type': 'application/json' } });
+}
+
+function sseResponse(events) {
+  return new Response(events.map(event => `data: ${event}\n\n`).join(''), { status: 200 });
+}
+
+test('normalizeLlmSettings 補上預設值並沿用舊版 useLocalLLM', () => {
+  const { StorageSchema } = loadProviders({}, () => null);
+
+  const settings = StorageSchema.normalizeLlmSettings({ provider: 'openai', openai: { baseUrl: 'http://localhost:11434/v1/', model: ' llama3.2 ' } });
+  assert.equal(settings.openai.baseUrl, 'http://localhost:11434/v1');
+  assert.equal(settings.openai.model, 'llama3.2');
+  assert.equal(settings.anthropic.baseUrl, StorageSchema.DEFAULT_LLM_SETTINGS.anthropic.baseUrl);
+
+  assert.equal(StorageSchema.normalizeLlmSettings(null, true).provider, 'chrome');
+  assert.equal(StorageSchema.normalizeLlmSettings(null, false).provider, 'openai');
+  assert.equal(StorageSchema.normalizeLlmSettings({ provider: 'unknown' }).provider, 'openai');
+  // 不是 http(s) 的端點改用預設
+  assert.equal(StorageSchema.normalizeLlmSettings({ openai: { baseUrl: 'javascript:alert(1)' } }).openai.baseUrl, 'https://api.openai.com/v1');
+});
+
+test('OpenAI 相容 API：自訂端點與模型、結構化輸出、本機伺服器不需要 API Key', async () => {
+  const stored = { llmSettings: { provider: 'openai', openai: { baseUrl: 'http://localhost:11434/v1', model: 'llama3.2' } } };
+  const { LLMProviders, requests } = loadProviders(stored, () => jsonResponse({ choices: [{ message: { content: ' {"tags":["生活帳"]} ' } }] }));
+
+  const content = await LLMProviders.prompt(MESSAGES, { schema: TAG_SCHEMA });
+  assert.equal(content, '{"tags":["生活帳"]}');
+  assert.equal(requests[0].url, 'http://localhost:11434/v1/chat/completions');
+  assert.equal(requests[0].body.model, 'llama3.2');
+  assert.equal(requests[0].body.response_format.type, 'json_schema');
+  assert.deepEqual(requests[0].body.response_format.json_schema.schema, TAG_SCHEMA);
+  assert.equal(requests[0].init.headers.Authorization, undefined);
+});
+
+test('OpenAI 相容 API：官方端點未設定 API Key 時不送出請求', async () => {
+  const { LLMProviders, requests } = loadProviders({}, () => jsonResponse({}));
+
+  await assert.rejects(LLMProviders.prompt(MESSAGES), /API Key 未設定/);
+  assert.equal(requests.length, 0);
+
+  const availability = await LLMProviders.checkAvailability();
+  assert.equal(availability.available, false);
+});
+
+test('OpenAI 相容 API：串流回應與 API 錯誤訊息', async () => {
+  const stored = { openaiApiKey: 'sk-test' };
+  let status = 200;
+  const { LLMProviders, requests } = loadProviders(stored, () => status === 200
+    ? sseResponse([
+      JSON.stringify({ choices: [{ delta: { role: 'assistant' } }] }),
+      JSON.stringify({ choices: [{ delta: { content: '生活' } }] }),
+      JSON.stringify({ choices: [{ delta: { content: '帳' } }] }),
+      '[DONE]'
+    ])
+    : new Response(JSON.stringify({ error: { message: 'Invalid API key' } }), { status }));
+
+  let text = '';
+  for await (const chunk of LLMProviders.stream(MESSAGES)) text += chunk;
+  assert.equal(text, '生活帳');
+  assert.equal(requests[0].body.stream, true);
+  assert.equal(requests[0].body.model, 'gpt-4o-mini');
+  assert.equal(requests[0].init.headers.Authorization, 'Bearer sk-test');
+
+  status = 401;
+  await assert.rejects(LLMProviders.prompt(MESSAGES), /401 - Invalid API key/);
+});
+
+test('Anthropic API：system 分開傳送，結構化輸出以工具參數取得', async () => {
+  const stored = { llmSettings: { provider: 'anthropic' }, anthropicApiKey: 'sk-ant-test' };
+  const { LLMProviders, requests } = loadProviders(stored, () => jsonResponse({
+    content: [{ type: 'tool_use', name: 'profile_result', input: { tags: ['生活帳'] } }]
+  }));
+
+  const content = await LLMProviders.prompt(MESSAGES, { schema: TAG_SCHEMA });
+  assert.deepEqual(JSON.parse(content), { tags: ['生活帳'] });
+
+  const { url, init, body } = requests[0];
+  assert.equal(url, 'https://api.anthropic.com/v1/messages');
+  assert.equal(init.headers['x-api-key'], 'sk-ant-test');
+  assert.equal(body.system, '分析程式');
+  assert.deepEqual(body.messages, [{ role: 'user', content: '請分析' }]);
+  assert.deepEqual(body.tools[0].input_schema, TAG_SCHEMA);
+  assert.deepEqual(body.tool_choice, { type: 'tool', name: 'profile_result' });
+});
+
+test('Anthropic API：串流文字與結構化輸出的分段 JSON', async () => {
+  const stored = { llmSettings: { provider: 'anthropic' }, anthropicApiKey: 'sk-ant-test' };
+  const { LLMProviders } = loadProviders(stored, () => sseResponse([
+    JSON.stringify({ type: 'message_start', message: {} }),
+    JSON.stringify({ type: 'content_block_delta', index: 0, delta: { type: 'input_json_delta', partial_json: '{"tags":' } }),
+    JSON.stringify({ type: 'content_block_delta', index: 0, delta: { type: 'input_json_delta', partial_json: '["生活帳"]}' } }),
+    JSON.stringify({ type: 'message_stop' })
+  ]));
+
+  let text = '';
+  for await (const chunk of LLMProviders.stream(MESSAGES, { schema: TAG_SCHEMA })) text += chunk;
+  assert.deepEqual(JSON.parse(text), { tags: ['生活帳'] });
+});
+
+test('Chrome 內建模型：沒有 Prompt API 時回報不可用', async () => {
+  const { LLMProviders } = loadProviders({ useLocalLLM: true }, () => null);
+
+  const availability = await LLMProviders.checkAvailability();
+  assert.equal(availability.available, false);
+  assert.match(availability.error, /Chrome 127/);
+  await assert.rejects(LLMProviders.prompt(MESSAGES), /Chrome 127/);
+});
@@ -0,0 +1,132 @@
+/**
+ * parseProfileResponse / extractProfileInfo 離線測試
+ * 執行方式：node --test tests/
+ *
+ * fixtures/profile 下為 about_this_profile API 的錄製回應（保留 for (;;); 前綴），
+ * Threads 介面改版導致解析失敗時，這裡會先報錯，而不是上線後大量出現「未揭露」
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadInjected, readProfileFixture } = require('./helpers/loadInjected');
+
+const injected = loadInjected();
+
+// 各語言介面的預期解析結果
+const CASES = [
+  {
+    fixture: 'en.txt',
+    expected: { username: 'example.user', displayName: 'Example User', joined: 'March 2023', location: 'Taiwan', isVerified: true }
+  },
+  {
+    fixture: 'zh-TW.txt',
+    expected: { username: 'example_tw', displayName: '範例用戶', joined: '2023年7月', location: '台灣', isVerified: undefined }
+  },
+  {
+    // 「加入时间」不在標籤清單中，依靠位置備用規則取得加入日期
+    fixture: 'zh-CN.txt',
+    expected: { username: 'example_cn', displayName: '示例用户', joined: '2024年1月', location: '香港', isVerified: true }
+  },
+  {
+    fixture: 'ja.txt',
+    expected: { username: 'example_ja', displayName: 'サンプル', joined: '2023年7月', location: '日本', isVerified: true }
+  },
+  {
+    fixture: 'ko.txt',
+    expected: { username: 'example.ko', displayName: '예시', joined: '2023년 8월', location: '대한민국', isVerified: undefined }
+  },
+  {
+    // 先前的用戶名稱不可被誤判為加入日期或地點
+    fixture: 'former-usernames.txt',
+    expected: { username: 'renamed_now', displayName: 'Renamed', joined: 'July 2023', location: 'United States', isVerified: undefined }
+  },
+  {
+    // 地點以 on_bind 動態綁定（含 Unicode 轉義）
+    fixture: 'location-hidden.txt',
+    expected: { username: 'private.loc', displayName: 'Private', joined: 'December 2023', location: '未分享', isVerified: undefined }
+  },
+  {
+    // 未知語言的標籤：依位置取第一組為加入日期、第二組為地點
+    fixture: 'unknown-labels.txt',
+    expected: { username: 'fallback_user', displayName: 'Fallback', joined: 'Oktober 2023', location: 'Deutschland', isVerified: undefined }
+  }
+];
+
+for (const { fixture, expected } of CASES) {
+  test(`parseProfileResponse: ${fixture}`, () => {
+    const info = injected.parseProfileResponse(readProfileFixture(fixture));
+    assert.ok(info, '解析結果不應為 null');
+
+    for (const [key, value] of Object.entries(expected)) {
+      assert.equal(info[key], value, `${key} 不符`);
+    }
+
+    // 內部收集器不可外洩
+    assert.equal(info._pairs, undefined);
+    assert.equal(info._currentLabel, undefined);
+  });
+}
+
+test('parseProfileResponse: 取得頭像網址', () => {
+  const info = injected.parseProfileResponse(readProfileFixture('en.txt'));
+  assert.match(info.profileImage, /cdninstagram\.com/);
+});
+
+test('parseProfileResponse: 驗證日期', () => {
+  const info = injected.parseProfileResponse(readProfileFixture('en.txt'));
+  assert.equal(info.verifiedDate, 'Since July 2023');
+});
+
+test('parseProfileResponse: 先前的用戶名稱', () => {
+  const renamed = injected.parseProfileResponse(readProfileFixture('former-usernames.txt'));
+  assert.deepEqual([...renamed.formerUsernames], ['old_name_1', 'old_name_2']);
+
+  // 沒有此欄位表示未曾改名
+  const info = injected.parseProfileResponse(readProfileFixture('en.txt'));
+  assert.deepEqual([...info.formerUsernames], []);
+});
+
+test('parseFormerUsernames: 分隔符號、@ 符號與只有數量的欄位', () => {
+  assert.deepEqual([...injected.parseFormerUsernames('@old.one、old_two，old3')], ['old.one', 'old_two', 'old3']);
+  assert.deepEqual([...injected.parseFormerUsernames('2')], []);
+});
+
+test('parseProfileResponse: 沒有 for (;;); 前綴也能解析', () => {
+  const raw = readProfileFixture('en.txt').replace(/^for \(;;\);/, '');
+  const info = injected.parseProfileResponse(raw);
+  assert.equal(info.location, 'Taiwan');
+});
+
+test('parseProfileResponse: 非 JSON 回應返回 null', () => {
+  const originalError = injected.console.error;
+  injected.console.error = () => {};
+  try {
+    assert.equal(injected.parseProfileResponse('for (;;);<html>'), null);
+  } finally {
+    injected.console.error = originalError;
+  }
+});
+
+test('extractProfileInfo: semibold 標籤與 normal 值配對', () => {
+  const tree = {
+    children: [
+      { 'bk.components.Text': { text: 'Based in', text_style: 'semibold' } },
+      { 'bk.components.Text': { text: 'Japan', text_style: 'normal' } },
+      // 沒有標籤的值應被忽略
+      { 'bk.components.Text': { text: 'orphan', text_style: 'normal' } }
+    ]
+  };
+  const result = injected.extractProfileInfo(tree);
+  assert.deepEqual(JSON.parse(JSON.stringify(result._pairs)), [{ label: 'Based in', value: 'Japan' }]);
+});
+
+test('extractProfileInfo: 全形括號的用戶名稱', () => {
+  const tree = {
+    'bk.components.RichText': {
+      children: [{ 'bk.components.TextSpan': { text: '範例（@full.width）' } }]
+    }
+  };
+  const result = injected.extractProfileInfo(tree);
+  assert.equal(result.username, 'full.width');
+  assert.equal(result.displayName, '範例');
+});
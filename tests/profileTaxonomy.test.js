@@ -0,0 +1,66 @@
+/**
+ * profileTaxonomy.js 離線測試
+ * 執行方式：node --test tests/
+ *
+ * 內建預設分類產生的提示詞沿用先前固定在 llmAnalyzer.js 的內容，差異見 DEFAULT_PROFILE_TAXONOMY 的說明
+ * （範例標籤多了『統戰言論』、Chrome 內建模型的範例不含需要引述的標籤、標籤數量以數字表示）；
+ * 使用者設定不完整或不合法時以預設值補上
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadModules } = require('./helpers/loadModules');
+
+const { ProfileTaxonomy } = loadModules(['regionMap.js', 'storageSchema.js', 'profileTaxonomy.js']);
+
+test('預設分類：需要引述的標籤與提示詞', () => {
+  const taxonomy = ProfileTaxonomy.normalize(null);
+  assert.deepEqual([...taxonomy.tags.filter(tag => tag.requiresEvidence).map(tag => tag.name)], ['人身攻擊', '仇恨言論', '統戰言論']);
+  assert.equal(taxonomy.maxTags, 5);
+  assert.equal(taxonomy.maxTagLength, 5);
+
+  const remote = ProfileTaxonomy.renderPrompt(taxonomy, '貼文與回覆他人的貼文', false);
+  assert.equal(remote.system, '會依照用戶過去的社群回覆與發文，產出用戶profile標籤的分析程式');
+  assert.match(remote.user, /^請參考以下所提供的貼文與回覆他人的貼文, 依內容數量排序, 提供5個/);
+  // 範例標籤包含全部標籤：先前的範例清單到『個人成長』為止，現在多了『統戰言論』
+  assert.match(remote.user, /舉例但不限這些: 生活帳,生活日常,.*,個人成長,統戰言論\.\./);
+  assert.match(remote.user, /只有當標註『人身攻擊、仇恨言論、統戰言論』這些標籤時/);
+  assert.match(remote.user, /統戰用語（憨鳥,萊爾賴,/);
+  assert.doesNotMatch(remote.user, /\{\{/);
+
+  // Chrome 內建模型的範例標籤不含需要引述的標籤
+  const local = ProfileTaxonomy.renderPrompt(taxonomy, '貼文', true);
+  assert.match(local.user, /不要使用『人身攻擊、仇恨言論、統戰言論』標籤/);
+  assert.doesNotMatch(local.user.split('..)')[0], /人身攻擊/);
+});
+
+test('正規化使用者設定', () => {
+  const taxonomy = ProfileTaxonomy.normalize({
+    tags: [' Friendly ', { name: 'Friendly', requiresEvidence: true }, { name: 'Toxic', description: ' insults ', requiresEvidence: true }, { name: ' ' }, 42],
+    keywords: 'spam, scam，spam',
+    maxTags: '99',
+    maxTagLength: 0,
+    prompts: { system: '  ', remote: 'Label {{contentTypes}} with {{ tags }} {{unknown}}', local: 7 }
+  });
+
+  assert.deepEqual(JSON.parse(JSON.stringify(taxonomy.tags)), [
+    { name: 'Friendly', description: '', requiresEvidence: false },
+    { name: 'Toxic', description: 'insults', requiresEvidence: true }
+  ]);
+  assert.deepEqual([...taxonomy.keywords], ['spam', 'scam']);
+  assert.equal(taxonomy.maxTags, ProfileTaxonomy.LIMITS.maxTags.max);
+  assert.equal(taxonomy.maxTagLength, ProfileTaxonomy.LIMITS.maxTagLength.min);
+  // 空白或不是字串的範本使用預設範本
+  assert.equal(taxonomy.prompts.system, ProfileTaxonomy.DEFAULT_TAXONOMY.prompts.system);
+  assert.equal(taxonomy.prompts.local, ProfileTaxonomy.DEFAULT_TAXONOMY.prompts.local);
+
+  // 未知的佔位符保留原樣
+  const prompt = ProfileTaxonomy.renderPrompt(taxonomy, '貼文', false);
+  assert.equal(prompt.user, 'Label 貼文 with Friendly,Toxic（insults） {{unknown}}');
+
+  // 標籤與關鍵字可以清空
+  const empty = ProfileTaxonomy.normalize({ tags: [], keywords: [] });
+  assert.equal(empty.tags.length, 0);
+  assert.equal(empty.keywords.length, 0);
+  assert.equal(empty.maxTags, 5);
+});
@@ -0,0 +1,91 @@
+/**
+ * queryManager.js 查詢隊列離線測試
+ * 執行方式：node --test tests/
+ *
+ * 以替身 chrome API 與 executeQuery 檢查 Service Worker 重啟後還原的隊列會補滿並發上限
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadModules } = require('./helpers/loadModules');
+
+/**
+ * 載入 queryManager.js，chrome.storage.session 內為指定的隊列狀態
+ * @param {Object} queueState - 保存的隊列狀態（queryQueueState）
+ * @returns {{QueryManager: Object, sandbox: Object}}
+ */
+function loadQueryManager(queueState) {
+  const session = { queryQueueState: queueState };
+  const chrome = {
+    storage: {
+      local: { get: async () => ({}), set: async () => {} },
+      session: {
+        get: async (keys) => Object.fromEntries(keys.filter(key => key in session).map(key => [key, session[key]])),
+        set: async (items) => { Object.assign(session, items); }
+      }
+    },
+    i18n: { getUILanguage: () => 'zh-TW', getMessage: () => '' },
+    runtime: { sendMessage: async () => {} },
+    tabs: { query: async () => [], sendMessage: async () => {}, get: async () => { throw new Error('No tab'); } }
+  };
+  const sandbox = loadModules(['regionMap.js', 'i18n.js', 'storageSchema.js', 'queryManager.js'], { chrome });
+  return { QueryManager: sandbox.QueryManager, sandbox };
+}
+
+function savedJob(username, status = 'queued') {
+  return {
+    id: `job_${username}`,
+    username,
+    account: `@${username}`,
+    isIntegrated: false,
+    enableProfileAnalysis: false,
+    shouldKeepTab: false,
+    keepTabFilter: '',
+    priority: 'normal',
+    status,
+    cancelled: false,
+    tabId: null,
+    restoreCount: 0,
+    enqueuedAt: Date.now(),
+    startedAt: null
+  };
+}
+
+test('還原的隊列依並發上限同時執行，完成後補上下一個任務', async () => {
+  const { QueryManager, sandbox } = loadQueryManager({
+    jobs: ['a', 'b', 'c', 'd', 'e'].map(username => savedJob(username)),
+    finished: [],
+    recentlyQueried: {}
+  });
+
+  // 替身查詢：記錄開始的用戶，等測試結束才完成
+  const started = [];
+  const resolvers = {};
+  sandbox.executeQuery = (username) => {
+    started.push(username);
+    return new Promise((resolve) => { resolvers[username] = resolve; });
+  };
+
+  await QueryManager.restoreQueryQueue();
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.deepEqual(started, ['a', 'b', 'c']);
+  let status = QueryManager.getQueueStatus();
+  assert.equal(status.activeQueryCount, 3);
+  assert.equal(status.queueLength, 2);
+
+  resolvers.a({ success: true, region: 'Taiwan' });
+  await new Promise(resolve => setImmediate(resolve));
+  assert.deepEqual(started, ['a', 'b', 'c', 'd']);
+
+  // 提高並發上限時立即補滿新增的名額
+  QueryManager.updateMaxConcurrent(5);
+  assert.deepEqual(started, ['a', 'b', 'c', 'd', 'e']);
+  status = QueryManager.getQueueStatus();
+  assert.equal(status.activeQueryCount, 4);
+  assert.equal(status.queueLength, 0);
+
+  for (const username of ['b', 'c', 'd', 'e']) resolvers[username]({ success: true, region: 'Japan' });
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(QueryManager.getQueueStatus().activeQueryCount, 0);
+});
@@ -0,0 +1,89 @@
+/**
+ * regionMap.js 離線測試
+ * 執行方式：node --test tests/
+ *
+ * 地區登錄表涵蓋所有 ISO 3166-1 地區（正規化與代碼查詢使用）；
+ * 從自由文字提取地區時只比對常見地區，避免把一般用語與人名誤判為地區
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadModules } = require('./helpers/loadModules');
+
+const { RegionUtils } = loadModules(['regionMap.js']);
+
+test('登錄表：代碼、各語言名稱、別名與旗幟', () => {
+  const codes = Object.keys(RegionUtils.REGION_REGISTRY);
+  assert.ok(codes.length >= 249);
+  for (const code of codes) {
+    const entry = RegionUtils.REGION_REGISTRY[code];
+    assert.match(code, /^[A-Z]{2}$/);
+    for (const key of ['en', 'zhTW', 'zhCN', 'ja', 'ko']) {
+      assert.equal(typeof entry[key], 'string', `${code}.${key}`);
+    }
+    assert.equal(RegionUtils.getRegionCode(entry.en), code);
+    assert.equal(RegionUtils.flagEmojiToCode(RegionUtils.getFlagEmoji(code)), code);
+  }
+
+  assert.equal(RegionUtils.getRegionCode('台灣'), 'TW');
+  assert.equal(RegionUtils.getRegionCode('臺灣'), 'TW');
+  assert.equal(RegionUtils.getRegionCode('  대만 '), 'TW');
+  assert.equal(RegionUtils.getRegionCode('usa'), 'US');
+  assert.equal(RegionUtils.getRegionCode('🇯🇵'), 'JP');
+  assert.equal(RegionUtils.getRegionCode('未揭露'), null);
+  assert.equal(RegionUtils.getRegionCode('Atlantis'), null);
+
+  assert.equal(RegionUtils.normalizeRegion('韓國'), 'South Korea');
+  assert.equal(RegionUtils.normalizeRegion('Chad'), 'Chad');
+  assert.equal(RegionUtils.normalizeRegion('未揭露'), '未揭露');
+  assert.equal(RegionUtils.normalizeRegion(' Atlantis '), 'Atlantis');
+
+  assert.equal(RegionUtils.getRegionName('TW', 'ja'), '台湾');
+  assert.equal(RegionUtils.getRegionName('TW', 'fr'), 'Taiwan');
+  assert.equal(RegionUtils.getRegionName('XX'), null);
+  assert.equal(RegionUtils.getFlagEmoji('tw'), '');
+});
+
+test('文字提取：常見地區的名稱與旗幟', () => {
+  const cases = {
+    'Taiwan': 'Taiwan',
+    'Based in Taiwan': 'Taiwan',
+    '台灣': 'Taiwan',
+    '中国台湾': 'Taiwan',
+    '中國香港': 'Hong Kong',
+    '住在日本': 'Japan',
+    'South Korea': 'South Korea',
+    '대한민국': 'South Korea',
+    'Made in the U.S.A.': 'United States',
+    'Indonesia': 'Indonesia',
+    'India': 'India',
+    'タイ': 'Thailand',
+    'Location\nUnited Kingdom': 'United Kingdom',
+    '🇫🇷': 'France',
+    '旅居中 🇨🇭': 'Switzerland'
+  };
+  for (const [text, expected] of Object.entries(cases)) {
+    assert.equal(RegionUtils.extractRegionFromText(text), expected, text);
+  }
+});
+
+test('文字提取：一般用語與人名不視為地區', () => {
+  const texts = [
+    'Chad is my friend',
+    'New Jersey',
+    'Guinea pig',
+    'Georgia on my mind',
+    'Turkey sandwiches',
+    'Jordan Smith',
+    '日本語を話す',
+    'タイトル',
+    'ネクタイ',
+    'join us',
+    'Indiana',
+    ''
+  ];
+  for (const text of texts) {
+    assert.equal(RegionUtils.extractRegionFromText(text), null, text);
+  }
+  assert.equal(RegionUtils.extractRegionFromText(null), null);
+});
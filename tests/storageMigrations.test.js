@@ -0,0 +1,145 @@
+/**
+ * background.js 儲存結構遷移離線測試
+ * 執行方式：node --test tests/
+ *
+ * 以替身 chrome.storage.local、UserStore（IndexedDB）與 QueryManager 載入 background.js，
+ * 檢查 Service Worker 啟動時由舊版資料逐版升級至目前版本
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadModules } = require('./helpers/loadModules');
+
+/**
+ * 載入 background.js（載入時即開始遷移，遷移的 Promise 透過 QueryManager.setStorageReady 取得）
+ * @param {Object} local - chrome.storage.local 內容
+ * @param {Object} records - IndexedDB 內的用戶紀錄（username → UserRecord）
+ * @param {Object} options - { failPutUserRecords: 匯入 IndexedDB 時拋出錯誤 }
+ * @returns {{sandbox: Object, storageReady: Promise<void>, local: Object, records: Object}}
+ */
+function loadBackground(local = {}, records = {}, options = {}) {
+  let storageReady = null;
+  const listener = { addListener: () => {} };
+  const chrome = {
+    storage: {
+      local: {
+        get: async (keys) => Object.fromEntries(keys.filter(key => key in local).map(key => [key, local[key]])),
+        set: async (items) => { Object.assign(local, JSON.parse(JSON.stringify(items))); },
+        remove: async (keys) => { for (const key of keys) delete local[key]; }
+      }
+    },
+    runtime: { onInstalled: listener, onConnect: listener, onMessage: listener, sendMessage: async () => {} }
+  };
+  const globals = {
+    chrome,
+    // 遷移失敗時 background.js 以 console.error 記錄，測試中預期會發生
+    console: { log: () => {}, warn: () => {}, error: () => {} },
+    // 共用模組由 loadModules 先載入
+    importScripts: () => {},
+    I18n: { init: () => {} },
+    QueryManager: {
+      setStorageReady: (promise) => { storageReady = promise; },
+      setProfileContentReadyHandler: () => {},
+      restoreQueryQueue: () => {},
+      updateMaxConcurrent: () => {},
+      updateCacheTtl: () => {}
+    },
+    UserStore: {
+      putUserRecords: async (userCache) => {
+        if (options.failPutUserRecords) throw new Error('IndexedDB 無法開啟');
+        Object.assign(records, JSON.parse(JSON.stringify(userCache)));
+        return Object.keys(userCache).length;
+      },
+      updateAllUserRecords: async (updater) => {
+        for (const username in records) records[username] = updater(records[username]);
+      }
+    }
+  };
+  const sandbox = loadModules(['regionMap.js', 'storageSchema.js', 'background.js'], globals);
+  return { sandbox, storageReady, local, records };
+}
+
+test('v1 資料逐版遷移至目前版本', async () => {
+  const { sandbox, storageReady, local, records } = loadBackground({
+    regionCache: {
+      alice: { region: '台灣', joined: '2023年7月', source: 'api', timestamp: 1000 },
+      bob: { region: '未揭露', timestamp: 2000 },
+      empty: { region: '' }
+    },
+    profileCache: {
+      alice: { profile: '生活帳:日常分享,理性討論', timestamp: 3000 },
+      carol: { profile: '政治帳：常發政治文', timestamp: 4000 },
+      dave: { profile: '' }
+    },
+    userIdCache: { alice: 123, bob: ' 456 ', carol: '', dave: null }
+  });
+  await storageReady;
+
+  assert.equal(local.schemaVersion, sandbox.StorageSchema.SCHEMA_VERSION);
+  assert.equal('regionCache' in local, false);
+  assert.equal('profileCache' in local, false);
+  assert.equal('userCache' in local, false);
+  assert.deepEqual(local.userIdCache, { alice: '123', bob: '456' });
+
+  assert.deepEqual(Object.keys(records).sort(), ['alice', 'bob', 'carol']);
+  assert.equal(records.alice.region, 'Taiwan');
+  assert.equal(records.alice.regionCode, 'TW');
+  assert.equal(records.alice.joined, '2023年7月');
+  assert.equal(records.alice.fetchedAt, 1000);
+  assert.deepEqual(records.alice.profileTags.map(item => [item.tag, item.reason]), [['生活帳', '日常分享'], ['理性討論', '']]);
+  assert.equal(records.alice.profileFetchedAt, 3000);
+  assert.equal(records.carol.region, null);
+  assert.equal(records.carol.profileTags[0].tag, '政治帳');
+  assert.equal(records.bob.region, '未揭露');
+  assert.equal(records.bob.fetchedAt, 2000);
+});
+
+test('v3 資料只執行 v4 遷移', async () => {
+  const { sandbox, storageReady, local, records } = loadBackground({ schemaVersion: 3 }, {
+    erin: { region: '未揭露', error: 'Tab timeout', fetchedAt: 2000 },
+    alice: { region: '未揭露', error: 'timeout', fetchedAt: 10 },
+    bob: { region: '未揭露', error: null, fetchedAt: 20 },
+    carol: { region: 'Japan', error: null, fetchedAt: 30 }
+  });
+  await storageReady;
+
+  assert.equal(local.schemaVersion, 4);
+
+  // 舊版「未揭露 + error 訊息」改記為查詢失敗
+  assert.equal(records.erin.region, sandbox.StorageSchema.QUERY_FAILED_REGION);
+  assert.equal(records.erin.error, 'unknown');
+  assert.equal(records.erin.errorMessage, 'Tab timeout');
+  assert.equal(records.erin.errorCount, 1);
+  assert.equal(records.erin.retryAt, 2000 + sandbox.StorageSchema.getRetryDelayMs(1));
+
+  // error 已是失敗原因代碼的紀錄不視為舊格式
+  assert.equal(records.alice.region, '未揭露');
+  assert.equal(records.bob.region, '未揭露');
+  assert.equal(records.carol.region, 'Japan');
+});
+
+test('中途失敗時記錄已完成的版本，下次啟動從該版繼續', async () => {
+  const local = { regionCache: { alice: { region: 'Japan', timestamp: 1000 } } };
+  const records = {};
+
+  const first = loadBackground(local, records, { failPutUserRecords: true });
+  await first.storageReady;
+  assert.equal(local.schemaVersion, 2);
+  assert.equal(local.userCache.alice.region, 'Japan');
+  assert.deepEqual(Object.keys(records), []);
+
+  const second = loadBackground(local, records);
+  await second.storageReady;
+  assert.equal(local.schemaVersion, 4);
+  assert.equal('userCache' in local, false);
+  assert.equal(records.alice.region, 'Japan');
+  assert.equal(records.alice.regionCode, 'JP');
+});
+
+test('儲存結構版本比程式新時不遷移', async () => {
+  const local = { schemaVersion: 99, regionCache: { alice: { region: 'Japan' } } };
+  const { storageReady } = loadBackground(local);
+  await storageReady;
+  assert.equal(local.schemaVersion, 99);
+  assert.ok(local.regionCache);
+});
@@ -0,0 +1,106 @@
+/**
+ * storageSchema.js 離線測試
+ * 執行方式：node --test tests/
+ *
+ * 有效期限設定、結果新鮮度、查詢失敗的重試間隔與側寫標籤轉換
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadModules } = require('./helpers/loadModules');
+
+const { StorageSchema } = loadModules(['regionMap.js', 'storageSchema.js']);
+
+const HOUR_MS = 60 * 60 * 1000;
+
+test('有效期限設定：缺少或不合法的項目使用預設值', () => {
+  const defaults = { ...StorageSchema.DEFAULT_CACHE_TTL_HOURS };
+  assert.deepEqual({ ...StorageSchema.normalizeCacheTtl() }, defaults);
+  assert.deepEqual({ ...StorageSchema.normalizeCacheTtl(null) }, defaults);
+  assert.deepEqual({ ...StorageSchema.normalizeCacheTtl({ confirmed: '48', undisclosed: 0, error: 2.4, profile: 'abc' }) }, {
+    ...defaults,
+    confirmed: 48,
+    error: 2
+  });
+  // 上限 365 天
+  assert.equal(StorageSchema.normalizeCacheTtl({ confirmed: 99999 }).confirmed, 365 * 24);
+});
+
+test('地區新鮮度：依結果類型套用有效期限', () => {
+  const now = 1000 * HOUR_MS;
+  const ttl = StorageSchema.normalizeCacheTtl({ confirmed: 10, undisclosed: 5, error: 1 });
+  const record = (fields) => StorageSchema.createUserRecord(fields);
+
+  assert.equal(StorageSchema.isRegionFresh(null, now, ttl), false);
+  assert.equal(StorageSchema.isRegionFresh(record({}), now, ttl), false);
+  assert.equal(StorageSchema.isRegionFresh(record({ region: 'Taiwan', fetchedAt: now - 9 * HOUR_MS }), now, ttl), true);
+  assert.equal(StorageSchema.isRegionFresh(record({ region: 'Taiwan', fetchedAt: now - 10 * HOUR_MS }), now, ttl), false);
+  assert.equal(StorageSchema.isRegionFresh(record({ region: '未揭露', fetchedAt: now - 4 * HOUR_MS }), now, ttl), true);
+  assert.equal(StorageSchema.isRegionFresh(record({ region: '未揭露', fetchedAt: now - 6 * HOUR_MS }), now, ttl), false);
+
+  // 查詢失敗以寫入時決定的 retryAt 為準，沒有 retryAt 的舊紀錄使用查詢失敗的有效期限
+  const failed = { region: StorageSchema.QUERY_FAILED_REGION, fetchedAt: now - 10 * HOUR_MS };
+  assert.equal(StorageSchema.isRegionFresh(record({ ...failed, retryAt: now + 1 }), now, ttl), true);
+  assert.equal(StorageSchema.isRegionFresh(record({ ...failed, retryAt: now }), now, ttl), false);
+  assert.equal(StorageSchema.isRegionFresh(record(failed), now, ttl), false);
+  assert.equal(StorageSchema.getRegionResultType(record(failed)), 'error');
+
+  assert.equal(StorageSchema.isProfileFresh(record({ profileTags: [], profileFetchedAt: now - HOUR_MS }), now, ttl), true);
+  assert.equal(StorageSchema.isProfileFresh(record({ profileTags: null, profileFetchedAt: now }), now, ttl), false);
+});
+
+test('查詢失敗：重試間隔倍增與失敗資訊', () => {
+  const ttl = StorageSchema.normalizeCacheTtl({ error: 2 });
+  assert.equal(StorageSchema.getRetryDelayMs(0, ttl), 2 * HOUR_MS);
+  assert.equal(StorageSchema.getRetryDelayMs(1, ttl), 2 * HOUR_MS);
+  assert.equal(StorageSchema.getRetryDelayMs(2, ttl), 4 * HOUR_MS);
+  assert.equal(StorageSchema.getRetryDelayMs(4, ttl), 16 * HOUR_MS);
+  // 最多 32 倍
+  assert.equal(StorageSchema.getRetryDelayMs(6, ttl), 64 * HOUR_MS);
+  assert.equal(StorageSchema.getRetryDelayMs(50, ttl), 64 * HOUR_MS);
+  assert.equal(StorageSchema.getRetryDelayMs(1), StorageSchema.DEFAULT_CACHE_TTL_HOURS.error * HOUR_MS);
+
+  const error = StorageSchema.createQueryError('timeout');
+  assert.equal(error.reason, 'timeout');
+  assert.equal(error.message, StorageSchema.QUERY_ERROR_REASONS.timeout);
+
+  assert.equal(StorageSchema.getQueryErrorInfo(StorageSchema.createUserRecord({ region: 'Taiwan' })), null);
+  assert.deepEqual({ ...StorageSchema.getQueryErrorInfo(StorageSchema.createUserRecord({ region: StorageSchema.QUERY_FAILED_REGION, retryAt: 5 })) }, {
+    reason: 'unknown',
+    message: null,
+    retryAt: 5
+  });
+});
+
+test('側寫標籤：舊格式字串與結構化陣列', () => {
+  const plain = (value) => JSON.parse(JSON.stringify(value));
+
+  assert.equal(StorageSchema.parseProfileTags(null), null);
+  assert.equal(StorageSchema.parseProfileTags(''), null);
+  assert.deepEqual(plain(StorageSchema.parseProfileTags('生活帳:日常分享, 政治帳：常發政治文,理性討論,,')), [
+    { tag: '生活帳', reason: '日常分享', evidence: [], confidence: null },
+    { tag: '政治帳', reason: '常發政治文', evidence: [], confidence: null },
+    { tag: '理性討論', reason: '', evidence: [], confidence: null }
+  ]);
+
+  assert.deepEqual(plain(StorageSchema.parseProfileTags([
+    { tag: ' 人身攻擊 ', reason: '罵人', confidence: 0.8, evidence: ['你很笨', { quote: ' 笨蛋 ', postId: 'ABC', url: 'https://www.threads.com/@a/post/ABC', postedAt: '2026-01-01T00:00:00.000Z' }, { quote: '' }, { quote: 'x', url: 'https://evil.example/' }] },
+    { tag: '', reason: '略過' },
+    null,
+    { tag: '溫暖陪伴', confidence: 2 }
+  ])), [
+    {
+      tag: '人身攻擊',
+      reason: '罵人',
+      evidence: [
+        { quote: '你很笨', postId: null, url: null, postedAt: null },
+        { quote: '笨蛋', postId: 'ABC', url: 'https://www.threads.com/@a/post/ABC', postedAt: '2026-01-01T00:00:00.000Z' },
+        { quote: 'x', postId: null, url: null, postedAt: null }
+      ],
+      confidence: 0.8
+    },
+    { tag: '溫暖陪伴', reason: '', evidence: [], confidence: null }
+  ]);
+
+  assert.equal(StorageSchema.formatProfileTags(StorageSchema.parseProfileTags('生活帳:日常,理性討論')), '生活帳:日常,理性討論');
+});
@@ -0,0 +1,76 @@
+/**
+ * userListFilters.js 側邊欄用戶列表篩選與排序離線測試
+ * 執行方式：node --test tests/
+ *
+ * 加入時間以相對時間表示，不受測試執行日期影響；排序時同值維持頁面順序，沒有資料的用戶排在最後
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadModules } = require('./helpers/loadModules');
+
+const chrome = {
+  i18n: { getUILanguage: () => 'en', getMessage: () => '' },
+  storage: { local: { get: async () => ({}) }, onChanged: { addListener: () => {} } }
+};
+const { UserListFilters } = loadModules(
+  ['regionMap.js', 'i18n.js', 'dateUtils.js', 'storageSchema.js', 'userListFilters.js'],
+  { chrome, document: { documentElement: { lang: 'en' } } }
+);
+
+const accountsOf = (users) => users.map(user => user.account);
+
+test('加入時間篩選', () => {
+  const users = {
+    '@new': 'Joined 3 weeks ago',
+    '@recent': '4 months ago',
+    '@middle': '8 months ago',
+    '@veteran': '2 years ago',
+    '@unknown': 'sometime',
+    '@missing': null
+  };
+  const matching = (filter) => Object.keys(users).filter(account => UserListFilters.JOINED_FILTERS[filter](users[account]));
+
+  assert.deepEqual(matching('all'), Object.keys(users));
+  assert.deepEqual(matching('new'), ['@new']);
+  assert.deepEqual(matching('recent'), ['@new', '@recent']);
+  assert.deepEqual(matching('veteran'), ['@veteran']);
+  assert.deepEqual(matching('unknown'), ['@unknown', '@missing']);
+});
+
+test('帳號篩選與地區分類', () => {
+  const { ACCOUNT_FILTERS, getUserRegionKey, getUserTags } = UserListFilters;
+  assert.equal(ACCOUNT_FILTERS.renamed({ formerUsernames: ['old'] }), true);
+  assert.equal(ACCOUNT_FILTERS.renamed({ formerUsernames: [] }), false);
+  assert.equal(ACCOUNT_FILTERS.renamed({ formerUsernames: null }), false);
+  assert.equal(ACCOUNT_FILTERS.verified({ verified: true }), true);
+  assert.equal(ACCOUNT_FILTERS.verified({ verified: null }), false);
+
+  assert.equal(getUserRegionKey({ region: null }), 'pending');
+  assert.equal(getUserRegionKey({ region: '未揭露' }), 'undisclosed');
+  assert.equal(getUserRegionKey({ region: '查詢失敗' }), 'error');
+  assert.equal(getUserRegionKey({ region: 'Taiwan' }), 'region:TW');
+  assert.equal(getUserRegionKey({ region: 'Atlantis' }), 'region:Atlantis');
+
+  assert.deepEqual([...getUserTags({ profile: '生活帳:日常,理性討論' })], ['生活帳', '理性討論']);
+  assert.deepEqual([...getUserTags({ profile: null })], []);
+});
+
+test('排序：地區、加入時間與查詢時間', () => {
+  const { USER_SORTERS } = UserListFilters;
+  const users = [
+    { account: '@pending', region: null, joined: null, fetchedAt: null },
+    { account: '@taiwan', region: 'Taiwan', joined: '2 years ago', fetchedAt: 1000 },
+    { account: '@failed', region: '查詢失敗', joined: 'sometime', fetchedAt: 3000 },
+    { account: '@japan', region: 'Japan', joined: 'Joined 3 weeks ago', fetchedAt: null },
+    { account: '@undisclosed', region: '未揭露', joined: '4 months ago', fetchedAt: 2000 },
+    { account: '@australia', region: 'Australia', joined: null, fetchedAt: 1000 }
+  ];
+
+  // 已確認的地區依名稱排序，其後為未揭露、查詢失敗、待查詢
+  assert.deepEqual(accountsOf([...users].sort(USER_SORTERS.region)), ['@australia', '@japan', '@taiwan', '@undisclosed', '@failed', '@pending']);
+  // 由新到舊，沒有加入時間的維持頁面順序排在最後
+  assert.deepEqual(accountsOf([...users].sort(USER_SORTERS.joined)), ['@japan', '@undisclosed', '@taiwan', '@pending', '@failed', '@australia']);
+  // 由新到舊，同時間維持頁面順序，從未查詢的排在最後
+  assert.deepEqual(accountsOf([...users].sort(USER_SORTERS.fetched)), ['@failed', '@undisclosed', '@taiwan', '@australia', '@pending', '@japan']);
+});
@@ -0,0 +1,373 @@
+#!/usr/bin/env node
+/**
+ * 側寫標籤提示詞的離線評估
+ * 以 llmAnalyzer.js 的 analyzeUserProfile 分析標註好的資料集，與人工標註比較，
+ * 修改分類設定（標籤、關鍵字與提示詞範本，見 profileTaxonomy.js）前後各跑一次，即可用數字比較品質
+ *
+ * 使用方式（需 Node.js 20 以上）：
+ *   # 本機或遠端的 OpenAI 相容伺服器（例如 Ollama）
+ *   node tools/evalProfiles.js --dataset tests/fixtures/eval/dataset.jsonl --base-url http://localhost:11434/v1 --model llama3.2
+ *   # 重播錄製的模型輸出（不連線，確認評估流程與報告格式）
+ *   node tools/evalProfiles.js --dataset tests/fixtures/eval/dataset.jsonl --mock tests/fixtures/eval/responses.jsonl
+ *   # 評估側邊欄匯出的分類設定
+ *   node tools/evalProfiles.js --dataset tests/fixtures/eval/dataset.jsonl --taxonomy my-taxonomy.json --base-url http://localhost:11434/v1 --model llama3.2
+ *
+ * 選項：
+ *   --dataset <file>   資料集（JSON Lines，必填）
+ *   --base-url <url>   OpenAI 相容 API 的端點（預設 https://api.openai.com/v1）
+ *   --model <name>     模型名稱（預設 gpt-4o-mini）
+ *   --api-key <key>    API Key（預設讀取環境變數 OPENAI_API_KEY；本機伺服器不需要）
+ *   --mock <file>      以錄製的模型輸出代替 API（JSON Lines）
+ *   --taxonomy <file>  分類設定（側邊欄匯出的 JSON，預設為內建分類）
+ *   --json             以 JSON 輸出完整報告（方便存檔比較）
+ *
+ * 資料集每行一個案例：
+ *   { "id": "case-1", "account": "@user", "posts": ["貼文", ...], "replies": ["回覆", ...], "labels": ["生活帳", ...] }
+ *   posts / replies 的項目可為字串，或 { text, url, postedAt } 物件；labels 為人工標註的標籤
+ * 錄製的模型輸出每行一個案例（依序回應第一次分析與之後的修正要求）：
+ *   { "id": "case-1", "responses": ["{\"tags\":[...]}", ...] }
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { parseArgs } = require('node:util');
+const { loadModules } = require('./lib/loadModules');
+
+// analyzeUserProfile 需要的模組（依 sidepanel.html 的載入順序）
+const ANALYZER_MODULES = ['regionMap.js', 'storageSchema.js', 'profileTaxonomy.js', 'llmProviders.js', 'llmAnalyzer.js'];
+
+// ==================== 資料集 ====================
+
+/**
+ * 讀取 JSON Lines 檔案（略過空白行）
+ * @param {string} filename
+ * @returns {Object[]}
+ */
+function readJsonLines(filename) {
+  return fs.readFileSync(filename, 'utf8')
+    .split('\n')
+    .map((line, index) => [line.trim(), index + 1])
+    .filter(([line]) => line)
+    .map(([line, lineNumber]) => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        throw new Error(`${filename}:${lineNumber} 不是合法的 JSON：${error.message}`);
+      }
+    });
+}
+
+/**
+ * 將資料集中的貼文轉為 SocialPost（content.js 的 extractPostsFromDocument 格式）
+ * @param {Array<string|Object>} items - 貼文文字或 { text, url, postedAt }
+ * @param {string} account - 作者帳號
+ * @returns {SocialPost[]}
+ */
+function toSocialPosts(items, account) {
+  return (items || []).map(item => {
+    const post = typeof item === 'string' ? { text: item } : item;
+    return {
+      id: post.id || null,
+      author: post.author || account,
+      url: post.url || null,
+      postedAt: post.postedAt || null,
+      text: String(post.text || '')
+    };
+  });
+}
+
+/**
+ * 檢查並正規化資料集
+ * @param {Object[]} cases - readJsonLines 的結果
+ * @returns {Array<{id: string, account: string, posts: SocialPost[], replies: SocialPost[], labels: string[]}>}
+ */
+function normalizeDataset(cases) {
+  const ids = new Set();
+  return cases.map((item, index) => {
+    const id = String(item.id || `case-${index + 1}`);
+    if (ids.has(id)) throw new Error(`資料集的 id 重複：${id}`);
+    ids.add(id);
+    if (!Array.isArray(item.labels)) throw new Error(`${id}: labels 必須是陣列`);
+
+    const account = item.account ? (item.account.startsWith('@') ? item.account : `@${item.account}`) : '@user';
+    return {
+      id: id,
+      account: account,
+      posts: toSocialPosts(item.posts, account),
+      replies: toSocialPosts(item.replies, account),
+      labels: [...new Set(item.labels.map(label => String(label).trim()).filter(Boolean))]
+    };
+  });
+}
+
+// ==================== 執行分析 ====================
+
+/**
+ * 建立重播錄製輸出的 fetch（回應格式同 OpenAI Chat Completions）
+ * @param {Object<string, string[]>} responses - 案例 id → 依序回應的模型輸出
+ * @param {{current: string|null}} cursor - 目前分析中的案例 id
+ * @returns {Function}
+ */
+function createMockFetch(responses, cursor) {
+  const used = {};
+  return async () => {
+    const queue = responses[cursor.current] || [];
+    const index = used[cursor.current] || 0;
+    used[cursor.current] = index + 1;
+    if (index >= queue.length) {
+      return new Response(JSON.stringify({ error: { message: `沒有 ${cursor.current} 的第 ${index + 1} 則錄製輸出` } }), { status: 500 });
+    }
+    return new Response(JSON.stringify({ choices: [{ message: { content: queue[index] } }] }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  };
+}
+
+/**
+ * 以 analyzeUserProfile 分析所有案例（依序執行，避免同時對本機伺服器送出大量請求）
+ * @param {Array} dataset - normalizeDataset 的結果
+ * @param {Object} options
+ * @param {string} [options.baseUrl] - OpenAI 相容 API 的端點
+ * @param {string} [options.model] - 模型名稱
+ * @param {string|null} [options.apiKey] - API Key
+ * @param {Object<string, string[]>|null} [options.mockResponses] - 錄製的模型輸出（提供時不連線）
+ * @param {Object|null} [options.taxonomy] - 分類設定（未提供時使用內建分類）
+ * @param {Function} [options.onCase] - 每個案例完成時的回調 (caseResult, index) => void
+ * @returns {Promise<Array<{id: string, labels: string[], predicted: string[], success: boolean, attempts: number, errors: string[], error: string|null}>>}
+ */
+async function runEvaluation(dataset, options = {}) {
+  const cursor = { current: null };
+  const stored = {
+    llmSettings: {
+      provider: 'openai',
+      openai: { baseUrl: options.baseUrl, model: options.model }
+    },
+    // 重播時不會連線，給一個假的 API Key 讓官方端點也能通過檢查
+    openaiApiKey: options.apiKey || (options.mockResponses ? 'mock' : null),
+    // 與擴充功能相同，由 profileTaxonomy.js 正規化
+    profileTaxonomy: options.taxonomy || null
+  };
+  const chrome = {
+    storage: { local: { get: async (keys) => Object.fromEntries(keys.filter(key => key in stored).map(key => [key, stored[key]])) } }
+  };
+  const fetchImpl = options.mockResponses ? createMockFetch(options.mockResponses, cursor) : fetch;
+  // 分析失敗的原因已記錄在結果中，不另外輸出 analyzeUserProfile 的錯誤記錄
+  const quietConsole = { log: () => {}, warn: () => {}, error: () => {} };
+  const { LLMAnalyzer } = loadModules(ANALYZER_MODULES, { chrome, fetch: fetchImpl, TextDecoder, console: quietConsole });
+
+  const results = [];
+  for (const [index, item] of dataset.entries()) {
+    cursor.current = item.id;
+    const analysis = await LLMAnalyzer.analyzeUserProfile(item.account, item.posts, item.replies);
+    const caseResult = {
+      id: item.id,
+      labels: item.labels,
+      predicted: analysis.success ? analysis.tags.map(tag => tag.tag) : [],
+      success: analysis.success,
+      attempts: analysis.attempts || 0,
+      errors: analysis.errors ? [...analysis.errors] : [],
+      error: analysis.success ? null : analysis.error
+    };
+    results.push(caseResult);
+    if (options.onCase) options.onCase(caseResult, index);
+  }
+  return results;
+}
+
+// ==================== 統計 ====================
+
+/**
+ * 計算比例，分母為 0 時為 null（報告中顯示為 -）
+ * @param {number} numerator
+ * @param {number} denominator
+ * @returns {number|null}
+ */
+function ratio(numerator, denominator) {
+  return denominator > 0 ? numerator / denominator : null;
+}
+
+/**
+ * 由 precision 與 recall 計算 F1
+ * @param {number|null} precision
+ * @param {number|null} recall
+ * @returns {number|null}
+ */
+function f1Score(precision, recall) {
+  if (precision === null || recall === null) return null;
+  return precision + recall > 0 ? 2 * precision * recall / (precision + recall) : 0;
+}
+
+/**
+ * 彙整評估結果
+ * - tags：每個標籤的 precision / recall / F1（support = 人工標註次數、predicted = 模型標註次數）
+ * - format：第一次輸出就符合格式的比例、修正後最終符合格式的比例、平均呼叫次數、分析失敗的案例數
+ * - agreement：與人工標註完全一致的比例、平均 Jaccard 相似度、整體（micro）precision / recall / F1
+ * 分析失敗的案例視為沒有標籤（所有人工標註都算漏標）
+ * @param {Array} results - runEvaluation 的結果
+ * @returns {Object} 報告
+ */
+function computeReport(results) {
+  const tags = {};
+  const getTagStats = (tag) => {
+    if (!tags[tag]) tags[tag] = { support: 0, predicted: 0, truePositives: 0 };
+    return tags[tag];
+  };
+
+  let exactMatches = 0;
+  let jaccardSum = 0;
+  let firstAttemptCompliant = 0;
+  let finalCompliant = 0;
+  let attemptSum = 0;
+  let failed = 0;
+
+  results.forEach(result => {
+    const labels = new Set(result.labels);
+    const predicted = new Set(result.predicted);
+
+    labels.forEach(tag => { getTagStats(tag).support++; });
+    predicted.forEach(tag => {
+      const stats = getTagStats(tag);
+      stats.predicted++;
+      if (labels.has(tag)) stats.truePositives++;
+    });
+
+    const intersection = [...predicted].filter(tag => labels.has(tag)).length;
+    const union = new Set([...labels, ...predicted]).size;
+    jaccardSum += union > 0 ? intersection / union : 1;
+    if (intersection === labels.size && intersection === predicted.size) exactMatches++;
+
+    if (!result.success) failed++;
+    if (result.success && result.errors.length === 0) {
+      finalCompliant++;
+      if (result.attempts === 1) firstAttemptCompliant++;
+    }
+    attemptSum += result.attempts;
+  });
+
+  let truePositives = 0;
+  let supportSum = 0;
+  let predictedSum = 0;
+  Object.values(tags).forEach(stats => {
+    stats.precision = ratio(stats.truePositives, stats.predicted);
+    stats.recall = ratio(stats.truePositives, stats.support);
+    stats.f1 = f1Score(stats.precision, stats.recall);
+    truePositives += stats.truePositives;
+    supportSum += stats.support;
+    predictedSum += stats.predicted;
+  });
+  const microPrecision = ratio(truePositives, predictedSum);
+  const microRecall = ratio(truePositives, supportSum);
+
+  return {
+    cases: results.length,
+    format: {
+      firstAttemptRate: ratio(firstAttemptCompliant, results.length),
+      finalRate: ratio(finalCompliant, results.length),
+      averageAttempts: ratio(attemptSum, results.length),
+      failed: failed
+    },
+    agreement: {
+      exactMatchRate: ratio(exactMatches, results.length),
+      meanJaccard: ratio(jaccardSum, results.length),
+      microPrecision: microPrecision,
+      microRecall: microRecall,
+      microF1: f1Score(microPrecision, microRecall)
+    },
+    tags: tags
+  };
+}
+
+// ==================== 報告輸出 ====================
+
+function formatPercent(value) {
+  return value === null ? '-' : `${(value * 100).toFixed(1)}%`;
+}
+
+/**
+ * 將報告轉為文字表格
+ * @param {Object} report - computeReport 的結果
+ * @returns {string}
+ */
+function formatReport(report) {
+  const lines = [
+    `案例數：${report.cases}（分析失敗 ${report.format.failed}）`,
+    '',
+    '格式符合率',
+    `  第一次輸出：${formatPercent(report.format.firstAttemptRate)}`,
+    `  修正後：    ${formatPercent(report.format.finalRate)}`,
+    `  平均呼叫次數：${report.format.averageAttempts === null ? '-' : report.format.averageAttempts.toFixed(2)}`,
+    '',
+    '與人工標註的一致性',
+    `  完全一致：${formatPercent(report.agreement.exactMatchRate)}`,
+    `  平均 Jaccard：${formatPercent(report.agreement.meanJaccard)}`,
+    `  整體 precision / recall / F1：${formatPercent(report.agreement.microPrecision)} / ${formatPercent(report.agreement.microRecall)} / ${formatPercent(report.agreement.microF1)}`,
+    '',
+    '各標籤（support = 人工標註次數、predicted = 模型標註次數）'
+  ];
+
+  const rows = Object.entries(report.tags)
+    .sort(([tagA, a], [tagB, b]) => b.support - a.support || b.predicted - a.predicted || tagA.localeCompare(tagB))
+    .map(([tag, stats]) => [tag, String(stats.support), String(stats.predicted), formatPercent(stats.precision), formatPercent(stats.recall), formatPercent(stats.f1)]);
+  const table = [['標籤', 'support', 'predicted', 'precision', 'recall', 'F1'], ...rows];
+  // 中日韓文字在終端機佔兩格寬
+  const width = (text) => [...text].reduce((sum, char) => sum + (/[⺀-￯]/.test(char) ? 2 : 1), 0);
+  const columnWidths = table[0].map((_, column) => Math.max(...table.map(row => width(row[column]))));
+  table.forEach(row => {
+    lines.push('  ' + row.map((cell, column) => cell + ' '.repeat(columnWidths[column] - width(cell))).join('  ').trimEnd());
+  });
+
+  return lines.join('\n');
+}
+
+// ==================== 命令列 ====================
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      dataset: { type: 'string' },
+      'base-url': { type: 'string', default: 'https://api.openai.com/v1' },
+      model: { type: 'string', default: 'gpt-4o-mini' },
+      'api-key': { type: 'string' },
+      mock: { type: 'string' },
+      taxonomy: { type: 'string' },
+      json: { type: 'boolean', default: false }
+    }
+  });
+
+  if (!values.dataset) {
+    console.error('用法：node tools/evalProfiles.js --dataset <file.jsonl> [--base-url <url>] [--model <name>] [--api-key <key>] [--mock <file.jsonl>] [--taxonomy <file.json>] [--json]');
+    process.exitCode = 1;
+    return;
+  }
+
+  const dataset = normalizeDataset(readJsonLines(path.resolve(values.dataset)));
+  const mockResponses = values.mock
+    ? Object.fromEntries(readJsonLines(path.resolve(values.mock)).map(item => [String(item.id), item.responses || []]))
+    : null;
+  const taxonomy = values.taxonomy ? JSON.parse(fs.readFileSync(path.resolve(values.taxonomy), 'utf8')) : null;
+
+  const results = await runEvaluation(dataset, {
+    baseUrl: values['base-url'],
+    model: values.model,
+    apiKey: values['api-key'] || process.env.OPENAI_API_KEY || null,
+    mockResponses: mockResponses,
+    taxonomy: taxonomy,
+    onCase: (result, index) => {
+      const status = result.success ? result.predicted.join(', ') : `失敗：${result.error}`;
+      console.error(`[${index + 1}/${dataset.length}] ${result.id}: ${status}`);
+    }
+  });
+  const report = computeReport(results);
+
+  console.log(values.json ? JSON.stringify({ report, results }, null, 2) : formatReport(report));
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { readJsonLines, normalizeDataset, runEvaluation, computeReport, formatReport };
@@ -0,0 +1,31 @@
+/**
+ * 在 Node 沙箱中依序載入擴充功能的共用模組（classic script，透過 self.X 暴露）
+ * 供 tools/ 的命令列工具與 tests/ 共用；只適用於不需要 DOM 的模組，需要 chrome API 的模組由 globals 提供替身
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const EXTENSION_DIR = path.join(__dirname, '..', '..', 'chrome-extension');
+
+/**
+ * 載入模組並回傳沙箱
+ * @param {string[]} files - chrome-extension 下的檔名（依 manifest / HTML 的載入順序）
+ * @param {object} globals - 額外放入沙箱的全域變數（例如 chrome、fetch、console；未提供 console 時使用 Node 的 console）
+ * @returns {object} 沙箱全域物件（含各模組暴露的 RegionUtils、StorageSchema 等）
+ */
+function loadModules(files, globals = {}) {
+  const sandbox = { console, ...globals };
+  sandbox.self = sandbox;
+  sandbox.window = sandbox;
+  vm.createContext(sandbox);
+
+  for (const file of files) {
+    const filename = path.join(EXTENSION_DIR, file);
+    vm.runInContext(fs.readFileSync(filename, 'utf8'), sandbox, { filename });
+  }
+  return sandbox;
+}
+
+module.exports = { loadModules };